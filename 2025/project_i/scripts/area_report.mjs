@@ -0,0 +1,502 @@
+#!/usr/bin/env node
+// Briefing report for one police district or census tract over a month range:
+// totals, monthly trend, top offenses, 7x24 table and comparison with the city.
+// Queries come from src/utils/sql.js (the same builders and parameters as the
+// dashboard charts), so a snapshot recorded in the browser can answer them offline.
+//
+// Usage (from the project root):
+//   node scripts/area_report.mjs --district 24 --from 2024-01 --to 2024-06
+//   node scripts/area_report.mjs --tract 42101030100 --from 2024-03 --format md --out -
+// Options:
+//   --groups Vehicle,Burglary    offense groups (keys of src/data/offense_groups.json)
+//   --codes "Thefts,Robbery Firearm"  offense codes; override --groups
+//   --format html|md             default html
+//   --out <file>|-               default phl_crime_report_<area>_<from>_<to>.<ext>; '-' = stdout
+//   --snapshot [bundle]          answer from a recorded bundle (default public/data/crime_snapshot.json)
+//   --record <bundle>            query live and merge the responses into a bundle for later offline runs
+// Live queries go to VITE_CARTO_SQL_BASE or the public CARTO endpoint; if that is
+// unreachable and the default bundle exists, the report falls back to it.
+// Snapshot misses are listed on stderr; if the bundle answered none of the queries,
+// nothing is written and the script exits with status 1.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dayjs from 'dayjs';
+import * as Q from '../src/utils/sql.js';
+import { snapshotKey, normalizeSql, findSnapshotEntry, emptyResult } from '../src/api/datasource.js';
+import { expandGroupsToCodes, offenseGroups } from '../src/utils/types.js';
+import { getTractPolygonAndBboxByGEOID } from '../src/utils/tract_geom.js';
+import { tractFeatureGEOID } from '../src/utils/geoids.js';
+
+const CARTO = process.env.VITE_CARTO_SQL_BASE || 'https://phl.carto.com/api/v2/sql';
+const DEFAULT_BUNDLE = path.join('public', 'data', 'crime_snapshot.json');
+const TRACTS = path.join('public', 'data', 'tracts_phl.geojson');
+const ACS = path.join('src', 'data', 'acs_tracts_2023_pa101.json');
+const DOW = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// same floor as the tract per-10k choropleth
+const MIN_POP = 500;
+// an offense is called out when its share differs from the city's by this factor
+const MIX_RATIO = 1.5;
+
+function arg(name, def){ const i = process.argv.indexOf(`--${name}`); return i > -1 && process.argv[i+1] && !process.argv[i+1].startsWith('--') ? process.argv[i+1] : def; }
+function flag(name){ return process.argv.includes(`--${name}`); }
+const list = (s) => String(s || '').split(',').map((v) => v.trim()).filter(Boolean);
+
+function usage(msg) {
+  if (msg) console.error(`error: ${msg}`);
+  console.error('usage: node scripts/area_report.mjs (--district NN | --tract GEOID) --from YYYY-MM [--to YYYY-MM] [--groups a,b] [--codes a,b] [--format html|md] [--out file|-] [--snapshot [bundle]] [--record bundle]');
+  process.exit(2);
+}
+
+function parseArgs() {
+  const district = arg('district');
+  const tract = arg('tract');
+  if (!district === !tract) usage('give exactly one of --district or --tract');
+  if (district && !/^\d{1,2}$/.test(district)) usage(`bad district code: ${district}`);
+  if (tract && !/^\d{11}$/.test(tract)) usage(`tract GEOID must be 11 digits: ${tract}`);
+
+  const from = arg('from');
+  const to = arg('to', from);
+  if (!/^\d{4}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}$/.test(to || '')) usage('--from/--to must be YYYY-MM');
+  if (to < from) usage('--to is before --from');
+
+  const groups = list(arg('groups'));
+  const unknown = groups.filter((g) => expandGroupsToCodes([g]).length === 0);
+  if (unknown.length) usage(`unknown offense group(s): ${unknown.join(', ')} (known: ${Object.keys(offenseGroups).join(', ')})`);
+  const drilldown = list(arg('codes'));
+  const codes = drilldown.length ? drilldown : expandGroupsToCodes(groups);
+
+  const format = arg('format', 'html');
+  if (!['html', 'md'].includes(format)) usage(`unknown format: ${format}`);
+  const area = district ? { kind: 'district', id: district.padStart(2, '0') } : { kind: 'tract', id: tract };
+  const out = arg('out', `phl_crime_report_${area.kind}_${area.id}_${from}_${to}.${format}`);
+  const snapshot = flag('snapshot') ? arg('snapshot', DEFAULT_BUNDLE) : null;
+  const record = arg('record');
+  if (snapshot && record) usage('--snapshot and --record cannot be combined');
+
+  return {
+    area,
+    from,
+    to,
+    // end is exclusive, like the dashboard's windows
+    start: `${from}-01`,
+    end: dayjs(`${to}-01`).add(1, 'month').format('YYYY-MM-DD'),
+    groups,
+    drilldown,
+    codes,
+    format,
+    out,
+    snapshot,
+    record,
+  };
+}
+
+async function readJson(file) { return JSON.parse(await fs.readFile(file, 'utf8')); }
+
+/**
+ * SQL runner over CARTO or a snapshot bundle. Live failures switch to the default
+ * bundle when one exists; misses are remembered so the report can say what is missing.
+ */
+function makeSource({ snapshot, record }) {
+  let mode = snapshot ? 'snapshot' : 'live';
+  let bundle = null;
+  let hits = 0;
+  const misses = [];
+  const recorded = {};
+
+  async function loadBundle(file) {
+    try {
+      bundle = await readJson(file);
+    } catch (e) {
+      throw new Error(`cannot read snapshot ${file}: ${e?.message || e}`);
+    }
+  }
+
+  async function post(sql, format, { retries = 3, timeoutMs = 30000 } = {}) {
+    const body = `${format ? `format=${encodeURIComponent(format)}&` : ''}q=${encodeURIComponent(sql)}`;
+    for (let i = 0; i < retries; i++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const res = await fetch(CARTO, { method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body, signal: controller.signal });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return await res.json();
+      } catch (e) {
+        if (i === retries - 1) throw e;
+        await new Promise((r) => setTimeout(r, [1000, 2000, 4000][Math.min(i, 2)]));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  return {
+    get mode() { return mode; },
+    get hits() { return hits; },
+    misses,
+    async init() {
+      if (mode === 'snapshot') await loadBundle(snapshot);
+    },
+    async run(label, sql, format) {
+      if (mode === 'live') {
+        try {
+          const data = await post(sql, format);
+          if (record) recorded[snapshotKey(sql, format)] = { label, sql: normalizeSql(sql), format: format || null, data };
+          return data;
+        } catch (e) {
+          if (record || !(await fs.access(DEFAULT_BUNDLE).then(() => true, () => false))) {
+            throw new Error(`${label}: ${e?.message || e} (use --snapshot to run offline)`);
+          }
+          console.warn(`live query failed (${e?.message || e}); falling back to ${DEFAULT_BUNDLE}`);
+          mode = 'snapshot';
+          await loadBundle(DEFAULT_BUNDLE);
+        }
+      }
+      const hit = findSnapshotEntry(bundle?.entries, sql, format);
+      if (hit) {
+        hits++;
+        return hit.data;
+      }
+      misses.push(label);
+      return emptyResult(format);
+    },
+    // Merge into an existing bundle so one file can serve the browser and several reports
+    async save() {
+      if (!record) return 0;
+      let prev = { entries: {} };
+      try { prev = await readJson(record); } catch {}
+      const entries = { ...(prev.entries || {}), ...recorded };
+      // the dashboard pins relative windows to reference_date in snapshot mode; an
+      // earlier browser recording keeps its day, since its keys depend on it
+      const meta = {
+        ...(prev.meta || {}),
+        generated_at: new Date().toISOString(),
+        reference_date: prev.meta?.reference_date || dayjs().format('YYYY-MM-DD'),
+        source: CARTO,
+        count: Object.keys(entries).length,
+      };
+      await fs.mkdir(path.dirname(record), { recursive: true });
+      await fs.writeFile(record, JSON.stringify({ meta, entries }));
+      return Object.keys(recorded).length;
+    },
+  };
+}
+
+const monthKey = (m) => String(m).slice(0, 7);
+
+/** Every month of the window, with zero for months the query did not return. */
+function monthSeries(rows, from, to) {
+  const byM = new Map((rows || []).map((r) => [monthKey(r.m), Number(r.n) || 0]));
+  const out = [];
+  for (let d = dayjs(`${from}-01`); !d.isAfter(dayjs(`${to}-01`)); d = d.add(1, 'month')) {
+    out.push({ m: d.format('YYYY-MM'), n: byM.get(d.format('YYYY-MM')) || 0 });
+  }
+  return out;
+}
+
+function toMatrix(rows) {
+  const m = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const r of rows || []) {
+    const d = Number(r.dow);
+    const h = Number(r.hr);
+    if (d >= 0 && d < 7 && h >= 0 && h < 24) m[d][h] += Number(r.n) || 0;
+  }
+  return m;
+}
+
+/**
+ * Query everything the report needs and reduce it to plain numbers.
+ * @returns {Promise<object>} report model consumed by renderHtml / renderMarkdown
+ */
+async function buildReport(opts, source) {
+  const { area, start, end, codes, from, to } = opts;
+  const [tracts, acs] = await Promise.all([readJson(TRACTS), readJson(ACS)]);
+  const popBy = new Map(acs.map((r) => [r.geoid, Number(r.pop) >= 0 ? Number(r.pop) : null]));
+  const cityPop = acs.reduce((s, r) => s + (Number(r.pop) > 0 ? Number(r.pop) : 0), 0);
+  const run = (label, sql) => source.run(label, sql).then((d) => d?.rows || []);
+
+  let areaMonthly, top, heat, name, pop = null, districtRows = [];
+  const base = { start, end, types: codes };
+  if (area.kind === 'district') {
+    name = `Police District ${area.id}`;
+    [areaMonthly, top, heat, districtRows] = await Promise.all([
+      run('fetchMonthlySeriesCity', Q.buildMonthlyCitySQL({ ...base, dc_dist: area.id })),
+      run('fetchTopTypesByDistrict', Q.buildTopTypesDistrictSQL({ ...base, dc_dist: area.id, limit: 12 })),
+      run('fetch7x24District', Q.buildHeatmap7x24DistrictSQL({ ...base, dc_dist: area.id })),
+      run('fetchByDistrict', Q.buildByDistrictSQL(base)),
+    ]);
+  } else {
+    const pb = getTractPolygonAndBboxByGEOID(tracts, area.id, { decimals: 6 });
+    if (!pb) throw new Error(`tract ${area.id} not found in ${TRACTS}`);
+    const ft = tracts.features.find((f) => tractFeatureGEOID(f) === area.id);
+    name = `Census Tract ${ft?.properties?.NAME ?? area.id}`;
+    pop = popBy.get(area.id) ?? null;
+    const geo = { ...base, tractGEOID: area.id, tractGeometry: pb.geojsonPolygon4326 };
+    [areaMonthly, top, heat] = await Promise.all([
+      run('fetchMonthlySeriesTract', Q.buildMonthlyTractSQL(geo)),
+      run('fetchTopTypesTract', Q.buildTopTypesTractSQL({ ...geo, limit: 12 })),
+      run('fetch7x24Tract', Q.buildHeatmap7x24TractSQL(geo)),
+    ]);
+  }
+  const [cityMonthly, cityTop] = await Promise.all([
+    run('fetchMonthlySeriesCity', Q.buildMonthlyCitySQL(base)),
+    run('fetchTopTypesCity', Q.buildTopTypesCitySQL(base)),
+  ]);
+
+  const areaSeries = monthSeries(areaMonthly, from, to);
+  const citySeries = monthSeries(cityMonthly, from, to);
+  const monthly = areaSeries.map((r, i) => ({ m: r.m, area: r.n, city: citySeries[i].n, share: citySeries[i].n > 0 ? r.n / citySeries[i].n : null }));
+  const areaTotal = monthly.reduce((s, r) => s + r.area, 0);
+  const cityTotal = monthly.reduce((s, r) => s + r.city, 0);
+
+  // offense mix: share of the area's incidents vs share of the city's
+  // cityTop is only the 50 largest types, so shares are taken of the full city total
+  const cityByType = new Map(cityTop.map((r) => [r.text_general_code, Number(r.n) || 0]));
+  const topTypes = top.map((r) => {
+    const n = Number(r.n) || 0;
+    const share = areaTotal > 0 ? n / areaTotal : null;
+    const cityShare = cityTotal > 0 && cityByType.has(r.text_general_code) ? cityByType.get(r.text_general_code) / cityTotal : null;
+    return { code: r.text_general_code, n, share, cityShare, ratio: share != null && cityShare ? share / cityShare : null };
+  });
+
+  const per10k = (n, p) => (p >= MIN_POP ? (n / p) * 10000 : null);
+  let rank = null;
+  if (area.kind === 'district' && districtRows.length) {
+    const sorted = districtRows.map((r) => ({ d: String(r.dc_dist).padStart(2, '0'), n: Number(r.n) || 0 })).sort((a, b) => b.n - a.n);
+    const i = sorted.findIndex((r) => r.d === area.id);
+    if (i > -1) rank = { position: i + 1, of: sorted.length };
+  }
+
+  return {
+    area: { ...area, name, pop },
+    window: { from, to, start, end, months: monthly.length },
+    filter: { groups: opts.groups, codes: opts.drilldown },
+    totals: {
+      area: areaTotal,
+      city: cityTotal,
+      share: cityTotal > 0 ? areaTotal / cityTotal : null,
+      monthlyAvg: monthly.length ? areaTotal / monthly.length : 0,
+      areaPer10k: per10k(areaTotal, pop),
+      cityPer10k: per10k(cityTotal, cityPop),
+      rank,
+    },
+    monthly,
+    topTypes,
+    matrix: toMatrix(heat),
+    source: source.mode,
+    misses: Array.from(new Set(source.misses)),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+// ---------- formatting ----------
+
+const fmtInt = (n) => (n == null ? '—' : Math.round(n).toLocaleString('en-US'));
+const fmtPct = (v, d = 1) => (v == null ? '—' : `${(v * 100).toFixed(d)}%`);
+const fmtNum = (v, d = 1) => (v == null ? '—' : v.toFixed(d));
+const monthLabel = (m) => dayjs(`${m}-01`).format('MMM YYYY');
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function filterText(filter) {
+  if (filter.codes.length) return `offense codes: ${filter.codes.join(', ')}`;
+  if (filter.groups.length) return `offense groups: ${filter.groups.join(', ')}`;
+  return 'all offenses';
+}
+
+/** Plain-language findings shared by both formats. */
+function highlights(r) {
+  const out = [];
+  const { totals, monthly, topTypes, matrix } = r;
+  if (totals.share != null) out.push(`${fmtInt(totals.area)} incidents, ${fmtPct(totals.share)} of the city's ${fmtInt(totals.city)} in the same window.`);
+  if (totals.rank) out.push(`Ranks ${totals.rank.position} of ${totals.rank.of} police districts by incident count.`);
+  if (totals.areaPer10k != null && totals.cityPer10k) {
+    const ratio = totals.areaPer10k / totals.cityPer10k;
+    out.push(`${fmtNum(totals.areaPer10k)} incidents per 10k residents vs ${fmtNum(totals.cityPer10k)} citywide (${ratio.toFixed(2)}× the city rate).`);
+  } else if (r.area.kind === 'tract') {
+    out.push(`No per-10k rate: the tract has fewer than ${MIN_POP} residents in ACS 2023.`);
+  }
+  if (monthly.length > 1 && totals.area > 0) {
+    const peak = monthly.reduce((a, b) => (b.area > a.area ? b : a));
+    const first = monthly[0];
+    const last = monthly[monthly.length - 1];
+    out.push(`Peak month ${monthLabel(peak.m)} (${fmtInt(peak.area)}). Share of city went from ${fmtPct(first.share)} in ${monthLabel(first.m)} to ${fmtPct(last.share)} in ${monthLabel(last.m)}.`);
+  }
+  const over = topTypes.filter((t) => t.ratio != null && t.ratio >= MIX_RATIO).slice(0, 3);
+  if (over.length) out.push(`Over-represented compared with the city mix: ${over.map((t) => `${t.code} (${t.ratio.toFixed(1)}×)`).join(', ')}.`);
+  let best = { d: 0, h: 0, n: -1 };
+  matrix.forEach((row, d) => row.forEach((n, h) => { if (n > best.n) best = { d, h, n }; }));
+  if (best.n > 0) out.push(`Busiest hour: ${DOW[best.d]} ${String(best.h).padStart(2, '0')}:00–${String(best.h + 1).padStart(2, '0')}:00 (${fmtInt(best.n)} incidents).`);
+  return out;
+}
+
+function caveats(r) {
+  const out = [
+    'Source: OpenDataPhilly incidents (Part I & II) via the CARTO SQL API. Counts are reported incidents, not all crime.',
+    'Window months are calendar months; the last month may still be filling in if it is recent.',
+  ];
+  if (r.area.kind === 'tract') out.push('Tract counts use incidents inside the tract polygon; population is the ACS 2023 5-year estimate.');
+  if (r.source === 'snapshot') out.push('Answered from a recorded snapshot, not live data.');
+  if (r.misses.length) out.push(`Missing from the snapshot (shown as zero): ${r.misses.join(', ')}.`);
+  return out;
+}
+
+function renderMarkdown(r) {
+  const lines = [];
+  const row = (cells) => `| ${cells.join(' | ')} |`;
+  lines.push(`# ${r.area.name}: crime briefing, ${monthLabel(r.window.from)}–${monthLabel(r.window.to)}`, '');
+  lines.push(`_${filterText(r.filter)} · generated ${r.generatedAt.slice(0, 10)} · ${r.source} data_`, '');
+  lines.push('## Highlights', '', ...highlights(r).map((h) => `- ${h}`), '');
+
+  lines.push('## Totals', '');
+  lines.push(row(['', r.area.name, 'Philadelphia']), row(['---', '---:', '---:']));
+  lines.push(row(['Incidents', fmtInt(r.totals.area), fmtInt(r.totals.city)]));
+  lines.push(row(['Monthly average', fmtInt(r.totals.monthlyAvg), fmtInt(r.totals.city / r.window.months)]));
+  lines.push(row(['Share of city', fmtPct(r.totals.share), '100%']));
+  if (r.area.kind === 'tract') lines.push(row(['Per 10k residents', fmtNum(r.totals.areaPer10k), fmtNum(r.totals.cityPer10k)]));
+  lines.push('');
+
+  lines.push('## Monthly trend', '');
+  lines.push(row(['Month', 'Area', 'City', 'Share of city']), row(['---', '---:', '---:', '---:']));
+  for (const m of r.monthly) lines.push(row([monthLabel(m.m), fmtInt(m.area), fmtInt(m.city), fmtPct(m.share)]));
+  lines.push('');
+
+  lines.push('## Top offense types', '');
+  if (r.topTypes.length) {
+    lines.push(row(['Offense', 'Incidents', 'Share', 'City share', 'vs city']), row(['---', '---:', '---:', '---:', '---:']));
+    for (const t of r.topTypes) lines.push(row([t.code, fmtInt(t.n), fmtPct(t.share), fmtPct(t.cityShare), t.ratio == null ? '—' : `${t.ratio.toFixed(2)}×`]));
+  } else {
+    lines.push('No incidents in the window.');
+  }
+  lines.push('');
+
+  lines.push('## Day of week × hour', '');
+  const hours = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, '0'));
+  lines.push(row(['', ...hours]), row(['---', ...hours.map(() => '---:')]));
+  r.matrix.forEach((cells, d) => lines.push(row([DOW[d], ...cells.map(String)])));
+  lines.push('', '_Hours in America/New_York time._', '');
+
+  lines.push('## Notes', '', ...caveats(r).map((c) => `- ${c}`), '');
+  return lines.join('\n');
+}
+
+/** Bars for the area's monthly counts and a line for its share of the city. */
+function trendSvg(monthly) {
+  const W = 720;
+  const H = 200;
+  const pad = { l: 44, r: 44, t: 12, b: 36 };
+  const iw = W - pad.l - pad.r;
+  const ih = H - pad.t - pad.b;
+  const maxN = Math.max(1, ...monthly.map((m) => m.area));
+  const maxS = Math.max(1e-9, ...monthly.map((m) => m.share || 0));
+  const step = iw / monthly.length;
+  const bw = Math.max(2, step * 0.7);
+  const every = Math.ceil(monthly.length / 12);
+  const parts = [];
+  monthly.forEach((m, i) => {
+    const h = (m.area / maxN) * ih;
+    const x = pad.l + i * step + (step - bw) / 2;
+    parts.push(`<rect x="${x.toFixed(1)}" y="${(pad.t + ih - h).toFixed(1)}" width="${bw.toFixed(1)}" height="${h.toFixed(1)}" fill="#93c5fd"><title>${escapeHtml(monthLabel(m.m))}: ${m.area}</title></rect>`);
+    if (i % every === 0) parts.push(`<text x="${(pad.l + i * step + step / 2).toFixed(1)}" y="${H - pad.b + 14}" font-size="10" text-anchor="middle" fill="#475569">${dayjs(`${m.m}-01`).format('MMM YY')}</text>`);
+  });
+  const pts = monthly.map((m, i) => `${(pad.l + i * step + step / 2).toFixed(1)},${(pad.t + ih - ((m.share || 0) / maxS) * ih).toFixed(1)}`);
+  parts.push(`<polyline points="${pts.join(' ')}" fill="none" stroke="#b91c1c" stroke-width="2"/>`);
+  parts.push(`<line x1="${pad.l}" y1="${pad.t + ih}" x2="${W - pad.r}" y2="${pad.t + ih}" stroke="#cbd5e1"/>`);
+  parts.push(`<text x="${pad.l - 6}" y="${pad.t + 8}" font-size="10" text-anchor="end" fill="#1d4ed8">${fmtInt(maxN)}</text>`);
+  parts.push(`<text x="${W - pad.r + 6}" y="${pad.t + 8}" font-size="10" fill="#b91c1c">${fmtPct(maxS)}</text>`);
+  parts.push(`<text x="${pad.l}" y="${H - 4}" font-size="10" fill="#475569">Bars: incidents in the area (left axis). Line: share of city incidents (right axis).</text>`);
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="Monthly trend">${parts.join('')}</svg>`;
+}
+
+function heatTable(matrix) {
+  const max = Math.max(1, ...matrix.flat());
+  const head = `<tr><th></th>${Array.from({ length: 24 }, (_, h) => `<th>${String(h).padStart(2, '0')}</th>`).join('')}</tr>`;
+  const body = matrix.map((cells, d) => `<tr><th>${DOW[d]}</th>${cells.map((n) => {
+    const a = n / max;
+    return `<td style="background:rgba(29,78,216,${(a * 0.85).toFixed(2)});color:${a > 0.55 ? '#fff' : '#111'}">${n}</td>`;
+  }).join('')}</tr>`).join('');
+  return `<table class="heat">${head}${body}</table>`;
+}
+
+function renderHtml(r) {
+  const title = `${r.area.name}: crime briefing, ${monthLabel(r.window.from)}–${monthLabel(r.window.to)}`;
+  const tr = (cells, tag = 'td') => `<tr>${cells.map((c, i) => `<${tag}${i && tag === 'td' ? ' class="num"' : ''}>${c}</${tag}>`).join('')}</tr>`;
+  const totals = [
+    tr(['', escapeHtml(r.area.name), 'Philadelphia'], 'th'),
+    tr(['Incidents', fmtInt(r.totals.area), fmtInt(r.totals.city)]),
+    tr(['Monthly average', fmtInt(r.totals.monthlyAvg), fmtInt(r.totals.city / r.window.months)]),
+    tr(['Share of city', fmtPct(r.totals.share), '100%']),
+    ...(r.area.kind === 'tract' ? [tr(['Per 10k residents', fmtNum(r.totals.areaPer10k), fmtNum(r.totals.cityPer10k)])] : []),
+  ].join('');
+  const monthly = [
+    tr(['Month', 'Area', 'City', 'Share of city'], 'th'),
+    ...r.monthly.map((m) => tr([monthLabel(m.m), fmtInt(m.area), fmtInt(m.city), fmtPct(m.share)])),
+  ].join('');
+  const top = r.topTypes.length
+    ? `<table>${[
+      tr(['Offense', 'Incidents', 'Share', 'City share', 'vs city'], 'th'),
+      ...r.topTypes.map((t) => tr([escapeHtml(t.code), fmtInt(t.n), fmtPct(t.share), fmtPct(t.cityShare), t.ratio == null ? '—' : `<span class="${t.ratio >= MIX_RATIO ? 'hi' : ''}">${t.ratio.toFixed(2)}×</span>`])),
+    ].join('')}</table>`
+    : '<p>No incidents in the window.</p>';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111827; max-width: 880px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin-top: 28px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .meta { color: #64748b; font-size: 12px; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { padding: 3px 8px; border-bottom: 1px solid #f1f5f9; text-align: left; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .heat th, .heat td { padding: 2px 4px; text-align: center; border: 1px solid #fff; font-size: 10px; }
+  .hi { color: #b91c1c; font-weight: 600; }
+  ul.notes { color: #64748b; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(filterText(r.filter))} · ${r.window.start} to ${r.window.end} (end exclusive) · generated ${r.generatedAt.slice(0, 10)} · ${r.source} data</div>
+<h2>Highlights</h2>
+<ul>${highlights(r).map((h) => `<li>${escapeHtml(h)}</li>`).join('')}</ul>
+<h2>Totals</h2>
+<table>${totals}</table>
+<h2>Monthly trend</h2>
+${trendSvg(r.monthly)}
+<table>${monthly}</table>
+<h2>Top offense types</h2>
+${top}
+<h2>Day of week × hour</h2>
+${heatTable(r.matrix)}
+<p class="meta">Hours in America/New_York time.</p>
+<h2>Notes</h2>
+<ul class="notes">${caveats(r).map((c) => `<li>${escapeHtml(c)}</li>`).join('')}</ul>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const opts = parseArgs();
+  const source = makeSource(opts);
+  await source.init();
+  const report = await buildReport(opts, source);
+  if (report.misses.length) {
+    if (source.hits === 0) {
+      throw new Error(`the snapshot answered none of the report's queries (missing: ${report.misses.join(', ')}); record them with --record first`);
+    }
+    console.warn(`WARNING: ${source.misses.length} of ${source.misses.length + source.hits} queries missing from the snapshot; these sections show zero: ${report.misses.join(', ')}`);
+  }
+  const text = opts.format === 'md' ? renderMarkdown(report) : renderHtml(report);
+  if (opts.out === '-') process.stdout.write(text);
+  else {
+    await fs.writeFile(opts.out, text);
+    console.error(`wrote ${opts.out} (${report.source} data${report.misses.length ? `, ${report.misses.length} snapshot misses` : ''})`);
+  }
+  const saved = await source.save();
+  if (saved) console.error(`recorded ${saved} queries into ${opts.record}`);
+}
+
+main().catch((e) => { console.error(e?.message || e); process.exit(1); });
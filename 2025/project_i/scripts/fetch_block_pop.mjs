@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Fetch 2020 census block centroids + population for Philadelphia (optional input
+// for block-weighted buffer population in src/utils/pop_buffer.js).
+// Usage: node scripts/fetch_block_pop.mjs [--url <ArcGIS layer query URL>]
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// TIGERweb Census 2020 - Census Blocks layer
+const DEFAULT_URL = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/tigerWMS_Census2020/MapServer/10/query';
+const PAGE = 5000;
+
+const OUT_DIR = path.join('public', 'data');
+const OUT_FILE = path.join(OUT_DIR, 'blocks_pop_phl.json');
+
+const delays = [2000, 4000, 8000];
+
+function arg(name, def) {
+  const i = process.argv.indexOf(name);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : def;
+}
+
+async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+async function fetchJson(url) { const r = await fetch(url, { headers: { accept: 'application/json' } }); if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json(); }
+
+async function fetchPage(base, offset, log) {
+  const qs = new URLSearchParams({
+    where: "STATE='42' AND COUNTY='101'",
+    outFields: 'GEOID,POP100,INTPTLAT,INTPTLON',
+    returnGeometry: 'false',
+    orderByFields: 'GEOID',
+    resultOffset: String(offset),
+    resultRecordCount: String(PAGE),
+    f: 'json',
+  });
+  const url = `${base}?${qs}`;
+  for (let i = 0; i < delays.length; i++) {
+    try {
+      const data = await fetchJson(url);
+      if (data?.error) throw new Error(data.error.message || 'ArcGIS error');
+      return data;
+    } catch (e) {
+      log.push(`[${new Date().toISOString()}] offset ${offset} attempt ${i + 1} failed: ${e?.message || e}`);
+      if (i === delays.length - 1) throw e;
+      await sleep(delays[i]);
+    }
+  }
+  return null;
+}
+
+async function main() {
+  const base = arg('--url', DEFAULT_URL);
+  const log = [];
+  const rows = [];
+  try {
+    for (let offset = 0; ; ) {
+      const data = await fetchPage(base, offset, log);
+      const feats = Array.isArray(data?.features) ? data.features : [];
+      for (const { attributes: a } of feats) {
+        const lng = Number(a?.INTPTLON);
+        const lat = Number(a?.INTPTLAT);
+        const pop = Number(a?.POP100);
+        // zero-population blocks carry no weight; dropping them keeps the file small
+        if (!a?.GEOID || !Number.isFinite(lng) || !Number.isFinite(lat) || !(pop > 0)) continue;
+        rows.push([String(a.GEOID), +lng.toFixed(6), +lat.toFixed(6), pop]);
+      }
+      log.push(`[${new Date().toISOString()}] offset ${offset}: ${feats.length} blocks`);
+      // the server may cap pages below PAGE, so advance by what actually came back
+      offset += feats.length;
+      if (feats.length === 0 || (feats.length < PAGE && !data?.exceededTransferLimit)) break;
+    }
+    if (rows.length < 1000) throw new Error(`too few populated blocks (${rows.length}); expected ~15,000 for Philadelphia`);
+    const meta = { source: base, vintage: '2020 Decennial (POP100)', generated: new Date().toISOString(), blocks: rows.length };
+    await fs.mkdir(OUT_DIR, { recursive: true });
+    await fs.writeFile(OUT_FILE, JSON.stringify({ meta, rows }));
+    log.push(`[${new Date().toISOString()}] Saved ${OUT_FILE} (${rows.length} blocks)`);
+  } catch (e) {
+    log.push(`WARN: ${e?.message || e}; no block file written. Buffers fall back to area weighting.`);
+  }
+  const ts = new Date().toISOString().replace(/[:.]/g, '').slice(0, 15);
+  const logPath = path.join('logs', `fetch_block_pop_${ts}.log`);
+  await fs.mkdir('logs', { recursive: true });
+  await fs.writeFile(logPath, log.join('\n'));
+  console.log(`Wrote log ${logPath}`);
+}
+
+main();
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Offense taxonomy tool: check src/data/offense_groups.json against the codes in the
+// data and edit it. Every write validates the result, bumps `version` and prints
+// what changed. Replaces audit_offense_codes / fix_offense_groups / validate_offense_groups.
+//
+// Usage (from the project root):
+//   node scripts/offense_taxonomy.mjs audit [--months 24] [--snapshot [bundle]] [--json] [--strict]
+//   node scripts/offense_taxonomy.mjs validate
+//   node scripts/offense_taxonomy.mjs assign --code "Fraud" --group Property
+//   node scripts/offense_taxonomy.mjs unassign --code "Fraud"
+//   node scripts/offense_taxonomy.mjs label --group Vehicle --label "Vehicle crime"
+//   node scripts/offense_taxonomy.mjs normalize
+//   node scripts/offense_taxonomy.mjs apply --in offense_groups.json   (file downloaded from the admin card)
+// Options:
+//   --file <path>        groups file (default src/data/offense_groups.json)
+//   --dry-run            print the changes without writing
+//   --strict             audit/validate exit with status 1 on unmapped codes or errors
+// audit asks CARTO (VITE_CARTO_SQL_BASE or the public endpoint) for every code in the
+// last --months whole months plus the current one; with --snapshot it lists the codes
+// found in a recorded bundle instead (default public/data/crime_snapshot.json), and
+// falls back to that bundle when CARTO is unreachable.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dayjs from 'dayjs';
+import { buildOffenseCodeCountsSQL } from '../src/utils/sql.js';
+import {
+  readGroupsDoc,
+  validateGroupsDoc,
+  diffTaxonomy,
+  assignCode,
+  setGroupLabel,
+  nextVersion,
+  serializeGroupsDoc,
+  describeChanges,
+  codesFromBundle,
+} from '../src/utils/taxonomy.js';
+
+const CARTO = process.env.VITE_CARTO_SQL_BASE || 'https://phl.carto.com/api/v2/sql';
+const GROUPS = path.join('src', 'data', 'offense_groups.json');
+const DEFAULT_BUNDLE = path.join('public', 'data', 'crime_snapshot.json');
+const COMMANDS = ['audit', 'validate', 'assign', 'unassign', 'label', 'normalize', 'apply'];
+
+function arg(name, def){ const i = process.argv.indexOf(`--${name}`); return i > -1 && process.argv[i+1] && !process.argv[i+1].startsWith('--') ? process.argv[i+1] : def; }
+function flag(name){ return process.argv.includes(`--${name}`); }
+
+function usage(msg) {
+  if (msg) console.error(`error: ${msg}`);
+  console.error(`usage: node scripts/offense_taxonomy.mjs <${COMMANDS.join('|')}> [options]  (see the header of this file)`);
+  process.exit(2);
+}
+
+async function readJson(file) { return JSON.parse(await fs.readFile(file, 'utf8')); }
+
+async function post(sql, { retries = 3, timeoutMs = 30000 } = {}) {
+  for (let i = 0; i < retries; i++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(CARTO, { method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: `q=${encodeURIComponent(sql)}`, signal: controller.signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } catch (e) {
+      if (i === retries - 1) throw e;
+      await new Promise((r) => setTimeout(r, [1000, 2000, 4000][Math.min(i, 2)]));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Codes in the data: live counts for the window, or the codes in a snapshot bundle.
+ * @returns {Promise<{observed:Array<{code:string,n:number|null}>, source:string}>}
+ */
+async function observedCodes({ months, snapshot }) {
+  const fromBundle = async (file) => ({ observed: codesFromBundle(await readJson(file)), source: `snapshot ${file} (codes only)` });
+  if (snapshot) return fromBundle(snapshot);
+  const start = dayjs().startOf('month').subtract(months, 'month').format('YYYY-MM-DD');
+  const end = dayjs().add(1, 'day').format('YYYY-MM-DD');
+  try {
+    const json = await post(buildOffenseCodeCountsSQL({ start, end }));
+    const observed = (json?.rows || []).filter((r) => r.text_general_code).map((r) => ({ code: String(r.text_general_code).trim(), n: Number(r.n) || 0 }));
+    return { observed, source: `${CARTO}, ${start} to ${end}` };
+  } catch (e) {
+    try { await fs.access(DEFAULT_BUNDLE); } catch { throw new Error(`CARTO query failed (${e?.message || e}) and no ${DEFAULT_BUNDLE} to fall back to`); }
+    console.error(`warning: CARTO query failed (${e?.message || e}); using ${DEFAULT_BUNDLE}`);
+    return fromBundle(DEFAULT_BUNDLE);
+  }
+}
+
+function printValidation({ errors, warnings }) {
+  for (const e of errors) console.log(`ERROR  ${e}`);
+  for (const w of warnings) console.log(`warn   ${w}`);
+  if (!errors.length && !warnings.length) console.log('OK     groups file is valid');
+}
+
+async function audit(file, raw) {
+  const doc = readGroupsDoc(raw);
+  const { observed, source } = await observedCodes({ months: Number(arg('months', 24)) || 24, snapshot: flag('snapshot') ? arg('snapshot', DEFAULT_BUNDLE) : null });
+  const diff = diffTaxonomy(doc, observed);
+  const validation = validateGroupsDoc(raw);
+  if (flag('json')) {
+    console.log(JSON.stringify({ file, version: doc.version, updated_at: doc.updated_at, source, ...validation, ...diff }, null, 2));
+  } else {
+    const total = observed.reduce((s, o) => s + (o.n || 0), 0);
+    const mappedN = diff.mapped.reduce((s, o) => s + (o.n || 0), 0);
+    const fmt = (n) => (n == null ? '' : n.toLocaleString('en-US')).padStart(9);
+    console.log(`${file}: version ${doc.version}${doc.updated_at ? ` (${doc.updated_at})` : ''}, ${Object.keys(doc.groups).length} groups`);
+    console.log(`Source: ${source}; ${observed.length} distinct codes\n`);
+    console.log(`Unmapped codes (${diff.unmapped.length}):`);
+    for (const u of diff.unmapped) console.log(`${fmt(u.n)}  ${u.code}`);
+    console.log(`\nIn a group but not in the data (${diff.unseen.length}):`);
+    for (const u of diff.unseen) console.log(`           ${u.code}  [${u.group}]`);
+    console.log(`\nMapped (${diff.mapped.length}):`);
+    for (const m of diff.mapped) console.log(`${fmt(m.n)}  ${m.code}  [${m.group}]`);
+    if (total > 0) console.log(`\nGroups cover ${((mappedN / total) * 100).toFixed(1)}% of ${total.toLocaleString('en-US')} incidents.`);
+    console.log('');
+    printValidation(validation);
+  }
+  return flag('strict') && (diff.unmapped.length > 0 || validation.errors.length > 0) ? 1 : 0;
+}
+
+/**
+ * Validate, bump the version and write (or just print with --dry-run).
+ */
+async function write(file, before, after) {
+  const changes = describeChanges(before, after);
+  const next = nextVersion(after);
+  const { errors } = validateGroupsDoc(JSON.parse(serializeGroupsDoc(next)));
+  if (errors.length) {
+    printValidation({ errors, warnings: [] });
+    throw new Error('refusing to write an invalid groups file');
+  }
+  const unchanged = !changes.length && before.version > 0;
+  console.log(changes.length ? changes.join('\n') : 'no code or label changes');
+  if (unchanged) return 0;
+  if (flag('dry-run')) {
+    console.log(`(dry run) would write ${file} as version ${next.version}`);
+    return 0;
+  }
+  await fs.writeFile(file, serializeGroupsDoc(next));
+  console.log(`wrote ${file}: version ${before.version} → ${next.version}`);
+  return 0;
+}
+
+async function main() {
+  const cmd = process.argv[2];
+  if (!COMMANDS.includes(cmd)) usage(cmd ? `unknown command: ${cmd}` : 'missing command');
+  const file = arg('file', GROUPS);
+  const raw = await readJson(file);
+  const doc = readGroupsDoc(raw);
+
+  switch (cmd) {
+    case 'audit':
+      return audit(file, raw);
+    case 'validate': {
+      const result = validateGroupsDoc(raw);
+      printValidation(result);
+      return result.errors.length ? 1 : 0;
+    }
+    case 'assign': {
+      const code = arg('code');
+      const group = arg('group');
+      if (!code || !group) usage('assign needs --code and --group');
+      if (!(group in doc.groups)) console.error(`note: creating new group ${group}`);
+      let next = assignCode(doc, code, group);
+      if (arg('label')) next = setGroupLabel(next, group, arg('label'));
+      return write(file, doc, next);
+    }
+    case 'unassign': {
+      const code = arg('code');
+      if (!code) usage('unassign needs --code');
+      return write(file, doc, assignCode(doc, code, null));
+    }
+    case 'label': {
+      const group = arg('group');
+      if (!group || !(group in doc.groups)) usage(`label needs --group (one of ${Object.keys(doc.groups).join(', ')})`);
+      return write(file, doc, setGroupLabel(doc, group, arg('label', null)));
+    }
+    case 'normalize':
+      return write(file, doc, doc);
+    case 'apply': {
+      const input = arg('in');
+      if (!input) usage('apply needs --in <file>');
+      const incoming = await readJson(input);
+      const result = validateGroupsDoc(incoming);
+      printValidation(result);
+      if (result.errors.length) return 1;
+      const edited = readGroupsDoc(incoming);
+      // the admin card stamps its download with the next version; anything older is stale
+      if (edited.version > 0 && edited.version <= doc.version) {
+        throw new Error(`${input} is version ${edited.version} but ${file} is already version ${doc.version}; re-export from the current file`);
+      }
+      return write(file, doc, { ...edited, version: doc.version });
+    }
+  }
+}
+
+main().then((code) => process.exit(code || 0)).catch((e) => {
+  console.error(`error: ${e?.message || e}`);
+  process.exit(1);
+});
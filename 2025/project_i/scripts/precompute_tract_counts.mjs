@@ -3,6 +3,7 @@
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { buildCountPolygonSQL } from '../src/utils/sql.js';
 
 const CARTO = 'https://phl.carto.com/api/v2/sql';
 const OUT = path.join('src', 'data', 'tract_counts_last12m.json');
@@ -23,25 +24,6 @@ async function ensureTracts() {
   });
 }
 
-function roundGeom(g) {
-  const r6 = (n) => Math.round(n * 1e6) / 1e6;
-  function roundCoords(coords) { return coords.map((c) => Array.isArray(c[0]) ? roundCoords(c) : [r6(c[0]), r6(c[1])]); }
-  if (g.type === 'Polygon') return { type: 'Polygon', coordinates: roundCoords(g.coordinates) };
-  if (g.type === 'MultiPolygon') return { type: 'MultiPolygon', coordinates: g.coordinates.map((poly) => roundCoords(poly)) };
-  return g;
-}
-
-function toSQL(geom, start, end) {
-  const gj = JSON.stringify(geom).replace(/'/g, "''");
-  return `WITH poly AS (SELECT ST_SetSRID(ST_GeomFromGeoJSON('${gj}'), 4326) AS g)
-SELECT COUNT(*)::int AS n
-FROM incidents_part1_part2
-WHERE dispatch_date_time >= '2015-01-01'
-  AND dispatch_date_time >= '${start}'
-  AND dispatch_date_time <  '${end}'
-  AND ST_Intersects(the_geom, ST_Transform((SELECT g FROM poly), 3857))`;
-}
-
 async function postSQL(sql, { retries = 3, timeoutMs = 20000 } = {}) {
   for (let i = 0; i < retries; i++) {
     const controller = new AbortController();
@@ -93,8 +75,7 @@ async function main() {
       const p = ft.properties || {};
       const geoid = String(p.STATE_FIPS ?? p.STATE ?? '') + String(p.COUNTY_FIPS ?? p.COUNTY ?? '') + String(p.TRACT_FIPS ?? p.TRACT ?? '').padStart(6,'0');
       if (!geoid || seen.has(geoid)) { done++; continue; }
-      const geom = roundGeom(ft.geometry);
-      const sql = toSQL(geom, start, end);
+      const sql = buildCountPolygonSQL({ start, end, geometry: ft.geometry });
       try {
         const n = await postSQL(sql);
         out.rows.push({ geoid, n });
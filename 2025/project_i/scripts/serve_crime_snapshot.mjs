@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Local stand-in for the CARTO SQL API, answering from a recorded crime snapshot bundle.
+// Usage: node scripts/serve_crime_snapshot.mjs [--bundle public/data/crime_snapshot.json] [--port 8787]
+// Then run the app with VITE_CARTO_SQL_BASE=http://localhost:8787/api/v2/sql
+
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { snapshotKey, findSnapshotEntry, emptyResult } from '../src/api/datasource.js';
+
+function arg(name, def){ const i = process.argv.indexOf(`--${name}`); return i > -1 && process.argv[i+1] ? process.argv[i+1] : def; }
+
+const BUNDLE = arg('bundle', path.join('public','data','crime_snapshot.json'));
+const PORT = Number(arg('port', 8787));
+const CORS = { 'access-control-allow-origin': '*', 'access-control-allow-methods': 'GET, POST, OPTIONS', 'access-control-allow-headers': 'content-type' };
+
+async function readBody(req){ const chunks=[]; for await (const c of req) chunks.push(c); return Buffer.concat(chunks).toString('utf8'); }
+
+async function main(){
+  const bundle = JSON.parse(await fs.readFile(BUNDLE, 'utf8'));
+  const entries = bundle?.entries || {};
+  console.log(`serving ${Object.keys(entries).length} recorded queries from ${BUNDLE}`);
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') { res.writeHead(204, CORS); return res.end(); }
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const params = req.method === 'POST' ? new URLSearchParams(await readBody(req)) : url.searchParams;
+    const sql = params.get('q');
+    if (!sql) { res.writeHead(400, { ...CORS, 'content-type': 'application/json' }); return res.end(JSON.stringify({ error: ['missing q'] })); }
+    const format = params.get('format') || undefined;
+    const key = snapshotKey(sql, format);
+    const hit = findSnapshotEntry(entries, sql, format);
+    console.log(`${hit ? 'HIT ' : 'MISS'} ${key}${hit?.label ? ` ${hit.label}` : ''}`);
+    res.writeHead(200, { ...CORS, 'content-type': 'application/json' });
+    res.end(JSON.stringify(hit ? hit.data : emptyResult(format)));
+  });
+  server.listen(PORT, () => console.log(`crime SQL stand-in on http://localhost:${PORT}/api/v2/sql`));
+}
+
+main().catch(e=>{ console.error(e?.message||e); process.exit(1); });
@@ -0,0 +1,19 @@
+/**
+ * Route Safety Diary - Agree Endpoint
+ *
+ * Purpose: Confirm a segment's rating; adds weight to its n_eff.
+ * See: docs/API_DIARY.md (POST /api/diary/agree)
+ */
+
+import { createActionHandler } from '../../lib/segment_action.js';
+
+/**
+ * Handle POST /api/diary/agree
+ * Body: {segment_id}
+ * @returns {Response} {ok, segment_id, new_n_eff, rating, message}
+ */
+export default createActionHandler('agree', (r) => ({
+  new_n_eff: r.n_eff,
+  rating: r.rating,
+  message: 'Thanks — confidence updated',
+}));
@@ -0,0 +1,18 @@
+/**
+ * Route Safety Diary - Improve ("Feels safer") Endpoint
+ *
+ * Purpose: Record that a segment feels safer than its rating suggests.
+ * See: docs/API_DIARY.md (POST /api/diary/improve)
+ */
+
+import { createActionHandler } from '../../lib/segment_action.js';
+
+/**
+ * Handle POST /api/diary/improve
+ * Body: {segment_id}
+ * @returns {Response} {ok, segment_id, improvement_count, message}
+ */
+export default createActionHandler('improve', (r) => ({
+  improvement_count: r.improvement_count,
+  message: 'Thanks — improvement noted',
+}));
@@ -1,29 +1,53 @@
 /**
- * Route Safety Diary - Compute Safer Route Endpoint (Stub)
+ * Route Safety Diary - Compute Safer Route Endpoint
  *
- * Purpose: Server-side endpoint for A* pathfinding with safety penalties.
- * Status: [STUB] Returns 501 Not Implemented (M1)
+ * Purpose: Run safety-weighted pathfinding over the stored segments.
  * See: docs/API_DIARY.md (POST /api/diary/route)
  */
 
+import Ajv from 'ajv';
+import { routeRequestSchema, formatSchemaErrors } from '../../../src/api/diary_schema.js';
+import { findSaferRoute } from '../../../src/map/routing_overlay.js';
+import { getDiaryStore } from '../../lib/diary_store.js';
+import { json, fail, methodNotAllowed, readJson } from '../../lib/respond.js';
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(routeRequestSchema);
+
+const NO_ALTERNATIVE = 'No safer alternative found within acceptable time limit';
+const NO_ROUTE = 'No route connects these points';
+
 /**
  * Handle POST /api/diary/route
  * @param {Request} req - Request object
- * @param {object} ctx - Context object
- * @returns {Response} 501 Not Implemented
+ * @param {object} ctx - Context object {store?}
+ * @returns {Response} {ok, route, direct_route, comparison, message?} or {ok, route: null, direct_route: null, message}
  */
-export default async function handler(req, ctx) {
-  // M1 stub: Return 501 with message
-  return new Response(
-    JSON.stringify({
-      ok: false,
-      status: 501,
-      message: 'Diary endpoint stub — to be implemented in M1.',
-      hint: 'Use findSaferRoute() stub in src/map/routing_overlay.js (returns null for M1).'
-    }),
-    {
-      status: 501,
-      headers: { 'content-type': 'application/json' }
+export default async function handler(req, ctx = {}) {
+  const rejected = methodNotAllowed(req, ['POST']);
+  if (rejected) return rejected;
+
+  const body = await readJson(req);
+  if (!body || !validate(body)) {
+    const details = body ? formatSchemaErrors(validate.errors) : [{ field: '(root)', message: 'body must be a JSON object' }];
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details });
+  }
+
+  try {
+    const store = ctx.store || getDiaryStore();
+    const segments = await store.segmentsCollection();
+    const result = findSaferRoute(body.from, body.to, segments);
+    if (!result) {
+      return json({ ok: true, route: null, direct_route: null, message: NO_ROUTE });
     }
-  );
+    return json({
+      ok: true,
+      route: result.route,
+      direct_route: result.direct,
+      comparison: result.meta,
+      ...(result.meta.meets_criteria ? {} : { message: NO_ALTERNATIVE }),
+    });
+  } catch (e) {
+    return fail(500, 'SERVER_ERROR', e?.message || 'Routing failed');
+  }
 }
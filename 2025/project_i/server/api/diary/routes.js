@@ -0,0 +1,40 @@
+/**
+ * Route Safety Diary - Saved Routes Endpoint
+ *
+ * Purpose: List and delete routes saved via "Save as route" on submit.
+ * See: docs/API_DIARY.md (GET /api/diary/routes, DELETE /api/diary/routes/:id)
+ */
+
+import { getDiaryStore } from '../../lib/diary_store.js';
+import { json, fail, methodNotAllowed } from '../../lib/respond.js';
+
+/**
+ * Handle GET /api/diary/routes and DELETE /api/diary/routes/:id
+ * @param {Request} req - Request object
+ * @param {object} ctx - Context object {store?, params: {id?}}
+ * @returns {Response} {ok, routes} or {ok, route_id}
+ */
+export default async function handler(req, ctx = {}) {
+  const rejected = methodNotAllowed(req, ctx.params?.id ? ['DELETE'] : ['GET']);
+  if (rejected) return rejected;
+
+  let id = null;
+  try {
+    id = ctx.params?.id ? decodeURIComponent(ctx.params.id) : null;
+  } catch {
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details: [{ field: 'id', message: 'must be a valid URI component' }] });
+  }
+
+  try {
+    const store = ctx.store || getDiaryStore();
+    if (!id) {
+      return json({ ok: true, routes: await store.listRoutes() });
+    }
+    if (!(await store.deleteRoute(id))) {
+      return fail(404, 'NOT_FOUND', 'Route not found', { route_id: id });
+    }
+    return json({ ok: true, route_id: id });
+  } catch (e) {
+    return fail(500, 'SERVER_ERROR', e?.message || 'Saved routes request failed');
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Route Safety Diary - Segment Analytics Endpoint
+ *
+ * Purpose: Weekly trend, rating distribution, tags and activity for one segment.
+ * See: docs/API_DIARY.md (GET /api/diary/segments/:id/analytics)
+ */
+
+import { getDiaryStore } from '../../lib/diary_store.js';
+import { json, fail, methodNotAllowed } from '../../lib/respond.js';
+
+/**
+ * Handle GET /api/diary/segments/:id/analytics
+ * Query: weeks=1..52 (default 8)
+ * @param {Request} req - Request object
+ * @param {object} ctx - Context object {store?, params: {id}}
+ * @returns {Response} {ok, weekly_trend, rating_distribution, tag_frequency, recent_activity, ...}
+ */
+export default async function handler(req, ctx = {}) {
+  const rejected = methodNotAllowed(req, ['GET']);
+  if (rejected) return rejected;
+
+  let id;
+  try {
+    id = decodeURIComponent(ctx.params?.id || '');
+  } catch {
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details: [{ field: 'id', message: 'must be a valid URI component' }] });
+  }
+  const weeksParam = new URL(req.url).searchParams.get('weeks');
+  const weeks = weeksParam == null ? 8 : Number(weeksParam);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details: [{ field: 'weeks', message: 'must be an integer 1-52' }] });
+  }
+
+  try {
+    const store = ctx.store || getDiaryStore();
+    const analytics = await store.getSegmentAnalytics(id, { weeks });
+    if (!analytics) return fail(404, 'NOT_FOUND', 'Segment not found', { segment_id: id });
+    return json({ ok: true, ...analytics });
+  } catch (e) {
+    return fail(500, 'SERVER_ERROR', e?.message || 'Failed to load analytics');
+  }
+}
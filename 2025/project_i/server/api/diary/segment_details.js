@@ -0,0 +1,35 @@
+/**
+ * Route Safety Diary - Segment Details Endpoint
+ *
+ * Purpose: Summary stats for the SegmentCard.
+ * See: docs/API_DIARY.md (GET /api/diary/segments/:id)
+ */
+
+import { getDiaryStore } from '../../lib/diary_store.js';
+import { json, fail, methodNotAllowed } from '../../lib/respond.js';
+
+/**
+ * Handle GET /api/diary/segments/:id
+ * @param {Request} req - Request object
+ * @param {object} ctx - Context object {store?, params: {id}}
+ * @returns {Response} {ok, segment_id, rating, n_eff, confidence, trend_30d, top_tags, ...}
+ */
+export default async function handler(req, ctx = {}) {
+  const rejected = methodNotAllowed(req, ['GET']);
+  if (rejected) return rejected;
+
+  let id;
+  try {
+    id = decodeURIComponent(ctx.params?.id || '');
+  } catch {
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details: [{ field: 'id', message: 'must be a valid URI component' }] });
+  }
+  try {
+    const store = ctx.store || getDiaryStore();
+    const details = await store.getSegmentDetails(id);
+    if (!details) return fail(404, 'NOT_FOUND', 'Segment not found', { segment_id: id });
+    return json({ ok: true, ...details });
+  } catch (e) {
+    return fail(500, 'SERVER_ERROR', e?.message || 'Failed to load segment');
+  }
+}
@@ -1,29 +1,58 @@
 /**
- * Route Safety Diary - Get Segments Endpoint (Stub)
+ * Route Safety Diary - Get Segments Endpoint
  *
- * Purpose: Server-side endpoint for retrieving segment data.
- * Status: [STUB] Returns 501 Not Implemented (M1)
+ * Purpose: Return street segments with aggregated ratings from the local store.
  * See: docs/API_DIARY.md (GET /api/diary/segments)
  */
 
+import { getDiaryStore } from '../../lib/diary_store.js';
+import { json, fail, methodNotAllowed } from '../../lib/respond.js';
+
 /**
  * Handle GET /api/diary/segments
+ * Query: bbox=west,south,east,north  ids=seg_001,seg_002  start/end=ms or ISO
  * @param {Request} req - Request object
- * @param {object} ctx - Context object
- * @returns {Response} 501 Not Implemented
+ * @param {object} ctx - Context object {store?}
+ * @returns {Response} GeoJSON FeatureCollection with ok flag
  */
-export default async function handler(req, ctx) {
-  // M1 stub: Return 501 with message
-  return new Response(
-    JSON.stringify({
-      ok: false,
-      status: 501,
-      message: 'Diary endpoint stub — to be implemented in M1.',
-      hint: 'Load seed data from data/segments_phl.dev.geojson for M1 development.'
-    }),
-    {
-      status: 501,
-      headers: { 'content-type': 'application/json' }
+export default async function handler(req, ctx = {}) {
+  const rejected = methodNotAllowed(req, ['GET']);
+  if (rejected) return rejected;
+
+  const params = new URL(req.url).searchParams;
+  const details = [];
+
+  let bbox;
+  if (params.get('bbox')) {
+    bbox = params.get('bbox').split(',').map(Number);
+    if (bbox.length !== 4 || bbox.some((v) => !Number.isFinite(v))) {
+      details.push({ field: 'bbox', message: 'must be west,south,east,north' });
     }
-  );
+  }
+
+  const ids = params.get('ids')
+    ? params.get('ids').split(',').map((s) => s.trim()).filter(Boolean)
+    : undefined;
+
+  const start = parseTime(params.get('start'));
+  const end = parseTime(params.get('end'));
+  if (Number.isNaN(start)) details.push({ field: 'start', message: 'must be a timestamp (ms) or ISO date' });
+  if (Number.isNaN(end)) details.push({ field: 'end', message: 'must be a timestamp (ms) or ISO date' });
+
+  if (details.length) return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details });
+
+  try {
+    const store = ctx.store || getDiaryStore();
+    const features = await store.listSegments({ bbox, ids, start, end });
+    return json({ ok: true, type: 'FeatureCollection', features });
+  } catch (e) {
+    return fail(500, 'SERVER_ERROR', e?.message || 'Failed to load segments');
+  }
+}
+
+function parseTime(value) {
+  if (value == null || value === '') return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? t : NaN;
 }
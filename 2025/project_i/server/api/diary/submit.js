@@ -1,29 +1,52 @@
 /**
- * Route Safety Diary - Submit Rating Endpoint (Stub)
+ * Route Safety Diary - Submit Rating Endpoint
  *
- * Purpose: Server-side endpoint for submitting trip ratings.
- * Status: [STUB] Returns 501 Not Implemented (M1)
+ * Purpose: Validate a trip rating, store it, and return updated segment aggregates.
  * See: docs/API_DIARY.md (POST /api/diary/submit)
  */
 
+import Ajv from 'ajv';
+import { submitSchema, formatSchemaErrors } from '../../../src/api/diary_schema.js';
+import { getDiaryStore } from '../../lib/diary_store.js';
+import { json, fail, methodNotAllowed, readJson } from '../../lib/respond.js';
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(submitSchema);
+
 /**
  * Handle POST /api/diary/submit
  * @param {Request} req - Request object
- * @param {object} ctx - Context object
- * @returns {Response} 501 Not Implemented
+ * @param {object} ctx - Context object {store?}
+ * @returns {Response} {ok, submission_id, updated_segments, saved_route_id}
  */
-export default async function handler(req, ctx) {
-  // M1 stub: Return 501 with message
-  return new Response(
-    JSON.stringify({
-      ok: false,
-      status: 501,
-      message: 'Diary endpoint stub — to be implemented in M1.',
-      hint: 'Use client-side mock in src/api/diary.js for M1 development.'
-    }),
-    {
-      status: 501,
-      headers: { 'content-type': 'application/json' }
+export default async function handler(req, ctx = {}) {
+  const rejected = methodNotAllowed(req, ['POST']);
+  if (rejected) return rejected;
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') {
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details: [{ field: '(root)', message: 'body must be a JSON object' }] });
+  }
+  if (!validate(body)) {
+    return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details: formatSchemaErrors(validate.errors) });
+  }
+
+  const store = ctx.store || getDiaryStore();
+  try {
+    const details = [];
+    for (const id of await store.unknownSegments(body.matched_segments)) {
+      details.push({ field: 'matched_segments', message: `unknown segment ${id}` });
+    }
+    for (const o of body.segment_overrides || []) {
+      if (!body.matched_segments.includes(o.segment_id)) {
+        details.push({ field: 'segment_overrides', message: `${o.segment_id} is not in matched_segments` });
+      }
     }
-  );
+    if (details.length) return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details });
+
+    const result = await store.recordSubmission(body);
+    return json({ ok: true, ...result });
+  } catch (e) {
+    return fail(500, 'SERVER_ERROR', e?.message || 'Failed to store submission');
+  }
 }
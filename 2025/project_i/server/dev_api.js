@@ -0,0 +1,83 @@
+/**
+ * Route Safety Diary - Local API Server Adapter
+ *
+ * Purpose: Mount the fetch-style handlers under server/api/diary on the Vite
+ * dev/preview servers so the diary runs end to end without a hosting platform.
+ */
+
+import segments from './api/diary/segments.js';
+import segmentDetails from './api/diary/segment_details.js';
+import segmentAnalytics from './api/diary/segment_analytics.js';
+import submit from './api/diary/submit.js';
+import route from './api/diary/route.js';
+import routes from './api/diary/routes.js';
+import agree from './api/diary/agree.js';
+import improve from './api/diary/improve.js';
+
+// [pattern, handler]; named groups become ctx.params
+const ROUTES = [
+  [/^\/api\/diary\/segments\/?$/, segments],
+  [/^\/api\/diary\/segments\/(?<id>[^/]+)\/analytics\/?$/, segmentAnalytics],
+  [/^\/api\/diary\/segments\/(?<id>[^/]+)\/?$/, segmentDetails],
+  [/^\/api\/diary\/submit\/?$/, submit],
+  [/^\/api\/diary\/route\/?$/, route],
+  [/^\/api\/diary\/agree\/?$/, agree],
+  [/^\/api\/diary\/improve\/?$/, improve],
+  [/^\/api\/diary\/routes(?:\/(?<id>[^/]+))?\/?$/, routes],
+];
+
+/**
+ * Dispatch a Request to the matching diary handler.
+ * @param {Request} req
+ * @returns {Promise<Response|null>} null when no route matches
+ */
+export async function handleDiaryRequest(req) {
+  const { pathname } = new URL(req.url);
+  for (const [pattern, handler] of ROUTES) {
+    const m = pathname.match(pattern);
+    if (m) return handler(req, { params: m.groups || {} });
+  }
+  return null;
+}
+
+/**
+ * Vite plugin serving /api/diary/* in `vite` and `vite preview`.
+ * @returns {import('vite').Plugin}
+ */
+export function diaryApiPlugin() {
+  const middleware = async (req, res, next) => {
+    if (!req.url || !req.url.startsWith('/api/diary/')) return next();
+    try {
+      const response = await handleDiaryRequest(await toRequest(req));
+      if (!response) return next();
+      res.statusCode = response.status;
+      response.headers.forEach((value, key) => res.setHeader(key, value));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (e) {
+      res.statusCode = 500;
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ ok: false, error: e?.message || String(e), code: 'SERVER_ERROR' }));
+    }
+  };
+
+  return {
+    name: 'diary-api',
+    configureServer(server) { server.middlewares.use(middleware); },
+    configurePreviewServer(server) { server.middlewares.use(middleware); },
+  };
+}
+
+async function toRequest(req) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const headers = new Headers();
+  for (const [k, v] of Object.entries(req.headers)) {
+    if (v != null) headers.set(k, Array.isArray(v) ? v.join(', ') : String(v));
+  }
+  let body;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    body = Buffer.concat(chunks);
+  }
+  return new Request(url, { method: req.method, headers, body });
+}
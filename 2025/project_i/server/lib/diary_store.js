@@ -0,0 +1,446 @@
+/**
+ * Route Safety Diary - Local File Store
+ *
+ * Purpose: Persist diary submissions, community actions and saved routes as a
+ * JSON file and serve aggregated segment ratings on top of the seed GeoJSON.
+ * See: docs/API_DIARY.md, docs/ALGO_REQUIREMENTS_M1.md (Section 2)
+ *
+ * Seed properties (rating, n_eff) act as the Bayesian prior for each segment;
+ * new ratings are time-decayed and shrunk toward that prior. "Agree" actions add
+ * decayed weight to n_eff without moving the rating.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { decayedMean, effectiveN, bayesianShrinkage, delta30d, confidencePercent } from '../../src/utils/decay.js';
+
+const DEFAULT_SEED_PATH = path.join('data', 'segments_phl.dev.geojson');
+const DEFAULT_STORE_PATH = path.join('data', 'diary_store.dev.json');
+const DAY_MS = 86400000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Create a diary store backed by a JSON file.
+ * @param {{seedPath?:string, storePath?:string|null}} [opts] - storePath=null keeps state in memory only
+ * @returns {object} Store API
+ */
+export function createDiaryStore({ seedPath = DEFAULT_SEED_PATH, storePath = DEFAULT_STORE_PATH } = {}) {
+  let loading = null;
+  let seed = null;              // Map segment_id -> seed Feature
+  let state = null;             // {version, submissions, routes, actions}
+  let samplesBySegment = null;  // Map segment_id -> [{rating, timestamp, tags}]
+  let actionsBySegment = null;  // Map segment_id -> [{type, timestamp}]
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (!loading) {
+      loading = (async () => {
+        const raw = JSON.parse(await fs.readFile(seedPath, 'utf8'));
+        seed = new Map();
+        for (const f of raw.features || []) {
+          const id = f?.properties?.segment_id ?? f?.id;
+          if (id) seed.set(String(id), { ...f, id: String(id) });
+        }
+
+        state = { version: 1, submissions: [], routes: [], actions: [] };
+        if (storePath) {
+          try {
+            const saved = JSON.parse(await fs.readFile(storePath, 'utf8'));
+            state.submissions = Array.isArray(saved?.submissions) ? saved.submissions : [];
+            state.routes = Array.isArray(saved?.routes) ? saved.routes : [];
+            state.actions = Array.isArray(saved?.actions) ? saved.actions : [];
+          } catch (e) {
+            if (e?.code !== 'ENOENT') console.warn('[Diary] store unreadable, starting empty:', e?.message || e);
+          }
+        }
+
+        buildIndexes();
+      })();
+    }
+    return loading;
+  }
+
+  function buildIndexes() {
+    samplesBySegment = new Map();
+    for (const sub of state.submissions) indexSubmission(sub);
+    actionsBySegment = new Map();
+    for (const action of state.actions) indexAction(action);
+  }
+
+  function indexSubmission(sub) {
+    for (const s of sub.segments || []) {
+      if (!samplesBySegment.has(s.segment_id)) samplesBySegment.set(s.segment_id, []);
+      samplesBySegment.get(s.segment_id).push({ rating: s.rating, timestamp: sub.timestamp, tags: sub.tags || [] });
+    }
+  }
+
+  function indexAction(action) {
+    if (!actionsBySegment.has(action.segment_id)) actionsBySegment.set(action.segment_id, []);
+    actionsBySegment.get(action.segment_id).push({ type: action.type, timestamp: action.timestamp });
+  }
+
+  async function write(next) {
+    if (!storePath) return;
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    const tmp = `${storePath}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(next, null, 2));
+    await fs.rename(tmp, storePath);
+  }
+
+  /**
+   * Apply a change to a copy of the state and swap the copy in only once it is
+   * written, so a failed write leaves nothing behind for later reads. Changes run
+   * one at a time.
+   * @param {(draft:object) => *} change - edits the draft; returns the result, or null when there is nothing to write
+   * @returns {Promise<*>}
+   */
+  function update(change) {
+    const run = writing.then(async () => {
+      const draft = { ...state, submissions: [...state.submissions], routes: [...state.routes], actions: [...state.actions] };
+      const result = change(draft);
+      if (result == null) return result;
+      await write(draft);
+      state = draft;
+      buildIndexes();
+      return result;
+    });
+    // the caller sees the failure; later changes still queue behind it
+    writing = run.catch((e) => console.warn('[Diary] store write failed:', e?.message || e));
+    return run;
+  }
+
+  function aggregated(id, { start, end, now = Date.now() } = {}) {
+    const feature = seed.get(id);
+    if (!feature) return null;
+    let samples = samplesBySegment.get(id) || [];
+    let agrees = (actionsBySegment.get(id) || []).filter((a) => a.type === 'agree');
+    if (start != null || end != null) {
+      samples = samples.filter((s) => inWindow(s.timestamp, start, end));
+      agrees = agrees.filter((a) => inWindow(a.timestamp, start, end));
+    }
+    return aggregateFeature(feature, samples, agrees, now);
+  }
+
+  return {
+    /**
+     * Segments with aggregated ratings, optionally filtered.
+     * @param {{bbox?:number[], ids?:string[], start?:number, end?:number}} [filters]
+     * @returns {Promise<object[]>} GeoJSON Features
+     */
+    async listSegments({ bbox, ids, start, end } = {}) {
+      await load();
+      const wanted = Array.isArray(ids) && ids.length ? ids : Array.from(seed.keys());
+      const hasWindow = start != null || end != null;
+      const out = [];
+      for (const id of wanted) {
+        const feature = seed.get(id);
+        if (!feature) continue;
+        if (bbox && !bboxIntersects(lineBbox(feature.geometry), bbox)) continue;
+        if (hasWindow) {
+          const inRange = (samplesBySegment.get(id) || []).some((s) => inWindow(s.timestamp, start, end))
+            || inWindow(feature.properties?.last_updated, start, end);
+          if (!inRange) continue;
+        }
+        out.push(aggregated(id, { start, end }));
+      }
+      return out;
+    },
+
+    /**
+     * Single aggregated segment, or null when unknown.
+     * @param {string} id
+     */
+    async getSegment(id) {
+      await load();
+      return aggregated(String(id));
+    },
+
+    /**
+     * IDs from the list that do not exist in the seed.
+     * @param {string[]} ids
+     * @returns {Promise<string[]>}
+     */
+    async unknownSegments(ids) {
+      await load();
+      return (ids || []).filter((id) => !seed.has(id));
+    },
+
+    /**
+     * Record a validated submission and return updated aggregates.
+     * @param {object} payload - Body matching submitSchema
+     * @returns {Promise<{submission_id:string, updated_segments:object[], saved_route_id:string|null}>}
+     */
+    async recordSubmission(payload) {
+      await load();
+      const now = Date.now();
+      const overrides = new Map((payload.segment_overrides || []).map((o) => [o.segment_id, o.rating]));
+      const sub = {
+        submission_id: makeId('sub'),
+        timestamp: Math.min(Number(payload.timestamp) || now, now),
+        received_at: now,
+        overall_rating: payload.overall_rating,
+        tags: payload.tags || [],
+        travel_mode: payload.travel_mode,
+        segments: payload.matched_segments.map((id) => ({
+          segment_id: id,
+          rating: overrides.get(id) ?? payload.overall_rating,
+        })),
+      };
+      const route = payload.save_as_route ? {
+        route_id: makeId('route'),
+        name: (payload.route_name || '').trim() || `Route ${new Date(now).toISOString().slice(0, 10)}`,
+        segment_ids: Array.from(new Set(payload.matched_segments)),
+        travel_mode: payload.travel_mode,
+        created_at: now,
+      } : null;
+
+      await update((draft) => {
+        draft.submissions.push(sub);
+        if (route) draft.routes.push(route);
+        return true;
+      });
+
+      const updated_segments = Array.from(new Set(payload.matched_segments)).map((id) => {
+        const p = aggregated(id, { now }).properties;
+        return { segment_id: id, rating: p.rating, n_eff: p.n_eff, trend_30d: p.trend_30d };
+      });
+      return { submission_id: sub.submission_id, updated_segments, saved_route_id: route?.route_id ?? null };
+    },
+
+    /**
+     * SegmentCard summary (docs/API_DIARY.md, GET /segments/:id), or null when unknown.
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async getSegmentDetails(id) {
+      await load();
+      const feature = aggregated(String(id));
+      if (!feature) return null;
+      const p = feature.properties;
+      const improvements = (actionsBySegment.get(feature.id) || []).filter((a) => a.type === 'improve');
+      return {
+        segment_id: feature.id,
+        name: p.name || null,
+        rating: p.rating,
+        n_eff: p.n_eff,
+        confidence: Math.round(confidencePercent(p.n_eff || 0)),
+        trend_30d: p.trend_30d ?? 0,
+        top_tags: (p.top_tags || []).map((t) => t.tag),
+        tag_counts: p.top_tags || [],
+        total_reports: p.total_reports || 0,
+        improvement_count: improvements.length,
+        last_updated: p.last_updated || null,
+      };
+    },
+
+    /**
+     * CommunityDetails analytics (docs/API_DIARY.md, GET /segments/:id/analytics).
+     * weekly_trend holds the shrunk rating as of each week's end, so it is defined
+     * even for weeks without reports.
+     * @param {string} id
+     * @param {{weeks?:number}} [opts]
+     * @returns {Promise<object|null>}
+     */
+    async getSegmentAnalytics(id, { weeks = 8 } = {}) {
+      await load();
+      const feature = seed.get(String(id));
+      if (!feature) return null;
+      const now = Date.now();
+      const base = feature.properties || {};
+      const samples = samplesBySegment.get(feature.id) || [];
+      const actions = actionsBySegment.get(feature.id) || [];
+      const current = aggregated(feature.id, { now }).properties;
+
+      const weekly_trend = [];
+      for (let w = weeks - 1; w >= 0; w--) {
+        const weekEnd = now - w * WEEK_MS;
+        const weekStart = weekEnd - WEEK_MS;
+        const upTo = samples.filter((s) => s.timestamp <= weekEnd);
+        const agreesUpTo = actions.filter((a) => a.type === 'agree' && a.timestamp <= weekEnd);
+        const p = aggregateFeature(feature, upTo, agreesUpTo, weekEnd).properties;
+        weekly_trend.push({
+          week: `W${weeks - w}`,
+          rating: p.rating ?? null,
+          count: samples.filter((s) => s.timestamp > weekStart && s.timestamp <= weekEnd).length,
+          start_date: new Date(weekStart).toISOString().slice(0, 10),
+        });
+      }
+
+      const rating_distribution = [1, 2, 3, 4, 5].map((stars) => {
+        const count = samples.filter((s) => s.rating === stars).length;
+        return { stars, count, percentage: samples.length ? Math.round((count / samples.length) * 100) : 0 };
+      });
+
+      const recentTags = tagCounts(samples.filter((s) => s.timestamp >= now - 30 * DAY_MS));
+      const priorTags = tagCounts(samples.filter((s) => s.timestamp < now - 30 * DAY_MS && s.timestamp >= now - 60 * DAY_MS));
+      const tag_frequency = (current.top_tags || []).map(({ tag, count }) => ({
+        tag,
+        count,
+        trend: (recentTags.get(tag) || 0) - (priorTags.get(tag) || 0),
+      }));
+
+      const recent_activity = [
+        ...samples.map((s) => ({ type: 'rating', timestamp: s.timestamp, display: `Anonymous rated ${s.rating}★` })),
+        ...actions.map((a) => ({
+          type: a.type,
+          timestamp: a.timestamp,
+          display: a.type === 'agree' ? 'Anonymous agreed with rating' : 'Anonymous noted improvement',
+        })),
+      ]
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, 10)
+        .map((a) => ({ ...a, relative_time: relativeTime(a.timestamp, now) }));
+
+      return {
+        segment_id: feature.id,
+        name: base.name || null,
+        total_reports: current.total_reports || 0,
+        avg_rating: current.rating,
+        confidence: Math.round(confidencePercent(current.n_eff || 0)),
+        trend_30d: current.trend_30d ?? 0,
+        weekly_trend,
+        rating_distribution,
+        tag_frequency,
+        recent_activity,
+      };
+    },
+
+    /**
+     * Record an "agree" or "improve" community action.
+     * @param {'agree'|'improve'} type
+     * @param {string} id - Segment ID (must exist)
+     * @returns {Promise<{segment_id:string, rating:number, n_eff:number, improvement_count:number}|null>}
+     */
+    async recordAction(type, id) {
+      await load();
+      if (!seed.has(id)) return null;
+      const action = { type, segment_id: id, timestamp: Date.now() };
+      await update((draft) => draft.actions.push(action));
+      const p = aggregated(id).properties;
+      const improvement_count = actionsBySegment.get(id).filter((a) => a.type === 'improve').length;
+      return { segment_id: id, rating: p.rating, n_eff: p.n_eff, improvement_count };
+    },
+
+    /**
+     * Saved routes, newest first.
+     * @returns {Promise<object[]>} [{route_id, name, segment_ids, travel_mode, created_at}]
+     */
+    async listRoutes() {
+      await load();
+      return state.routes.slice().sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+    },
+
+    /**
+     * Delete a saved route.
+     * @param {string} id
+     * @returns {Promise<boolean>} false when the route does not exist
+     */
+    async deleteRoute(id) {
+      await load();
+      const deleted = await update((draft) => {
+        const before = draft.routes.length;
+        draft.routes = draft.routes.filter((r) => r.route_id !== id);
+        return draft.routes.length < before ? true : null;
+      });
+      return deleted === true;
+    },
+
+    /**
+     * All segments as a FeatureCollection (for routing).
+     * @returns {Promise<object>}
+     */
+    async segmentsCollection() {
+      return { type: 'FeatureCollection', features: await this.listSegments() };
+    },
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Process-wide store (paths overridable via DIARY_SEED_PATH / DIARY_STORE_PATH).
+ * @returns {object}
+ */
+export function getDiaryStore() {
+  if (!defaultStore) {
+    defaultStore = createDiaryStore({
+      seedPath: process.env.DIARY_SEED_PATH || DEFAULT_SEED_PATH,
+      storePath: process.env.DIARY_STORE_PATH || DEFAULT_STORE_PATH,
+    });
+  }
+  return defaultStore;
+}
+
+function aggregateFeature(feature, samples, agrees, now) {
+  const base = feature.properties || {};
+  const props = { ...base };
+  const priorN = Number.isFinite(base.n_eff) ? base.n_eff : 5;
+  if (samples.length > 0) {
+    const priorMean = Number.isFinite(base.rating) ? base.rating : 3.0;
+    const observedMean = decayedMean(samples, now);
+    const observedN = effectiveN(samples, now);
+    const trend = delta30d(samples, now);
+    props.rating = round2(bayesianShrinkage(observedMean, observedN, priorMean, priorN));
+    props.n_eff = round2(priorN + observedN);
+    props.trend_30d = trend !== 0 ? round2(trend) : (base.trend_30d ?? 0);
+    props.top_tags = mergeTags(base.top_tags, samples);
+    props.total_reports = (base.total_reports || 0) + samples.length;
+    props.last_updated = Math.max(base.last_updated || 0, ...samples.map((s) => s.timestamp));
+  }
+  if (agrees.length > 0) {
+    props.n_eff = round2((props.n_eff ?? priorN) + effectiveN(agrees, now));
+  }
+  return { ...feature, properties: props };
+}
+
+function mergeTags(baseTags, samples) {
+  const counts = tagCounts(samples);
+  for (const t of baseTags || []) counts.set(t.tag, (counts.get(t.tag) || 0) + (t.count || 0));
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5);
+}
+
+function tagCounts(samples) {
+  const counts = new Map();
+  for (const s of samples) for (const tag of s.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  return counts;
+}
+
+function relativeTime(ts, now) {
+  const mins = Math.max(0, Math.round((now - ts) / 60000));
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins} minute${mins === 1 ? '' : 's'} ago`;
+  const hours = Math.round(mins / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+function inWindow(ts, start, end) {
+  if (!Number.isFinite(ts)) return false;
+  if (start != null && ts < start) return false;
+  if (end != null && ts > end) return false;
+  return true;
+}
+
+function lineBbox(geom) {
+  let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+  const coords = geom?.type === 'MultiLineString' ? geom.coordinates.flat() : geom?.coordinates || [];
+  for (const [x, y] of coords) {
+    if (x < minx) minx = x; if (y < miny) miny = y; if (x > maxx) maxx = x; if (y > maxy) maxy = y;
+  }
+  return [minx, miny, maxx, maxy];
+}
+
+function bboxIntersects(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function makeId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
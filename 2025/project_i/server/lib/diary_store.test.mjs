@@ -0,0 +1,64 @@
+// Diary file store: a write that fails must leave no trace in later reads, and
+// the endpoints must reject ids they cannot decode.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createDiaryStore } from './diary_store.js';
+import routesHandler from '../api/diary/routes.js';
+import segmentDetails from '../api/diary/segment_details.js';
+import segmentAnalytics from '../api/diary/segment_analytics.js';
+
+const seedPath = new URL('../../data/segments_phl.dev.geojson', import.meta.url).pathname;
+const submission = { overall_rating: 2, matched_segments: ['seg_001'], travel_mode: 'walk', save_as_route: true, route_name: 'Home' };
+
+// Store whose directory is replaced by a plain file after setup, so later writes fail
+async function storeThatStopsWriting(setup) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'diary-'));
+  const storeDir = path.join(dir, 'store');
+  const store = createDiaryStore({ seedPath, storePath: path.join(storeDir, 'diary.json') });
+  const ctx = await setup(store);
+  await fs.rm(storeDir, { recursive: true, force: true });
+  await fs.writeFile(storeDir, '');
+  return { store, ctx, cleanup: () => fs.rm(dir, { recursive: true }) };
+}
+
+test('failed writes leave submissions, routes and actions unchanged', async () => {
+  const { store, ctx: before, cleanup } = await storeThatStopsWriting(async (s) => (await s.getSegmentDetails('seg_001')));
+  try {
+    await assert.rejects(store.recordSubmission(submission));
+    await assert.rejects(store.recordAction('agree', 'seg_001'));
+    await assert.rejects(store.recordAction('improve', 'seg_001'));
+    assert.deepEqual(await store.getSegmentDetails('seg_001'), before);
+    assert.deepEqual(await store.listRoutes(), []);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('a route survives a delete whose write fails', async () => {
+  const { store, ctx: routeId, cleanup } = await storeThatStopsWriting(async (s) => (await s.recordSubmission(submission)).saved_route_id);
+  try {
+    const res = await routesHandler(new Request(`http://localhost/api/diary/routes/${routeId}`, { method: 'DELETE' }), { store, params: { id: routeId } });
+    assert.equal(res.status, 500);
+    assert.deepEqual((await store.listRoutes()).map((r) => r.route_id), [routeId]);
+    // later changes still run after a failed one
+    assert.equal(await store.deleteRoute('route_missing'), false);
+  } finally {
+    await cleanup();
+  }
+});
+
+test('a malformed route id is a 400', async () => {
+  const res = await routesHandler(new Request('http://localhost/api/diary/routes/%E0%A4%A', { method: 'DELETE' }), { params: { id: '%E0%A4%A' } });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'VALIDATION_ERROR');
+});
+
+test('malformed segment ids are a 400', async () => {
+  for (const [handler, url] of [[segmentDetails, '/api/diary/segments/%E0%A4%A'], [segmentAnalytics, '/api/diary/segments/%E0%A4%A/analytics']]) {
+    const res = await handler(new Request(`http://localhost${url}`), { params: { id: '%E0%A4%A' } });
+    assert.equal(res.status, 400, url);
+  }
+});
@@ -0,0 +1,57 @@
+/**
+ * Small Response helpers shared by the diary endpoints.
+ * Error bodies follow docs/API_DIARY.md (Error Handling).
+ */
+
+/**
+ * JSON response with status code.
+ * @param {object} body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+export function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' }
+  });
+}
+
+/**
+ * Standard error response {ok:false, error, code, details?}.
+ * @param {number} status
+ * @param {string} code - e.g. 'VALIDATION_ERROR'
+ * @param {string} error - Human readable message
+ * @param {object} [extra] - Additional fields (details, segment_id, ...)
+ * @returns {Response}
+ */
+export function fail(status, code, error, extra = {}) {
+  return json({ ok: false, error, code, ...extra }, status);
+}
+
+/**
+ * Reject requests whose method is not in the allowed list.
+ * @param {Request} req
+ * @param {string[]} allowed
+ * @returns {Response|null} 405 response, or null when allowed
+ */
+export function methodNotAllowed(req, allowed) {
+  if (allowed.includes(req.method)) return null;
+  return new Response(
+    JSON.stringify({ ok: false, error: `Method ${req.method} not allowed`, code: 'METHOD_NOT_ALLOWED' }),
+    { status: 405, headers: { 'content-type': 'application/json', allow: allowed.join(', ') } }
+  );
+}
+
+/**
+ * Parse a JSON request body, returning null on empty/invalid input.
+ * @param {Request} req
+ * @returns {Promise<any|null>}
+ */
+export async function readJson(req) {
+  try {
+    const text = await req.text();
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
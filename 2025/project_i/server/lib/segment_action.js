@@ -0,0 +1,40 @@
+/**
+ * Shared handler for the "agree" / "improve" community actions.
+ * See: docs/API_DIARY.md (POST /api/diary/agree, POST /api/diary/improve)
+ */
+
+import Ajv from 'ajv';
+import { segmentActionSchema, formatSchemaErrors } from '../../src/api/diary_schema.js';
+import { getDiaryStore } from './diary_store.js';
+import { json, fail, methodNotAllowed, readJson } from './respond.js';
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(segmentActionSchema);
+
+/**
+ * Build a POST handler that records one community action per request.
+ * @param {'agree'|'improve'} type
+ * @param {(result:object) => object} toBody - Maps the store result to the success body
+ * @returns {(req:Request, ctx?:object) => Promise<Response>}
+ */
+export function createActionHandler(type, toBody) {
+  return async function handler(req, ctx = {}) {
+    const rejected = methodNotAllowed(req, ['POST']);
+    if (rejected) return rejected;
+
+    const body = await readJson(req);
+    if (!body || !validate(body)) {
+      const details = body ? formatSchemaErrors(validate.errors) : [{ field: '(root)', message: 'body must be a JSON object' }];
+      return fail(400, 'VALIDATION_ERROR', 'Validation failed', { details });
+    }
+
+    try {
+      const store = ctx.store || getDiaryStore();
+      const result = await store.recordAction(type, body.segment_id);
+      if (!result) return fail(404, 'NOT_FOUND', 'Segment not found', { segment_id: body.segment_id });
+      return json({ ok: true, segment_id: result.segment_id, ...toBody(result) });
+    } catch (e) {
+      return fail(500, 'SERVER_ERROR', e?.message || `Failed to record ${type}`);
+    }
+  };
+}
@@ -1,6 +1,7 @@
 import {
   ACS_POP_TENURE_INCOME,
   ACS_POVERTY,
+  PERSIST_POLICIES,
 } from "../config.js";
 import { fetchJson } from "../utils/http.js";
 
@@ -10,8 +11,8 @@ import { fetchJson } from "../utils/http.js";
  */
 export async function fetchTractStats() {
   const [popTenureRows, povertyRows] = await Promise.all([
-    fetchJson(ACS_POP_TENURE_INCOME),
-    fetchJson(ACS_POVERTY),
+    fetchJson(ACS_POP_TENURE_INCOME, { persist: { ...PERSIST_POLICIES.acs, label: "acs" } }),
+    fetchJson(ACS_POVERTY, { persist: { ...PERSIST_POLICIES.acs, label: "acs" } }),
   ]);
 
   if (!Array.isArray(popTenureRows) || popTenureRows.length === 0) {
@@ -105,6 +106,37 @@ export async function fetchTractStatsCachedFirst() {
   return fetchTractStats();
 }
 
+/**
+ * Tract variables available for overlays and the correlation chart.
+ * `digits` is the rounding used in labels and legends.
+ */
+export const ACS_VARIABLES = {
+  pop: { label: "Population", unit: "", digits: 0 },
+  renter_pct: { label: "Renter-occupied households", unit: "%", digits: 1 },
+  median_income: { label: "Median household income", unit: "$", digits: 0 },
+  poverty_pct: { label: "Poverty rate", unit: "%", digits: 1 },
+};
+
+/**
+ * Read one ACS variable from a tract stats row. Census annotation codes
+ * (negative sentinels such as -666666666 for "not computed") come back as null.
+ * Renter share accepts both row shapes: the live fetch (`renter_total` = all
+ * occupied units, `renter_count` = renters) and the cached file (`hh_total` =
+ * all occupied units, `renter_total` = renters).
+ * @param {object} row - from fetchTractStats / fetchTractStatsCachedFirst
+ * @param {keyof typeof ACS_VARIABLES} key
+ * @returns {number|null}
+ */
+export function acsValue(row, key) {
+  if (!row) return null;
+  const ok = (v) => (Number.isFinite(v) && v >= 0 ? v : null);
+  if (key === "renter_pct") {
+    const [renters, total] = row.hh_total != null ? [row.renter_total, row.hh_total] : [row.renter_count, row.renter_total];
+    return ok(renters) != null && ok(total) > 0 ? (renters / total) * 100 : null;
+  }
+  return ok(row[key]);
+}
+
 function indexLookup(header, keys, label) {
   if (!Array.isArray(header)) {
     throw new Error(`Expected header array for ${label}.`);
@@ -1,12 +1,16 @@
-import { PD_GEOJSON, TRACTS_GEOJSON } from "../config.js";
+import { PD_GEOJSON, TRACTS_GEOJSON, PERSIST_POLICIES } from "../config.js";
 import { fetchGeoJson } from "../utils/http.js";
 
+// Remote boundary services are slow and rarely change; the local ./data copies are left to the HTTP cache
+const PERSIST_DISTRICTS = { ...PERSIST_POLICIES.boundaries, label: "districts" };
+const PERSIST_TRACTS = { ...PERSIST_POLICIES.boundaries, label: "tracts" };
+
 /**
  * Retrieve police district boundaries.
  * @returns {Promise<object>} GeoJSON FeatureCollection.
  */
 export async function fetchPoliceDistricts() {
-  return fetchGeoJson(PD_GEOJSON);
+  return fetchGeoJson(PD_GEOJSON, { persist: PERSIST_DISTRICTS });
 }
 
 /**
@@ -14,7 +18,7 @@ export async function fetchPoliceDistricts() {
  * @returns {Promise<object>} GeoJSON FeatureCollection.
  */
 export async function fetchTracts() {
-  return fetchGeoJson(TRACTS_GEOJSON);
+  return fetchGeoJson(TRACTS_GEOJSON, { persist: PERSIST_TRACTS });
 }
 
 /**
@@ -39,7 +43,7 @@ export async function fetchPoliceDistrictsCachedFirst() {
   }
 
   // Fallback to live endpoint
-  return fetchGeoJson(PD_GEOJSON);
+  return fetchGeoJson(PD_GEOJSON, { persist: PERSIST_DISTRICTS });
 }
 
 /**
@@ -69,7 +73,7 @@ export async function fetchTractsCachedFirst() {
   ];
   for (const url of ENDPOINTS) {
     try {
-      const raw = await fetchGeoJson(url, { cacheTTL: 10 * 60_000 });
+      const raw = await fetchGeoJson(url, { cacheTTL: 10 * 60_000, persist: PERSIST_TRACTS });
       if (isValidTracts(raw)) {
         const normalized = { type: 'FeatureCollection', features: raw.features.map(normalizeTractFeature) };
         fetchTractsCachedFirst._cache = normalized;
@@ -79,7 +83,7 @@ export async function fetchTractsCachedFirst() {
   }
 
   // 3) Fallback to canonical TRACTS_GEOJSON
-  const fallback = await fetchGeoJson(TRACTS_GEOJSON, { cacheTTL: 10 * 60_000 });
+  const fallback = await fetchGeoJson(TRACTS_GEOJSON, { cacheTTL: 10 * 60_000, persist: PERSIST_TRACTS });
   fetchTractsCachedFirst._cache = fallback;
   return fallback;
 }
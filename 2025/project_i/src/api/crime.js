@@ -1,5 +1,5 @@
-import { CARTO_SQL_BASE } from "../config.js";
-import { fetchJson, logQuery } from "../utils/http.js";
+import { runCartoSql } from "./datasource.js";
+import { PERSIST_POLICIES } from "../config.js";
 import * as Q from "../utils/sql.js";
 import { expandGroupsToCodes } from "../utils/types.js";
 import { fetchTractsCachedFirst } from "./boundaries.js";
@@ -16,13 +16,7 @@ import { getTractPolygonAndBboxByGEOID } from "../utils/tract_geom.js";
  */
 export async function fetchPoints({ start, end, types, bbox, dc_dist }) {
   const sql = Q.buildCrimePointsSQL({ start, end, types, bbox, dc_dist });
-  await logQuery('fetchPoints', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `format=GeoJSON&q=${encodeURIComponent(sql)}`,
-    cacheTTL: 30_000,
-  });
+  return runCartoSql('fetchPoints', sql, { format: 'GeoJSON', cacheTTL: 30_000 });
 }
 
 /**
@@ -35,13 +29,7 @@ export async function fetchPoints({ start, end, types, bbox, dc_dist }) {
  */
 export async function fetchMonthlySeriesCity({ start, end, types, dc_dist }) {
   const sql = Q.buildMonthlyCitySQL({ start, end, types, dc_dist });
-  await logQuery('fetchMonthlySeriesCity', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 300_000,
-  });
+  return runCartoSql('fetchMonthlySeriesCity', sql, { cacheTTL: 300_000, persist: PERSIST_POLICIES.aggregates });
 }
 
 /**
@@ -68,13 +56,7 @@ export async function fetchMonthlySeriesBuffer({
     center3857,
     radiusM,
   });
-  await logQuery('fetchMonthlySeriesBuffer', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 60_000,
-  });
+  return runCartoSql('fetchMonthlySeriesBuffer', sql, { cacheTTL: 60_000 });
 }
 
 /**
@@ -101,13 +83,7 @@ export async function fetchTopTypesBuffer({
     radiusM,
     limit,
   });
-  await logQuery('fetchTopTypesBuffer', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 60_000,
-  });
+  return runCartoSql('fetchTopTypesBuffer', sql, { cacheTTL: 60_000 });
 }
 
 /**
@@ -134,13 +110,7 @@ export async function fetch7x24Buffer({
     center3857,
     radiusM,
   });
-  await logQuery('fetch7x24Buffer', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 60_000,
-  });
+  return runCartoSql('fetch7x24Buffer', sql, { cacheTTL: 60_000 });
 }
 
 /**
@@ -153,13 +123,67 @@ export async function fetch7x24Buffer({
  */
 export async function fetchByDistrict({ start, end, types }) {
   const sql = Q.buildByDistrictSQL({ start, end, types });
-  await logQuery('fetchByDistrict', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 120_000,
-  });
+  return runCartoSql('fetchByDistrict', sql, { cacheTTL: 120_000, persist: PERSIST_POLICIES.aggregates });
+}
+
+/**
+ * Fetch monthly counts per district for the whole window in one query (time-lapse).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {Promise<object>} rows of {m, dc_dist, n}
+ */
+export async function fetchMonthlyByDistrict({ start, end, types, drilldownCodes }) {
+  const sql = Q.buildMonthlyByDistrictSQL({ start, end, types, drilldownCodes });
+  return runCartoSql('fetchMonthlyByDistrict', sql, { cacheTTL: 300_000, persist: PERSIST_POLICIES.aggregates });
+}
+
+/**
+ * Fetch grid-snapped monthly counts citywide (tract time-lapse).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],cellDeg?:number}} params
+ * @returns {Promise<object>} rows of {x, y, m, n} with x/y in EPSG:4326
+ */
+export async function fetchMonthlyGrid({ start, end, types, drilldownCodes, cellDeg }) {
+  const sql = Q.buildMonthlyGridSQL({ start, end, types, drilldownCodes, cellDeg });
+  return runCartoSql('fetchMonthlyGrid', sql, { cacheTTL: 300_000, persist: PERSIST_POLICIES.aggregates });
+}
+
+/**
+ * Fetch all-offense and selected-offense counts per district (location quotients).
+ * @param {{start:string,end:string,types?:string[]}} params
+ * @returns {Promise<object>} rows of {dc_dist, n, n_sel}
+ */
+export async function fetchLqByDistrict({ start, end, types }) {
+  const sql = Q.buildLqByDistrictSQL({ start, end, types });
+  return runCartoSql('fetchLqByDistrict', sql, { cacheTTL: 120_000, persist: PERSIST_POLICIES.aggregates });
+}
+
+/**
+ * Fetch grid-snapped all-offense and selected-offense counts citywide (tract location quotients).
+ * @param {{start:string,end:string,types?:string[],cellDeg?:number}} params
+ * @returns {Promise<object>} rows of {x, y, n, n_sel} with x/y in EPSG:4326
+ */
+export async function fetchLqGrid({ start, end, types, cellDeg }) {
+  const sql = Q.buildLqGridSQL({ start, end, types, cellDeg });
+  return runCartoSql('fetchLqGrid', sql, { cacheTTL: 300_000, persist: PERSIST_POLICIES.aggregates });
+}
+
+/**
+ * Fetch all-offense and selected-offense counts per district and month (time-lapse LQ).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {Promise<object>} rows of {m, dc_dist, n, n_sel}
+ */
+export async function fetchMonthlyLqByDistrict({ start, end, types, drilldownCodes }) {
+  const sql = Q.buildMonthlyLqByDistrictSQL({ start, end, types, drilldownCodes });
+  return runCartoSql('fetchMonthlyLqByDistrict', sql, { cacheTTL: 300_000, persist: PERSIST_POLICIES.aggregates });
+}
+
+/**
+ * Fetch grid-snapped all-offense and selected-offense counts per month (tract time-lapse LQ).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],cellDeg?:number}} params
+ * @returns {Promise<object>} rows of {x, y, m, n, n_sel} with x/y in EPSG:4326
+ */
+export async function fetchMonthlyLqGrid({ start, end, types, drilldownCodes, cellDeg }) {
+  const sql = Q.buildMonthlyLqGridSQL({ start, end, types, drilldownCodes, cellDeg });
+  return runCartoSql('fetchMonthlyLqGrid', sql, { cacheTTL: 300_000, persist: PERSIST_POLICIES.aggregates });
 }
 
 /**
@@ -167,10 +191,7 @@ export async function fetchByDistrict({ start, end, types }) {
  */
 export async function fetchTopTypesByDistrict({ start, end, types, dc_dist, limit = 5 }) {
   const sql = Q.buildTopTypesDistrictSQL({ start, end, types, dc_dist, limit });
-  await logQuery('fetchTopTypesByDistrict', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: `q=${encodeURIComponent(sql)}`, cacheTTL: 60_000,
-  });
+  return runCartoSql('fetchTopTypesByDistrict', sql, { cacheTTL: 60_000 });
 }
 
 /**
@@ -178,10 +199,7 @@ export async function fetchTopTypesByDistrict({ start, end, types, dc_dist, limi
  */
 export async function fetch7x24District({ start, end, types, dc_dist }) {
   const sql = Q.buildHeatmap7x24DistrictSQL({ start, end, types, dc_dist });
-  await logQuery('fetch7x24District', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: `q=${encodeURIComponent(sql)}`, cacheTTL: 60_000,
-  });
+  return runCartoSql('fetch7x24District', sql, { cacheTTL: 60_000 });
 }
 
 /**
@@ -191,13 +209,7 @@ export async function fetch7x24District({ start, end, types, dc_dist }) {
  */
 export async function fetchCountBuffer({ start, end, types, center3857, radiusM }) {
   const sql = Q.buildCountBufferSQL({ start, end, types, center3857, radiusM });
-  await logQuery('fetchCountBuffer', sql);
-  const json = await fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 30_000,
-  });
+  const json = await runCartoSql('fetchCountBuffer', sql, { cacheTTL: 30_000 });
   const rows = json?.rows;
   const n = Array.isArray(rows) && rows.length > 0 ? Number(rows[0]?.n) || 0 : 0;
   return n;
@@ -220,33 +232,28 @@ export async function fetchAvailableCodesForGroups({ start, end, groups }) {
     return [];
   }
 
-  // Build SQL to get distinct codes with incidents in time window
-  const startIso = Q.dateFloorGuard(start);
-  const endIso = end; // FIX: use the computed end (was: start, creating zero-length window)
-  const sanitized = Q.sanitizeTypes(expandedCodes);
-  const codeList = sanitized.map((c) => `'${c}'`).join(', ');
-
-  const sql = [
-    'SELECT DISTINCT text_general_code',
-    'FROM incidents_part1_part2',
-    `WHERE dispatch_date_time >= '${startIso}'`,
-    `  AND dispatch_date_time < '${endIso}'`,
-    `  AND text_general_code IN (${codeList})`,
-    'ORDER BY text_general_code',
-  ].join('\n');
+  // Distinct codes with incidents in the time window
+  const sql = Q.buildAvailableCodesSQL({ start, end, codes: expandedCodes });
 
-  await logQuery('fetchAvailableCodesForGroups', sql);
-  const json = await fetchJson(CARTO_SQL_BASE, {
-    method: 'POST',
-    headers: { 'content-type': 'application/x-www-form-urlencoded' },
-    body: `q=${encodeURIComponent(sql)}`,
-    cacheTTL: 60_000, // 60s cache
-  });
+  const json = await runCartoSql('fetchAvailableCodesForGroups', sql, { cacheTTL: 60_000 });
 
   const rows = json?.rows || [];
   return rows.map((r) => r.text_general_code).filter(Boolean);
 }
 
+/**
+ * Every offense code seen in [start, end) with its incident count (offense taxonomy audit).
+ * @param {{start:string,end:string}} params
+ * @returns {Promise<Array<{code:string, n:number}>>}
+ */
+export async function fetchOffenseCodeCounts({ start, end }) {
+  const sql = Q.buildOffenseCodeCountsSQL({ start, end });
+  const json = await runCartoSql('fetchOffenseCodeCounts', sql, { cacheTTL: 10 * 60_000, persist: PERSIST_POLICIES.aggregates });
+  return (json?.rows || [])
+    .filter((r) => r.text_general_code)
+    .map((r) => ({ code: String(r.text_general_code).trim(), n: Number(r.n) || 0 }));
+}
+
 /**
  * Fetch monthly time series for a census tract (STUB).
  * @param {object} params
@@ -262,10 +269,7 @@ export async function fetchMonthlySeriesTract({ start, end, types, tractGEOID })
   const pb = getTractPolygonAndBboxByGEOID(tracts, tractGEOID, { decimals: 6 });
   if (!pb) throw new Error(`Tract ${tractGEOID} not found`);
   const sql = Q.buildMonthlyTractSQL({ start, end, types, tractGEOID, tractGeometry: pb.geojsonPolygon4326 });
-  await logQuery('fetchMonthlySeriesTract', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: `q=${encodeURIComponent(sql)}`, cacheTTL: 90_000,
-  });
+  return runCartoSql('fetchMonthlySeriesTract', sql, { cacheTTL: 90_000 });
 }
 
 /**
@@ -283,10 +287,7 @@ export async function fetchTopTypesTract({ start, end, types, tractGEOID, limit
   const pb = getTractPolygonAndBboxByGEOID(tracts, tractGEOID, { decimals: 6 });
   if (!pb) throw new Error(`Tract ${tractGEOID} not found`);
   const sql = Q.buildTopTypesTractSQL({ start, end, types, tractGEOID, tractGeometry: pb.geojsonPolygon4326, limit });
-  await logQuery('fetchTopTypesTract', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: `q=${encodeURIComponent(sql)}`, cacheTTL: 90_000,
-  });
+  return runCartoSql('fetchTopTypesTract', sql, { cacheTTL: 90_000 });
 }
 
 /**
@@ -304,13 +305,52 @@ export async function fetch7x24Tract({ start, end, types, tractGEOID }) {
   const pb = getTractPolygonAndBboxByGEOID(tracts, tractGEOID, { decimals: 6 });
   if (!pb) throw new Error(`Tract ${tractGEOID} not found`);
   const sql = Q.buildHeatmap7x24TractSQL({ start, end, types, tractGEOID, tractGeometry: pb.geojsonPolygon4326 });
-  await logQuery('fetch7x24Tract', sql);
-  return fetchJson(CARTO_SQL_BASE, {
-    method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: `q=${encodeURIComponent(sql)}`, cacheTTL: 90_000,
-  });
+  return runCartoSql('fetch7x24Tract', sql, { cacheTTL: 90_000 });
 }
 
 // Aliases matching request naming
 export async function fetchMonthlyTract({ start, end, geoid, codes }) {
   return fetchMonthlySeriesTract({ start, end, types: codes, tractGEOID: geoid });
 }
+
+/**
+ * Monthly counts inside a drawn or uploaded area (polygon query mode).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object}} params - EPSG:4326 geometry
+ * @returns {Promise<{rows: Array<{m: string, n: number}>}>}
+ */
+export async function fetchMonthlyPolygon({ start, end, types, drilldownCodes, geometry }) {
+  const sql = Q.buildMonthlyPolygonSQL({ start, end, types, drilldownCodes, geometry });
+  return runCartoSql('fetchMonthlyPolygon', sql, { cacheTTL: 90_000 });
+}
+
+/**
+ * Top offense types inside a drawn or uploaded area.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object,limit?:number}} params
+ * @returns {Promise<{rows: Array<{text_general_code: string, n: number}>}>}
+ */
+export async function fetchTopTypesPolygon({ start, end, types, drilldownCodes, geometry, limit = 12 }) {
+  const sql = Q.buildTopTypesPolygonSQL({ start, end, types, drilldownCodes, geometry, limit });
+  return runCartoSql('fetchTopTypesPolygon', sql, { cacheTTL: 90_000 });
+}
+
+/**
+ * Day-of-week × hour counts inside a drawn or uploaded area.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object}} params
+ * @returns {Promise<{rows: Array<{dow: number, hr: number, n: number}>}>}
+ */
+export async function fetch7x24Polygon({ start, end, types, drilldownCodes, geometry }) {
+  const sql = Q.buildHeatmap7x24PolygonSQL({ start, end, types, drilldownCodes, geometry });
+  return runCartoSql('fetch7x24Polygon', sql, { cacheTTL: 90_000 });
+}
+
+/**
+ * Count incidents inside a drawn or uploaded area.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object}} params
+ * @returns {Promise<number>} total count
+ */
+export async function fetchCountPolygon({ start, end, types, drilldownCodes, geometry }) {
+  const sql = Q.buildCountPolygonSQL({ start, end, types, drilldownCodes, geometry });
+  const json = await runCartoSql('fetchCountPolygon', sql, { cacheTTL: 90_000 });
+  const rows = json?.rows;
+  return Array.isArray(rows) && rows.length > 0 ? Number(rows[0]?.n) || 0 : 0;
+}
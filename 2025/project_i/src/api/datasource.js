@@ -0,0 +1,252 @@
+/**
+ * Crime data source switch.
+ *
+ * Every CARTO SQL call in the dashboard goes through runCartoSql(), which serves
+ * it from one of three modes (VITE_CRIME_SOURCE, or `?source=` in the page URL):
+ *   - live:     POST to CARTO_SQL_BASE (default; point VITE_CARTO_SQL_BASE at a
+ *               local stand-in such as scripts/serve_crime_snapshot.mjs to test offline)
+ *   - snapshot: look the query up in a recorded bundle (VITE_CRIME_SNAPSHOT_URL,
+ *               default ./data/crime_snapshot.json); unknown queries get an empty
+ *               result of the same shape and a banner lists them
+ *   - record:   query live and keep every response so the session can be saved
+ *               as a bundle via window.__crimeSnapshot.download()
+ *
+ * Bundle shape: { meta:{generated_at, reference_date, source, count}, entries:{ [key]: {label, sql, format, data} } }
+ * with sql whitespace-normalized. Keys are short hashes, so a lookup also compares
+ * the entry's sql and treats a mismatch as a miss.
+ *
+ * Windows relative to today (the default rolling window, presets, compare card) use
+ * referenceDay(). In snapshot mode it is pinned to the bundle's reference_date, the
+ * day it was recorded, so those windows render the same SQL and keys as when recorded.
+ */
+
+import dayjs from "dayjs";
+import { CARTO_SQL_BASE } from "../config.js";
+import { fetchJson, logQuery } from "../utils/http.js";
+
+// Vite env in the browser; process.env for Node scripts and tests
+const env = (typeof import.meta !== "undefined" && import.meta.env)
+  || (typeof process !== "undefined" && process.env) || {};
+const MODES = ["live", "snapshot", "record"];
+
+export const SNAPSHOT_URL = env.VITE_CRIME_SNAPSHOT_URL || "./data/crime_snapshot.json";
+
+const recorded = new Map(); // key -> {label, sql, format, data}
+const warnedMisses = new Set();
+const missedLabels = new Set();
+let bundlePromise = null;
+let bundleError = null;
+let pinnedDay = null; // 'YYYY-MM-DD' in snapshot mode once pinSnapshotClock() ran
+let recordedOn = null;
+
+/**
+ * Resolve the active mode; the page URL wins over the build-time env.
+ * @returns {'live'|'snapshot'|'record'}
+ */
+export function getCrimeSourceMode() {
+  let fromUrl = null;
+  try {
+    if (typeof window !== "undefined") fromUrl = new URLSearchParams(window.location.search).get("source");
+  } catch {}
+  const mode = (fromUrl || env.VITE_CRIME_SOURCE || "live").toLowerCase();
+  return MODES.includes(mode) ? mode : "live";
+}
+
+/**
+ * Today, or the bundle's recording day in snapshot mode (after pinSnapshotClock()).
+ * @returns {import('dayjs').Dayjs}
+ */
+export function referenceDay() {
+  return pinnedDay ? dayjs(pinnedDay) : dayjs();
+}
+
+/**
+ * In snapshot mode, load the bundle and pin referenceDay() to its reference_date
+ * (falling back to the date of generated_at). Call once before the first query.
+ * @returns {Promise<string|null>} the pinned day, or null in live/record mode
+ */
+export async function pinSnapshotClock() {
+  if (getCrimeSourceMode() !== "snapshot") return null;
+  const meta = (await loadBundle())?.meta || {};
+  const day = String(meta.reference_date || meta.generated_at || "").slice(0, 10);
+  pinnedDay = /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+  return pinnedDay;
+}
+
+/**
+ * Serve snapshot lookups from an in-memory bundle instead of fetching SNAPSHOT_URL
+ * (Node scripts and tests, which have no page to fetch it from).
+ * @param {{meta?:object, entries?:object}} bundle
+ */
+export function useSnapshotBundle(bundle) {
+  bundlePromise = Promise.resolve(bundle);
+  bundleError = null;
+  pinnedDay = null;
+  warnedMisses.clear();
+  missedLabels.clear();
+}
+
+/**
+ * Labels of the queries the snapshot could not answer since the bundle loaded.
+ * @returns {string[]}
+ */
+export function getSnapshotMisses() {
+  return Array.from(missedLabels);
+}
+
+/**
+ * Stable key for a query: whitespace-normalized SQL plus response format.
+ * Shared with scripts/serve_crime_snapshot.mjs so both resolve the same entries.
+ * @param {string} sql
+ * @param {string} [format] - 'GeoJSON' or undefined for CARTO's default JSON rows
+ * @returns {string}
+ */
+export function snapshotKey(sql, format) {
+  const fmt = String(format || "json").toLowerCase();
+  const s = `${fmt} ${normalizeSql(sql)}`;
+  // djb2, same as utils/http.js
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h) + s.charCodeAt(i);
+  return `${fmt}:${(h >>> 0).toString(36)}`;
+}
+
+/**
+ * SQL as snapshotKey() hashes it and bundle entries store it.
+ * @param {string} sql
+ * @returns {string}
+ */
+export function normalizeSql(sql) {
+  return String(sql).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Bundle entry answering a query, or null. The key is a 32-bit hash, so an entry
+ * under it whose own SQL differs (a collision) is a miss rather than another
+ * query's data.
+ * @param {object} entries - bundle.entries
+ * @param {string} sql
+ * @param {string} [format]
+ * @returns {{label:string, sql:string, format:string|null, data:object}|null}
+ */
+export function findSnapshotEntry(entries, sql, format) {
+  const hit = entries?.[snapshotKey(sql, format)];
+  return hit && typeof hit.sql === "string" && normalizeSql(hit.sql) === normalizeSql(sql) ? hit : null;
+}
+
+/**
+ * Empty response in the shape CARTO returns for the given format.
+ * @param {string} [format]
+ * @returns {object}
+ */
+export function emptyResult(format) {
+  return String(format).toLowerCase() === "geojson"
+    ? { type: "FeatureCollection", features: [] }
+    : { rows: [], fields: {}, total_rows: 0 };
+}
+
+/**
+ * Run a SQL query against the active crime data source.
+ * @param {string} label - Caller name, used for logs and the recorded bundle
+ * @param {string} sql
+ * @param {{format?:string, cacheTTL?:number, persist?:{ttl:number, stale?:number}}} [options]
+ *   persist: IndexedDB policy from PERSIST_POLICIES; entries are labelled with `label`
+ * @returns {Promise<object>} `{rows:[...]}`, or a FeatureCollection when format is 'GeoJSON'
+ */
+export async function runCartoSql(label, sql, { format, cacheTTL, persist } = {}) {
+  await logQuery(label, sql);
+  const mode = getCrimeSourceMode();
+  if (mode === "snapshot") return lookupSnapshot(label, sql, format);
+
+  const body = `${format ? `format=${encodeURIComponent(format)}&` : ""}q=${encodeURIComponent(sql)}`;
+  const data = await fetchJson(CARTO_SQL_BASE, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body,
+    cacheTTL,
+    persist: persist && { label, ...persist },
+  });
+  if (mode === "record") recordResponse(label, sql, format, data);
+  return data;
+}
+
+/**
+ * Bundle of everything answered live since the page loaded (record mode only).
+ * @returns {{meta:object, entries:object}}
+ */
+export function exportRecordedSnapshot() {
+  return {
+    meta: {
+      generated_at: new Date().toISOString(),
+      reference_date: recordedOn || dayjs().format("YYYY-MM-DD"),
+      source: CARTO_SQL_BASE,
+      count: recorded.size,
+    },
+    entries: Object.fromEntries(recorded),
+  };
+}
+
+async function lookupSnapshot(label, sql, format) {
+  const bundle = await loadBundle();
+  const key = snapshotKey(sql, format);
+  const hit = findSnapshotEntry(bundle?.entries, sql, format);
+  if (hit) return hit.data;
+  if (!warnedMisses.has(key)) {
+    warnedMisses.add(key);
+    console.warn(`[crime-source] snapshot miss for ${label} (${key}); returning empty result`);
+  }
+  missedLabels.add(label);
+  showSnapshotBanner();
+  return emptyResult(format);
+}
+
+function loadBundle() {
+  if (!bundlePromise) {
+    bundlePromise = fetchJson(SNAPSHOT_URL, { cacheTTL: 60 * 60_000, retries: 0 }).catch((e) => {
+      console.warn(`[crime-source] could not load snapshot ${SNAPSHOT_URL}: ${e?.message || e}`);
+      bundleError = e?.message || String(e);
+      return { meta: {}, entries: {} };
+    });
+  }
+  return bundlePromise;
+}
+
+// Empty panels in snapshot mode look like real zero counts, so say which queries missed
+function showSnapshotBanner() {
+  if (typeof document === "undefined") return;
+  let el = document.getElementById("snapshot-banner");
+  if (!el) {
+    el = document.createElement("div");
+    el.id = "snapshot-banner";
+    el.setAttribute("role", "status");
+    Object.assign(el.style, {
+      position: "fixed", top: "52px", left: "50%", transform: "translateX(-50%)", maxWidth: "560px",
+      background: "rgba(254, 226, 226, 0.95)", color: "#7f1d1d", padding: "8px 12px",
+      border: "1px solid #f87171", borderRadius: "6px", zIndex: 30, font: "13px/1.4 system-ui, sans-serif",
+    });
+    document.body.appendChild(el);
+  }
+  const labels = getSnapshotMisses();
+  el.textContent = bundleError
+    ? `Snapshot mode: could not load ${SNAPSHOT_URL} (${bundleError}). Every chart and count is empty.`
+    : `Snapshot mode: ${labels.length} quer${labels.length === 1 ? "y" : "ies"} not in the recorded bundle (${labels.join(", ")}). `
+      + "Those views are empty, not zero.";
+}
+
+function recordResponse(label, sql, format, data) {
+  if (!recordedOn) recordedOn = dayjs().format("YYYY-MM-DD");
+  recorded.set(snapshotKey(sql, format), { label, sql: normalizeSql(sql), format: format || null, data });
+  if (typeof window === "undefined" || window.__crimeSnapshot) return;
+  window.__crimeSnapshot = {
+    get count() { return recorded.size; },
+    export: exportRecordedSnapshot,
+    download(filename = "crime_snapshot.json") {
+      const blob = new Blob([JSON.stringify(exportRecordedSnapshot())], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    },
+  };
+  console.info("[crime-source] recording; run window.__crimeSnapshot.download() to save the bundle");
+}
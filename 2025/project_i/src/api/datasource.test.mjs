@@ -0,0 +1,94 @@
+// Snapshot mode without network: a bundle on disk answers the same API calls the
+// dashboard makes, misses come back empty and are reported, and relative windows
+// are pinned to the recording day.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import * as Q from '../utils/sql.js';
+import { snapshotKey, findSnapshotEntry, useSnapshotBundle, getSnapshotMisses, pinSnapshotClock, referenceDay, emptyResult } from './datasource.js';
+import { fetchMonthlySeriesCity, fetchCountBuffer, fetchPoints, fetchTopTypesBuffer } from './crime.js';
+import { fetchCoverage } from './meta.js';
+import { store } from '../state/store.js';
+
+const cwd = process.cwd();
+const prevSource = process.env.VITE_CRIME_SOURCE;
+let tmp;
+
+const win = { start: '2024-01-01', end: '2024-07-01', types: ['Thefts'] };
+const buffer = { ...win, center3857: [-8366000, 4859000], radiusM: 800 };
+const entry = (label, sql, data, format) => [snapshotKey(sql, format), { label, sql, format: format || null, data }];
+
+function recordedBundle() {
+  const pointsSql = Q.buildCrimePointsSQL({ ...win, bbox: [-8370000, 4855000, -8360000, 4865000] });
+  return {
+    meta: { generated_at: '2024-07-15T18:00:00.000Z', reference_date: '2024-07-15', source: 'test', count: 5 },
+    entries: Object.fromEntries([
+      entry('fetchMonthlySeriesCity', Q.buildMonthlyCitySQL(win), { rows: [{ m: '2024-01-01T00:00:00Z', n: 812 }, { m: '2024-02-01T00:00:00Z', n: 790 }] }),
+      entry('fetchCountBuffer', Q.buildCountBufferSQL(buffer), { rows: [{ n: 57 }] }),
+      entry('fetchPoints', pointsSql, { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [-75.16, 39.95] }, properties: { text_general_code: 'Thefts' } }] }, 'GeoJSON'),
+      entry('coverage_sql', 'SELECT MIN(dispatch_date_time)::date AS min_dt, MAX(dispatch_date_time)::date AS max_dt FROM incidents_part1_part2', { rows: [{ min_dt: '2006-01-01', max_dt: '2024-07-14' }] }),
+      // whitespace differences must not matter
+      entry('fetchTopTypesBuffer', `  ${Q.buildTopTypesSQL({ start: win.start, end: win.end, center3857: buffer.center3857, radiusM: 800, limit: 12 }).replace(/\n/g, '\n   ')}  `, { rows: [{ text_general_code: 'Thefts', n: 57 }] }),
+    ]),
+  };
+}
+
+before(async () => {
+  process.env.VITE_CRIME_SOURCE = 'snapshot';
+  // http.js logs queries under ./logs in Node; keep that out of the repo
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'crime-snapshot-'));
+  process.chdir(tmp);
+  const file = path.join(tmp, 'crime_snapshot.json');
+  await fs.writeFile(file, JSON.stringify(recordedBundle()));
+  useSnapshotBundle(JSON.parse(await fs.readFile(file, 'utf8')));
+});
+
+after(async () => {
+  process.chdir(cwd);
+  await fs.rm(tmp, { recursive: true, force: true });
+  if (prevSource === undefined) delete process.env.VITE_CRIME_SOURCE;
+  else process.env.VITE_CRIME_SOURCE = prevSource;
+});
+
+test('recorded queries are answered from the bundle', async () => {
+  const monthly = await fetchMonthlySeriesCity(win);
+  assert.deepEqual(monthly.rows.map((r) => r.n), [812, 790]);
+  assert.equal(await fetchCountBuffer(buffer), 57);
+  const points = await fetchPoints({ ...win, bbox: [-8370000, 4855000, -8360000, 4865000] });
+  assert.equal(points.features.length, 1);
+  const top = await fetchTopTypesBuffer({ ...buffer, limit: 12 });
+  assert.deepEqual(top.rows, [{ text_general_code: 'Thefts', n: 57 }]);
+  assert.deepEqual(await fetchCoverage(), { min: '2006-01-01', max: '2024-07-14' });
+  assert.deepEqual(getSnapshotMisses(), []);
+});
+
+test('unrecorded queries return an empty result of the same shape and are reported', async () => {
+  assert.equal(await fetchCountBuffer({ ...buffer, radiusM: 400 }), 0);
+  const points = await fetchPoints({ ...win, bbox: [0, 0, 1, 1] });
+  assert.deepEqual(points, emptyResult('GeoJSON'));
+  assert.deepEqual(getSnapshotMisses(), ['fetchCountBuffer', 'fetchPoints']);
+});
+
+test('relative windows are pinned to the recording day', async () => {
+  assert.equal(await pinSnapshotClock(), '2024-07-15');
+  assert.equal(referenceDay().format('YYYY-MM-DD'), '2024-07-15');
+  const saved = { startMonth: store.startMonth, durationMonths: store.durationMonths, timeWindowMonths: store.timeWindowMonths };
+  try {
+    Object.assign(store, { startMonth: null, timeWindowMonths: 6 });
+    assert.deepEqual(store.getStartEnd(), { start: '2024-01-15', end: '2024-07-15' });
+  } finally {
+    Object.assign(store, saved);
+  }
+});
+
+test('an entry whose SQL differs from the query is a miss even under the same key', () => {
+  const sql = Q.buildCountBufferSQL(buffer);
+  const other = Q.buildCountBufferSQL({ ...buffer, radiusM: 400 });
+  const entries = { [snapshotKey(sql)]: { label: 'fetchCountBuffer', sql: other, format: null, data: { rows: [{ n: 3 }] } } };
+  assert.equal(findSnapshotEntry(entries, sql), null);
+  entries[snapshotKey(sql)].sql = `\n${sql.replace(/ /g, '  ')}\n`;
+  assert.deepEqual(findSnapshotEntry(entries, sql).data, { rows: [{ n: 3 }] });
+  assert.equal(findSnapshotEntry(entries, sql, 'GeoJSON'), null);
+});
@@ -1,13 +1,35 @@
 /**
  * Route Safety Diary - API Client
  *
- * Purpose: Client-side API functions for diary endpoints (mock for M1).
- * Status: [TODO] Implementation needed for M1 (mock responses)
+ * Purpose: Client-side API functions for diary endpoints.
+ * Status: All endpoints hit the local server (server/api/diary).
  * See: docs/API_DIARY.md
  */
 
-// TODO: Import http utility when implementing
-// import { http } from '../utils/http.js';
+import { fetchJson } from '../utils/http.js';
+
+const DIARY_API_BASE = import.meta?.env?.VITE_DIARY_API_BASE || '/api/diary';
+
+/**
+ * Send a JSON request and return the parsed body, including {ok:false} error payloads.
+ * @param {string} path - Path under DIARY_API_BASE
+ * @param {{method?:string, body?:object}} [opts]
+ * @returns {Promise<object>}
+ */
+async function requestJson(path, { method = 'POST', body } = {}) {
+  try {
+    const res = await fetch(`${DIARY_API_BASE}${path}`, {
+      method,
+      headers: body === undefined ? undefined : { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => null);
+    if (data && typeof data === 'object') return data;
+    return { ok: false, status: res.status, error: `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e), code: 'NETWORK_ERROR' };
+  }
+}
 
 /**
  * Submit trip rating with segment-level data
@@ -15,25 +37,7 @@
  * @returns {Promise<object>} {ok, submission_id, updated_segments, saved_route_id}
  */
 export async function submitDiary(payload) {
-  // TODO: M1 mock implementation (500ms delay)
-  return new Promise(resolve => {
-    setTimeout(() => {
-      resolve({
-        ok: true,
-        submission_id: 'mock_' + Date.now(),
-        updated_segments: payload.matched_segments.map(id => ({
-          segment_id: id,
-          rating: payload.overall_rating + Math.random() * 0.5 - 0.25,
-          n_eff: Math.random() * 50 + 10,
-          trend_30d: Math.random() * 0.8 - 0.4
-        })),
-        saved_route_id: payload.save_as_route ? 'route_' + Date.now() : null
-      });
-    }, 500);
-  });
-
-  // TODO: M2 real implementation
-  // return http.post('/api/diary/submit', payload);
+  return requestJson('/submit', { body: payload });
 }
 
 /**
@@ -42,18 +46,17 @@ export async function submitDiary(payload) {
  * @returns {Promise<object>} GeoJSON FeatureCollection
  */
 export async function getSegments(params = {}) {
-  // TODO: M1 mock implementation
-  // Return seed data with mock ratings
-  console.warn('[Diary] getSegments not implemented (M1 stub)');
-  return {
-    ok: false,
-    status: 501,
-    message: 'Endpoint not implemented in M1'
-  };
-
-  // TODO: M2 real implementation
-  // const query = new URLSearchParams(params).toString();
-  // return http.get(`/api/diary/segments?${query}`);
+  const query = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v == null || v === '') continue;
+    query.set(k, Array.isArray(v) ? v.join(',') : String(v));
+  }
+  const qs = query.toString();
+  try {
+    return await fetchJson(`${DIARY_API_BASE}/segments${qs ? `?${qs}` : ''}`, { cacheTTL: 0, retries: 1 });
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
 }
 
 /**
@@ -62,95 +65,27 @@ export async function getSegments(params = {}) {
  * @returns {Promise<object>} Segment summary
  */
 export async function getSegmentDetails(segmentId) {
-  // TODO: M1 mock implementation
-  return new Promise(resolve => {
-    setTimeout(() => {
-      resolve({
-        ok: true,
-        segment_id: segmentId,
-        name: 'Main St',
-        rating: 3.8,
-        n_eff: 45.2,
-        confidence: 87,
-        trend_30d: 0.4,
-        top_tags: ['poor lighting', 'low foot traffic'],
-        total_reports: 44,
-        last_updated: Date.now() - 7200000 // 2 hours ago
-      });
-    }, 300);
-  });
-
-  // TODO: M2 real implementation
-  // return http.get(`/api/diary/segments/${segmentId}`);
+  return requestJson(`/segments/${encodeURIComponent(segmentId)}`, { method: 'GET' });
 }
 
 /**
  * Get full segment analytics for CommunityDetailsModal
  * @param {string} segmentId - Segment ID
+ * @param {{weeks?:number}} [opts] - Weeks of history (default 8)
  * @returns {Promise<object>} Full analytics
  */
-export async function getSegmentAnalytics(segmentId) {
-  // TODO: M1 mock implementation
-  return new Promise(resolve => {
-    setTimeout(() => {
-      resolve({
-        ok: true,
-        segment_id: segmentId,
-        name: 'Main St',
-        total_reports: 44,
-        avg_rating: 3.8,
-        confidence: 87,
-        trend_30d: 0.4,
-        weekly_trend: [
-          { week: 'W1', rating: 3.2, count: 8, start_date: '2025-10-01' },
-          { week: 'W2', rating: 3.4, count: 11, start_date: '2025-10-08' },
-          { week: 'W3', rating: 3.6, count: 12, start_date: '2025-10-15' },
-          { week: 'W4', rating: 3.8, count: 14, start_date: '2025-10-22' }
-        ],
-        rating_distribution: [
-          { stars: 1, count: 8, percentage: 18 },
-          { stars: 2, count: 15, percentage: 34 },
-          { stars: 3, count: 12, percentage: 27 },
-          { stars: 4, count: 6, percentage: 14 },
-          { stars: 5, count: 3, percentage: 7 }
-        ],
-        tag_frequency: [
-          { tag: 'poor lighting', count: 18, trend: 2 },
-          { tag: 'low foot traffic', count: 12, trend: -1 },
-          { tag: 'cars too close', count: 8, trend: 0 }
-        ],
-        recent_activity: [
-          { type: 'improve', timestamp: Date.now() - 7200000, display: 'Anonymous noted improvement', relative_time: '2 hours ago' },
-          { type: 'agree', timestamp: Date.now() - 18000000, display: 'Anonymous agreed with rating', relative_time: '5 hours ago' }
-        ]
-      });
-    }, 400);
-  });
-
-  // TODO: M2 real implementation
-  // return http.get(`/api/diary/segments/${segmentId}/analytics`);
+export async function getSegmentAnalytics(segmentId, { weeks } = {}) {
+  const qs = weeks ? `?weeks=${weeks}` : '';
+  return requestJson(`/segments/${encodeURIComponent(segmentId)}/analytics${qs}`, { method: 'GET' });
 }
 
 /**
  * Submit "Agree" community action
  * @param {string} segmentId - Segment ID
- * @returns {Promise<object>} {ok, new_n_eff, message}
+ * @returns {Promise<object>} {ok, new_n_eff, rating, message}
  */
 export async function submitAgree(segmentId) {
-  // TODO: M1 mock implementation
-  return new Promise(resolve => {
-    setTimeout(() => {
-      resolve({
-        ok: true,
-        segment_id: segmentId,
-        new_n_eff: Math.random() * 10 + 40,
-        message: 'Thanks — confidence updated'
-      });
-    }, 500);
-  });
-
-  // TODO: M2 real implementation
-  // return http.post('/api/diary/agree', { segment_id: segmentId });
+  return requestJson('/agree', { body: { segment_id: segmentId } });
 }
 
 /**
@@ -159,36 +94,33 @@ export async function submitAgree(segmentId) {
  * @returns {Promise<object>} {ok, improvement_count, message}
  */
 export async function submitImprove(segmentId) {
-  // TODO: M1 mock implementation
-  return new Promise(resolve => {
-    setTimeout(() => {
-      resolve({
-        ok: true,
-        segment_id: segmentId,
-        improvement_count: Math.floor(Math.random() * 20) + 5,
-        message: 'Thanks — improvement noted'
-      });
-    }, 500);
-  });
-
-  // TODO: M2 real implementation
-  // return http.post('/api/diary/improve', { segment_id: segmentId });
+  return requestJson('/improve', { body: { segment_id: segmentId } });
 }
 
 /**
  * Get safer alternative route
  * @param {object} params - {from: [lng,lat], to: [lng,lat], time: ISO string}
- * @returns {Promise<object>} {ok, route, comparison} or {ok, route: null}
+ * @returns {Promise<object>} {ok, route, direct_route, comparison, message?}; route and direct_route
+ *   are null only when no path connects the points, and comparison.meets_criteria says whether the
+ *   safer route is worth offering
  */
 export async function getSaferRoute(params) {
-  // TODO: M1 stub (always returns null)
-  console.warn('[Diary] A* routing not implemented yet (M1 stub)');
-  return {
-    ok: true,
-    route: null,
-    message: 'No safer alternative found within acceptable time limit'
-  };
+  return requestJson('/route', { body: params });
+}
 
-  // TODO: M2 real implementation
-  // return http.post('/api/diary/route', params);
+/**
+ * List routes saved with "Save as route"
+ * @returns {Promise<object>} {ok, routes: [{route_id, name, segment_ids, travel_mode, created_at}]}
+ */
+export async function getSavedRoutes() {
+  return requestJson('/routes', { method: 'GET' });
+}
+
+/**
+ * Delete a saved route
+ * @param {string} routeId - Route ID
+ * @returns {Promise<object>} {ok, route_id} or {ok: false, code: 'NOT_FOUND'}
+ */
+export async function deleteSavedRoute(routeId) {
+  return requestJson(`/routes/${encodeURIComponent(routeId)}`, { method: 'DELETE' });
 }
@@ -0,0 +1,82 @@
+/**
+ * Route Safety Diary - Request Schemas
+ *
+ * Purpose: JSON schemas shared by the client form and the server endpoints.
+ * See: docs/API_DIARY.md (POST /api/diary/submit, /route, /agree, /improve)
+ */
+
+/**
+ * Body of POST /api/diary/submit
+ */
+export const submitSchema = {
+  type: 'object',
+  properties: {
+    overall_rating: { type: 'integer', minimum: 1, maximum: 5 },
+    tags: {
+      type: 'array',
+      maxItems: 3,
+      items: { type: 'string', maxLength: 30 }
+    },
+    travel_mode: { type: 'string', enum: ['walk', 'bike'] },
+    segment_overrides: {
+      type: 'array',
+      maxItems: 2,
+      items: {
+        type: 'object',
+        properties: {
+          segment_id: { type: 'string' },
+          rating: { type: 'integer', minimum: 1, maximum: 5 }
+        },
+        required: ['segment_id', 'rating']
+      }
+    },
+    save_as_route: { type: 'boolean' },
+    route_name: { type: 'string', maxLength: 100 },
+    matched_segments: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1
+    },
+    timestamp: { type: 'integer' }
+  },
+  required: ['overall_rating', 'travel_mode', 'matched_segments', 'timestamp']
+};
+
+/**
+ * Body of POST /api/diary/route
+ */
+export const routeRequestSchema = {
+  type: 'object',
+  properties: {
+    from: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 },
+    to: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 },
+    time: { type: 'string' }
+  },
+  required: ['from', 'to']
+};
+
+/**
+ * Body of POST /api/diary/agree and POST /api/diary/improve
+ */
+export const segmentActionSchema = {
+  type: 'object',
+  properties: {
+    segment_id: { type: 'string', minLength: 1 }
+  },
+  required: ['segment_id']
+};
+
+/**
+ * Flatten AJV errors into the {field, message} pairs used by the API.
+ * @param {Array} errors - ajv.errors
+ * @returns {Array<{field:string, message:string}>}
+ */
+export function formatSchemaErrors(errors) {
+  return (errors || []).map((e) => {
+    const path = (e.instancePath || '').replace(/^\//, '').replace(/\//g, '.');
+    const field = e.params?.missingProperty
+      ? [path, e.params.missingProperty].filter(Boolean).join('.')
+      : path || '(root)';
+    return { field, message: e.message || 'invalid' };
+  });
+}
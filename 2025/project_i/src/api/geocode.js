@@ -0,0 +1,103 @@
+/**
+ * Address lookup for Buffer A/B.
+ *
+ * Providers are tried in order (VITE_GEOCODER, default "ais,gazetteer") and the
+ * first one with matches wins, so the local gazetteer covers offline sessions and
+ * addresses AIS cannot resolve.
+ */
+
+import { AIS_SEARCH_BASE, GAZETTEER_URL } from "../config.js";
+import { fetchJson } from "../utils/http.js";
+
+/**
+ * @typedef {object} GeocodeResult
+ * @property {string} label - Display text (normalized street address or place name)
+ * @property {number} lng
+ * @property {number} lat
+ * @property {string} source - Provider name
+ */
+
+const env = (typeof import.meta !== "undefined" && import.meta.env) || {};
+
+const providers = new Map([
+  ["ais", searchAis],
+  ["gazetteer", searchGazetteer],
+]);
+
+/**
+ * Add or replace a lookup provider.
+ * @param {string} name
+ * @param {(query:string, opts:{limit:number}) => Promise<GeocodeResult[]>} search
+ */
+export function registerGeocoder(name, search) {
+  providers.set(name, search);
+}
+
+/**
+ * Resolve free text to candidate locations.
+ * @param {string} query
+ * @param {{limit?:number, order?:string[]}} [opts]
+ * @returns {Promise<GeocodeResult[]>} empty when nothing matched or every provider failed
+ */
+export async function searchAddress(query, { limit = 5, order = defaultOrder() } = {}) {
+  const q = String(query || "").trim();
+  if (q.length < 3) return [];
+  for (const name of order) {
+    const search = providers.get(name);
+    if (!search) continue;
+    try {
+      const results = await search(q, { limit });
+      if (results.length) return results.slice(0, limit);
+    } catch (e) {
+      console.warn(`[geocode] ${name} failed:`, e?.message || e);
+    }
+  }
+  return [];
+}
+
+function defaultOrder() {
+  return String(env.VITE_GEOCODER || "ais,gazetteer").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+async function searchAis(q, { limit }) {
+  const key = env.VITE_AIS_KEY ? `&gatekeeperKey=${encodeURIComponent(env.VITE_AIS_KEY)}` : "";
+  let json;
+  try {
+    json = await fetchJson(`${AIS_SEARCH_BASE}/${encodeURIComponent(q)}?max_range=0${key}`, {
+      cacheTTL: 10 * 60_000,
+      retries: 0,
+      timeoutMs: 5000,
+    });
+  } catch (e) {
+    // AIS answers 404 when an address does not resolve
+    if (/HTTP 404/.test(String(e?.message))) return [];
+    throw e;
+  }
+  return (json?.features || [])
+    .filter((f) => f?.geometry?.type === "Point")
+    .slice(0, limit)
+    .map((f) => ({
+      label: f.properties?.street_address || q.toUpperCase(),
+      lng: f.geometry.coordinates[0],
+      lat: f.geometry.coordinates[1],
+      source: "ais",
+    }));
+}
+
+async function searchGazetteer(q, { limit }) {
+  const entries = await fetchJson(GAZETTEER_URL, { cacheTTL: 60 * 60_000, retries: 0 });
+  const needle = normalize(q);
+  const scored = [];
+  for (const e of Array.isArray(entries) ? entries : []) {
+    const names = [e.name, ...(e.aliases || [])].map(normalize);
+    // prefix matches rank ahead of substring matches
+    const score = names.some((n) => n.startsWith(needle)) ? 0 : names.some((n) => n.includes(needle)) ? 1 : -1;
+    if (score >= 0) scored.push({ score, e });
+  }
+  scored.sort((a, b) => a.score - b.score || a.e.name.localeCompare(b.e.name));
+  return scored.slice(0, limit).map(({ e }) => ({ label: e.name, lng: e.lng, lat: e.lat, source: "gazetteer" }));
+}
+
+function normalize(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9 ]+/g, " ").replace(/\s+/g, " ").trim();
+}
@@ -1,18 +1,10 @@
-import { fetchJson, logQuery } from "../utils/http.js";
+import { runCartoSql } from "./datasource.js";
+import { PERSIST_POLICIES } from "../config.js";
 
 const SQL = "SELECT MIN(dispatch_date_time)::date AS min_dt, MAX(dispatch_date_time)::date AS max_dt FROM incidents_part1_part2";
 
 export async function fetchCoverage({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
-  const url = "https://phl.carto.com/api/v2/sql";
-  const body = new URLSearchParams({ q: SQL }).toString();
-  const t0 = Date.now();
-  const json = await fetchJson(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-    cacheTTL: ttlMs,
-  });
-  await logQuery?.("coverage_sql", `${Date.now() - t0}ms ${url} :: ${SQL}`);
+  const json = await runCartoSql("coverage_sql", SQL, { cacheTTL: ttlMs, persist: PERSIST_POLICIES.coverage });
   const row = json?.rows?.[0] || {};
   return { min: row.min_dt, max: row.max_dt };
 }
@@ -13,7 +13,14 @@ import {
   fetchMonthlyTract,
   fetchTopTypesTract,
   fetch7x24Tract,
+  fetchMonthlyPolygon,
+  fetchTopTypesPolygon,
+  fetch7x24Polygon,
 } from '../api/crime.js';
+import { seasonalBaseline, BASELINE_YEARS } from '../utils/seasonal.js';
+import { renderAcsScatter, linearFit } from './scatter_acs.js';
+import { getTractCrimeRates } from '../map/tracts_view.js';
+import { ACS_VARIABLES, acsValue } from '../api/acs.js';
 
 function byMonthRows(rows) {
   return (rows || []).map((r) => ({ m: dayjs(r.m).format('YYYY-MM'), n: Number(r.n) || 0 }));
@@ -30,13 +37,102 @@ function buildMatrix(dowHrRows) {
   return m;
 }
 
+/**
+ * Months ('YYYY-MM') touched by [start, end), including ones with no incidents.
+ */
+function windowMonths(start, end) {
+  const out = [];
+  const last = dayjs(end).subtract(1, 'day').format('YYYY-MM');
+  for (let d = dayjs(start).startOf('month'); d.format('YYYY-MM') <= last; d = d.add(1, 'month')) out.push(d.format('YYYY-MM'));
+  return out;
+}
+
+/**
+ * Same-scope monthly counts for the BASELINE_YEARS before the window, month-aligned.
+ * The baseline follows the area series when there is one, otherwise the city (or
+ * selected district) series.
+ * @returns {Promise<{rows:{m:string,n:number}[], historyStart:string, target:'city'|'area'}>}
+ */
+async function fetchBaselineHistory({ start, types, drilldownCodes, center3857, radiusM, queryMode, selectedDistrictCode, selectedTractGEOID, areaGeometry }) {
+  const hEnd = dayjs(start).startOf('month');
+  const hStart = hEnd.subtract(BASELINE_YEARS, 'year');
+  const range = { start: hStart.format('YYYY-MM-DD'), end: hEnd.format('YYYY-MM-DD') };
+  let resp;
+  let target = 'area';
+  if (queryMode === 'district' && selectedDistrictCode) {
+    resp = await fetchMonthlySeriesCity({ ...range, types, dc_dist: selectedDistrictCode });
+    target = 'city';
+  } else if (queryMode === 'buffer' && center3857) {
+    resp = await fetchMonthlySeriesBuffer({ ...range, types, center3857, radiusM });
+  } else if (queryMode === 'tract' && selectedTractGEOID) {
+    const codes = (Array.isArray(drilldownCodes) && drilldownCodes.length) ? drilldownCodes : types;
+    resp = await fetchMonthlyTract({ ...range, geoid: selectedTractGEOID, codes });
+  } else if (queryMode === 'polygon' && areaGeometry) {
+    resp = await fetchMonthlyPolygon({ ...range, types, drilldownCodes, geometry: areaGeometry });
+  } else {
+    resp = await fetchMonthlySeriesCity({ ...range, types });
+    target = 'city';
+  }
+  const rows = byMonthRows(Array.isArray(resp?.rows) ? resp.rows : resp);
+  return { rows, historyStart: range.start, target };
+}
+
+/**
+ * Summary line under the monthly chart listing flagged months.
+ */
+function renderAnomalyNote(baseline) {
+  const el = document.getElementById('monthly-anomalies');
+  if (!el) return;
+  if (!baseline) {
+    el.textContent = '';
+    return;
+  }
+  const flagged = baseline.points.filter((p) => p.flag).map((p) => p.m);
+  const years = Math.max(0, ...baseline.points.map((p) => p.refs));
+  el.textContent = flagged.length
+    ? `Above seasonal expectation (${years}-yr same-month baseline, 95%): ${flagged.join(', ')}`
+    : `No month above its ${years}-yr same-month baseline (95% band).`;
+  el.style.color = flagged.length ? '#b91c1c' : '#64748b';
+}
+
+let lastData = null;
+
+/**
+ * Series behind the charts currently on screen (for exports), or null before the first render.
+ * @returns {{start:string, end:string, queryMode:string, selectedDistrictCode?:string, selectedTractGEOID?:string, monthly:{city:{m:string,n:number}[], area:{m:string,n:number}[]}, baseline:{points:import('../utils/seasonal.js').BaselinePoint[], phi:number, target:'city'|'area'}|null, topn:{text_general_code:string,n:number}[], matrix:number[][]}|null}
+ */
+export function getChartData() {
+  return lastData;
+}
+
 /**
  * Fetch and render all charts using the provided filters.
  * @param {{start:string,end:string,types?:string[],center3857:[number,number],radiusM:number}} params
  */
-export async function updateAllCharts({ start, end, types = [], drilldownCodes = [], center3857, radiusM, queryMode, selectedDistrictCode, selectedTractGEOID }) {
+export async function updateAllCharts({ start, end, types = [], drilldownCodes = [], center3857, radiusM, queryMode, selectedDistrictCode, selectedTractGEOID, areaGeometry }) {
   try {
     let city, bufOrArea, topn, heat;
+    if (queryMode === 'polygon' && !areaGeometry) {
+      const pane = document.getElementById('charts') || document.body;
+      const status = document.getElementById('charts-status') || (() => {
+        const d = document.createElement('div');
+        d.id = 'charts-status';
+        d.style.cssText = 'position:absolute;right:16px;top:16px;padding:8px 12px;border-radius:8px;box-shadow:0 1px 4px rgba(0,0,0,.1);background:#fff;font:14px/1.4 system-ui';
+        pane.appendChild(d);
+        return d;
+      })();
+      status.textContent = 'Tip: draw or upload an area to show its charts.';
+      return; // skip
+    }
+    // Seasonal baseline is context only: a failed history query leaves the plain chart.
+    // Started alongside the window queries rather than after them.
+    const histPromise = (queryMode === 'buffer' && !center3857)
+      ? null
+      : fetchBaselineHistory({ start, types, drilldownCodes, center3857, radiusM, queryMode, selectedDistrictCode, selectedTractGEOID, areaGeometry })
+        .catch((err) => {
+          console.warn('Seasonal baseline unavailable:', err);
+          return null;
+        });
     if (queryMode === 'district' && selectedDistrictCode) {
       [city, topn, heat] = await Promise.all([
         fetchMonthlySeriesCity({ start, end, types, dc_dist: selectedDistrictCode }),
@@ -71,6 +167,13 @@ export async function updateAllCharts({ start, end, types = [], drilldownCodes =
         fetchTopTypesTract({ start, end, types: codes, tractGEOID: selectedTractGEOID, limit: 12 }),
         fetch7x24Tract({ start, end, types: codes, tractGEOID: selectedTractGEOID }),
       ]);
+    } else if (queryMode === 'polygon') {
+      [city, bufOrArea, topn, heat] = await Promise.all([
+        fetchMonthlySeriesCity({ start, end, types }),
+        fetchMonthlyPolygon({ start, end, types, drilldownCodes, geometry: areaGeometry }),
+        fetchTopTypesPolygon({ start, end, types, drilldownCodes, geometry: areaGeometry, limit: 12 }),
+        fetch7x24Polygon({ start, end, types, drilldownCodes, geometry: areaGeometry }),
+      ]);
     } else {
       // Fallback: only citywide series
       [city] = await Promise.all([
@@ -85,12 +188,40 @@ export async function updateAllCharts({ start, end, types = [], drilldownCodes =
     const bufRows = Array.isArray(bufOrArea?.rows) ? bufOrArea.rows : bufOrArea;
     const topRows = Array.isArray(topn?.rows) ? topn.rows : topn;
     const heatRows = Array.isArray(heat?.rows) ? heat.rows : heat;
+    const monthly = { city: byMonthRows(cityRows), area: byMonthRows(bufRows) };
+
+    let baseline = null;
+    try {
+      const hist = await histPromise;
+      if (hist) {
+        const current = monthly[hist.target];
+        const first = windowMonths(start, end)[0];
+        const rows = [...hist.rows.filter((r) => r.m < first), ...current];
+        baseline = { ...seasonalBaseline(rows, windowMonths(start, end), { historyStart: hist.historyStart, start, end }), target: hist.target };
+      }
+    } catch (err) {
+      console.warn('Seasonal baseline unavailable:', err);
+    }
+
+    lastData = {
+      start, end, queryMode, selectedDistrictCode, selectedTractGEOID,
+      monthly,
+      baseline,
+      topn: (topRows || []).map((r) => ({ text_general_code: r.text_general_code, n: Number(r.n) || 0 })),
+      matrix: buildMatrix(heatRows),
+    };
 
     // Monthly line
     const monthlyEl = document.getElementById('chart-monthly');
     const monthlyCtx = monthlyEl && monthlyEl.getContext ? monthlyEl.getContext('2d') : null;
     if (!monthlyCtx) throw new Error('chart canvas missing: #chart-monthly');
-    renderMonthly(monthlyCtx, byMonthRows(cityRows), byMonthRows(bufRows));
+    renderMonthly(monthlyCtx, monthly.city, monthly.area, {
+      baseline,
+      baselineFor: baseline?.target,
+      cityLabel: queryMode === 'district' && selectedDistrictCode ? `District ${selectedDistrictCode}` : 'Citywide',
+      areaLabel: queryMode === 'tract' && selectedTractGEOID ? `Tract ${selectedTractGEOID}` : queryMode === 'polygon' ? 'Custom area' : 'Buffer A',
+    });
+    renderAnomalyNote(baseline);
 
     // Top-N bar
     const topEl = document.getElementById('chart-topn');
@@ -102,13 +233,13 @@ export async function updateAllCharts({ start, end, types = [], drilldownCodes =
     const heatEl = document.getElementById('chart-7x24');
     const heatCtx = heatEl && heatEl.getContext ? heatEl.getContext('2d') : null;
     if (!heatCtx) throw new Error('chart canvas missing: #chart-7x24');
-    render7x24(heatCtx, buildMatrix(heatRows));
+    render7x24(heatCtx, lastData.matrix);
 
     // Empty-window banner
     const allZeroCity = (Array.isArray(cityRows) && cityRows.length > 0) ? cityRows.every(r => Number(r.n||0) === 0) : false;
     const noneTop = !Array.isArray(topRows) || topRows.length === 0;
     const noneHeat = !Array.isArray(heatRows) || heatRows.length === 0;
-    if (queryMode === 'tract' && (Array.isArray(bufRows) ? bufRows.length === 0 : true) && noneTop && noneHeat) {
+    if ((queryMode === 'tract' || queryMode === 'polygon') && (Array.isArray(bufRows) ? bufRows.length === 0 : true) && noneTop && noneHeat) {
       const pane = document.getElementById('charts') || document.body;
       const status = document.getElementById('charts-status') || (() => {
         const d = document.createElement('div');
@@ -117,7 +248,7 @@ export async function updateAllCharts({ start, end, types = [], drilldownCodes =
         pane.appendChild(d);
         return d;
       })();
-      status.textContent = 'Tract has no incidents in this window.';
+      status.textContent = `${queryMode === 'polygon' ? 'Area' : 'Tract'} has no incidents in this window.`;
     } else if (allZeroCity && noneTop && noneHeat) {
       const pane = document.getElementById('charts') || document.body;
       const status = document.getElementById('charts-status') || (() => {
@@ -143,3 +274,35 @@ export async function updateAllCharts({ start, end, types = [], drilldownCodes =
     throw e;
   }
 }
+
+/**
+ * Tract correlation chart: crime per 10k residents against one ACS variable,
+ * with the OLS line and r in the note underneath. Tracts under 500 residents or
+ * without an estimate are left out.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],selectedTractGEOID?:string|null}} filters
+ * @param {{variable:keyof typeof ACS_VARIABLES, onSelectTract?:(geoid:string)=>void}} opts
+ */
+export async function updateAcsScatter({ start, end, types = [], drilldownCodes = [], selectedTractGEOID = null }, { variable, onSelectTract }) {
+  const canvas = document.getElementById('chart-acs-scatter');
+  const note = document.getElementById('acs-scatter-note');
+  if (!canvas) return;
+  const meta = ACS_VARIABLES[variable] || ACS_VARIABLES.median_income;
+  if (note) note.textContent = 'Loading tracts…';
+
+  const { rows, source } = await getTractCrimeRates({ start, end, types, drilldownCodes });
+  const pts = [];
+  for (const r of rows) {
+    const x = acsValue(r.acs, variable);
+    if (r.rate == null || x == null) continue;
+    pts.push({ x, y: r.rate, geoid: r.geoid, name: r.name });
+  }
+  const fit = linearFit(pts);
+  const xLabel = meta.unit === '%' ? `${meta.label} (%)` : meta.unit === '$' ? `${meta.label} ($)` : meta.label;
+  renderAcsScatter(canvas, pts, { xLabel, fit, selectedGEOID: selectedTractGEOID, onSelect: onSelectTract });
+
+  if (!note) return;
+  const counts = source === 'snapshot' ? 'precomputed tract counts' : 'incidents gridded to tracts';
+  note.textContent = fit
+    ? `r = ${fit.r.toFixed(2)} (R² ${(fit.r ** 2).toFixed(2)}) across ${fit.n} tracts; ${counts}. Correlation only, not a cause. Click a point to select its tract.`
+    : `Not enough tracts with data to fit a line (${pts.length}).`;
+}
@@ -14,32 +14,82 @@ function valuesFor(labels, series) {
 
 let chart;
 
+/**
+ * Baseline datasets for one series: 95% band (upper fills down to lower),
+ * dashed expected line and red markers on months flagged above expected.
+ * @param {string[]} labels
+ * @param {{points: import('../utils/seasonal.js').BaselinePoint[]}} baseline
+ * @param {string} name - series the baseline belongs to
+ */
+function baselineDatasets(labels, baseline, name) {
+  const byMonth = new Map(baseline.points.map((p) => [p.m, p]));
+  const pick = (k) => labels.map((l) => byMonth.get(l)?.[k] ?? null);
+  const common = { pointRadius: 0, pointHitRadius: 0, tension: 0.2, spanGaps: true };
+  return [
+    { label: `${name} 95% band`, data: pick('upper'), borderColor: 'transparent', backgroundColor: 'rgba(148,163,184,0.25)', fill: '+1', ...common },
+    { label: '__band_lower', data: pick('lower'), borderColor: 'transparent', fill: false, ...common },
+    { label: `${name} expected`, data: pick('expected'), borderColor: '#64748b', borderDash: [4, 4], borderWidth: 1.5, fill: false, ...common },
+    {
+      label: 'Above expected',
+      data: labels.map((l) => (byMonth.get(l)?.flag ? byMonth.get(l).observed : null)),
+      showLine: false,
+      pointRadius: 5,
+      pointHoverRadius: 6,
+      pointStyle: 'triangle',
+      backgroundColor: '#dc2626',
+      borderColor: '#dc2626',
+    },
+  ];
+}
+
 /**
  * Render monthly line chart comparing city vs buffer series.
  * @param {HTMLCanvasElement|CanvasRenderingContext2D} ctx
  * @param {{m:string,n:number}[]} citySeries
  * @param {{m:string,n:number}[]} bufferSeries
+ * @param {{baseline?: {points: import('../utils/seasonal.js').BaselinePoint[]}|null, baselineFor?: 'city'|'area', cityLabel?: string, areaLabel?: string}} [opts]
+ *   seasonal baseline for one of the two series
  */
-export function renderMonthly(ctx, citySeries, bufferSeries) {
+export function renderMonthly(ctx, citySeries, bufferSeries, { baseline = null, baselineFor = 'area', cityLabel = 'Citywide', areaLabel = 'Buffer A' } = {}) {
   const labels = unifyLabels(citySeries, bufferSeries);
   const cityVals = valuesFor(labels, citySeries);
   const bufVals = valuesFor(labels, bufferSeries);
+  const byMonth = new Map((baseline?.points || []).map((p) => [p.m, p]));
+
+  const datasets = [
+    { label: cityLabel, data: cityVals, borderColor: '#2563eb', backgroundColor: 'rgba(37,99,235,0.2)', tension: 0.2 },
+  ];
+  if (bufferSeries?.length) {
+    datasets.push({ label: areaLabel, data: bufVals, borderColor: '#16a34a', backgroundColor: 'rgba(22,163,74,0.2)', tension: 0.2 });
+  }
+  if (baseline?.points?.some((p) => p.expected != null)) {
+    datasets.push(...baselineDatasets(labels, baseline, baselineFor === 'city' ? cityLabel : areaLabel));
+  }
 
   if (chart) chart.destroy();
   chart = new Chart(ctx, {
     type: 'line',
-    data: {
-      labels,
-      datasets: [
-        { label: 'Citywide', data: cityVals, borderColor: '#2563eb', backgroundColor: 'rgba(37,99,235,0.2)', tension: 0.2 },
-        { label: 'Buffer A', data: bufVals, borderColor: '#16a34a', backgroundColor: 'rgba(22,163,74,0.2)', tension: 0.2 },
-      ],
-    },
+    data: { labels, datasets },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       animation: false,
-      plugins: { legend: { position: 'top' } },
+      plugins: {
+        legend: { position: 'top', labels: { filter: (item) => !item.text.startsWith('__') } },
+        tooltip: {
+          filter: (item) => !item.dataset.label.startsWith('__') && !item.dataset.label.endsWith('band'),
+          callbacks: {
+            afterBody: (items) => {
+              const p = byMonth.get(items[0]?.label);
+              if (!p || p.expected == null) return '';
+              return [
+                `Expected: ${p.expected.toFixed(1)} (95%: ${p.lower.toFixed(1)}–${p.upper.toFixed(1)})`,
+                `z = ${p.z.toFixed(2)} vs ${p.refs} prior year(s)${p.flag ? ' — above expected' : ''}`,
+              ];
+            },
+          },
+        },
+      },
       scales: {
         x: { ticks: { autoSkip: true } },
         y: { beginAtZero: true, grace: '5%' },
@@ -47,4 +97,3 @@ export function renderMonthly(ctx, citySeries, bufferSeries) {
     },
   });
 }
-
@@ -0,0 +1,83 @@
+import { Chart } from 'chart.js/auto';
+
+let chart;
+
+/**
+ * Ordinary least squares fit of y on x with Pearson r.
+ * @param {{x:number,y:number}[]} pts
+ * @returns {{slope:number, intercept:number, r:number, n:number}|null} null with fewer than 3 points or no x spread
+ */
+export function linearFit(pts) {
+  const n = pts.length;
+  if (n < 3) return null;
+  const mx = pts.reduce((s, p) => s + p.x, 0) / n;
+  const my = pts.reduce((s, p) => s + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const p of pts) {
+    sxx += (p.x - mx) ** 2;
+    sxy += (p.x - mx) * (p.y - my);
+    syy += (p.y - my) ** 2;
+  }
+  if (!(sxx > 0)) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: my - slope * mx, r: syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0, n };
+}
+
+/**
+ * Render the tract scatter of crime rate (y) against an ACS variable (x) with an OLS line.
+ * Clicking a point calls `onSelect(geoid)`; the selected tract is drawn larger in red.
+ * @param {HTMLCanvasElement|CanvasRenderingContext2D} ctx
+ * @param {{x:number, y:number, geoid:string, name:string}[]} pts
+ * @param {{xLabel:string, yLabel?:string, fit?:ReturnType<typeof linearFit>, selectedGEOID?:string|null, onSelect?:(geoid:string)=>void}} opts
+ */
+export function renderAcsScatter(ctx, pts, { xLabel, yLabel = 'Incidents per 10k residents', fit, selectedGEOID = null, onSelect } = {}) {
+  const xs = pts.map((p) => p.x);
+  const xmin = Math.min(...xs);
+  const xmax = Math.max(...xs);
+  const line = fit ? [{ x: xmin, y: fit.intercept + fit.slope * xmin }, { x: xmax, y: fit.intercept + fit.slope * xmax }] : [];
+  const selected = pts.filter((p) => p.geoid === selectedGEOID);
+
+  if (chart) chart.destroy();
+  chart = new Chart(ctx, {
+    type: 'scatter',
+    data: {
+      datasets: [
+        { label: 'Selected tract', data: selected, backgroundColor: '#dc2626', pointRadius: 6, pointHoverRadius: 7 },
+        { label: 'Tracts', data: pts, backgroundColor: 'rgba(37,99,235,0.45)', pointRadius: 3, pointHoverRadius: 5 },
+        { label: 'Linear fit', type: 'line', data: line, borderColor: '#111827', borderWidth: 1.5, borderDash: [4, 3], pointRadius: 0, fill: false },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          filter: (item) => item.dataset.label !== 'Linear fit',
+          callbacks: {
+            label: (item) => {
+              const p = item.raw;
+              return `${p.name}: ${Number(p.y.toFixed(1))} per 10k · ${xLabel} ${Number(p.x.toFixed(1))}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { title: { display: true, text: xLabel } },
+        y: { beginAtZero: true, title: { display: true, text: yLabel } },
+      },
+      onClick: (_evt, elements) => {
+        const hit = elements.find((e) => e.datasetIndex !== 2);
+        const p = hit && chart.data.datasets[hit.datasetIndex].data[hit.index];
+        if (p?.geoid) onSelect?.(p.geoid);
+      },
+      onHover: (evt, elements) => {
+        const target = evt?.native?.target;
+        if (target) target.style.cursor = elements.some((e) => e.datasetIndex !== 2) ? 'pointer' : 'default';
+      },
+    },
+  });
+}
@@ -1,63 +1,224 @@
 import dayjs from "dayjs";
-import { fetchCountBuffer, fetchTopTypesBuffer } from "../api/crime.js";
+import { fetchCountBuffer, fetchTopTypesBuffer, fetchMonthlySeriesBuffer } from "../api/crime.js";
 import { estimatePopInBuffer } from "../utils/pop_buffer.js";
+import { referenceDay } from "../api/datasource.js";
+
+const COLOR_A = "#0284c7";
+const COLOR_B = "#7c3aed";
+// B vs A gaps smaller than this are not highlighted
+const HIGHLIGHT_MIN_REL = 0.1;
 
 function fmtPct(v) {
   return v == null || !Number.isFinite(v) ? "—" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%`;
 }
 
+function fmtNum(v, digits = 0) {
+  return v == null || !Number.isFinite(v) ? "—" : v.toLocaleString(undefined, { maximumFractionDigits: digits, minimumFractionDigits: digits });
+}
+
 /**
- * Live compare card for buffer A.
- * @param {{types?:string[], center3857:[number,number], radiusM:number, timeWindowMonths:number, adminLevel:string}} params
+ * Totals, per-10k, top-3, 30-day delta and monthly series for one buffer.
+ * @param {{types:string[], center3857:[number,number], radiusM:number, start:string, end:string, adminLevel:string}} params
  */
-export async function updateCompare({ types = [], center3857, radiusM, timeWindowMonths = 6, adminLevel = "districts" }) {
+async function bufferStats({ types, center3857, radiusM, start, end, adminLevel }) {
+  const start30 = dayjs(end).subtract(30, "day").format("YYYY-MM-DD");
+  const prior30_start = dayjs(start30).subtract(30, "day").format("YYYY-MM-DD");
+
+  const [total, topResp, monthlyResp, last30, prior30] = await Promise.all([
+    fetchCountBuffer({ start, end, types, center3857, radiusM }),
+    fetchTopTypesBuffer({ start, end, center3857, radiusM, limit: 3 }),
+    fetchMonthlySeriesBuffer({ start, end, types, center3857, radiusM }),
+    fetchCountBuffer({ start: start30, end, types, center3857, radiusM }),
+    fetchCountBuffer({ start: prior30_start, end: start30, types, center3857, radiusM }),
+  ]);
+  const topRows = Array.isArray(topResp?.rows) ? topResp.rows : topResp;
+  const top3 = (topRows || []).map((r) => ({ text_general_code: r.text_general_code, n: Number(r.n) || 0 }));
+  const monthly = (monthlyResp?.rows || []).map((r) => ({ m: dayjs(r.m).format("YYYY-MM"), n: Number(r.n) || 0 }));
+  const delta30 = prior30 === 0 ? null : (last30 - prior30) / prior30;
+
+  // per-10k via area-weighted pop estimate only when on tracts; the pop interval
+  // maps to a per-10k interval (more people → lower rate)
+  let per10k = null;
+  let per10kRange = null;
+  let popEst = null;
+  if (adminLevel === "tracts") {
+    popEst = await estimatePopInBuffer({ center3857, radiusM });
+    per10k = popEst.pop > 0 ? (total / popEst.pop) * 10000 : null;
+    if (per10k != null) {
+      per10kRange = [(total / popEst.high) * 10000, popEst.low > 0 ? (total / popEst.low) * 10000 : null];
+    }
+  }
+
+  return { total, per10k, per10kRange, popEst, top3, delta30, monthly };
+}
+
+/**
+ * Cell colour for B relative to A: red when B is notably higher (more crime), green when lower.
+ */
+function diffStyle(a, b) {
+  if (a == null || b == null || !Number.isFinite(a) || !Number.isFinite(b) || a === 0) return "";
+  const rel = (b - a) / a;
+  if (Math.abs(rel) < HIGHLIGHT_MIN_REL) return "";
+  return rel > 0 ? "background:#fee2e2; color:#991b1b;" : "background:#dcfce7; color:#166534;";
+}
+
+function rangesOverlap(a, b) {
+  if (!a || !b) return false;
+  return a[0] <= (b[1] ?? Infinity) && b[0] <= (a[1] ?? Infinity);
+}
+
+function rangeLine(range) {
+  return range ? `<div style="color:#94a3b8; font-size:10px;">${fmtRange(range, 1)}</div>` : "";
+}
+
+function diffText(a, b, digits = 0) {
+  if (a == null || b == null || !Number.isFinite(a) || !Number.isFinite(b)) return "—";
+  const d = b - a;
+  const rel = a !== 0 ? ` (${fmtPct(d / a)})` : "";
+  return `${d >= 0 ? "+" : ""}${fmtNum(d, digits)}${rel}`;
+}
+
+/**
+ * Inline SVG with one polyline per series on a shared month axis and y-scale.
+ * @param {Array<{rows:Array<{m:string,n:number}>, color:string}>} series
+ */
+function monthlySparkline(series) {
+  const months = Array.from(new Set(series.flatMap((s) => s.rows.map((r) => r.m)))).sort();
+  if (months.length < 2) return '<div style="color:#94a3b8;">Not enough months to plot.</div>';
+  const w = 260;
+  const h = 44;
+  const max = Math.max(1, ...series.flatMap((s) => s.rows.map((r) => r.n)));
+  const x = (i) => (i / (months.length - 1)) * (w - 4) + 2;
+  const y = (n) => h - 2 - (n / max) * (h - 4);
+  const lines = series.map(({ rows, color }) => {
+    const byMonth = new Map(rows.map((r) => [r.m, r.n]));
+    const pts = months.map((m, i) => `${x(i).toFixed(1)},${y(byMonth.get(m) || 0).toFixed(1)}`).join(" ");
+    return `<polyline points="${pts}" fill="none" stroke="${color}" stroke-width="1.8" stroke-linejoin="round" />`;
+  });
+  return `
+    <svg viewBox="0 0 ${w} ${h}" width="100%" height="${h}" role="img" aria-label="Monthly incidents">${lines.join("")}</svg>
+    <div style="display:flex; justify-content:space-between; color:#94a3b8; font-size:10px;"><span>${months[0]}</span><span>max ${max}</span><span>${months[months.length - 1]}</span></div>
+  `;
+}
+
+function fmtRange(range, digits = 0) {
+  if (!range) return "";
+  return `${fmtNum(range[0], digits)}–${range[1] == null ? "?" : fmtNum(range[1], digits)}`;
+}
+
+function popNote(popEst) {
+  if (!popEst) return "";
+  const how = popEst.method === "blocks" ? "block-weighted" : "area-weighted";
+  const missing = popEst.missingPop ? `, ${popEst.missingPop} tract(s) without ACS pop` : "";
+  return `Pop ≈ ${fmtNum(popEst.pop)} (90%: ${fmtRange([popEst.low, popEst.high])}), ${how} over ${popEst.tractsChecked} tracts (${popEst.partialTracts} partial${missing})`;
+}
+
+function topList(top3, other) {
+  if (!top3?.length) return "—";
+  const otherCodes = new Set((other || []).map((t) => t.text_general_code));
+  // offenses missing from the other buffer's top 3 are emphasised
+  return top3
+    .map((t) => {
+      const unique = other && !otherCodes.has(t.text_general_code);
+      return `<div style="${unique ? "font-weight:600;" : ""}">${t.text_general_code} (${t.n})</div>`;
+    })
+    .join("");
+}
+
+function renderSingle(a) {
+  return `
+    <div><strong>Total</strong>: ${a.total}${a.per10k != null ? ` &nbsp; <em>per10k</em>: ${a.per10k.toFixed(1)} <span style="color:#64748b;">(${fmtRange(a.per10kRange, 1)})</span>` : ""}</div>
+    ${a.popEst ? `<div style="color:#64748b; font-size:11px;">${popNote(a.popEst)}</div>` : ""}
+    <div><strong>Top 3</strong>: ${(a.top3 || []).map((t) => `${t.text_general_code} (${t.n})`).join(", ") || "—"}</div>
+    <div><strong>30d Δ</strong>: ${fmtPct(a.delta30)}</div>
+    <div style="margin-top:4px;">${monthlySparkline([{ rows: a.monthly, color: COLOR_A }])}</div>
+    <div style="margin-top:4px; color:#64748b;">Set B (Address B or “Select B”) to compare.</div>
+  `;
+}
+
+function renderPair(a, b) {
+  const th = "text-align:right; padding:2px 4px; font-weight:600;";
+  const td = "text-align:right; padding:2px 4px;";
+  const delta30Gap = a.delta30 != null && b.delta30 != null ? b.delta30 - a.delta30 : null;
+  return `
+    <table style="width:100%; border-collapse:collapse;">
+      <thead>
+        <tr>
+          <th></th>
+          <th style="${th} color:${COLOR_A};">A</th>
+          <th style="${th} color:${COLOR_B};">B</th>
+          <th style="${th}">B − A</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>Total</td>
+          <td style="${td}">${fmtNum(a.total)}</td>
+          <td style="${td} ${diffStyle(a.total, b.total)}">${fmtNum(b.total)}</td>
+          <td style="${td}">${diffText(a.total, b.total)}</td>
+        </tr>
+        <tr>
+          <td>per10k</td>
+          <td style="${td}">${fmtNum(a.per10k, 1)}${rangeLine(a.per10kRange)}</td>
+          <td style="${td} ${rangesOverlap(a.per10kRange, b.per10kRange) ? "" : diffStyle(a.per10k, b.per10k)}">${fmtNum(b.per10k, 1)}${rangeLine(b.per10kRange)}</td>
+          <td style="${td}">${diffText(a.per10k, b.per10k, 1)}</td>
+        </tr>
+        ${a.popEst && b.popEst ? `<tr>
+          <td>Pop (est.)</td>
+          <td style="${td}">${fmtNum(a.popEst.pop)}</td>
+          <td style="${td}">${fmtNum(b.popEst.pop)}</td>
+          <td style="${td}">${diffText(a.popEst.pop, b.popEst.pop)}</td>
+        </tr>` : ""}
+        <tr>
+          <td>30d Δ</td>
+          <td style="${td}">${fmtPct(a.delta30)}</td>
+          <td style="${td}">${fmtPct(b.delta30)}</td>
+          <td style="${td} ${delta30Gap != null && Math.abs(delta30Gap) >= HIGHLIGHT_MIN_REL ? (delta30Gap > 0 ? "color:#991b1b;" : "color:#166534;") : ""}">${delta30Gap == null ? "—" : `${delta30Gap >= 0 ? "+" : ""}${(delta30Gap * 100).toFixed(1)} pts`}</td>
+        </tr>
+      </tbody>
+    </table>
+    <div style="display:flex; gap:8px; margin-top:6px;">
+      <div style="flex:1; min-width:0;"><div style="color:${COLOR_A}; font-weight:600;">Top 3 A</div>${topList(a.top3, b.top3)}</div>
+      <div style="flex:1; min-width:0;"><div style="color:${COLOR_B}; font-weight:600;">Top 3 B</div>${topList(b.top3, a.top3)}</div>
+    </div>
+    <div style="margin-top:6px;">
+      <div style="font-weight:600;">Monthly <span style="color:${COLOR_A};">A</span> vs <span style="color:${COLOR_B};">B</span></div>
+      ${monthlySparkline([{ rows: a.monthly, color: COLOR_A }, { rows: b.monthly, color: COLOR_B }])}
+    </div>
+    <div style="margin-top:4px; color:#64748b; font-size:11px;">Red/green: B notably higher/lower than A (±${HIGHLIGHT_MIN_REL * 100}%); per10k is only highlighted when the 90% ranges do not overlap. Bold offenses are not in the other buffer's top 3.</div>
+    ${a.popEst ? `<div style="margin-top:2px; color:#64748b; font-size:11px;">A: ${popNote(a.popEst)}${b.popEst ? `<br>B: ${popNote(b.popEst)}` : ""}</div>` : ""}
+  `;
+}
+
+/**
+ * Live compare card for buffer A and, when set, buffer B.
+ * @param {{types?:string[], center3857:[number,number], radiusM:number, timeWindowMonths:number, adminLevel:string, b?:{center3857:[number,number], radiusM:number}|null}} params
+ * @returns {Promise<{a:object, b:object|null}|null>}
+ */
+export async function updateCompare({ types = [], center3857, radiusM, timeWindowMonths = 6, adminLevel = "districts", b = null }) {
   const el = document.getElementById("compare-card");
   if (!el) return null;
 
   try {
     el.innerHTML = '<div style="font:12px system-ui">Computing…</div>';
 
-    const end = dayjs().endOf("day").format("YYYY-MM-DD");
+    const end = referenceDay().endOf("day").format("YYYY-MM-DD");
     const start = dayjs(end).subtract(timeWindowMonths, "month").startOf("day").format("YYYY-MM-DD");
 
-    // Totals and Top-3
-    const [total, topn] = await Promise.all([
-      fetchCountBuffer({ start, end, types, center3857, radiusM }),
-      (async () => {
-        const resp = await fetchTopTypesBuffer({ start, end, center3857, radiusM, limit: 3 });
-        const rows = Array.isArray(resp?.rows) ? resp.rows : resp;
-        return (rows || []).map((r) => ({ text_general_code: r.text_general_code, n: Number(r.n) || 0 }));
-      })(),
+    const [statsA, statsB] = await Promise.all([
+      bufferStats({ types, center3857, radiusM, start, end, adminLevel }),
+      b?.center3857 ? bufferStats({ types, center3857: b.center3857, radiusM: b.radiusM, start, end, adminLevel }) : null,
     ]);
 
-    // 30-day delta
-    const end30 = dayjs(end);
-    const start30 = dayjs(end30).subtract(30, "day").format("YYYY-MM-DD");
-    const prior30_start = dayjs(start30).subtract(30, "day").format("YYYY-MM-DD");
-    const prior30_end = start30;
-    const [last30, prior30] = await Promise.all([
-      fetchCountBuffer({ start: start30, end: end, types, center3857, radiusM }),
-      fetchCountBuffer({ start: prior30_start, end: prior30_end, types, center3857, radiusM }),
-    ]);
-    const delta30 = prior30 === 0 ? null : (last30 - prior30) / prior30;
-
-    // per-10k via centroid-in-buffer pop estimate only when on tracts
-    let per10k = null;
-    if (adminLevel === "tracts") {
-      const { pop } = await estimatePopInBuffer({ center3857, radiusM });
-      per10k = pop > 0 ? (total / pop) * 10000 : null;
-    }
-
+    el.style.width = statsB ? "360px" : "300px";
     el.innerHTML = `
-      <div><strong>Total</strong>: ${total}${per10k != null ? ` &nbsp; <em>per10k</em>: ${per10k.toFixed(1)}` : ""}</div>
-      <div><strong>Top 3</strong>: ${(topn || []).map((t) => `${t.text_general_code} (${t.n})`).join(", ") || "—"}</div>
-      <div><strong>30d Δ</strong>: ${fmtPct(delta30)}</div>
+      <div style="font:600 13px/1.2 system-ui, sans-serif; margin-bottom:6px;">Compare (A vs B)</div>
+      <div style="font:12px/1.4 system-ui, sans-serif;">${statsB ? renderPair(statsA, statsB) : renderSingle(statsA)}</div>
     `;
 
-    return { total, per10k, top3: topn, delta30 };
+    return { a: statsA, b: statsB };
   } catch (e) {
     el.innerHTML = `<div style="color:#b91c1c; font:12px system-ui">Compare failed: ${e?.message || e}</div>`;
     return null;
   }
 }
-
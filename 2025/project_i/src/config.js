@@ -1,7 +1,9 @@
 /**
  * Central configuration constants for remote data sources.
  */
-export const CARTO_SQL_BASE = "https://phl.carto.com/api/v2/sql";
+// VITE_CARTO_SQL_BASE points the app at a local stand-in (scripts/serve_crime_snapshot.mjs)
+export const CARTO_SQL_BASE =
+  (typeof import.meta !== "undefined" && import.meta.env?.VITE_CARTO_SQL_BASE) || "https://phl.carto.com/api/v2/sql";
 export const PD_GEOJSON =
   "https://policegis.phila.gov/arcgis/rest/services/POLICE/Boundaries/MapServer/1/query?where=1=1&outFields=*&f=geojson";
 export const TRACTS_GEOJSON =
@@ -10,3 +12,22 @@ export const ACS_POP_TENURE_INCOME =
   "https://api.census.gov/data/2023/acs/acs5?get=NAME,B01003_001E,B25003_001E,B25003_003E,B19013_001E&for=tract:*&in=state:42%20county:101";
 export const ACS_POVERTY =
   "https://api.census.gov/data/2023/acs/acs5/subject?get=NAME,S1701_C03_001E&for=tract:*&in=state:42%20county:101";
+// Philadelphia Address Information System search; VITE_AIS_KEY is sent as gatekeeperKey when set
+export const AIS_SEARCH_BASE = "https://api.phila.gov/ais/v1/search";
+export const GAZETTEER_URL = "./data/gazetteer_phl.json";
+
+const HOUR = 60 * 60_000;
+const DAY = 24 * HOUR;
+/**
+ * IndexedDB cache policy per endpoint (utils/idb_cache.js). A response is fresh for
+ * `ttl` ms, then served for up to `stale` ms more while fetchJson refetches it in the
+ * background. Requests without a policy stay in memory and sessionStorage only.
+ */
+export const PERSIST_POLICIES = {
+  coverage: { ttl: 6 * HOUR, stale: 7 * DAY },
+  // citywide district / tract-grid aggregates behind the choropleths and time-lapse
+  aggregates: { ttl: HOUR, stale: DAY },
+  boundaries: { ttl: 7 * DAY, stale: 30 * DAY },
+  acs: { ttl: 30 * DAY, stale: 90 * DAY },
+};
+export const PERSIST_MAX_BYTES = 50 * 1024 * 1024;
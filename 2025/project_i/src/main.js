@@ -1,48 +1,72 @@
 import './style.css';
-import dayjs from 'dayjs';
+import maplibregl from 'maplibre-gl';
 import { initMap } from './map/initMap.js';
-import { getDistrictsMerged } from './map/choropleth_districts.js';
+import { getDistrictsMerged, getDistrictsLQ } from './map/choropleth_districts.js';
 import { renderDistrictChoropleth } from './map/render_choropleth.js';
 import { drawLegend } from './map/ui_legend.js';
 import { attachHover } from './map/ui_tooltip.js';
 import { wirePoints } from './map/wire_points.js';
-import { updateAllCharts } from './charts/index.js';
+import { updateAllCharts, updateAcsScatter } from './charts/index.js';
 import { store, initCoverageAndDefaults } from './state/store.js';
+import { restoreStateFromUrl, writeStateToUrl } from './state/url_state.js';
 import { initPanel } from './ui/panel.js';
 import { initAboutPanel } from './ui/about.js';
+import { initExportPanel } from './ui/export_panel.js';
+import { initTimelapsePanel } from './ui/timelapse_panel.js';
+import { initTaxonomyPanel } from './ui/taxonomy_panel.js';
 import { refreshPoints } from './map/points.js';
 import { updateCompare } from './compare/card.js';
 import { attachDistrictPopup } from './map/ui_popup_district.js';
 import * as turf from '@turf/turf';
-import { getTractsMerged } from './map/tracts_view.js';
+import { getTractsMerged, getTractsLQ, getTractsAcs, getTractsHotspots } from './map/tracts_view.js';
+import { ACS_VARIABLES } from './api/acs.js';
 import { renderTractsChoropleth } from './map/render_choropleth_tracts.js';
 import { upsertSelectedDistrict, clearSelectedDistrict, upsertSelectedTract, clearSelectedTract } from './map/selection_layers.js';
 import { initLegend } from './map/legend.js';
 import { upsertTractsOutline } from './map/tracts_layers.js';
 import { fetchTractsCachedFirst } from './api/boundaries.js';
-import { upsertBufferA } from './map/buffer_overlay.js';
+import { referenceDay, pinSnapshotClock } from './api/datasource.js';
+import { upsertBufferA, upsertBufferB, clearBufferB } from './map/buffer_overlay.js';
+import { upsertAreaOverlay, clearAreaOverlay, startAreaDraw } from './map/area_overlay.js';
+import { areaFromVertices, areaFromGeoJSON } from './utils/custom_area.js';
+import { fetchCountPolygon } from './api/crime.js';
+import { estimatePopInPolygon } from './utils/pop_buffer.js';
 
 window.__dashboard = {
   setChoropleth: (/* future hook */) => {},
 };
 
 window.addEventListener('DOMContentLoaded', async () => {
+  // Choropleth currently on the map, for the export card
+  let lastChoropleth = null;
+  // Time-lapse controls; playback stops whenever the dashboard refreshes
+  let timelapse = null;
+  // Custom area drawing session, and summary requests (latest wins)
+  let areaDraw = null;
+  let areaSummarySeq = 0;
+  const areaPop = new WeakMap(); // customArea -> population estimate
+  // Shared links carry the view in the hash; restore before defaults are derived
+  const { restored, view: linkedView } = restoreStateFromUrl(store);
+  const restoredA = !!store.centerLonLat;
   const map = initMap();
+  if (linkedView) map.jumpTo(linkedView);
 
-  // Align defaults with dataset coverage
+  // Align defaults with dataset coverage (a snapshot pins "today" to its recording day first)
   try {
+    await pinSnapshotClock();
     await initCoverageAndDefaults();
   } catch {}
 
   try {
     // Fixed 6-month window demo
-    const end = dayjs().format('YYYY-MM-DD');
-    const start = dayjs().subtract(6, 'month').format('YYYY-MM-DD');
+    const end = referenceDay().format('YYYY-MM-DD');
+    const start = referenceDay().subtract(6, 'month').format('YYYY-MM-DD');
 
     // Persist center for buffer-based charts
     const c = map.getCenter();
-    store.setCenterFromLngLat(c.lng, c.lat);
+    if (!restoredA) store.setCenterFromLngLat(c.lng, c.lat);
     const merged = await getDistrictsMerged({ start, end });
+    lastChoropleth = { level: 'districts', geojson: merged };
 
     map.on('load', async () => {
       // Initialize legend control
@@ -51,13 +75,11 @@ window.addEventListener('DOMContentLoaded', async () => {
       // Initialize about panel (top slide-down)
       initAboutPanel();
 
-      // [DIARY_FLAG] Route Safety Diary feature entry (no-op placeholder for M1 prep)
+      // [DIARY_FLAG] Route Safety Diary feature entry
       if (import.meta?.env?.VITE_FEATURE_DIARY === '1') {
-        console.info('[Diary] Feature flag is ON — scaffolding present; implementation to be added by Codex (M1).');
-        // TODO: Uncomment when implementing M1
-        // import('./routes_diary/index.js').then(({ initDiaryMode }) => {
-        //   initDiaryMode(map);
-        // });
+        import('./routes_diary/index.js')
+          .then(({ initDiaryMode }) => initDiaryMode(map))
+          .catch((err) => console.warn('[Diary] Failed to initialize:', err));
       }
 
       // Render districts (legend updated inside)
@@ -115,11 +137,31 @@ window.addEventListener('DOMContentLoaded', async () => {
   let _tractClickWired = false;
   let _districtClickWired = false;
   async function refreshAll() {
+    timelapse?.stop();
     const { start, end, types, drilldownCodes, queryMode, selectedDistrictCode, selectedTractGEOID } = store.getFilters();
     try {
-      if (store.adminLevel === 'tracts') {
-        const merged = await getTractsMerged({ per10k: store.per10k, windowStart: start, windowEnd: end });
+      if (store.adminLevel === 'tracts' && store.acsOverlay) {
+        // demographic overlay replaces the incident shading; grey tracts have no estimate
+        const meta = ACS_VARIABLES[store.acsOverlay];
+        const merged = await getTractsAcs(store.acsOverlay);
+        renderTractsChoropleth(map, merged, {
+          title: `Census Tracts — ${meta.label}`,
+          unit: meta.unit === '%' ? '%' : '',
+          maskProp: '__acsMissing',
+        });
+        lastChoropleth = { level: 'tracts', geojson: merged.geojson, acs: store.acsOverlay };
+      } else if (store.adminLevel === 'tracts' && store.hotspot) {
+        const merged = await getTractsHotspots({ start, end, types, drilldownCodes });
+        renderTractsChoropleth(map, merged);
+        lastChoropleth = { level: 'tracts', geojson: merged.geojson, hotspot: true };
+      } else if (store.adminLevel === 'tracts') {
+        const merged = store.relativeToCity
+          ? await getTractsLQ({ start, end, types: drilldownCodes?.length ? drilldownCodes : types })
+          : await getTractsMerged({ per10k: store.per10k, windowStart: start, windowEnd: end });
         renderTractsChoropleth(map, merged); // Legend updated inside
+        lastChoropleth = { level: 'tracts', geojson: merged.geojson, lq: !!merged.lq };
+      }
+      if (store.adminLevel === 'tracts') {
         // maintain tract highlight based on selection
         if (store.queryMode === 'tract' && selectedTractGEOID) {
           upsertSelectedTract(map, selectedTractGEOID);
@@ -148,8 +190,11 @@ window.addEventListener('DOMContentLoaded', async () => {
           });
         }
       } else {
-        const merged = await getDistrictsMerged({ start, end, types });
+        const merged = store.relativeToCity
+          ? await getDistrictsLQ({ start, end, types: drilldownCodes?.length ? drilldownCodes : types })
+          : await getDistrictsMerged({ start, end, types });
         renderDistrictChoropleth(map, merged); // Legend updated inside
+        lastChoropleth = { level: 'districts', geojson: merged, lq: !!merged.lq };
         // maintain district highlight based on selection
         if (store.queryMode === 'district' && selectedDistrictCode) {
           upsertSelectedDistrict(map, selectedDistrictCode);
@@ -175,8 +220,14 @@ window.addEventListener('DOMContentLoaded', async () => {
       console.warn('Boundary refresh failed:', e);
     }
 
-    if (queryMode === 'buffer') {
-      if (store.center3857) {
+    // custom area outline is only shown in its own mode
+    try {
+      if (queryMode === 'polygon' && store.customArea) upsertAreaOverlay(map, store.customArea.geometry);
+      else clearAreaOverlay(map);
+    } catch {}
+
+    if (queryMode === 'buffer' || queryMode === 'polygon') {
+      if (queryMode === 'buffer' ? store.center3857 : store.customArea) {
         refreshPoints(map, { start, end, types, queryMode }).catch((e) => console.warn('Points refresh failed:', e));
       } else {
         try { const { clearCrimePoints } = await import('./map/points.js'); clearCrimePoints(map); } catch {}
@@ -200,8 +251,12 @@ window.addEventListener('DOMContentLoaded', async () => {
       })();
       status.innerText = 'Charts unavailable: ' + (e.message || e);
     });
+    refreshAcsScatter();
+    updateAreaSummary();
+
+    writeStateToUrl(store, map);
 
-    // Compare card (A) live
+    // Compare card (A, plus B when set) live
     if (store.center3857) {
       await updateCompare({
         types,
@@ -209,6 +264,7 @@ window.addEventListener('DOMContentLoaded', async () => {
         radiusM: store.radius,
         timeWindowMonths: store.timeWindowMonths,
         adminLevel: store.adminLevel,
+        b: store.centerB3857 ? { center3857: store.centerB3857, radiusM: store.radiusB } : null,
       }).catch((e) => console.warn('Compare update failed:', e));
     }
   }
@@ -216,6 +272,66 @@ window.addEventListener('DOMContentLoaded', async () => {
   initPanel(store, {
     onChange: refreshAll,
     getMapCenter: () => map.getCenter(),
+    onAddressA: ({ lng, lat }) => {
+      placeCenterA(lng, lat);
+      map.flyTo({ center: [lng, lat], zoom: Math.max(map.getZoom(), 14) });
+      refreshAll();
+    },
+    onRadiusInput: () => {
+      if (store.centerLonLat) upsertBufferA(map, { centerLonLat: store.centerLonLat, radiusM: store.radius });
+    },
+    onAddressB: ({ lng, lat }) => {
+      placeCenterB(lng, lat);
+      refreshAll();
+    },
+    onRadiusBInput: () => {
+      if (store.centerBLonLat) upsertBufferB(map, { centerLonLat: store.centerBLonLat, radiusM: store.radiusB });
+    },
+    onClearB: () => {
+      window.__markerB?.remove();
+      clearBufferB(map);
+      const addr = document.getElementById('addrB'); if (addr) addr.value = '';
+    },
+    onDrawArea: (onEnd) => {
+      areaDraw?.cancel();
+      setAreaStatus('');
+      areaDraw = startAreaDraw(map, {
+        onFinish: (vertices) => {
+          areaDraw = null;
+          onEnd();
+          try {
+            setCustomArea(areaFromVertices(vertices));
+          } catch (e) {
+            setAreaStatus(e.message, true);
+          }
+        },
+        onCancel: () => {
+          areaDraw = null;
+          onEnd();
+          updateAreaSummary();
+        },
+      });
+    },
+    onCancelAreaDraw: () => areaDraw?.cancel(),
+    onAreaFile: async (file) => {
+      try {
+        const doc = JSON.parse(await file.text());
+        setCustomArea(areaFromGeoJSON(doc), file.name.replace(/\.(geo)?json$/i, ''));
+      } catch (e) {
+        setAreaStatus(e instanceof SyntaxError ? `${file.name} is not valid JSON.` : e.message, true);
+      }
+    },
+    onClearArea: () => {
+      areaDraw?.cancel();
+      clearAreaOverlay(map);
+    },
+    onPointsModeChange: () => {
+      const f = store.getFilters();
+      if ((f.queryMode === 'buffer' && f.center3857) || f.queryMode === 'district' || (f.queryMode === 'polygon' && f.areaGeometry)) {
+        refreshPoints(map, f).catch((e) => console.warn('Points refresh failed:', e));
+      }
+      writeStateToUrl(store, map);
+    },
     onTractsOverlayToggle: (visible) => {
       const layer = map.getLayer('tracts-outline-line');
       if (layer) {
@@ -224,6 +340,58 @@ window.addEventListener('DOMContentLoaded', async () => {
     },
   });
 
+  // Tract scatter only loads while its card is open
+  const acsScatterCard = document.getElementById('acs-scatter-card');
+  const scatterVarSel = document.getElementById('scatterVarSel');
+  function refreshAcsScatter() {
+    if (!acsScatterCard?.open) return;
+    updateAcsScatter(store.getFilters(), { variable: store.scatterVar, onSelectTract: selectTractFromScatter }).catch((e) => {
+      console.warn('ACS scatter failed:', e);
+      const note = document.getElementById('acs-scatter-note');
+      if (note) note.textContent = 'Scatter unavailable: ' + (e.message || e);
+    });
+  }
+  // A scatter click selects the tract like a map click in Tract mode
+  async function selectTractFromScatter(geoid) {
+    store.selectedTractGEOID = geoid;
+    try {
+      const tracts = await fetchTractsCachedFirst();
+      const ft = tracts?.features?.find((t) => getTractGEOID(t.properties || {}) === geoid);
+      if (ft) map.fitBounds(turf.bbox(ft), { padding: 60, maxZoom: 15 });
+    } catch {}
+    const qm = document.getElementById('queryModeSel');
+    if (store.queryMode !== 'tract' && qm) {
+      qm.value = 'tract';
+      qm.dispatchEvent(new Event('change'));
+    } else {
+      refreshAll();
+    }
+  }
+  if (scatterVarSel) scatterVarSel.value = store.scatterVar || 'median_income';
+  scatterVarSel?.addEventListener('change', () => {
+    store.scatterVar = scatterVarSel.value;
+    refreshAcsScatter();
+    writeStateToUrl(store, map);
+  });
+  acsScatterCard?.addEventListener('toggle', refreshAcsScatter);
+
+  initExportPanel(map, store, { getChoropleth: () => lastChoropleth });
+  timelapse = initTimelapsePanel(map, store, { onExit: refreshAll });
+  initTaxonomyPanel();
+
+  // Re-apply a shared link: markers/buffers need the style, then one full refresh
+  const applyLinkedView = () => {
+    if (restoredA && store.queryMode === 'buffer') placeCenterA(store.centerLonLat[0], store.centerLonLat[1]);
+    if (store.centerBLonLat && store.queryMode === 'buffer') placeCenterB(store.centerBLonLat[0], store.centerBLonLat[1]);
+    refreshAll();
+  };
+  if (restored) {
+    if (map.isStyleLoaded()) applyLinkedView(); else map.once('load', applyLinkedView);
+  }
+  map.on('moveend', () => writeStateToUrl(store, map));
+  // replaceState never fires hashchange, so this only runs when a different link is pasted
+  window.addEventListener('hashchange', () => window.location.reload());
+
   // Selection mode: click to set A and update buffer circle
   function updateBuffer() {
     if (!store.centerLonLat) return;
@@ -241,29 +409,95 @@ window.addEventListener('DOMContentLoaded', async () => {
   map.on('click', (e) => {
     if (store.queryMode === 'buffer' && store.selectMode === 'point') {
       const lngLat = [e.lngLat.lng, e.lngLat.lat];
-      store.centerLonLat = lngLat;
-      store.setCenterFromLngLat(e.lngLat.lng, e.lngLat.lat);
-      // marker A
-      if (!window.__markerA && window.maplibregl && window.maplibregl.Marker) {
-        window.__markerA = new window.maplibregl.Marker({ color: '#ef4444' });
-      }
-      if (window.__markerA && window.__markerA.setLngLat) {
-        window.__markerA.setLngLat(e.lngLat).addTo(map);
-      }
-      upsertBufferA(map, { centerLonLat: store.centerLonLat, radiusM: store.radius });
+      store.addressA = null;
+      const addr = document.getElementById('addrA'); if (addr) addr.value = '';
+      placeCenterA(e.lngLat.lng, e.lngLat.lat);
       store.selectMode = 'idle';
       const btn = document.getElementById('useCenterBtn'); if (btn) btn.textContent = 'Select on map';
       const hint = document.getElementById('useMapHint'); if (hint) hint.style.display = 'none';
       document.body.style.cursor = '';
       window.__dashboard = window.__dashboard || {}; window.__dashboard.lastPick = { when: new Date().toISOString(), lngLat };
       refreshAll();
+    } else if (store.queryMode === 'buffer' && store.selectMode === 'pointB') {
+      store.addressB = null;
+      const addr = document.getElementById('addrB'); if (addr) addr.value = '';
+      placeCenterB(e.lngLat.lng, e.lngLat.lat);
+      store.selectMode = 'idle';
+      const btn = document.getElementById('useCenterBtnB'); if (btn) btn.textContent = 'Select B';
+      const hint = document.getElementById('useMapHintB'); if (hint) hint.style.display = 'none';
+      document.body.style.cursor = '';
+      refreshAll();
     }
   });
 
+  // Move center A (store, marker, buffer circle); shared by map picks and address search
+  function placeCenterA(lng, lat) {
+    store.setCenterFromLngLat(lng, lat);
+    // marker A
+    if (!window.__markerA) window.__markerA = new maplibregl.Marker({ color: '#ef4444' });
+    window.__markerA.setLngLat([lng, lat]).addTo(map);
+    upsertBufferA(map, { centerLonLat: store.centerLonLat, radiusM: store.radius });
+  }
+
+  // Comparison center B: own marker and dashed buffer circle
+  function placeCenterB(lng, lat) {
+    store.setCenterBFromLngLat(lng, lat);
+    if (!window.__markerB) window.__markerB = new maplibregl.Marker({ color: '#7c3aed' });
+    window.__markerB.setLngLat([lng, lat]).addTo(map);
+    upsertBufferB(map, { centerLonLat: store.centerBLonLat, radiusM: store.radiusB });
+  }
+
   // react to radius changes
   const radiusObserver = new MutationObserver(() => updateBuffer());
   radiusObserver.observe(document.documentElement, { attributes: false, childList: true, subtree: false });
 
+  // Custom area (polygon mode): selection and the summary line under the buttons
+  function setAreaStatus(text, isError = false) {
+    const el = document.getElementById('areaStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.style.color = isError ? '#b91c1c' : '#374151';
+    el.style.display = text ? 'block' : 'none';
+  }
+
+  function setCustomArea(area, name = null) {
+    store.customArea = { ...area, name };
+    window.__markerA?.remove();
+    removeBufferOverlay();
+    upsertAreaOverlay(map, area.geometry);
+    const [minx, miny, maxx, maxy] = turf.bbox(area.geometry);
+    map.fitBounds([[minx, miny], [maxx, maxy]], { padding: 60, maxZoom: 16 });
+    refreshAll();
+  }
+
+  async function updateAreaSummary() {
+    const area = store.customArea;
+    if (store.queryMode !== 'polygon' || !area) {
+      if (store.queryMode === 'polygon') setAreaStatus('');
+      return;
+    }
+    const seq = ++areaSummarySeq;
+    const head = `${area.name ? `${area.name}: ` : ''}${area.areaKm2.toFixed(2)} km²${area.simplified ? ' (outline simplified)' : ''}`;
+    setAreaStatus(`${head} · counting…`);
+    const { start, end, types, drilldownCodes } = store.getFilters();
+    try {
+      if (!areaPop.has(area)) areaPop.set(area, estimatePopInPolygon(area.geometry).catch(() => null));
+      const [n, pop] = await Promise.all([
+        fetchCountPolygon({ start, end, types, drilldownCodes, geometry: area.geometry }),
+        areaPop.get(area),
+      ]);
+      if (seq !== areaSummarySeq) return;
+      const parts = [head, `${n.toLocaleString()} incidents`];
+      if (pop?.pop > 0) {
+        parts.push(`~${pop.pop.toLocaleString()} residents (${pop.low.toLocaleString()}–${pop.high.toLocaleString()})`);
+        parts.push(`${((n / pop.pop) * 10000).toFixed(1)} per 10k`);
+      }
+      setAreaStatus(parts.join(' · '));
+    } catch (e) {
+      if (seq === areaSummarySeq) setAreaStatus(`${head} · count unavailable: ${e?.message || e}`, true);
+    }
+  }
+
   function removeBufferOverlay() {
     for (const id of ['buffer-a-fill','buffer-a-line']) { if (map.getLayer(id)) try { map.removeLayer(id); } catch {} }
     if (map.getSource('buffer-a')) try { map.removeSource('buffer-a'); } catch {}
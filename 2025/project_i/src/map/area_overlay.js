@@ -0,0 +1,112 @@
+// Custom area (polygon query mode): the selected outline, and click-to-draw with a live preview
+
+const AREA_SRC = 'area-a';
+const DRAW_SRC = 'area-draw';
+// a click this close to the first vertex closes the outline
+const CLOSE_PX = 10;
+
+export function upsertAreaOverlay(map, geometry) {
+  if (!geometry) return;
+  const data = { type: 'Feature', properties: {}, geometry };
+  if (map.getSource(AREA_SRC)) {
+    map.getSource(AREA_SRC).setData(data);
+  } else {
+    map.addSource(AREA_SRC, { type: 'geojson', data });
+    map.addLayer({ id: 'area-a-fill', type: 'fill', source: AREA_SRC, paint: { 'fill-color': '#38bdf8', 'fill-opacity': 0.15 } });
+    map.addLayer({ id: 'area-a-line', type: 'line', source: AREA_SRC, paint: { 'line-color': '#0284c7', 'line-width': 2 } });
+  }
+}
+
+export function clearAreaOverlay(map) {
+  for (const id of ['area-a-fill', 'area-a-line']) {
+    if (map.getLayer(id)) map.removeLayer(id);
+  }
+  if (map.getSource(AREA_SRC)) map.removeSource(AREA_SRC);
+}
+
+function setDrawPreview(map, vertices, cursor) {
+  const pts = cursor ? [...vertices, cursor] : vertices;
+  const features = vertices.map((v) => ({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: v } }));
+  if (pts.length >= 2) {
+    features.push({ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: pts.length >= 3 ? [...pts, pts[0]] : pts } });
+  }
+  const data = { type: 'FeatureCollection', features };
+  if (map.getSource(DRAW_SRC)) {
+    map.getSource(DRAW_SRC).setData(data);
+  } else {
+    map.addSource(DRAW_SRC, { type: 'geojson', data });
+    map.addLayer({ id: 'area-draw-line', type: 'line', source: DRAW_SRC, filter: ['==', ['geometry-type'], 'LineString'], paint: { 'line-color': '#0284c7', 'line-width': 2, 'line-dasharray': [2, 2] } });
+    map.addLayer({ id: 'area-draw-vertex', type: 'circle', source: DRAW_SRC, filter: ['==', ['geometry-type'], 'Point'], paint: { 'circle-radius': 4, 'circle-color': '#fff', 'circle-stroke-color': '#0284c7', 'circle-stroke-width': 2 } });
+  }
+}
+
+function clearDrawPreview(map) {
+  for (const id of ['area-draw-line', 'area-draw-vertex']) {
+    if (map.getLayer(id)) map.removeLayer(id);
+  }
+  if (map.getSource(DRAW_SRC)) map.removeSource(DRAW_SRC);
+}
+
+/**
+ * Let the user click out a polygon. Double-click or a click on the first vertex
+ * finishes, Backspace removes the last vertex, Esc cancels. Double-click zoom is
+ * off while drawing.
+ * @param {import('maplibre-gl').Map} map
+ * @param {{onFinish:(vertices:Array<[number,number]>) => void, onCancel?:() => void}} handlers
+ * @returns {{cancel:() => void}}
+ */
+export function startAreaDraw(map, { onFinish, onCancel }) {
+  const vertices = [];
+  let cursor = null;
+  const zoomOnDblClick = map.doubleClickZoom.isEnabled();
+  map.doubleClickZoom.disable();
+  map.getCanvas().style.cursor = 'crosshair';
+
+  const redraw = () => setDrawPreview(map, vertices, cursor);
+  const nearFirst = (point) => vertices.length >= 3 && map.project(vertices[0]).dist(point) <= CLOSE_PX;
+
+  const onClick = (e) => {
+    if (nearFirst(e.point)) return stop(true);
+    vertices.push([e.lngLat.lng, e.lngLat.lat]);
+    redraw();
+  };
+  // the two clicks of a double-click already added the last vertex (twice)
+  const onDblClick = (e) => {
+    e.preventDefault();
+    stop(true);
+  };
+  const onMove = (e) => {
+    cursor = [e.lngLat.lng, e.lngLat.lat];
+    if (vertices.length) redraw();
+  };
+  const onKey = (e) => {
+    if (e.key === 'Escape') stop(false);
+    else if (e.key === 'Backspace' && vertices.length && !/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName || '')) {
+      e.preventDefault();
+      vertices.pop();
+      redraw();
+    }
+  };
+
+  map.on('click', onClick);
+  map.on('dblclick', onDblClick);
+  map.on('mousemove', onMove);
+  document.addEventListener('keydown', onKey);
+
+  let active = true;
+  function stop(finish) {
+    if (!active) return;
+    active = false;
+    map.off('click', onClick);
+    map.off('dblclick', onDblClick);
+    map.off('mousemove', onMove);
+    document.removeEventListener('keydown', onKey);
+    if (zoomOnDblClick) map.doubleClickZoom.enable();
+    map.getCanvas().style.cursor = '';
+    clearDrawPreview(map);
+    if (finish && vertices.length >= 3) onFinish(vertices.slice());
+    else onCancel?.();
+  }
+
+  return { cancel: () => stop(false) };
+}
@@ -21,3 +21,24 @@ export function clearBufferA(map) {
   if (map.getSource(srcId)) map.removeSource(srcId);
 }
 
+
+export function upsertBufferB(map, { centerLonLat, radiusM }) {
+  if (!centerLonLat) return;
+  const circle = turf.circle(centerLonLat, radiusM, { units: 'meters', steps: 64 });
+  const srcId = 'buffer-b';
+  if (map.getSource(srcId)) {
+    map.getSource(srcId).setData(circle);
+  } else {
+    map.addSource(srcId, { type: 'geojson', data: circle });
+    map.addLayer({ id: 'buffer-b-fill', type: 'fill', source: srcId, paint: { 'fill-color': '#a78bfa', 'fill-opacity': 0.15 } });
+    map.addLayer({ id: 'buffer-b-line', type: 'line', source: srcId, paint: { 'line-color': '#7c3aed', 'line-width': 1.5, 'line-dasharray': [3, 2] } });
+  }
+}
+
+export function clearBufferB(map) {
+  const srcId = 'buffer-b';
+  for (const id of ['buffer-b-fill', 'buffer-b-line']) {
+    if (map.getLayer(id)) map.removeLayer(id);
+  }
+  if (map.getSource(srcId)) map.removeSource(srcId);
+}
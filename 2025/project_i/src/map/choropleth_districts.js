@@ -1,7 +1,8 @@
 import { fetchPoliceDistrictsCachedFirst } from '../api/boundaries.js';
-import { fetchByDistrict } from '../api/crime.js';
+import { fetchByDistrict, fetchLqByDistrict, fetchMonthlyByDistrict, fetchMonthlyLqByDistrict } from '../api/crime.js';
 import { joinDistrictCountsToGeoJSON } from '../utils/join.js';
 import { districtNames } from '../utils/district_names.js';
+import { locationQuotients } from '../utils/lq.js';
 
 /**
  * Retrieve police districts and join aggregated counts.
@@ -20,3 +21,68 @@ export async function getDistrictsMerged({ start, end, types }) {
   }
   return merged;
 }
+
+/**
+ * Retrieve police districts with location quotients for the selected offense codes
+ * as properties.value (null where masked; see utils/lq.js).
+ * @param {{start:string,end:string,types?:string[]}} params
+ * @returns {Promise<object>} FeatureCollection with `lq` metadata (cityShare)
+ */
+export async function getDistrictsLQ({ start, end, types }) {
+  const geo = await fetchPoliceDistrictsCachedFirst();
+  const resp = await fetchLqByDistrict({ start, end, types });
+  const rows = Array.isArray(resp?.rows) ? resp.rows : resp;
+  const { byId, cityShare } = locationQuotients((rows || []).map((r) => ({
+    id: String(r.dc_dist ?? '').padStart(2, '0'),
+    sel: Number(r.n_sel) || 0,
+    total: Number(r.n) || 0,
+  })));
+  const features = (geo?.features || []).map((f) => {
+    const code = (f.properties?.DIST_NUMC || '').toString().padStart(2, '0');
+    const q = byId.get(code);
+    return {
+      ...f,
+      properties: {
+        ...f.properties,
+        name: districtNames.get(code) || `District ${code}`,
+        value: q?.lq ?? null,
+        __lqSel: q?.sel ?? 0,
+        __lqTotal: q?.total ?? 0,
+        __lqMasked: !q || q.masked,
+      },
+    };
+  });
+  return { ...geo, features, lq: { cityShare } };
+}
+
+/**
+ * Police districts plus incident counts per district for every month of the window
+ * (time-lapse frames). Months with no row are zero. With `relative`, `byMonth` holds
+ * the selected-offense counts and `totalsByMonth` all incidents, for location quotients.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],relative?:boolean}} params
+ * @returns {Promise<{geojson: object, byMonth: Map<string, Map<string, number>>, totalsByMonth: Map<string, Map<string, number>>|null}>} months keyed 'YYYY-MM', districts by DIST_NUMC
+ */
+export async function getDistrictsMonthly({ start, end, types, drilldownCodes, relative = false }) {
+  const [geo, resp] = await Promise.all([
+    fetchPoliceDistrictsCachedFirst(),
+    (relative ? fetchMonthlyLqByDistrict : fetchMonthlyByDistrict)({ start, end, types, drilldownCodes }),
+  ]);
+  const rows = Array.isArray(resp?.rows) ? resp.rows : resp;
+  const byMonth = new Map();
+  const totalsByMonth = relative ? new Map() : null;
+  for (const r of rows || []) {
+    const m = String(r.m).slice(0, 7);
+    const code = String(r.dc_dist ?? '').padStart(2, '0');
+    if (!byMonth.has(m)) byMonth.set(m, new Map());
+    byMonth.get(m).set(code, Number(relative ? r.n_sel : r.n) || 0);
+    if (relative) {
+      if (!totalsByMonth.has(m)) totalsByMonth.set(m, new Map());
+      totalsByMonth.get(m).set(code, Number(r.n) || 0);
+    }
+  }
+  const features = (geo?.features || []).map((f) => {
+    const code = (f.properties?.DIST_NUMC || '').toString().padStart(2, '0');
+    return { ...f, properties: { ...f.properties, name: districtNames.get(code) || `District ${code}` } };
+  });
+  return { geojson: { ...geo, features }, byMonth, totalsByMonth };
+}
@@ -3,6 +3,11 @@
  */
 
 let legendContainer = null;
+let legendState = null;
+
+const HIST_BINS = 24;
+const HIST_W = 176;
+const HIST_H = 44;
 
 /**
  * Initialize legend container (bottom-right corner)
@@ -31,10 +36,13 @@ export function initLegend(containerId = 'legend') {
 }
 
 /**
- * Update legend with new title, breaks, and colors
- * @param {{title:string,unit:string,breaks:number[],colors:string[]}} params
+ * Update legend with new title, breaks, and colors. With `histogram`, the
+ * distribution of the mapped values is drawn under the classes with a line at
+ * each break, so it is visible where the classifier cut. `labels` (one per colour)
+ * replace the generated range text, for classes that are not plain ranges.
+ * @param {{title:string,unit:string,breaks:number[],colors:string[],labels?:string[],subtitle?:string,histogram?:{values:number[],caption?:string}}} params
  */
-export function updateLegend({ title, unit = '', breaks, colors, subtitle }) {
+export function updateLegend({ title, unit = '', breaks, colors, labels, subtitle, histogram }) {
   if (!legendContainer) {
     initLegend();
   }
@@ -43,6 +51,7 @@ export function updateLegend({ title, unit = '', breaks, colors, subtitle }) {
     hideLegend();
     return;
   }
+  legendState = { title, unit, breaks, colors, labels, subtitle };
 
   // Build legend HTML
   const rows = [];
@@ -53,18 +62,23 @@ export function updateLegend({ title, unit = '', breaks, colors, subtitle }) {
     rows.push(`<div style="font-size:11px; color:#6b7280; margin-bottom:6px;">${subtitle}</div>`);
   }
 
-  // First range: 0 to breaks[0]
-  rows.push(renderRow(colors[0], `0 - ${breaks[0]}${unit}`));
+  if (labels?.length) {
+    labels.forEach((label, i) => rows.push(renderRow(colors[Math.min(i, colors.length - 1)], label)));
+  } else {
+    // First range: 0 to breaks[0]
+    rows.push(renderRow(colors[0], `0 - ${breaks[0]}${unit}`));
 
-  // Middle ranges: breaks[i] to breaks[i+1]
-  for (let i = 0; i < breaks.length - 1; i++) {
-    const colorIdx = Math.min(i + 1, colors.length - 1);
-    rows.push(renderRow(colors[colorIdx], `${breaks[i]} - ${breaks[i + 1]}${unit}`));
-  }
+    // Middle ranges: breaks[i] to breaks[i+1]
+    for (let i = 0; i < breaks.length - 1; i++) {
+      const colorIdx = Math.min(i + 1, colors.length - 1);
+      rows.push(renderRow(colors[colorIdx], `${breaks[i]} - ${breaks[i + 1]}${unit}`));
+    }
 
-  // Last range: breaks[last] +
-  const lastColorIdx = Math.min(breaks.length, colors.length - 1);
-  rows.push(renderRow(colors[lastColorIdx], `${breaks[breaks.length - 1]}+ ${unit}`));
+    // Last range: breaks[last] +
+    const lastColorIdx = Math.min(breaks.length, colors.length - 1);
+    rows.push(renderRow(colors[lastColorIdx], `${breaks[breaks.length - 1]}+ ${unit}`));
+  }
+  if (histogram?.values?.length) rows.push(renderHistogram(histogram.values, breaks, colors, histogram.caption));
 
   legendContainer.innerHTML = rows.join('');
   legendContainer.style.display = 'block';
@@ -85,10 +99,63 @@ function renderRow(color, label) {
   `;
 }
 
+/**
+ * Histogram of values as inline SVG: equal-width bins coloured by the class
+ * they fall in, dashed lines at the breaks, min/max underneath.
+ * @param {number[]} values
+ * @param {number[]} breaks
+ * @param {string[]} colors
+ * @param {string} [caption]
+ * @returns {string} HTML string ('' when there is no spread to show)
+ */
+function renderHistogram(values, breaks, colors, caption) {
+  const nums = values.map(Number).filter(Number.isFinite);
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of nums) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  if (nums.length < 2 || !(hi > lo)) return '';
+
+  const width = (hi - lo) / HIST_BINS;
+  const counts = new Array(HIST_BINS).fill(0);
+  for (const v of nums) counts[Math.min(HIST_BINS - 1, Math.floor((v - lo) / width))]++;
+  const peak = Math.max(...counts);
+  const classOf = (v) => {
+    let i = 0;
+    while (i < breaks.length && v >= breaks[i]) i++;
+    return colors[Math.min(i, colors.length - 1)];
+  };
+  const fmt = (v) => (Math.abs(v) >= 100 ? Math.round(v) : Number(v.toFixed(2)));
+  const barW = HIST_W / HIST_BINS;
+
+  const bars = counts.map((n, i) => {
+    const h = n ? Math.max(1, (n / peak) * HIST_H) : 0;
+    const from = lo + i * width;
+    return `<rect x="${(i * barW).toFixed(1)}" y="${(HIST_H - h).toFixed(1)}" width="${(barW - 1).toFixed(1)}" height="${h.toFixed(1)}" fill="${classOf(from + width / 2)}" stroke="#9ca3af" stroke-width="0.5"><title>${fmt(from)} – ${fmt(from + width)}: ${n}</title></rect>`;
+  });
+  const lines = breaks
+    .filter((b) => b > lo && b < hi)
+    .map((b) => {
+      const x = (((b - lo) / (hi - lo)) * HIST_W).toFixed(1);
+      return `<line x1="${x}" x2="${x}" y1="0" y2="${HIST_H}" stroke="#111827" stroke-width="1" stroke-dasharray="2,2"><title>break ${b}</title></line>`;
+    });
+
+  return `
+    <div class="legend-histogram" style="margin-top:6px;">
+      <svg width="${HIST_W}" height="${HIST_H}" viewBox="0 0 ${HIST_W} ${HIST_H}" role="img" aria-label="Distribution of mapped values with class breaks" style="display:block;">${bars.join('')}${lines.join('')}</svg>
+      <div style="display:flex; justify-content:space-between; font-size:10px; color:#6b7280;"><span>${fmt(lo)}</span><span>${fmt(hi)}</span></div>
+      <div style="font-size:10px; color:#6b7280;">${nums.length} areas${caption ? ` · ${caption}` : ''}</div>
+    </div>
+  `;
+}
+
 /**
  * Hide legend (collapse)
  */
 export function hideLegend() {
+  legendState = null;
   if (legendContainer) {
     legendContainer.style.display = 'none';
   }
@@ -102,3 +169,11 @@ export function showLegend() {
     legendContainer.style.display = 'block';
   }
 }
+
+/**
+ * Contents of the visible legend, or null when hidden (used to draw it into map exports)
+ * @returns {{title:string,unit:string,breaks:number[],colors:string[],labels?:string[],subtitle?:string}|null}
+ */
+export function getLegendState() {
+  return legendState;
+}
@@ -1,7 +1,22 @@
-import { CARTO_SQL_BASE } from '../config.js';
-import { fetchJson } from '../utils/http.js';
-import { buildCrimePointsSQL } from '../utils/sql.js';
+import { runCartoSql } from '../api/datasource.js';
+import { buildCrimePointsSQL, buildDensityGridSQL } from '../utils/sql.js';
 import { categoryColorPairs } from '../utils/types.js';
+import { store } from '../state/store.js';
+
+const DENSITY_SOURCE = 'crime-density';
+const DENSITY_LAYER = 'crime-density-heat';
+// Ground resolution at zoom 0 on the equator (m/px); MapLibre zooms are based on 512 px tiles
+const MPP_Z0 = 78271.51696;
+// YlOrRd, transparent where there is (almost) nothing
+const DENSITY_COLORS = [
+  'interpolate', ['linear'], ['heatmap-density'],
+  0, 'rgba(255,255,178,0)',
+  0.1, 'rgba(254,217,118,0.6)',
+  0.3, '#feb24c',
+  0.5, '#fd8d3c',
+  0.7, '#f03b20',
+  1, '#bd0026',
+];
 
 function project3857(lon, lat) {
   const R = 6378137;
@@ -44,15 +59,49 @@ function unclusteredColorExpression() {
  */
 const MAX_UNCLUSTERED = 20000;
 
+let lastPoints = null;
+
+/**
+ * Most recent points response with the filters that produced it (for exports).
+ * @returns {{geojson:object, start:string, end:string, bbox:object}|null}
+ */
+export function getLastPoints() {
+  return lastPoints;
+}
+
 export async function refreshPoints(map, { start, end, types, queryMode, selectedDistrictCode } = {}) {
-  const { srcId, clusterId, clusterCountId, unclusteredId } = ensureSourcesAndLayers(map);
+  if (store.pointsMode === 'density') {
+    const density = await fetchDensityInView(map, { start, end, types, queryMode, selectedDistrictCode });
+    clearCrimePoints(map, { keepDensity: true });
+    setDensity(map, density);
+    return;
+  }
+  clearDensity(map);
+  const geo = await fetchPointsInView(map, { start, end, types, queryMode, selectedDistrictCode });
+  lastPoints = { geojson: geo, start, end, bbox: mapBboxTo3857(map) };
+  setCrimePoints(map, geo);
+}
 
+/**
+ * Fetch incident points for the current map view without touching the map.
+ * @param {import('maplibre-gl').Map} map
+ * @param {{start:string,end:string,types?:string[],queryMode?:string,selectedDistrictCode?:string}} params
+ * @returns {Promise<object>} GeoJSON FeatureCollection
+ */
+export async function fetchPointsInView(map, { start, end, types, queryMode, selectedDistrictCode } = {}) {
   const bbox = mapBboxTo3857(map);
   const dc_dist = queryMode === 'district' && selectedDistrictCode ? selectedDistrictCode : undefined;
   const sql = buildCrimePointsSQL({ start, end, types, bbox, dc_dist });
-  const url = `${CARTO_SQL_BASE}?format=GeoJSON&q=${encodeURIComponent(sql)}`;
+  return runCartoSql('refreshPoints', sql, { format: 'GeoJSON', cacheTTL: 30_000 });
+}
 
-  const geo = await fetchJson(url, { cacheTTL: 30_000 });
+/**
+ * Show already-fetched points in the clustered point layers (time-lapse frames reuse this).
+ * @param {import('maplibre-gl').Map} map
+ * @param {object} geo - GeoJSON FeatureCollection
+ */
+export function setCrimePoints(map, geo) {
+  const { srcId, clusterId, clusterCountId, unclusteredId } = ensureSourcesAndLayers(map);
   const count = Array.isArray(geo?.features) ? geo.features.length : 0;
 
   // Add or update source
@@ -146,7 +195,14 @@ export async function refreshPoints(map, { start, end, types, queryMode, selecte
   }
 }
 
-export function clearCrimePoints(map) {
+/**
+ * Remove the point layers (and the density layer unless `keepDensity`).
+ * @param {import('maplibre-gl').Map} map
+ * @param {{keepDensity?:boolean}} [opts]
+ */
+export function clearCrimePoints(map, { keepDensity = false } = {}) {
+  lastPoints = null;
+  if (!keepDensity) clearDensity(map);
   const srcId = 'crime-points';
   for (const id of ['unclustered','cluster-count','clusters']) {
     if (map.getLayer(id)) {
@@ -158,6 +214,96 @@ export function clearCrimePoints(map) {
   }
 }
 
+/**
+ * Kernel density input for the current view: the full filtered result set
+ * aggregated to a grid on the server, with the search radius it was built for.
+ * Cells are a quarter of the radius (never below ~2 px) so the kernel, not the
+ * grid, sets the smoothness; the bbox is padded by the radius so edge hot spots
+ * keep their neighbours.
+ * @param {import('maplibre-gl').Map} map
+ * @param {{start:string,end:string,types?:string[],queryMode?:string,selectedDistrictCode?:string,bandwidthM?:number}} params
+ * @returns {Promise<{geojson:object, bandwidthM:number, cellM:number, lat:number, total:number}>}
+ */
+export async function fetchDensityInView(map, { start, end, types, queryMode, selectedDistrictCode, bandwidthM = store.kdeBandwidthM || 200 } = {}) {
+  const lat = map.getCenter().lat;
+  const mpp = (MPP_Z0 * Math.cos((lat * Math.PI) / 180)) / 2 ** map.getZoom();
+  // EPSG:3857 units are stretched by 1/cos(lat) relative to ground metres
+  const stretch = 1 / Math.cos((lat * Math.PI) / 180);
+  const cellM = Math.max(bandwidthM / 4, mpp * 2, 10);
+  const b = mapBboxTo3857(map);
+  const pad = bandwidthM * stretch;
+  const bbox = { xmin: b.xmin - pad, ymin: b.ymin - pad, xmax: b.xmax + pad, ymax: b.ymax + pad };
+  const dc_dist = queryMode === 'district' && selectedDistrictCode ? selectedDistrictCode : undefined;
+  const sql = buildDensityGridSQL({ start, end, types, bbox, dc_dist, cellM: cellM * stretch });
+  const resp = await runCartoSql('fetchDensity', sql, { cacheTTL: 30_000 });
+  const rows = Array.isArray(resp?.rows) ? resp.rows : [];
+  let total = 0;
+  const features = [];
+  for (const r of rows) {
+    const n = Number(r.n) || 0;
+    const x = Number(r.x);
+    const y = Number(r.y);
+    if (!(n > 0) || !Number.isFinite(x) || !Number.isFinite(y)) continue;
+    total += n;
+    features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [x, y] }, properties: { n } });
+  }
+  return { geojson: { type: 'FeatureCollection', features }, bandwidthM, cellM, lat, total };
+}
+
+/**
+ * Show a density grid as a MapLibre heatmap. The kernel radius follows the
+ * search radius in metres at every zoom, and cell weights are scaled so a
+ * neighbourhood as busy as the 95th-percentile cell reaches the top colour.
+ * @param {import('maplibre-gl').Map} map
+ * @param {{geojson:object, bandwidthM:number, cellM:number, lat:number, total:number}} density
+ */
+export function setDensity(map, { geojson, bandwidthM, cellM, lat, total }) {
+  if (total === 0) {
+    ensureBanner('No incidents for selected filters — try expanding time window or offense groups');
+    clearDensity(map);
+    return;
+  }
+  hideBanner();
+
+  const counts = geojson.features.map((f) => f.properties.n).sort((a, b) => a - b);
+  const p95 = counts[Math.min(counts.length - 1, Math.floor(counts.length * 0.95))] || 1;
+  // MapLibre's kernel peaks at ~0.4 per unit weight with sigma = radius / 3, so a
+  // disc of cells each holding `p95` sums to about 0.28 * (radius / cell)^2 * p95
+  const kernelMass = Math.max(1, 0.28 * (bandwidthM / cellM) ** 2);
+  const radiusPx = (z) => bandwidthM / ((MPP_Z0 * Math.cos((lat * Math.PI) / 180)) / 2 ** z);
+  const paint = {
+    'heatmap-weight': ['/', ['get', 'n'], p95 * kernelMass],
+    'heatmap-radius': ['interpolate', ['exponential', 2], ['zoom'], 8, radiusPx(8), 18, radiusPx(18)],
+    'heatmap-intensity': 1,
+    'heatmap-color': DENSITY_COLORS,
+    'heatmap-opacity': 0.8,
+  };
+
+  if (map.getSource(DENSITY_SOURCE)) {
+    map.getSource(DENSITY_SOURCE).setData(geojson);
+  } else {
+    map.addSource(DENSITY_SOURCE, { type: 'geojson', data: geojson });
+  }
+  if (!map.getLayer(DENSITY_LAYER)) {
+    map.addLayer({ id: DENSITY_LAYER, type: 'heatmap', source: DENSITY_SOURCE, paint });
+  } else {
+    for (const [k, v] of Object.entries(paint)) map.setPaintProperty(DENSITY_LAYER, k, v);
+  }
+}
+
+/**
+ * Remove the density layer and its source.
+ * @param {import('maplibre-gl').Map} map
+ */
+export function clearDensity(map) {
+  if (map.getLayer(DENSITY_LAYER)) {
+    try { map.removeLayer(DENSITY_LAYER); } catch {}
+  }
+  if (map.getSource(DENSITY_SOURCE)) {
+    try { map.removeSource(DENSITY_SOURCE); } catch {}
+  }
+}
+
 function ensureBanner(text) {
   let el = document.getElementById('banner');
   if (!el) {
@@ -1,28 +1,47 @@
 import { updateLegend, hideLegend } from './legend.js';
-import { computeBreaks, makePalette, toMapLibreStep } from '../utils/classify.js';
+import { computeBreaks, makePalette, toMapLibreStep, CLASS_METHOD_LABELS } from '../utils/classify.js';
 import { store } from '../state/store.js';
+import { lqClasses, lqFillColor, lqLegendSubtitle } from '../utils/lq.js';
 
 /**
  * Add or update a districts choropleth from merged GeoJSON.
  * @param {import('maplibre-gl').Map} map
- * @param {object} merged - FeatureCollection with properties.value on each feature
+ * @param {object} merged - FeatureCollection with properties.value on each feature; when it
+ *   carries `lq` (from getDistrictsLQ) values are location quotients on fixed diverging classes
+ * @param {{classes?:{breaks:number[],colors:string[]}, title?:string, subtitle?:string}} [opts] - fixed
+ *   classes and legend text supplied by the caller (time-lapse frames share one classification)
  * @returns {{breaks:number[], colors:string[]}}
  */
-export function renderDistrictChoropleth(map, merged) {
+export function renderDistrictChoropleth(map, merged, { classes, title, subtitle } = {}) {
+  const isLq = !!merged?.lq;
   const values = (merged?.features || []).map((f) => Number(f?.properties?.value) || 0);
-  const allZero = values.length === 0 || values.every((v) => v === 0);
-  const breaks = allZero ? [] : computeBreaks(values, { method: store.classMethod, bins: store.classBins, custom: store.classCustomBreaks });
-  const colors = makePalette(store.classPalette, (breaks.length || Math.max(1, store.classBins - 1)) + 1);
+  // with fixed classes an empty month is a valid frame, not "no data"
+  const allZero = !classes && (values.length === 0 || values.every((v) => v === 0));
+  let breaks;
+  let colors;
+  if (classes) {
+    ({ breaks, colors } = classes);
+  } else if (isLq) {
+    ({ breaks, colors } = lqClasses());
+  } else {
+    breaks = allZero ? [] : computeBreaks(values, { method: store.classMethod, bins: store.classBins, custom: store.classCustomBreaks });
+    colors = makePalette(store.classPalette, (breaks.length || Math.max(1, store.classBins - 1)) + 1);
+  }
 
   // Update legend
   if (allZero || breaks.length === 0) {
     hideLegend();
+  } else if (isLq) {
+    const lqValues = (merged?.features || []).filter((f) => !f.properties?.__lqMasked).map((f) => f.properties.value);
+    updateLegend({ title: title || 'Districts — relative to city (LQ)', unit: '', breaks, colors, subtitle: subtitle ?? lqLegendSubtitle(merged.lq.cityShare), histogram: { values: lqValues, caption: 'fixed LQ breaks' } });
   } else {
-    updateLegend({ title: 'Districts', unit: '', breaks, colors });
+    const caption = classes ? 'classes fixed across frames' : CLASS_METHOD_LABELS[store.classMethod];
+    updateLegend({ title: title || 'Districts', unit: '', breaks, colors, subtitle, histogram: { values, caption } });
   }
 
   // Build step expression from classifier
   const { paintProps } = toMapLibreStep(breaks, colors, { opacity: store.classOpacity });
+  if (isLq) paintProps['fill-color'] = lqFillColor(paintProps['fill-color']);
 
   const sourceId = 'districts';
   const fillId = 'districts-fill';
@@ -1,22 +1,45 @@
 import { updateLegend, hideLegend } from './legend.js';
 import { upsertTractsFill, showTractsFill, hideTractsFill } from './tracts_layers.js';
 import { store } from '../state/store.js';
-import { computeBreaks, makePalette, toMapLibreStep } from '../utils/classify.js';
+import { computeBreaks, makePalette, toMapLibreStep, CLASS_METHOD_LABELS } from '../utils/classify.js';
+import { lqClasses, lqFillColor, lqLegendSubtitle } from '../utils/lq.js';
+import { hotspotClasses, hotspotLegendSubtitle } from '../utils/hotspot.js';
 
 /**
  * Render tracts choropleth, masking low-population tracts via __mask flag.
  * @param {import('maplibre-gl').Map} map
- * @param {{geojson: object, values: number[]}} merged
+ * @param {{geojson: object, values: number[], lq?: {cityShare:number|null}, hotspot?: object}} merged - with `lq`
+ *   (from getTractsLQ) values are location quotients on fixed diverging classes; with `hotspot`
+ *   (from getTractsHotspots) values are Gi* z-scores on fixed confidence classes
+ * @param {{classes?:{breaks:number[],colors:string[]}, title?:string, subtitle?:string, unit?:string, maskProp?:string}} [opts] - fixed
+ *   classes and legend text supplied by the caller (time-lapse frames share one classification);
+ *   features whose `maskProp` property is true are drawn grey (e.g. ACS overlays without an estimate)
  * @returns {{breaks:number[], colors:string[]}}
  */
-export function renderTractsChoropleth(map, merged) {
+export function renderTractsChoropleth(map, merged, { classes, title, subtitle: subtitleOverride, unit = '', maskProp } = {}) {
   const geojson = merged?.geojson || merged; // Handle both formats
   const values = merged?.values || (geojson?.features || []).map((f) => Number(f?.properties?.value) || 0);
-  const subtitle = merged?.legendSubtitle || '';
+  const isLq = !!merged?.lq;
+  const isHotspot = !!merged?.hotspot;
+  const subtitle = subtitleOverride
+    ?? (isLq ? lqLegendSubtitle(merged.lq.cityShare) : isHotspot ? hotspotLegendSubtitle(merged.hotspot) : (merged?.legendSubtitle || ''));
 
-  const allZero = values.length === 0 || values.every((v) => v === 0);
-  const breaks = allZero ? [] : computeBreaks(values, { method: store.classMethod, bins: store.classBins, custom: store.classCustomBreaks });
-  const colors = makePalette(store.classPalette, (breaks.length || Math.max(1, store.classBins - 1)) + 1);
+  // with fixed classes an empty month is a valid frame, not "no data"
+  const allZero = !classes && (values.length === 0 || values.every((v) => v === 0));
+  let breaks;
+  let colors;
+  let labels;
+  if (classes) {
+    ({ breaks, colors } = classes);
+  } else if (isLq) {
+    ({ breaks, colors } = allZero ? { breaks: [], colors: [] } : lqClasses());
+  } else if (isHotspot) {
+    // z-scores are centred on 0, so "all zero" means no variance to test
+    ({ breaks, colors, labels } = values.length === 0 ? { breaks: [], colors: [] } : hotspotClasses());
+  } else {
+    breaks = allZero ? [] : computeBreaks(values, { method: store.classMethod, bins: store.classBins, custom: store.classCustomBreaks });
+    colors = makePalette(store.classPalette, (breaks.length || Math.max(1, store.classBins - 1)) + 1);
+  }
 
   // Update legend
   if (allZero || breaks.length === 0) {
@@ -25,10 +48,14 @@ export function renderTractsChoropleth(map, merged) {
     // Show banner: outlines-only mode
     showOutlinesOnlyBanner();
   } else {
-    updateLegend({ title: 'Census Tracts', unit: '', breaks, colors, subtitle });
+    const caption = isLq ? 'fixed LQ breaks' : isHotspot ? 'Gi* z-scores, 90/95/99% cut-offs' : (classes ? 'classes fixed across frames' : CLASS_METHOD_LABELS[store.classMethod]);
+    const defaultTitle = isLq ? 'Census Tracts — relative to city (LQ)' : isHotspot ? 'Census Tracts — hot spots (Gi*)' : 'Census Tracts';
+    updateLegend({ title: title || defaultTitle, unit, breaks, colors, labels, subtitle, histogram: { values, caption } });
 
     // Build step expression for fill color
     const { paintProps } = toMapLibreStep(breaks, colors, { opacity: store.classOpacity });
+    if (isLq) paintProps['fill-color'] = lqFillColor(paintProps['fill-color']);
+    else if (maskProp) paintProps['fill-color'] = ['case', ['boolean', ['get', maskProp], false], '#e5e7eb', paintProps['fill-color']];
 
     // Update tract fill layer (use new tracts_layers module)
     upsertTractsFill(map, geojson, { fillColor: paintProps['fill-color'], fillOpacity: paintProps['fill-opacity'] });
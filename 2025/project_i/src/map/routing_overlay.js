@@ -2,47 +2,80 @@
  * Route Safety Diary - Routing Overlay
  *
  * Purpose: Display safer alternative routes with A* pathfinding.
- * Status: [TODO] Implementation needed for M1 (stub returns null)
- * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 4)
+ * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 4), docs/ALGO_REQUIREMENTS_M1.md (Section 4)
+ *
+ * Pure routing functions (findSaferRoute and helpers) have no DOM access so the
+ * server route endpoint can import them too.
  */
 
-// TODO: Import dependencies when implementing
-// import * as turf from '@turf/turf';
+import * as turf from '@turf/turf';
+
+const SOURCE_ID = 'safer-route';
+const LAYER_ID = 'safer-route-line';
+const DIRECT_SOURCE_ID = 'safer-route-direct';
+const DIRECT_LAYER_ID = 'safer-route-direct-line';
+const STRIP_ID = 'safer-route-strip';
+
+// Travel speeds used for time estimates (m/s)
+const SPEED_M_PER_S = { walk: 1.4, bike: 4.2 };
+
+// Alternative route criteria (docs/ALGO_REQUIREMENTS_M1.md, Section 4)
+const MIN_SAFETY_GAIN = 0.5;
+const MAX_TIME_DIFF_S = 900;
 
 /**
- * Draw safer alternative route on map
+ * Draw safer alternative route on map. When meta.meets_criteria is false nothing
+ * is drawn and the strip only says that no safer route is close enough.
  * @param {MapLibreMap} map - MapLibre map instance
  * @param {object} geojsonLine - GeoJSON Feature with LineString geometry
- * @param {object} meta - Route metadata {timeDiff, avoidedSegments}
+ * @param {object} meta - Comparison {time_diff_s, time_diff_display, safety_gain, avoided_segments, meets_criteria}
+ *                        plus optional `direct` Feature drawn as a dashed reference line
  */
-export function drawSaferRoute(map, geojsonLine, meta) {
-  // TODO: Add route source and layer
-  // map.addSource('safer-route', {
-  //   type: 'geojson',
-  //   data: geojsonLine
-  // });
-
-  // TODO: Add animated line layer
-  // map.addLayer({
-  //   id: 'safer-route-line',
-  //   type: 'line',
-  //   source: 'safer-route',
-  //   paint: {
-  //     'line-color': '#2196F3',  // Blue
-  //     'line-width': 4,
-  //     'line-opacity': 0.8
-  //   }
-  // });
-
-  // TODO: Create "Safer alternative" strip (top-right overlay)
-  // const strip = createSaferRouteStrip(meta);
-  // document.body.appendChild(strip);
-
-  // TODO: Zoom map to fit route bounds
-  // const bounds = turf.bbox(geojsonLine);
-  // map.fitBounds(bounds, { padding: 50 });
-
-  // See: docs/SCENARIO_MAPPING.md (Scenario 3, Safer Alternative Strip)
+export function drawSaferRoute(map, geojsonLine, meta = {}) {
+  removeSaferRoute(map);
+  if (!geojsonLine?.geometry) return;
+  if (meta.meets_criteria === false) {
+    document.body.appendChild(createSaferRouteStrip(meta, { onDismiss: () => removeSaferRoute(map) }));
+    return;
+  }
+
+  if (meta.direct?.geometry) {
+    map.addSource(DIRECT_SOURCE_ID, { type: 'geojson', data: meta.direct });
+    map.addLayer({
+      id: DIRECT_LAYER_ID,
+      type: 'line',
+      source: DIRECT_SOURCE_ID,
+      layout: { 'line-cap': 'round', 'line-join': 'round' },
+      paint: {
+        'line-color': '#6b7280',
+        'line-width': 3,
+        'line-opacity': 0.7,
+        'line-dasharray': [2, 2]
+      }
+    });
+  }
+
+  map.addSource(SOURCE_ID, { type: 'geojson', data: geojsonLine });
+  map.addLayer({
+    id: LAYER_ID,
+    type: 'line',
+    source: SOURCE_ID,
+    layout: { 'line-cap': 'round', 'line-join': 'round' },
+    paint: {
+      'line-color': '#2196F3',
+      'line-width': 4,
+      'line-opacity': 0.8
+    }
+  });
+
+  const fit = () => {
+    const [minx, miny, maxx, maxy] = turf.bbox(geojsonLine);
+    map.fitBounds([[minx, miny], [maxx, maxy]], { padding: 50, duration: 600 });
+  };
+
+  const strip = createSaferRouteStrip(meta, { onShow: fit, onDismiss: () => removeSaferRoute(map) });
+  document.body.appendChild(strip);
+  fit();
 }
 
 /**
@@ -50,103 +83,203 @@ export function drawSaferRoute(map, geojsonLine, meta) {
  * @param {MapLibreMap} map - MapLibre map instance
  */
 export function removeSaferRoute(map) {
-  // TODO: Remove route layer
-  // if (map.getLayer('safer-route-line')) {
-  //   map.removeLayer('safer-route-line');
-  // }
-
-  // TODO: Remove route source
-  // if (map.getSource('safer-route')) {
-  //   map.removeSource('safer-route');
-  // }
-
-  // TODO: Remove strip UI
-  // const strip = document.getElementById('safer-route-strip');
-  // if (strip) strip.remove();
+  for (const id of [LAYER_ID, DIRECT_LAYER_ID]) {
+    if (map.getLayer(id)) map.removeLayer(id);
+  }
+  for (const id of [SOURCE_ID, DIRECT_SOURCE_ID]) {
+    if (map.getSource(id)) map.removeSource(id);
+  }
+  const strip = document.getElementById(STRIP_ID);
+  if (strip) strip.remove();
 }
 
 /**
  * Create "Safer alternative" strip UI (top-right)
- * @param {object} meta - Route metadata
+ * @param {object} meta - Route comparison
+ * @param {{onShow?:Function, onDismiss?:Function}} [handlers]
  * @returns {HTMLElement} Strip element
  */
-function createSaferRouteStrip(meta) {
-  // TODO: Create white card with border/shadow
-  // TODO: Add icon (ThumbsUp, green)
-  // TODO: Add title "Safer alternative now"
-  // TODO: Add description (meta.timeDiff, meta.avoidedSegments)
-  // TODO: Add "Show route" button (zoom to fit)
-  // TODO: Add dismiss (X) button
-  // TODO: Slide-in animation from right
-  // TODO: Return strip element
+function createSaferRouteStrip(meta, { onShow, onDismiss } = {}) {
+  const strip = document.createElement('div');
+  strip.id = STRIP_ID;
+  strip.style.cssText = `
+    position: fixed; top: 12px; right: 12px; z-index: 1100;
+    display: flex; gap: 10px; align-items: flex-start; max-width: 300px;
+    background: #fff; border: 1px solid #d1fae5; border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.12); padding: 10px 12px;
+    font: 13px/1.4 system-ui, sans-serif;
+    transform: translateX(120%); transition: transform 0.25s ease-out;
+  `;
+
+  const offered = meta.meets_criteria !== false;
+  const gain = Number.isFinite(meta.safety_gain) ? `${signed(meta.safety_gain)} rating` : '';
+  const avoided = offered && meta.avoided_segments
+    ? `avoids ${meta.avoided_segments} lower-rated segment${meta.avoided_segments === 1 ? '' : 's'}`
+    : '';
+  const details = [meta.time_diff_display, gain, avoided].filter(Boolean).join(' · ');
+
+  strip.innerHTML = `
+    <div style="font-size:20px;color:${offered ? '#16a34a' : '#6b7280'}">${offered ? '👍' : 'ℹ️'}</div>
+    <div style="flex:1">
+      <div style="font-weight:600">${offered ? 'Safer alternative now' : `No safer route within ${MAX_TIME_DIFF_S / 60} min`}</div>
+      <div style="color:#4b5563;margin:2px 0 6px">${details}</div>
+      ${offered ? '<button type="button" data-action="show" style="padding:3px 10px;border:1px solid #2196F3;border-radius:4px;background:#2196F3;color:#fff;cursor:pointer">Show route</button>' : ''}
+    </div>
+    <button type="button" data-action="dismiss" aria-label="Dismiss" style="border:none;background:none;font-size:16px;cursor:pointer;color:#6b7280">×</button>
+  `;
+  if (!offered) strip.style.borderColor = '#e5e7eb';
+
+  strip.querySelector('[data-action="show"]')?.addEventListener('click', () => onShow?.());
+  strip.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+    if (onDismiss) onDismiss(); else strip.remove();
+  });
+
+  requestAnimationFrame(() => { strip.style.transform = 'translateX(0)'; });
+  return strip;
 }
 
 /**
- * Find safer alternative route using A* pathfinding
+ * Find the shortest and the safety-weighted route using A* pathfinding.
+ * Both are always returned when the points are connected; meta.meets_criteria
+ * says whether the safer route clears the gain/time thresholds, so the caller
+ * decides whether to offer it.
  * @param {Array} origin - [lng, lat]
  * @param {Array} destination - [lng, lat]
  * @param {object} segments - GeoJSON FeatureCollection of segments
- * @returns {object|null} {route: Feature, meta: {...}} or null if no alternative
+ * @param {{mode?:'walk'|'bike', minSafetyGain?:number, maxTimeDiffS?:number}} [opts]
+ * @returns {object|null} {route: Feature, direct: Feature, meta: {...}} or null if no path connects the points
  */
-export function findSaferRoute(origin, destination, segments) {
-  // TODO: M2 implementation (A* with safety penalties)
-  // For M1: Return null (no alternative found)
-  console.warn('[Diary] A* routing not implemented yet (M1 stub)');
-  return null;
+export function findSaferRoute(origin, destination, segments, opts = {}) {
+  const {
+    mode = 'walk',
+    minSafetyGain = MIN_SAFETY_GAIN,
+    maxTimeDiffS = MAX_TIME_DIFF_S,
+  } = opts;
+
+  const graph = buildGraph(segments);
+  const start = nearestNode(graph, origin);
+  const goal = nearestNode(graph, destination);
+  if (!start || !goal || start === goal) return null;
+
+  const directEdges = aStar(start, goal, graph, (segment) => segmentLength(segment));
+  if (!directEdges) return null;
+  const saferEdges = aStar(start, goal, graph, segmentCost);
+
+  const speed = SPEED_M_PER_S[mode] || SPEED_M_PER_S.walk;
+  const direct = pathFeature(directEdges, speed);
+  const route = pathFeature(saferEdges, speed);
 
-  // TODO: M2 algorithm:
-  // 1. Build graph from segments (nodes = endpoints, edges = segments)
-  // 2. Run A* with cost function: length_m * (1 + penalty(rating))
-  //    penalty(rating) = (5 - rating) / 5
-  // 3. Heuristic: Euclidean distance (turf.distance)
-  // 4. Return path if safety gain > 0.5 AND time diff < 900s
-  // See: docs/ALGO_REQUIREMENTS_M1.md (Section 4: A* Pathfinding)
+  const timeDiff = route.properties.total_time_s - direct.properties.total_time_s;
+  // unrounded ratings, so a 0.54 gain is not reported as 0.5 and vice versa
+  const safetyGain = meanRating(saferEdges) - meanRating(directEdges);
+
+  const saferIds = new Set(route.properties.segments);
+  const avoided = direct.properties.segments.filter((id) => !saferIds.has(id)).length;
+  const diffMin = Math.round(timeDiff / 60);
+
+  return {
+    route,
+    direct,
+    meta: {
+      time_diff_s: Math.round(timeDiff),
+      time_diff_display: `${diffMin >= 0 ? '+' : '−'}${Math.abs(diffMin)} min`,
+      safety_gain: round1(safetyGain),
+      avoided_segments: avoided,
+      meets_criteria: safetyGain > minSafetyGain && timeDiff < maxTimeDiffS,
+    },
+  };
 }
 
 /**
- * A* pathfinding algorithm (stub for M2)
- * @param {object} start - Start node
- * @param {object} goal - Goal node
- * @param {object} graph - Graph representation
+ * Build an undirected graph (nodes = segment endpoints, edges = segments).
+ * Endpoints are keyed on 6-decimal coordinates so touching segments share a node.
+ * @param {object} segments - GeoJSON FeatureCollection of LineStrings
+ * @returns {{nodes: Map<string, number[]>, edges: Map<string, Array>}}
+ */
+function buildGraph(segments) {
+  const nodes = new Map();
+  const edges = new Map();
+  const addEdge = (from, to, segment, coords) => {
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push({ from, to, segment, coords });
+  };
+
+  for (const f of segments?.features || []) {
+    const coords = f?.geometry?.type === 'LineString' ? f.geometry.coordinates : null;
+    if (!coords || coords.length < 2) continue;
+    const a = nodeKey(coords[0]);
+    const b = nodeKey(coords[coords.length - 1]);
+    if (a === b) continue;
+    nodes.set(a, coords[0]);
+    nodes.set(b, coords[coords.length - 1]);
+    addEdge(a, b, f, coords);
+    addEdge(b, a, f, coords.slice().reverse());
+  }
+  return { nodes, edges };
+}
+
+/**
+ * A* pathfinding algorithm
+ * @param {string} start - Start node key
+ * @param {string} goal - Goal node key
+ * @param {object} graph - Graph from buildGraph
  * @param {function} costFn - Cost function (segment) => cost
- * @returns {Array} Path as array of segment IDs
+ * @returns {Array|null} Path as ordered edges {from, to, segment, coords}, or null if unreachable
  */
 function aStar(start, goal, graph, costFn) {
-  // TODO: M2 implementation
-  // 1. Initialize open set (priority queue) and closed set
-  // 2. Initialize g_score and f_score maps
-  // 3. While open set not empty:
-  //    a. Get node with lowest f_score
-  //    b. If node === goal, reconstruct path and return
-  //    c. Add node to closed set
-  //    d. For each neighbor:
-  //       - Calculate tentative g_score
-  //       - Update if better than previous
-  //       - Add to open set if not already
-  // 4. Return null if no path found
-  // See: docs/ALGO_REQUIREMENTS_M1.md (A* Pseudocode)
+  const goalCoord = graph.nodes.get(goal);
+  const openSet = createMinHeap();
+  const closedSet = new Set();
+  const cameFrom = new Map();
+  const gScore = new Map([[start, 0]]);
+
+  openSet.push(start, heuristic(graph.nodes.get(start), goalCoord));
+
+  while (openSet.size() > 0) {
+    const current = openSet.pop();
+    if (current === goal) return reconstructPath(cameFrom, current);
+    // Stale heap entries are skipped rather than decreased in place
+    if (closedSet.has(current)) continue;
+    closedSet.add(current);
+
+    for (const edge of graph.edges.get(current) || []) {
+      if (closedSet.has(edge.to)) continue;
+      const tentative = gScore.get(current) + costFn(edge.segment);
+      if (!gScore.has(edge.to) || tentative < gScore.get(edge.to)) {
+        cameFrom.set(edge.to, edge);
+        gScore.set(edge.to, tentative);
+        openSet.push(edge.to, tentative + heuristic(graph.nodes.get(edge.to), goalCoord));
+      }
+    }
+  }
+  return null;
 }
 
 /**
- * Heuristic function for A* (Euclidean distance)
- * @param {object} nodeA - Node {lng, lat}
- * @param {object} nodeB - Node {lng, lat}
+ * Heuristic function for A* (great-circle distance)
+ * Admissible for both cost functions since every cost is >= segment length.
+ * @param {Array} nodeA - [lng, lat]
+ * @param {Array} nodeB - [lng, lat]
  * @returns {number} Estimated distance in meters
  */
 function heuristic(nodeA, nodeB) {
-  // TODO: Use turf.distance(pointA, pointB, {units: 'meters'})
-  return 0; // Placeholder
+  return turf.distance(turf.point(nodeA), turf.point(nodeB), { units: 'meters' });
 }
 
 /**
  * Reconstruct path from A* cameFrom map
- * @param {Map} cameFrom - Parent pointers
- * @param {object} current - Current node
- * @returns {Array} Path as array of nodes
+ * @param {Map} cameFrom - Node key -> edge used to reach it
+ * @param {string} current - Goal node key
+ * @returns {Array} Edges from start to goal
  */
 function reconstructPath(cameFrom, current) {
-  // TODO: Backtrack from goal to start using cameFrom map
-  return [];
+  const path = [];
+  while (cameFrom.has(current)) {
+    const edge = cameFrom.get(current);
+    path.unshift(edge);
+    current = edge.from;
+  }
+  return path;
 }
 
 /**
@@ -155,11 +288,107 @@ function reconstructPath(cameFrom, current) {
  * @returns {number} Cost in meters (adjusted for safety)
  */
 function segmentCost(segment) {
-  // TODO: Implement cost = length_m * (1 + penalty(rating))
-  // penalty = (5 - rating) / 5
+  // cost = length_m * (1 + penalty(rating)), penalty = (5 - rating) / 5
   // Example: 100m segment with rating 1 → cost = 100 * 1.8 = 180m equivalent
-  const length = segment.properties.length_m;
+  const length = segmentLength(segment);
   const rating = segment.properties.rating || 3.0;
   const penalty = (5 - rating) / 5;
   return length * (1 + penalty);
 }
+
+function segmentLength(segment) {
+  const length = segment.properties?.length_m;
+  return Number.isFinite(length) ? length : turf.length(segment, { units: 'meters' });
+}
+
+// Length-weighted mean segment rating along a path (0 for an empty path)
+function meanRating(edges) {
+  let totalLength = 0;
+  let weightedRating = 0;
+  for (const edge of edges) {
+    const length = segmentLength(edge.segment);
+    totalLength += length;
+    weightedRating += length * (edge.segment.properties.rating || 3.0);
+  }
+  return totalLength > 0 ? weightedRating / totalLength : 0;
+}
+
+function pathFeature(edges, speed) {
+  const coordinates = [];
+  let totalLength = 0;
+  for (const edge of edges) {
+    totalLength += segmentLength(edge.segment);
+    coordinates.push(...(coordinates.length ? edge.coords.slice(1) : edge.coords));
+  }
+  return {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: {
+      segments: edges.map((e) => e.segment.properties.segment_id ?? e.segment.id),
+      total_length_m: Math.round(totalLength),
+      avg_rating: round1(meanRating(edges)),
+      total_time_s: Math.round(totalLength / speed),
+    },
+  };
+}
+
+function nearestNode(graph, lngLat) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const [key, coord] of graph.nodes) {
+    const d = heuristic(lngLat, coord);
+    if (d < bestDist) { bestDist = d; best = key; }
+  }
+  return best;
+}
+
+function nodeKey([lng, lat]) {
+  return `${lng.toFixed(6)},${lat.toFixed(6)}`;
+}
+
+function createMinHeap() {
+  const items = [];
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+  return {
+    size: () => items.length,
+    push(value, priority) {
+      items.push({ value, priority });
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].priority <= items[i].priority) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < items.length && items[l].priority < items[m].priority) m = l;
+          if (r < items.length && items[r].priority < items[m].priority) m = r;
+          if (m === i) break;
+          swap(i, m);
+          i = m;
+        }
+      }
+      return top?.value;
+    },
+  };
+}
+
+// One decimal with an explicit sign; the minus matches time_diff_display
+function signed(n) {
+  const r = round1(n);
+  if (r === 0) return '0.0';
+  return `${r > 0 ? '+' : '−'}${Math.abs(r).toFixed(1)}`;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
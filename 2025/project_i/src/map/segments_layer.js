@@ -2,10 +2,14 @@
  * Route Safety Diary - Segments Layer
  *
  * Purpose: Render street segments with rating colors and confidence widths.
- * Status: [TODO] Implementation needed for M1
  * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 1)
  */
 
+// Last data set per source, so updates can patch properties without reading MapLibre internals
+const sourceData = new Map();
+// Map event handlers per source, so removal can detach them
+const layerHandlers = new Map();
+
 /**
  * Mount segments layer on map (MapLibre vector layer)
  * @param {MapLibreMap} map - MapLibre GL map instance
@@ -13,49 +17,50 @@
  * @param {object} data - GeoJSON FeatureCollection with segment data
  */
 export function mountSegmentsLayer(map, sourceId, data) {
-  // TODO: Add GeoJSON source
-  // map.addSource(sourceId, {
-  //   type: 'geojson',
-  //   data: data
-  // });
-
-  // TODO: Add line layer with data-driven styling
-  // map.addLayer({
-  //   id: `${sourceId}-line`,
-  //   type: 'line',
-  //   source: sourceId,
-  //   paint: {
-  //     'line-color': [
-  //       'interpolate',
-  //       ['linear'],
-  //       ['get', 'rating'],
-  //       1, '#FFA500',  // Amber
-  //       3, '#FFD700',  // Yellow
-  //       5, '#32CD32'   // Lime green
-  //     ],
-  //     'line-width': [
-  //       'interpolate',
-  //       ['linear'],
-  //       ['get', 'n_eff'],
-  //       0, 2,    // Min confidence → 2px
-  //       100, 8   // Max confidence → 8px
-  //     ],
-  //     'line-opacity': 0.8
-  //   }
-  // });
+  const layerId = `${sourceId}-line`;
+  sourceData.set(sourceId, data);
+  if (map.getSource(sourceId)) {
+    map.getSource(sourceId).setData(data);
+    return;
+  }
 
-  // TODO: Add hover handler (change cursor)
-  // map.on('mouseenter', `${sourceId}-line`, () => {
-  //   map.getCanvas().style.cursor = 'pointer';
-  // });
+  map.addSource(sourceId, { type: 'geojson', data });
+  map.addLayer({
+    id: layerId,
+    type: 'line',
+    source: sourceId,
+    layout: { 'line-cap': 'round', 'line-join': 'round' },
+    paint: {
+      'line-color': [
+        'interpolate', ['linear'], ['coalesce', ['get', 'rating'], 3],
+        1, '#FFA500',  // Amber
+        2, '#FFB833',
+        3, '#FFD700',  // Yellow
+        4, '#9ACD32',
+        5, '#32CD32'   // Lime green
+      ],
+      'line-width': [
+        'interpolate', ['linear'], ['coalesce', ['get', 'n_eff'], 0],
+        0, 2,    // Min confidence → 2px
+        100, 8   // Max confidence → 8px
+      ],
+      'line-opacity': 0.8
+    }
+  });
 
-  // TODO: Add click handler (emit custom event)
-  // map.on('click', `${sourceId}-line`, (e) => {
-  //   const feature = e.features[0];
-  //   window.dispatchEvent(new CustomEvent('segment-click', {
-  //     detail: { segmentId: feature.properties.segment_id, lngLat: e.lngLat }
-  //   }));
-  // });
+  const handlers = {
+    mouseenter: () => { map.getCanvas().style.cursor = 'pointer'; },
+    mouseleave: () => { map.getCanvas().style.cursor = ''; },
+    click: (e) => {
+      const feature = e.features && e.features[0];
+      if (!feature) return;
+      window.dispatchEvent(new CustomEvent('segment-click', {
+        detail: { segmentId: feature.properties.segment_id, lngLat: e.lngLat }
+      }));
+    },
+  };
+  for (const [type, fn] of Object.entries(handlers)) map.on(type, layerId, fn);
+  layerHandlers.set(sourceId, handlers);
 
   // See: docs/SCENARIO_MAPPING.md (Scenario 1, MapCanvas → MapLibre)
 }
@@ -67,26 +72,25 @@ export function mountSegmentsLayer(map, sourceId, data) {
  * @param {Array} updatedSegments - Segments with new rating/n_eff values
  */
 export function updateSegments(map, sourceId, updatedSegments) {
-  // TODO: Get current source data
-  // const source = map.getSource(sourceId);
-  // const data = source._data;
-
-  // TODO: Update properties for updated segments
-  // data.features.forEach(feature => {
-  //   const update = updatedSegments.find(u => u.segment_id === feature.properties.segment_id);
-  //   if (update) {
-  //     feature.properties.rating = update.rating;
-  //     feature.properties.n_eff = update.n_eff;
-  //     feature.properties.last_updated = Date.now();
-  //   }
-  // });
+  const source = map.getSource(sourceId);
+  const data = sourceData.get(sourceId);
+  if (!source || !data || !Array.isArray(updatedSegments) || updatedSegments.length === 0) return;
 
-  // TODO: Refresh source
-  // source.setData(data);
-
-  // TODO: Animate glow for updated segments
-  // updatedSegments.forEach(seg => glowSegment(map, sourceId, seg.segment_id));
+  const updates = new Map(updatedSegments.map((u) => [u.segment_id, u]));
+  const next = {
+    ...data,
+    features: data.features.map((feature) => {
+      const update = updates.get(feature.properties?.segment_id);
+      if (!update) return feature;
+      const props = { ...feature.properties, rating: update.rating, n_eff: update.n_eff, last_updated: Date.now() };
+      if (update.trend_30d != null) props.trend_30d = update.trend_30d;
+      return { ...feature, properties: props };
+    })
+  };
+  sourceData.set(sourceId, next);
+  source.setData(next);
 
+  updates.forEach((_, segmentId) => glowSegment(map, sourceId, segmentId));
   // See: docs/DIARY_EXEC_PLAN_M1.md (Phase 4)
 }
 
@@ -98,10 +102,28 @@ export function updateSegments(map, sourceId, updatedSegments) {
  * @param {number} duration - Animation duration in ms (default: 2000)
  */
 function glowSegment(map, sourceId, segmentId, duration = 2000) {
-  // TODO: Implement glow animation using requestAnimationFrame
-  // Animate line-width: base + 3px glow → base (over 2 seconds)
-  // Use map.setFilter() to isolate segment during animation
-  // See: docs/SCENARIO_MAPPING.md (Scenario 3, Segment Glow Animation)
+  const glowId = `${sourceId}-glow-${segmentId}`;
+  if (map.getLayer(glowId)) map.removeLayer(glowId);
+  map.addLayer({
+    id: glowId,
+    type: 'line',
+    source: sourceId,
+    filter: ['==', ['get', 'segment_id'], segmentId],
+    layout: { 'line-cap': 'round' },
+    paint: { 'line-color': '#ffffff', 'line-blur': 4, 'line-width': 14, 'line-opacity': 0.9 }
+  }, `${sourceId}-line`);
+
+  // Fade the halo out: base + glow → base (see docs/SCENARIO_MAPPING.md, Scenario 3)
+  const t0 = performance.now();
+  const step = (now) => {
+    if (!map.getLayer(glowId)) return;
+    const t = Math.min(1, (now - t0) / duration);
+    map.setPaintProperty(glowId, 'line-opacity', 0.9 * (1 - t));
+    map.setPaintProperty(glowId, 'line-width', 14 - 6 * t);
+    if (t < 1) requestAnimationFrame(step);
+    else map.removeLayer(glowId);
+  };
+  requestAnimationFrame(step);
 }
 
 /**
@@ -110,15 +132,21 @@ function glowSegment(map, sourceId, segmentId, duration = 2000) {
  * @param {string} sourceId - Source ID
  */
 export function removeSegmentsLayer(map, sourceId) {
-  // TODO: Remove layer if exists
-  // if (map.getLayer(`${sourceId}-line`)) {
-  //   map.removeLayer(`${sourceId}-line`);
-  // }
-
-  // TODO: Remove source if exists
-  // if (map.getSource(sourceId)) {
-  //   map.removeSource(sourceId);
-  // }
+  for (const [type, fn] of Object.entries(layerHandlers.get(sourceId) || {})) {
+    map.off(type, `${sourceId}-line`, fn);
+  }
+  layerHandlers.delete(sourceId);
+  map.getCanvas().style.cursor = '';
+  for (const layer of map.getStyle()?.layers || []) {
+    if (layer.id.startsWith(`${sourceId}-glow-`)) map.removeLayer(layer.id);
+  }
+  if (map.getLayer(`${sourceId}-line`)) {
+    map.removeLayer(`${sourceId}-line`);
+  }
+  if (map.getSource(sourceId)) {
+    map.removeSource(sourceId);
+  }
+  sourceData.delete(sourceId);
 }
 
 /**
@@ -127,13 +155,21 @@ export function removeSegmentsLayer(map, sourceId) {
  * @returns {string} RGB color string
  */
 export function colorForMean(mean) {
-  // TODO: Implement color interpolation
-  // 1.0 → #FFA500 (amber)
-  // 3.0 → #FFD700 (yellow)
-  // 5.0 → #32CD32 (lime green)
-  // Linear interpolation between stops
-  // See: docs/ALGO_REQUIREMENTS_M1.md (Section 5: Color Scale)
-  return '#FFD700'; // Placeholder
+  // Linear interpolation between stops (docs/ALGO_REQUIREMENTS_M1.md, Section 5)
+  const stops = [
+    [1, [255, 165, 0]],   // Amber
+    [2, [255, 184, 51]],  // Orange-Yellow
+    [3, [255, 215, 0]],   // Yellow
+    [4, [154, 205, 50]],  // Yellow-Green
+    [5, [50, 205, 50]]    // Lime Green
+  ];
+  const v = Math.max(1, Math.min(5, Number.isFinite(mean) ? mean : 3));
+  const i = Math.min(stops.length - 2, Math.floor(v - 1));
+  const [v0, c0] = stops[i];
+  const [, c1] = stops[i + 1];
+  const t = v - v0;
+  const rgb = c0.map((c, k) => Math.round(c + (c1[k] - c) * t));
+  return `rgb(${rgb.join(', ')})`;
 }
 
 /**
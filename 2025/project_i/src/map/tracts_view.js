@@ -1,7 +1,11 @@
 import { fetchTractsCachedFirst } from "../api/boundaries.js";
-import { fetchTractStatsCachedFirst } from "../api/acs.js";
+import { fetchTractStatsCachedFirst, acsValue, ACS_VARIABLES } from "../api/acs.js";
 import { tractFeatureGEOID } from "../utils/geoids.js";
 import { fetchJson } from "../utils/http.js";
+import { fetchLqGrid, fetchMonthlyGrid, fetchMonthlyLqGrid } from "../api/crime.js";
+import { locationQuotients } from "../utils/lq.js";
+import { queenNeighbors, getisOrdGiStar, hotspotClass } from "../utils/hotspot.js";
+import * as turf from "@turf/turf";
 
 /**
  * Merge tract features with ACS stats. Currently uses population as placeholder value,
@@ -48,6 +52,7 @@ export async function getTractsMerged({ per10k = false, windowStart, windowEnd }
     }
     ft.properties.__geoid = g;
     ft.properties.__pop = row?.pop ?? null;
+    ft.properties.__count = value;
     ft.properties.value = per10k && row?.pop > 0 ? Math.round((value / row.pop) * 10000) : value;
     if (ft.properties.__pop === null || ft.properties.__pop < 500) ft.properties.__mask = true;
     values.push(ft.properties.value ?? 0);
@@ -55,3 +60,205 @@ export async function getTractsMerged({ per10k = false, windowStart, windowEnd }
 
   return { geojson: gj, values, legendSubtitle };
 }
+
+/**
+ * Tract containing a lon/lat point (bbox prefilter, then point-in-polygon).
+ * @param {Array<{ft:object, bbox:number[]}>} tracts
+ * @returns {object|undefined}
+ */
+function tractAt(tracts, x, y) {
+  return tracts.find((t) => x >= t.bbox[0] && x <= t.bbox[2] && y >= t.bbox[1] && y <= t.bbox[3] && turf.booleanPointInPolygon([x, y], t.ft));
+}
+
+/**
+ * Tracts with location quotients for the selected offense codes as properties.value.
+ * Incident counts come from a citywide grid aggregate (~50 m cells) assigned to the
+ * tract containing each cell, so tract edges are accurate to about half a cell.
+ * @param {{start:string,end:string,types?:string[]}} params
+ * @returns {Promise<{geojson: object, values: number[], lq: {cityShare:number|null}}>}
+ */
+export async function getTractsLQ({ start, end, types }) {
+  const [gj, resp] = await Promise.all([fetchTractsCachedFirst(), fetchLqGrid({ start, end, types })]);
+  const cells = Array.isArray(resp?.rows) ? resp.rows : [];
+  const tracts = (gj.features || []).map((ft) => ({ ft, geoid: tractFeatureGEOID(ft), bbox: turf.bbox(ft), sel: 0, total: 0 }));
+
+  for (const c of cells) {
+    const x = Number(c.x);
+    const y = Number(c.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    const hit = tractAt(tracts, x, y);
+    if (!hit) continue; // outside the city's tracts (bad geocodes)
+    hit.sel += Number(c.n_sel) || 0;
+    hit.total += Number(c.n) || 0;
+  }
+
+  const { byId, cityShare } = locationQuotients(tracts.map((t) => ({ id: t.geoid, sel: t.sel, total: t.total })));
+  const values = [];
+  // copies, so LQ fields never leak into the shared geometry used by the counts view
+  const features = tracts.map((t) => {
+    const q = byId.get(t.geoid);
+    if (q.lq != null) values.push(q.lq);
+    return {
+      ...t.ft,
+      properties: { ...t.ft.properties, __geoid: t.geoid, value: q.lq, __lqSel: q.sel, __lqTotal: q.total, __lqMasked: q.masked },
+    };
+  });
+  return { geojson: { ...gj, features }, values, lq: { cityShare } };
+}
+
+/**
+ * Tracts plus incident counts per tract for every month of the window (time-lapse
+ * frames), from a coarser (~200 m) monthly grid than the LQ view since the query
+ * returns one row per cell and month. Features carry `__geoid`, `__pop` and `__mask`
+ * as in {@link getTractsMerged}. With `relative`, `byMonth` holds the selected-offense
+ * counts and `totalsByMonth` all incidents, for location quotients.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],relative?:boolean}} params
+ * @returns {Promise<{geojson: object, byMonth: Map<string, Map<string, number>>, totalsByMonth: Map<string, Map<string, number>>|null}>} months keyed 'YYYY-MM', tracts by GEOID
+ */
+export async function getTractsMonthly({ start, end, types, drilldownCodes, relative = false }) {
+  const [gj, stats, resp] = await Promise.all([
+    fetchTractsCachedFirst(),
+    fetchTractStatsCachedFirst(),
+    (relative ? fetchMonthlyLqGrid : fetchMonthlyGrid)({ start, end, types, drilldownCodes }),
+  ]);
+  const popBy = new Map(stats.map((r) => [r.geoid, r.pop]));
+  const tracts = (gj.features || []).map((ft) => ({ ft, geoid: tractFeatureGEOID(ft), bbox: turf.bbox(ft) }));
+  for (const t of tracts) {
+    t.ft.properties.__geoid = t.geoid;
+    t.ft.properties.__pop = popBy.get(t.geoid) ?? null;
+    t.ft.properties.__mask = t.ft.properties.__pop === null || t.ft.properties.__pop < 500;
+  }
+
+  // the same cell shows up once per month; look each one up only once
+  const cellTract = new Map();
+  const byMonth = new Map();
+  const totalsByMonth = relative ? new Map() : null;
+  const add = (months, m, geoid, n) => {
+    if (!months.has(m)) months.set(m, new Map());
+    const counts = months.get(m);
+    counts.set(geoid, (counts.get(geoid) || 0) + (Number(n) || 0));
+  };
+  for (const c of Array.isArray(resp?.rows) ? resp.rows : []) {
+    const x = Number(c.x);
+    const y = Number(c.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    const key = `${x},${y}`;
+    if (!cellTract.has(key)) cellTract.set(key, tractAt(tracts, x, y)?.geoid ?? null);
+    const geoid = cellTract.get(key);
+    if (!geoid) continue;
+    const m = String(c.m).slice(0, 7);
+    add(byMonth, m, geoid, relative ? c.n_sel : c.n);
+    if (relative) add(totalsByMonth, m, geoid, c.n);
+  }
+  return { geojson: gj, byMonth, totalsByMonth };
+}
+
+/**
+ * Tracts shaded by an ACS variable instead of crime (demographic overlay).
+ * Tracts without a usable estimate get `__acsMissing` and are left out of `values`.
+ * @param {keyof typeof ACS_VARIABLES} variable
+ * @returns {Promise<{geojson: object, values: number[], legendSubtitle: string}>}
+ */
+export async function getTractsAcs(variable) {
+  const [gj, stats] = await Promise.all([fetchTractsCachedFirst(), fetchTractStatsCachedFirst()]);
+  const byGeoid = new Map(stats.map((r) => [r.geoid, r]));
+  const digits = ACS_VARIABLES[variable]?.digits ?? 0;
+  const values = [];
+  const features = (gj.features || []).map((ft) => {
+    const g = tractFeatureGEOID(ft);
+    const v = acsValue(byGeoid.get(g), variable);
+    const value = v == null ? null : Number(v.toFixed(digits));
+    if (value != null) values.push(value);
+    return { ...ft, properties: { ...ft.properties, __geoid: g, value, __acsVar: variable, __acsMissing: v == null } };
+  });
+  return { geojson: { ...gj, features }, values, legendSubtitle: "ACS 2023 5-year estimates; grey = no estimate" };
+}
+
+/**
+ * Crime per 10k residents for every tract, joined to its ACS row. Counts come
+ * from the tract choropleth join (precomputed snapshot) when it covers this exact
+ * window with no offense filter; otherwise from the citywide grid aggregate used
+ * for location quotients, which honours the offense filter.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {Promise<{rows: Array<{geoid:string, name:string, count:number, pop:number|null, rate:number|null, acs:object|null}>, source:'snapshot'|'grid'}>}
+ */
+export async function getTractCrimeRates({ start, end, types = [], drilldownCodes = [] }) {
+  const stats = await fetchTractStatsCachedFirst();
+  const acsBy = new Map(stats.map((r) => [r.geoid, r]));
+  const filtered = types.length > 0 || drilldownCodes.length > 0;
+
+  let counts = null;
+  let source = "snapshot";
+  if (!filtered) {
+    const merged = await getTractsMerged({ windowStart: start, windowEnd: end });
+    if (merged.legendSubtitle) {
+      counts = new Map(merged.geojson.features.map((ft) => [ft.properties.__geoid, ft.properties.__count]));
+    }
+  }
+  const gj = await fetchTractsCachedFirst();
+  if (!counts) {
+    source = "grid";
+    const lq = await getTractsLQ({ start, end, types: drilldownCodes.length ? drilldownCodes : types });
+    counts = new Map(lq.geojson.features.map((ft) => [ft.properties.__geoid, ft.properties.__lqSel]));
+  }
+
+  const rows = (gj.features || []).map((ft) => {
+    const geoid = tractFeatureGEOID(ft);
+    const acs = acsBy.get(geoid) ?? null;
+    const pop = acsValue(acs, "pop");
+    const count = Number(counts.get(geoid)) || 0;
+    // same floor as the per-10k choropleth mask: tiny denominators make wild rates
+    const rate = pop >= 500 ? (count / pop) * 10000 : null;
+    return { geoid, name: ft.properties?.NAME ?? geoid, count, pop, rate, acs };
+  });
+  return { rows, source };
+}
+
+// the tract geometry is memoized by fetchTractsCachedFirst, so the graph is built once
+const neighborGraphs = new WeakMap();
+
+/**
+ * Tracts with Getis-Ord Gi* z-scores of incident counts as properties.value, on a
+ * queen-contiguity graph of the tract polygons. Counts come from {@link getTractCrimeRates}
+ * (snapshot or gridded, honouring the offense filter).
+ * Features carry `__count`, `__giZ`, `__giClass` (±90/95/99, 0 = not significant)
+ * and `__giNeighbors`.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {Promise<{geojson: object, values: number[], hotspot: {n:number, hot:number, cold:number, source:string}}>}
+ */
+export async function getTractsHotspots({ start, end, types = [], drilldownCodes = [] }) {
+  const [gj, { rows, source }] = await Promise.all([
+    fetchTractsCachedFirst(),
+    getTractCrimeRates({ start, end, types, drilldownCodes }),
+  ]);
+  if (!neighborGraphs.has(gj)) neighborGraphs.set(gj, queenNeighbors(gj.features || []));
+  const neighbors = neighborGraphs.get(gj);
+  const countBy = new Map(rows.map((r) => [r.geoid, r.count]));
+
+  const counts = (gj.features || []).map((ft) => countBy.get(tractFeatureGEOID(ft)) ?? 0);
+  const z = getisOrdGiStar(counts, neighbors);
+  const values = [];
+  let hot = 0;
+  let cold = 0;
+  const features = (gj.features || []).map((ft, i) => {
+    const cls = hotspotClass(z[i]);
+    if (cls > 0) hot++;
+    if (cls < 0) cold++;
+    // unrounded, so the fill steps agree with __giClass at the critical values
+    const value = z[i];
+    if (value != null) values.push(value);
+    return {
+      ...ft,
+      properties: {
+        ...ft.properties,
+        __geoid: tractFeatureGEOID(ft),
+        value,
+        __count: counts[i],
+        __giZ: value == null ? null : Number(value.toFixed(2)),
+        __giClass: cls,
+        __giNeighbors: neighbors[i].length,
+      },
+    };
+  });
+  return { geojson: { ...gj, features }, values, hotspot: { n: features.length, hot, cold, source } };
+}
@@ -6,6 +6,7 @@ import { fetchByDistrict, fetchTopTypesByDistrict } from '../api/crime.js';
 export function attachDistrictPopup(map, layer = 'districts-fill') {
   let popup;
   map.on('click', layer, async (e) => {
+    if (store.selectMode === 'area') return; // clicks are drawing a custom area
     try {
       const f = e.features && e.features[0];
       if (!f) return;
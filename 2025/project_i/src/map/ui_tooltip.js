@@ -17,7 +17,11 @@ export function attachHover(map, layer = 'districts-fill') {
     tip.style.left = `${e.point.x}px`;
     tip.style.top = `${e.point.y}px`;
     tip.style.display = 'block';
-    tip.textContent = `District ${id}${name ? ' -'+name : ''}: ${val}`;
+    // location-quotient layers carry the counts behind the ratio
+    const text = props.__lqTotal === undefined ? `${val}`
+      : (props.__lqMasked === true || props.__lqMasked === 'true') ? `too few incidents (${props.__lqTotal})`
+        : `LQ ${val.toFixed(2)} (${props.__lqSel} of ${props.__lqTotal} incidents)`;
+    tip.textContent = `District ${id}${name ? ' -'+name : ''}: ${text}`;
   });
 
   map.on('mouseleave', layer, () => {
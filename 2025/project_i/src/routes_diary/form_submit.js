@@ -2,14 +2,20 @@
  * Route Safety Diary - Rating Form & Submission
  *
  * Purpose: Rating modal UI, form validation (AJV), submission to API.
- * Status: [TODO] Implementation needed for M1
- * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 3)
+ * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 3), docs/SCENARIO_MAPPING.md (Scenario 2)
  */
 
-// TODO: Import dependencies when implementing
-// import Ajv from 'ajv';
-// import { submitDiary } from '../api/diary.js';
-// import { matchPathToSegments } from '../utils/match.js';
+import Ajv from 'ajv';
+import { submitDiary } from '../api/diary.js';
+import { submitSchema, formatSchemaErrors } from '../api/diary_schema.js';
+
+const ajv = new Ajv({ allErrors: true });
+const validateSubmission = ajv.compile(submitSchema);
+
+const PRESET_TAGS = ['poor lighting', 'low foot traffic', 'cars too close', 'dogs', 'construction blockage'];
+const MAX_TAGS = 3;
+const MAX_OVERRIDES = 2;
+const LOW_CONFIDENCE = 0.6; // below this a matched segment is flagged as uncertain
 
 // Form state (no React useState, manual state management)
 const ratingState = {
@@ -21,36 +27,112 @@ const ratingState = {
   route_name: ''
 };
 
+let onEscape = null;
+
 /**
  * Open rating modal (full-screen overlay)
  * @param {Array} gpsTrace - GPS points [{lat, lng, timestamp}, ...]
+ * @param {Array} matchedSegments - Segment IDs from matchPathToSegments()
+ * @param {{segments?:object, matches?:Array, onSubmitted?:Function}} [opts] - Segment FeatureCollection
+ *   (for names in the overrides list), per-traversal match records with confidence, and a
+ *   callback receiving (result, payload) on success
  */
-export function openRatingModal(gpsTrace) {
-  // TODO: Match GPS trace to segments
-  // const matchedSegments = matchPathToSegments(gpsTrace, segmentsGeoJSON);
-
-  // TODO: Create backdrop (full-screen, rgba(0,0,0,0.4), backdrop-filter: blur(4px))
-  // TODO: Create modal card (centered, white, max-width: 600px)
-  // TODO: Render form sections:
-  //   1. Star selector (1-5)
-  //   2. Tag checkboxes (max 3) + "Other" input
-  //   3. Segment overrides (if matchedSegments.length > 1)
-  //   4. Travel mode radio (walk/bike)
-  //   5. Save as route toggle
-  //   6. Privacy note (blue info box with link)
-  //   7. Action buttons (Cancel/Submit)
-  // TODO: Wire event handlers
-  // TODO: Append to document.body
-  // See: docs/SCENARIO_MAPPING.md (Scenario 2, RatingModal)
+export function openRatingModal(gpsTrace, matchedSegments, { segments, matches = [], onSubmitted } = {}) {
+  closeRatingModal();
+  const segmentIds = Array.from(new Set(matchedSegments || []));
+
+  const backdrop = document.createElement('div');
+  backdrop.id = 'rating-modal-backdrop';
+  backdrop.style.cssText = `
+    position: fixed; inset: 0; z-index: 5000;
+    background: rgba(0,0,0,0.4); backdrop-filter: blur(4px);
+    display: flex; align-items: center; justify-content: center;
+  `;
+
+  const modal = document.createElement('div');
+  modal.id = 'rating-modal';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-labelledby', 'rating-modal-title');
+  modal.style.cssText = `
+    background: white; border-radius: 12px; padding: 28px 32px;
+    width: min(600px, calc(100vw - 32px)); max-height: 80vh; overflow-y: auto;
+    box-shadow: 0 8px 32px rgba(0,0,0,0.2); font: 14px/1.4 system-ui, sans-serif;
+  `;
+
+  const header = document.createElement('h2');
+  header.id = 'rating-modal-title';
+  header.textContent = 'Rate Your Trip';
+  header.style.cssText = 'margin: 0 0 4px; font-size: 20px;';
+  modal.appendChild(header);
+
+  const summary = document.createElement('div');
+  summary.style.cssText = 'color: #666; margin-bottom: 20px;';
+  const confidence = segmentConfidence(matches);
+  const shaky = segmentIds.filter((id) => confidence.get(id) < LOW_CONFIDENCE).length;
+  summary.textContent = `${segmentIds.length} segment${segmentIds.length === 1 ? '' : 's'} matched from ${gpsTrace?.length || 0} GPS points`
+    + (shaky ? ` · ${shaky} uncertain match${shaky === 1 ? '' : 'es'}` : '');
+  modal.appendChild(summary);
+
+  modal.appendChild(createStarSelector());
+  modal.appendChild(createTagSelector());
+  if (segmentIds.length > 1) {
+    modal.appendChild(createSegmentOverrides(segmentIds, segmentNames(segments), confidence));
+  }
+  modal.appendChild(createTravelModeRadio());
+  modal.appendChild(createSaveRouteToggle());
+  modal.appendChild(createPrivacyNote());
+
+  const errorBox = document.createElement('div');
+  errorBox.id = 'rating-modal-errors';
+  errorBox.setAttribute('role', 'alert');
+  errorBox.style.cssText = 'display: none; margin-top: 16px; padding: 10px 12px; background: #FDECEA; border: 1px solid #F44336; border-radius: 8px; color: #B71C1C;';
+  modal.appendChild(errorBox);
+
+  const actions = document.createElement('div');
+  actions.style.cssText = 'display: flex; gap: 16px; margin-top: 24px;';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.style.cssText = 'flex: 1; padding: 12px; border: 1px solid #ddd; border-radius: 8px; background: white; cursor: pointer;';
+  cancelBtn.onclick = closeRatingModal;
+
+  const submitBtn = document.createElement('button');
+  submitBtn.type = 'button';
+  submitBtn.id = 'rating-modal-submit';
+  submitBtn.textContent = 'Submit';
+  submitBtn.style.cssText = 'flex: 1; padding: 12px; border: none; border-radius: 8px; background: #000; color: white; cursor: pointer;';
+  submitBtn.onclick = () => handleSubmit(gpsTrace, segmentIds, onSubmitted);
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(submitBtn);
+  modal.appendChild(actions);
+
+  backdrop.appendChild(modal);
+  document.body.appendChild(backdrop);
+
+  backdrop.addEventListener('click', (e) => {
+    if (e.target === backdrop) closeRatingModal();
+  });
+  onEscape = (e) => { if (e.key === 'Escape') closeRatingModal(); };
+  document.addEventListener('keydown', onEscape);
 }
 
 /**
  * Close rating modal (remove from DOM)
  */
 export function closeRatingModal() {
-  // TODO: Find backdrop element by ID
-  // TODO: Remove from DOM
-  // TODO: Reset ratingState
+  const backdrop = document.getElementById('rating-modal-backdrop');
+  if (backdrop) backdrop.remove();
+  if (onEscape) document.removeEventListener('keydown', onEscape);
+  onEscape = null;
+
+  ratingState.overall_rating = null;
+  ratingState.tags = [];
+  ratingState.segment_overrides = [];
+  ratingState.travel_mode = 'walk';
+  ratingState.save_as_route = false;
+  ratingState.route_name = '';
 }
 
 /**
@@ -58,12 +140,29 @@ export function closeRatingModal() {
  * @returns {HTMLElement} Star selector div
  */
 function createStarSelector() {
-  // TODO: Create label "Overall Rating"
-  // TODO: Create 5 star buttons (⭐)
-  // TODO: Wire hover handlers (highlight stars 1-N)
-  // TODO: Wire click handlers (set ratingState.overall_rating)
-  // TODO: Return section element
-  // See: docs/SCENARIO_MAPPING.md (createStarSelector)
+  const section = createSection('Overall Rating');
+  const stars = document.createElement('div');
+  stars.id = 'rating-stars';
+  stars.style.cssText = 'display: flex; gap: 8px;';
+
+  for (let i = 1; i <= 5; i++) {
+    const star = document.createElement('button');
+    star.type = 'button';
+    star.textContent = '⭐';
+    star.dataset.rating = String(i);
+    star.setAttribute('aria-label', `${i} star${i === 1 ? '' : 's'}`);
+    star.style.cssText = 'font-size: 32px; border: none; background: none; cursor: pointer; opacity: 0.3; transition: opacity 0.2s; padding: 0;';
+    star.onmouseenter = () => highlightStars(i);
+    star.onmouseleave = () => highlightStars(ratingState.overall_rating || 0);
+    star.onclick = () => {
+      ratingState.overall_rating = i;
+      highlightStars(i);
+    };
+    stars.appendChild(star);
+  }
+
+  section.appendChild(stars);
+  return section;
 }
 
 /**
@@ -71,24 +170,108 @@ function createStarSelector() {
  * @returns {HTMLElement} Tag selector div
  */
 function createTagSelector() {
-  // TODO: Create label "Tags (select up to 3)"
-  // TODO: Create predefined tag buttons (badge pills)
-  // TODO: Create "Other" text input (max 30 chars)
-  // TODO: Wire click handlers (toggle tag, max 3 check)
-  // TODO: Return section element
-  // See: docs/SCENARIO_MAPPING.md (createTagSelector)
+  const section = createSection(`Tags (select up to ${MAX_TAGS})`);
+  const tagContainer = document.createElement('div');
+  tagContainer.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px;';
+
+  for (const tag of PRESET_TAGS) {
+    const badge = document.createElement('button');
+    badge.type = 'button';
+    badge.textContent = tag;
+    badge.dataset.tag = tag;
+    badge.style.cssText = 'padding: 6px 14px; border: 1px solid #ddd; border-radius: 20px; background: white; cursor: pointer;';
+    badge.onclick = () => toggleTag(badge, tag);
+    tagContainer.appendChild(badge);
+  }
+
+  const otherInput = document.createElement('input');
+  otherInput.id = 'rating-tag-other';
+  otherInput.placeholder = 'Other (max 30 chars)';
+  otherInput.maxLength = 30;
+  otherInput.style.cssText = 'padding: 6px 10px; border: 1px solid #ddd; border-radius: 8px; flex-grow: 1; min-width: 160px;';
+  tagContainer.appendChild(otherInput);
+
+  section.appendChild(tagContainer);
+  return section;
 }
 
 /**
  * Create segment overrides section
  * @param {Array} matchedSegments - Segment IDs from GPS matching
+ * @param {Map<string,string>} names - segment_id -> street name
+ * @param {Map<string,number>} [confidence] - segment_id -> match confidence (0..1)
  * @returns {HTMLElement} Segment overrides div
  */
-function createSegmentOverrides(matchedSegments) {
-  // TODO: Create label "Rate specific segments differently (optional)"
-  // TODO: List matched segments with checkboxes (max 2 selections)
-  // TODO: Show secondary star picker for selected segments
-  // TODO: Return section element
+function createSegmentOverrides(matchedSegments, names, confidence = new Map()) {
+  const section = createSection(`Rate specific segments differently (optional, up to ${MAX_OVERRIDES})`);
+  const list = document.createElement('div');
+  list.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+
+  const rows = [];
+  const syncDisabled = () => {
+    const full = ratingState.segment_overrides.length >= MAX_OVERRIDES;
+    for (const r of rows) r.checkbox.disabled = full && !r.checkbox.checked;
+  };
+
+  for (const segmentId of matchedSegments) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `override-${segmentId}`;
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = names.get(segmentId) ? `${names.get(segmentId)} (${segmentId})` : segmentId;
+    label.style.cssText = 'flex: 1;';
+    if (confidence.has(segmentId)) {
+      const c = confidence.get(segmentId);
+      const badge = document.createElement('span');
+      badge.textContent = ` ${Math.round(c * 100)}% match`;
+      badge.title = 'How closely your GPS trace followed this street';
+      badge.style.cssText = `font-size: 12px; color: ${c < LOW_CONFIDENCE ? '#b45309' : '#888'};`;
+      label.appendChild(badge);
+    }
+
+    const picker = document.createElement('div');
+    picker.style.cssText = 'display: none; gap: 2px;';
+    const miniStars = [];
+    for (let i = 1; i <= 5; i++) {
+      const star = document.createElement('button');
+      star.type = 'button';
+      star.textContent = '⭐';
+      star.setAttribute('aria-label', `${segmentId}: ${i} star${i === 1 ? '' : 's'}`);
+      star.style.cssText = 'font-size: 16px; border: none; background: none; cursor: pointer; opacity: 0.3; padding: 0;';
+      star.onclick = () => {
+        const entry = ratingState.segment_overrides.find((o) => o.segment_id === segmentId);
+        if (entry) entry.rating = i;
+        miniStars.forEach((s, k) => { s.style.opacity = k < i ? '1' : '0.3'; });
+      };
+      miniStars.push(star);
+      picker.appendChild(star);
+    }
+
+    checkbox.onchange = () => {
+      if (checkbox.checked) {
+        ratingState.segment_overrides.push({ segment_id: segmentId, rating: null });
+        picker.style.display = 'flex';
+      } else {
+        ratingState.segment_overrides = ratingState.segment_overrides.filter((o) => o.segment_id !== segmentId);
+        picker.style.display = 'none';
+        miniStars.forEach((s) => { s.style.opacity = '0.3'; });
+      }
+      syncDisabled();
+    };
+
+    row.appendChild(checkbox);
+    row.appendChild(label);
+    row.appendChild(picker);
+    list.appendChild(row);
+    rows.push({ checkbox });
+  }
+
+  section.appendChild(list);
+  return section;
 }
 
 /**
@@ -96,10 +279,26 @@ function createSegmentOverrides(matchedSegments) {
  * @returns {HTMLElement} Travel mode div
  */
 function createTravelModeRadio() {
-  // TODO: Create label "Travel Mode"
-  // TODO: Create radio buttons (walk/bike)
-  // TODO: Wire change handlers (set ratingState.travel_mode)
-  // TODO: Return section element
+  const section = createSection('Travel Mode');
+  const group = document.createElement('div');
+  group.style.cssText = 'display: flex; gap: 16px;';
+
+  for (const [value, text] of [['walk', '🚶 Walk'], ['bike', '🚲 Bike']]) {
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; align-items: center; gap: 6px; cursor: pointer;';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'rating-travel-mode';
+    radio.value = value;
+    radio.checked = ratingState.travel_mode === value;
+    radio.onchange = () => { if (radio.checked) ratingState.travel_mode = value; };
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(text));
+    group.appendChild(label);
+  }
+
+  section.appendChild(group);
+  return section;
 }
 
 /**
@@ -107,11 +306,33 @@ function createTravelModeRadio() {
  * @returns {HTMLElement} Save route div
  */
 function createSaveRouteToggle() {
-  // TODO: Create label "Save as route"
-  // TODO: Create toggle switch (checkbox styled)
-  // TODO: Create route name text input (conditional, max 100 chars)
-  // TODO: Wire change handlers
-  // TODO: Return section element
+  const section = document.createElement('div');
+  section.style.marginBottom = '20px';
+
+  const label = document.createElement('label');
+  label.style.cssText = 'display: flex; align-items: center; gap: 8px; cursor: pointer; font-weight: 600;';
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.id = 'rating-save-route';
+  label.appendChild(toggle);
+  label.appendChild(document.createTextNode('Save as route'));
+
+  const nameInput = document.createElement('input');
+  nameInput.id = 'rating-route-name';
+  nameInput.placeholder = 'Route name (e.g. Morning commute)';
+  nameInput.maxLength = 100;
+  nameInput.style.cssText = 'display: none; margin-top: 8px; width: 100%; box-sizing: border-box; padding: 8px 10px; border: 1px solid #ddd; border-radius: 8px;';
+  nameInput.oninput = () => { ratingState.route_name = nameInput.value; };
+
+  toggle.onchange = () => {
+    ratingState.save_as_route = toggle.checked;
+    nameInput.style.display = toggle.checked ? 'block' : 'none';
+    if (toggle.checked) nameInput.focus();
+  };
+
+  section.appendChild(label);
+  section.appendChild(nameInput);
+  return section;
 }
 
 /**
@@ -119,51 +340,50 @@ function createSaveRouteToggle() {
  * @returns {HTMLElement} Privacy note div
  */
 function createPrivacyNote() {
-  // TODO: Create blue info box (background: #E3F2FD, border: #2196F3)
-  // TODO: Add text: "We only store segment-level data; raw GPS is not retained."
-  // TODO: Add link to docs/PRIVACY_NOTES.md
-  // TODO: Return element
-  // See: docs/SCENARIO_MAPPING.md (createPrivacyNote)
+  const note = document.createElement('div');
+  note.style.cssText = 'padding: 12px 16px; background: #E3F2FD; border: 1px solid #2196F3; border-radius: 8px;';
+  note.innerHTML = '<strong>🔒 Privacy:</strong> We only store segment-level data; raw GPS is not retained.';
+  return note;
 }
 
 /**
  * Handle form submission
- * @param {Array} gpsTrace - Original GPS trace
+ * @param {Array} gpsTrace - Original GPS trace (never sent; only matched IDs leave the browser)
  * @param {Array} matchedSegments - Matched segment IDs
+ * @param {Function} [onSubmitted] - Called with (result, payload) on success
  */
-async function handleSubmit(gpsTrace, matchedSegments) {
-  // TODO: Collect form data from ratingState
-  const formData = collectFormData();
-
-  // TODO: Validate with AJV
-  // const ajv = new Ajv();
-  // const valid = ajv.validate(ratingSchema, formData);
-  // if (!valid) {
-  //   alert('Validation error: ' + ajv.errorsText());
-  //   return;
-  // }
-
-  // TODO: Prepare payload
-  // const payload = {
-  //   ...formData,
-  //   matched_segments: matchedSegments,
-  //   timestamp: Date.now()
-  // };
-
-  // TODO: Show loading state (disable Submit button, show spinner)
-
-  // TODO: Call submitDiary() from src/api/diary.js
-  // const result = await submitDiary(payload);
-
-  // TODO: Handle response
-  // if (result.ok) {
-  //   closeRatingModal();
-  //   showToast('Thanks — updating map.');
-  //   updateSegmentsOnMap(result.updated_segments);
-  // } else {
-  //   alert('Submission failed: ' + result.error);
-  // }
+async function handleSubmit(gpsTrace, matchedSegments, onSubmitted) {
+  const payload = {
+    ...collectFormData(),
+    matched_segments: matchedSegments,
+    timestamp: Date.now()
+  };
+
+  if (!validateSubmission(payload)) {
+    showErrors(describeErrors(formatSchemaErrors(validateSubmission.errors)));
+    return;
+  }
 
+  const submitBtn = document.getElementById('rating-modal-submit');
+  if (submitBtn) {
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Submitting…';
+  }
+  showErrors([]);
+
+  const result = await submitDiary(payload);
+  if (result && result.ok) {
+    closeRatingModal();
+    if (onSubmitted) onSubmitted(result, payload);
+    return;
+  }
+
+  if (submitBtn) {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Submit';
+  }
+  const details = Array.isArray(result?.details) ? describeErrors(result.details) : [];
+  showErrors([`Submission failed: ${result?.error || 'unknown error'}`, ...details]);
   // See: docs/DIARY_EXEC_PLAN_M1.md (Phase 3, Validation & Submission)
 }
 
@@ -172,18 +392,19 @@ async function handleSubmit(gpsTrace, matchedSegments) {
  * @returns {object} Form data object
  */
 function collectFormData() {
-  // TODO: Read values from ratingState
-  // TODO: Read custom tag from "Other" input
-  // TODO: Read route name from input (if save_as_route=true)
-  // TODO: Return validated object
-  return {
+  const other = (document.getElementById('rating-tag-other')?.value || '').trim();
+  const tags = ratingState.tags.filter((t) => t.length > 0);
+  if (other && !tags.includes(other)) tags.push(other);
+
+  const data = {
     overall_rating: ratingState.overall_rating,
-    tags: ratingState.tags.filter(t => t.length > 0),
+    tags,
     travel_mode: ratingState.travel_mode,
-    segment_overrides: ratingState.segment_overrides,
-    save_as_route: ratingState.save_as_route,
-    route_name: ratingState.route_name
+    segment_overrides: ratingState.segment_overrides.map((o) => ({ ...o })),
+    save_as_route: ratingState.save_as_route
   };
+  if (ratingState.save_as_route) data.route_name = ratingState.route_name.trim();
+  return data;
 }
 
 /**
@@ -192,12 +413,22 @@ function collectFormData() {
  * @param {string} tag - Tag text
  */
 function toggleTag(badge, tag) {
-  // TODO: Check if tag already selected
-  // TODO: If selected, remove from ratingState.tags and update badge style
-  // TODO: If not selected:
-  //   - Check if already have 3 tags (alert if so)
-  //   - Add to ratingState.tags
-  //   - Update badge style (darker background)
+  const idx = ratingState.tags.indexOf(tag);
+  if (idx >= 0) {
+    ratingState.tags.splice(idx, 1);
+    badge.style.background = 'white';
+    badge.style.color = '';
+    badge.style.borderColor = '#ddd';
+    return;
+  }
+  if (ratingState.tags.length >= MAX_TAGS) {
+    showErrors([`Pick at most ${MAX_TAGS} tags.`]);
+    return;
+  }
+  ratingState.tags.push(tag);
+  badge.style.background = '#333';
+  badge.style.color = 'white';
+  badge.style.borderColor = '#333';
 }
 
 /**
@@ -205,43 +436,70 @@ function toggleTag(badge, tag) {
  * @param {number} count - Number of stars to highlight (1-5)
  */
 function highlightStars(count) {
-  // TODO: Loop through star buttons
-  // TODO: Set opacity to 1.0 for stars <= count
-  // TODO: Set opacity to 0.3 for stars > count
-}
-
-// AJV schema for rating validation
-const ratingSchema = {
-  type: 'object',
-  properties: {
-    overall_rating: {
-      type: 'integer',
-      minimum: 1,
-      maximum: 5
-    },
-    tags: {
-      type: 'array',
-      maxItems: 3,
-      items: { type: 'string', maxLength: 30 }
-    },
-    travel_mode: {
-      type: 'string',
-      enum: ['walk', 'bike']
-    },
-    segment_overrides: {
-      type: 'array',
-      maxItems: 2,
-      items: {
-        type: 'object',
-        properties: {
-          segment_id: { type: 'string' },
-          rating: { type: 'integer', minimum: 1, maximum: 5 }
-        },
-        required: ['segment_id', 'rating']
-      }
-    },
-    save_as_route: { type: 'boolean' },
-    route_name: { type: 'string', maxLength: 100 }
-  },
-  required: ['overall_rating', 'travel_mode']
-};
+  const stars = document.querySelectorAll('#rating-stars button');
+  stars.forEach((star, i) => { star.style.opacity = i < count ? '1' : '0.3'; });
+}
+
+function createSection(title) {
+  const section = document.createElement('div');
+  section.style.marginBottom = '20px';
+  const label = document.createElement('div');
+  label.textContent = title;
+  label.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+  section.appendChild(label);
+  return section;
+}
+
+function segmentNames(segments) {
+  const names = new Map();
+  for (const f of segments?.features || []) {
+    const id = f?.properties?.segment_id;
+    if (id && f.properties.name) names.set(id, f.properties.name);
+  }
+  return names;
+}
+
+/**
+ * Lowest confidence per segment (a street walked twice keeps its weaker traversal).
+ * @param {Array<{segment_id:string, confidence:number}>} matches
+ * @returns {Map<string,number>}
+ */
+function segmentConfidence(matches) {
+  const out = new Map();
+  for (const m of matches || []) {
+    if (!m?.segment_id || !Number.isFinite(m.confidence)) continue;
+    out.set(m.segment_id, Math.min(out.get(m.segment_id) ?? 1, m.confidence));
+  }
+  return out;
+}
+
+/**
+ * Turn {field, message} validation details into user-facing sentences.
+ * @param {Array<{field:string, message:string}>} details
+ * @returns {string[]}
+ */
+function describeErrors(details) {
+  const messages = details.map(({ field, message }) => {
+    const root = String(field).split('.')[0];
+    switch (root) {
+      case 'overall_rating': return 'Choose an overall rating (1–5 stars).';
+      case 'tags': return `Pick at most ${MAX_TAGS} tags (30 characters each).`;
+      case 'segment_overrides': return `Give each overridden segment a 1–5 rating (max ${MAX_OVERRIDES} segments).`;
+      case 'route_name': return 'Route name must be 100 characters or fewer.';
+      case 'matched_segments': return 'No street segments were matched for this trip.';
+      default: return `${field}: ${message}`;
+    }
+  });
+  return Array.from(new Set(messages));
+}
+
+function showErrors(messages) {
+  const box = document.getElementById('rating-modal-errors');
+  if (!box) return;
+  box.style.display = messages.length ? 'block' : 'none';
+  box.innerHTML = messages.map((m) => `<div>${escapeHtml(m)}</div>`).join('');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
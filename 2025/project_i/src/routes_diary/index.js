@@ -2,33 +2,63 @@
  * Route Safety Diary - Main Orchestrator
  *
  * Purpose: Initialize diary mode, wire UI components, manage diary state.
- * Status: [TODO] Implementation needed for M1
+ * Status: recorder, rating form, segments layer and segment card wired; insights pending
  * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 1-5)
  */
 
-// TODO: Import dependencies when implementing
-// import { mountSegmentsLayer, removeSegmentsLayer } from '../map/segments_layer.js';
-// import { openRatingModal } from './form_submit.js';
-// import { getStore } from '../state/store.js';
+import * as turf from '@turf/turf';
+import { mountSegmentsLayer, removeSegmentsLayer, updateSegments } from '../map/segments_layer.js';
+import { openRatingModal } from './form_submit.js';
+import { openMyRoutesPanel, closeMyRoutesPanel, clearRouteHighlight, rememberRoute } from './my_routes.js';
+import { drawSaferRoute, removeSaferRoute } from '../map/routing_overlay.js';
+import { getSegments, getSegmentDetails, getSegmentAnalytics, submitAgree, submitImprove, getSaferRoute } from '../api/diary.js';
+import { matchPathToSegments } from '../utils/match.js';
+import { parseTrack } from '../utils/track.js';
+import { confidencePercent, trendIcon } from '../utils/decay.js';
+import { store } from '../state/store.js';
+
+const SEGMENTS_SOURCE = 'diary-segments';
+const TRAIL_SOURCE = 'diary-trail';
+const REPLAY_INTERVAL_MS = 250; // Replayed tracks play back at 4 points/sec
+const MAX_ACCURACY_M = 50;      // Drop GPS fixes less accurate than this
+
+let diaryMap = null;
+let segmentsData = { type: 'FeatureCollection', features: [] };
 
 /**
  * Initialize Route Safety Diary mode
  * @param {MapLibreMap} map - MapLibre GL map instance
  */
-export function initDiaryMode(map) {
-  // TODO: Check feature flag
+export async function initDiaryMode(map) {
   if (import.meta?.env?.VITE_FEATURE_DIARY !== '1') {
     console.warn('[Diary] Feature flag is OFF. Set VITE_FEATURE_DIARY=1 to enable.');
     return;
   }
+  if (diaryMap) return;
 
   console.info('[Diary] Initializing Route Safety Diary mode...');
+  diaryMap = map;
+  store.diaryMode = true;
+
+  const res = await getSegments();
+  if (Array.isArray(res?.features)) {
+    segmentsData = { type: 'FeatureCollection', features: res.features };
+  } else {
+    console.warn('[Diary] Segments unavailable:', res?.error || res);
+  }
+  mountSegmentsLayer(map, SEGMENTS_SOURCE, segmentsData);
+
+  document.body.appendChild(createRecorderDock());
+  updateRecorderButtons();
+
+  window.addEventListener('segment-click', handleSegmentClickEvent);
 
-  // TODO: Load seed segments data
-  // TODO: Mount segments layer (Phase 1)
-  // TODO: Create RecorderDock UI (Phase 2)
   // TODO: Add mode switcher (optional)
-  // TODO: Wire segment click handlers (Phase 4)
+}
+
+function handleSegmentClickEvent(e) {
+  const { segmentId, lngLat } = e.detail || {};
+  if (segmentId) onSegmentClick(segmentId, lngLat);
 }
 
 /**
@@ -36,9 +66,22 @@ export function initDiaryMode(map) {
  * @param {MapLibreMap} map - MapLibre GL map instance
  */
 export function teardownDiaryMode(map) {
-  // TODO: Remove segments layer
-  // TODO: Remove RecorderDock
-  // TODO: Clean up event listeners
+  stopPositionSource();
+  resetRecorder();
+  document.getElementById('recorder-dock')?.remove();
+  window.removeEventListener('segment-click', handleSegmentClickEvent);
+  closeSegmentCard();
+  closeMyRoutesPanel();
+  clearRouteHighlight(map);
+  removeSaferRoute(map);
+  removeSegmentsLayer(map, SEGMENTS_SOURCE);
+  for (const id of [`${TRAIL_SOURCE}-head`, `${TRAIL_SOURCE}-line`]) {
+    if (map.getLayer(id)) map.removeLayer(id);
+  }
+  if (map.getSource(TRAIL_SOURCE)) map.removeSource(TRAIL_SOURCE);
+  replayTrack = null;
+  diaryMap = null;
+  store.diaryMode = false;
   console.info('[Diary] Teardown complete.');
 }
 
@@ -47,10 +90,56 @@ export function teardownDiaryMode(map) {
  * @returns {HTMLElement} Dock element
  */
 function createRecorderDock() {
-  // TODO: Create floating div with 3 buttons (Start/Pause/Finish)
-  // TODO: Wire event handlers
-  // TODO: Inject CSS
+  const dock = document.createElement('div');
+  dock.id = 'recorder-dock';
+  dock.style.cssText = `
+    position: fixed; bottom: 16px; right: 16px; z-index: 1100;
+    background: white; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    padding: 12px 16px; display: flex; flex-direction: column; gap: 8px;
+    font: 13px/1.4 system-ui, sans-serif;
+  `;
+  dock.innerHTML = `
+    <div style="display:flex; gap:8px;">
+      <button type="button" id="recorder-start">▶️ Start</button>
+      <button type="button" id="recorder-pause">⏸️ Pause</button>
+      <button type="button" id="recorder-finish">⏹️ Finish</button>
+    </div>
+    <div style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+      <span id="recorder-status" style="color:#555;"></span>
+      <button type="button" id="recorder-replay" style="border:none; background:none; color:#2196F3; cursor:pointer; padding:0;">Replay track…</button>
+      <button type="button" id="recorder-my-routes" style="border:none; background:none; color:#7C3AED; cursor:pointer; padding:0;">📁 My routes</button>
+      <input type="file" id="recorder-file" accept=".gpx,.geojson,.json" hidden>
+    </div>
+  `;
+
+  for (const btn of dock.querySelectorAll('#recorder-start, #recorder-pause, #recorder-finish')) {
+    btn.style.cssText = 'padding:8px 14px; border:1px solid #ddd; border-radius:8px; background:white; cursor:pointer;';
+  }
+  dock.querySelector('#recorder-start').onclick = onStartRecording;
+  dock.querySelector('#recorder-pause').onclick = onPauseRecording;
+  dock.querySelector('#recorder-finish').onclick = onFinishRecording;
+
+  dock.querySelector('#recorder-my-routes').onclick = () => openMyRoutesPanel(diaryMap, {
+    onRouteShown: ({ from, to }) => offerSaferRoute(from, to)
+  });
+
+  const fileInput = dock.querySelector('#recorder-file');
+  dock.querySelector('#recorder-replay').onclick = () => {
+    if (replayTrack) {
+      replayTrack = null;
+      updateRecorderButtons();
+    } else {
+      fileInput.click();
+    }
+  };
+  fileInput.onchange = async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (file) await loadReplayTrack(file);
+  };
+
   // See: docs/SCENARIO_MAPPING.md (Scenario 1, RecorderDock)
+  return dock;
 }
 
 /**
@@ -98,11 +187,40 @@ function populateInsightsPanel(updatedSegments) {
  * @param {number} duration - Duration in ms (default: 2000)
  */
 function showToast(message, duration = 2000) {
-  // TODO: Create toast div (top-center, fixed position)
-  // TODO: Fade-in animation
-  // TODO: Auto-dismiss after duration
-  // TODO: Fade-out and remove from DOM
-  // See: docs/SCENARIO_MAPPING.md (Scenario 3, Toast)
+  document.getElementById('diary-toast')?.remove();
+  const toast = document.createElement('div');
+  toast.id = 'diary-toast';
+  toast.setAttribute('role', 'status');
+  toast.textContent = message;
+  toast.style.cssText = `
+    position: fixed; top: 16px; left: 50%; transform: translateX(-50%); z-index: 1200;
+    background: #111; color: white; padding: 8px 16px; border-radius: 8px;
+    font: 13px/1.4 system-ui, sans-serif; opacity: 0; transition: opacity 0.2s;
+  `;
+  document.body.appendChild(toast);
+  requestAnimationFrame(() => { toast.style.opacity = '1'; });
+  setTimeout(() => {
+    toast.style.opacity = '0';
+    setTimeout(() => toast.remove(), 200);
+  }, duration);
+}
+
+/**
+ * Ask for a safer alternative between two points and show it with the shortest
+ * route for reference; the strip says so when no alternative is worth taking.
+ * @param {number[]} from - [lng, lat]
+ * @param {number[]} to - [lng, lat]
+ */
+async function offerSaferRoute(from, to) {
+  const res = await getSaferRoute({ from, to, time: new Date().toISOString() });
+  if (!diaryMap) return;
+  if (!res?.ok) {
+    console.warn('[Diary] Safer route unavailable:', res?.error || res);
+    return;
+  }
+  // null when no path connects the points; nothing to compare against
+  if (!res.route) return;
+  drawSaferRoute(diaryMap, res.route, { ...res.comparison, direct: res.direct_route });
 }
 
 /**
@@ -110,10 +228,110 @@ function showToast(message, duration = 2000) {
  * @param {string} segmentId - Segment ID
  * @param {object} lngLat - Click coordinates {lng, lat}
  */
-function onSegmentClick(segmentId, lngLat) {
-  // TODO: Fetch segment details (mock data for M1)
-  // TODO: Create floating SegmentCard near click point
-  // TODO: Wire action buttons (Agree, Feels safer, View insights)
+async function onSegmentClick(segmentId, lngLat) {
+  if (!diaryMap) return;
+  closeSegmentCard();
+
+  const container = diaryMap.getContainer();
+  const point = diaryMap.project(lngLat);
+  const card = document.createElement('div');
+  card.id = 'segment-card';
+  card.dataset.segmentId = segmentId;
+  card.style.cssText = `
+    position: absolute; z-index: 1150; width: 300px; box-sizing: border-box;
+    left: ${Math.max(8, Math.min(point.x + 16, container.clientWidth - 308))}px;
+    top: ${Math.max(8, Math.min(point.y - 120, container.clientHeight - 340))}px;
+    background: white; border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+    padding: 14px 16px; font: 13px/1.4 system-ui, sans-serif;
+  `;
+  card.innerHTML = `
+    <div style="display:flex; justify-content:space-between; align-items:flex-start; gap:8px;">
+      <div><strong data-role="name">Segment Details</strong><div data-role="id" style="color:#999; font-size:11px;"></div></div>
+      <button type="button" data-action="close" aria-label="Close" style="border:none; background:none; cursor:pointer; font-size:16px; color:#666;">✕</button>
+    </div>
+    <div data-role="body" style="color:#888; padding:16px 0;">Loading…</div>
+  `;
+  card.querySelector('[data-role="id"]').textContent = segmentId;
+  card.querySelector('[data-action="close"]').onclick = closeSegmentCard;
+  container.appendChild(card);
+
+  const [details, analytics] = await Promise.all([getSegmentDetails(segmentId), getSegmentAnalytics(segmentId)]);
+  if (document.getElementById('segment-card') !== card) return; // superseded by another click
+  const body = card.querySelector('[data-role="body"]');
+  if (!details?.ok) {
+    body.textContent = `Could not load segment: ${details?.error || 'unknown error'}`;
+    return;
+  }
+  if (details.name) card.querySelector('[data-role="name"]').textContent = details.name;
+
+  const trend = trendIcon(details.trend_30d || 0);
+  const history = analytics?.ok ? (analytics.weekly_trend || []).map((w) => w.rating) : [];
+  const tags = (details.tag_counts || []).slice(0, 4);
+  const maxTag = Math.max(1, ...tags.map((t) => t.count));
+
+  body.style.cssText = 'padding-top:10px;';
+  body.innerHTML = `
+    <div style="display:grid; grid-template-columns:repeat(3, 1fr); gap:8px; text-align:center;">
+      <div><div style="font-size:22px; font-weight:700;">${Number(details.rating ?? 3).toFixed(1)}</div><div style="font-size:11px; color:#999;">Rating</div></div>
+      <div><div style="font-size:22px; font-weight:700; color:${trend.color};">${trend.icon} ${trend.text}</div><div style="font-size:11px; color:#999;">30d Trend</div></div>
+      <div><div data-role="confidence" style="font-size:22px; font-weight:700;">${Math.round(confidencePercent(details.n_eff || 0))}%</div><div style="font-size:11px; color:#999;">Confidence</div></div>
+    </div>
+    <div style="margin:12px 0 4px; font-size:11px; color:#999;">Rating, last ${history.length || 8} weeks</div>
+    ${sparklineSvg(history)}
+    <div data-role="tags" style="margin-top:10px;"></div>
+    <div style="display:flex; gap:8px; margin-top:12px;">
+      <button type="button" data-action="agree" style="flex:1; padding:8px; border:1px solid #ddd; border-radius:20px; background:white; cursor:pointer;">👍 Agree</button>
+      <button type="button" data-action="improve" style="flex:1; padding:8px; border:1px solid #ddd; border-radius:20px; background:white; cursor:pointer;">✨ Feels safer</button>
+    </div>
+    <div data-role="footer" style="margin-top:10px; font-size:11px; color:#999; text-align:center;"></div>
+  `;
+
+  const tagBox = body.querySelector('[data-role="tags"]');
+  for (const { tag, count } of tags) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex; align-items:center; gap:6px; margin:3px 0;';
+    row.innerHTML = `
+      <span style="width:110px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;"></span>
+      <span style="flex:1; height:6px; background:#f0f0f0; border-radius:3px;"><span style="display:block; height:100%; width:${Math.round((count / maxTag) * 100)}%; background:#FFB833; border-radius:3px;"></span></span>
+      <span style="width:24px; text-align:right; color:#666;">${count}</span>
+    `;
+    row.firstElementChild.textContent = tag;
+    tagBox.appendChild(row);
+  }
+
+  const footer = body.querySelector('[data-role="footer"]');
+  const renderFooter = (improvements) => {
+    footer.textContent = `Based on ${details.total_reports || 0} reports`
+      + (improvements ? ` · ${improvements} say it feels safer` : '');
+  };
+  renderFooter(details.improvement_count);
+
+  const agreeBtn = body.querySelector('[data-action="agree"]');
+  agreeBtn.onclick = async () => {
+    agreeBtn.disabled = true;
+    const res = await submitAgree(segmentId);
+    if (!res?.ok) {
+      agreeBtn.disabled = false;
+      showToast(`Could not record agreement: ${res?.error || 'unknown error'}`, 3000);
+      return;
+    }
+    body.querySelector('[data-role="confidence"]').textContent = `${Math.round(confidencePercent(res.new_n_eff))}%`;
+    updateSegments(diaryMap, SEGMENTS_SOURCE, [{ segment_id: segmentId, rating: res.rating, n_eff: res.new_n_eff }]);
+    showToast(res.message || 'Thanks — confidence updated');
+  };
+
+  const improveBtn = body.querySelector('[data-action="improve"]');
+  improveBtn.onclick = async () => {
+    improveBtn.disabled = true;
+    const res = await submitImprove(segmentId);
+    if (!res?.ok) {
+      improveBtn.disabled = false;
+      showToast(`Could not record improvement: ${res?.error || 'unknown error'}`, 3000);
+      return;
+    }
+    renderFooter(res.improvement_count);
+    showToast(res.message || 'Thanks — improvement noted');
+  };
   // See: docs/SCENARIO_MAPPING.md (Scenario 4, SegmentCard)
 }
 
@@ -121,7 +339,32 @@ function onSegmentClick(segmentId, lngLat) {
  * Close segment card
  */
 function closeSegmentCard() {
-  // TODO: Remove SegmentCard from DOM
+  document.getElementById('segment-card')?.remove();
+}
+
+/**
+ * Inline SVG sparkline for ratings on the 1-5 scale (null gaps are skipped)
+ * @param {Array<number|null>} values
+ * @returns {string} SVG markup
+ */
+function sparklineSvg(values, width = 268, height = 36) {
+  const pts = values
+    .map((v, i) => (Number.isFinite(v) ? [i, v] : null))
+    .filter(Boolean);
+  if (pts.length < 2) {
+    return `<div style="height:${height}px; color:#bbb; font-size:11px;">Not enough history yet</div>`;
+  }
+  const x = (i) => (values.length > 1 ? (i / (values.length - 1)) * (width - 4) + 2 : width / 2);
+  const y = (v) => height - 2 - ((Math.max(1, Math.min(5, v)) - 1) / 4) * (height - 4);
+  const line = pts.map(([i, v]) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const [li, lv] = pts[pts.length - 1];
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Weekly rating history">
+      <line x1="0" x2="${width}" y1="${y(3)}" y2="${y(3)}" stroke="#eee" stroke-dasharray="3 3"/>
+      <polyline points="${line}" fill="none" stroke="#9ACD32" stroke-width="2" stroke-linejoin="round"/>
+      <circle cx="${x(li)}" cy="${y(lv)}" r="3" fill="#32CD32"/>
+    </svg>
+  `;
 }
 
 /**
@@ -145,53 +388,237 @@ function closeCommunityDetailsModal() {
 
 // GPS Recording state machine
 let recordingState = 'idle'; // 'idle' | 'recording' | 'paused' | 'finished'
-let mockGPSTrace = [];
-let gpsInterval = null;
+let gpsTrace = [];
+let traceLengthM = 0;
+let watchId = null;       // navigator.geolocation watch
+let replayTimer = null;
+let replayTrack = null;   // {name, points} when replaying a file instead of live GPS
+let replayCursor = 0;
 
 /**
  * Handle "Start" button click
  */
 function onStartRecording() {
-  // TODO: Set state to 'recording'
-  // TODO: Start mock GPS generation (1 point/sec)
-  // TODO: Update button states
+  if (recordingState !== 'idle') return;
+  resetRecorder();
+  recordingState = 'recording';
+  if (!startPositionSource()) recordingState = 'idle';
+  updateRecorderButtons();
   // See: docs/DIARY_EXEC_PLAN_M1.md (Phase 2)
 }
 
 /**
- * Handle "Pause" button click
+ * Handle "Pause" button click (toggles Pause/Resume)
  */
 function onPauseRecording() {
-  // TODO: Set state to 'paused'
-  // TODO: Stop GPS generation (clear interval)
-  // TODO: Update button states
+  if (recordingState === 'recording') {
+    stopPositionSource();
+    recordingState = 'paused';
+  } else if (recordingState === 'paused') {
+    recordingState = 'recording';
+    if (!startPositionSource()) recordingState = 'paused';
+  }
+  updateRecorderButtons();
 }
 
 /**
  * Handle "Finish" button click
  */
 function onFinishRecording() {
-  // TODO: Set state to 'finished'
-  // TODO: Stop GPS generation
-  // TODO: Open RatingModal with mockGPSTrace
-  // TODO: Reset state after modal closed
+  if (recordingState !== 'recording' && recordingState !== 'paused') return;
+  stopPositionSource();
+  recordingState = 'finished';
+  updateRecorderButtons();
+
+  const trace = gpsTrace.slice();
+  resetRecorder();
+  if (trace.length < 2) {
+    showToast('Trip too short to rate — record a few more points.');
+    return;
+  }
+  const { segmentIds, matches } = matchPathToSegments(trace, segmentsData);
+  if (segmentIds.length === 0) {
+    showToast('Could not match this trip to any rated streets — stay on mapped segments and try again.');
+    return;
+  }
+  openRatingModal(trace, segmentIds, {
+    segments: segmentsData,
+    matches,
+    onSubmitted: (result, payload) => {
+      showToast('Thanks — updating map.');
+      if (diaryMap) updateSegments(diaryMap, SEGMENTS_SOURCE, result.updated_segments);
+      const [first, last] = [trace[0], trace[trace.length - 1]];
+      offerSaferRoute([first.lng, first.lat], [last.lng, last.lat]);
+      if (result.saved_route_id) {
+        rememberRoute({
+          route_id: result.saved_route_id,
+          name: payload.route_name || `Route ${new Date(payload.timestamp).toISOString().slice(0, 10)}`,
+          segment_ids: payload.matched_segments,
+          travel_mode: payload.travel_mode,
+          created_at: payload.timestamp
+        });
+      }
+    }
+  });
   // See: docs/DIARY_EXEC_PLAN_M1.md (Phase 3)
 }
 
 /**
- * Generate mock GPS point (interpolate along seed segments)
- * @returns {object} {lat, lng, timestamp}
+ * Start the live GPS watch, or the replay timer when a track file is loaded
+ * @returns {boolean} false when no position source is available
  */
-function generateMockGPSPoint() {
-  // TODO: Interpolate along seed segment LineStrings
-  // TODO: Add random noise (±5m)
-  // TODO: Return {lat, lng, timestamp}
+function startPositionSource() {
+  if (replayTrack) {
+    replayTimer = setInterval(stepReplay, REPLAY_INTERVAL_MS);
+    return true;
+  }
+  if (!navigator.geolocation) {
+    showToast('Geolocation unavailable — use "Replay track…" to load a GPX/GeoJSON file.', 3500);
+    return false;
+  }
+  watchId = navigator.geolocation.watchPosition(onPosition, onPositionError, {
+    enableHighAccuracy: true,
+    maximumAge: 0,
+    timeout: 15000
+  });
+  return true;
+}
+
+function stopPositionSource() {
+  if (replayTimer) clearInterval(replayTimer);
+  replayTimer = null;
+  if (watchId != null && navigator.geolocation) navigator.geolocation.clearWatch(watchId);
+  watchId = null;
+}
+
+function onPosition(pos) {
+  const { latitude, longitude, accuracy } = pos.coords;
+  if (Number.isFinite(accuracy) && accuracy > MAX_ACCURACY_M) return;
+  addTracePoint({ lat: latitude, lng: longitude, timestamp: pos.timestamp || Date.now() });
+}
+
+function onPositionError(err) {
+  // Timeouts are transient; watchPosition keeps trying
+  if (err && err.code === err.TIMEOUT) return;
+  stopPositionSource();
+  recordingState = gpsTrace.length ? 'paused' : 'idle';
+  updateRecorderButtons();
+  showToast(err && err.code === err.PERMISSION_DENIED
+    ? 'Location permission denied.'
+    : `Location unavailable: ${err?.message || 'unknown error'}`, 3000);
+}
+
+function stepReplay() {
+  if (replayCursor >= replayTrack.points.length) {
+    onFinishRecording();
+    return;
+  }
+  addTracePoint(replayTrack.points[replayCursor++]);
+}
+
+async function loadReplayTrack(file) {
+  try {
+    const points = parseTrack(await file.text());
+    replayTrack = { name: file.name, points };
+    showToast(`Loaded ${points.length} points from ${file.name}`);
+  } catch (e) {
+    showToast(`Could not read ${file.name}: ${e?.message || e}`, 3000);
+  }
+  updateRecorderButtons();
+}
+
+function addTracePoint(point) {
+  const prev = gpsTrace[gpsTrace.length - 1];
+  if (prev) {
+    traceLengthM += turf.distance([prev.lng, prev.lat], [point.lng, point.lat], { units: 'meters' });
+  }
+  gpsTrace.push(point);
+  renderTrail();
+  updateRecorderStatus();
+}
+
+function resetRecorder() {
+  gpsTrace = [];
+  traceLengthM = 0;
+  replayCursor = 0;
+  recordingState = 'idle';
+  renderTrail();
+  updateRecorderButtons();
+}
+
+/**
+ * Draw the live trail (line + current position) on the map
+ */
+function renderTrail() {
+  if (!diaryMap) return;
+  const coords = gpsTrace.map((p) => [p.lng, p.lat]);
+  const features = [];
+  if (coords.length > 1) features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: coords }, properties: {} });
+  if (coords.length) features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: coords[coords.length - 1] }, properties: {} });
+  const data = { type: 'FeatureCollection', features };
+
+  const src = diaryMap.getSource(TRAIL_SOURCE);
+  if (src) {
+    src.setData(data);
+    return;
+  }
+  diaryMap.addSource(TRAIL_SOURCE, { type: 'geojson', data });
+  diaryMap.addLayer({
+    id: `${TRAIL_SOURCE}-line`,
+    type: 'line',
+    source: TRAIL_SOURCE,
+    filter: ['==', ['geometry-type'], 'LineString'],
+    layout: { 'line-cap': 'round', 'line-join': 'round' },
+    paint: { 'line-color': '#E91E63', 'line-width': 3, 'line-opacity': 0.9 }
+  });
+  diaryMap.addLayer({
+    id: `${TRAIL_SOURCE}-head`,
+    type: 'circle',
+    source: TRAIL_SOURCE,
+    filter: ['==', ['geometry-type'], 'Point'],
+    paint: { 'circle-radius': 6, 'circle-color': '#E91E63', 'circle-stroke-color': '#fff', 'circle-stroke-width': 2 }
+  });
 }
 
 /**
  * Update RecorderDock button states based on recordingState
  */
 function updateRecorderButtons() {
-  // TODO: Enable/disable buttons based on current state
-  // TODO: Update colors (green/yellow/red)
+  const startBtn = document.getElementById('recorder-start');
+  const pauseBtn = document.getElementById('recorder-pause');
+  const finishBtn = document.getElementById('recorder-finish');
+  const replayBtn = document.getElementById('recorder-replay');
+  const active = recordingState === 'recording' || recordingState === 'paused';
+
+  if (startBtn) {
+    startBtn.disabled = recordingState !== 'idle';
+    startBtn.style.background = recordingState === 'idle' ? '#4CAF50' : '#f5f5f5';
+    startBtn.style.color = recordingState === 'idle' ? 'white' : '#999';
+  }
+  if (pauseBtn) {
+    pauseBtn.disabled = !active;
+    pauseBtn.textContent = recordingState === 'paused' ? '▶️ Resume' : '⏸️ Pause';
+    pauseBtn.style.background = active ? '#FFC107' : '#f5f5f5';
+  }
+  if (finishBtn) {
+    finishBtn.disabled = !active;
+    finishBtn.style.background = active ? '#F44336' : '#f5f5f5';
+    finishBtn.style.color = active ? 'white' : '#999';
+  }
+  if (replayBtn) {
+    replayBtn.disabled = recordingState !== 'idle';
+    replayBtn.textContent = replayTrack ? 'Use live GPS' : 'Replay track…';
+  }
+  updateRecorderStatus();
+}
+
+function updateRecorderStatus() {
+  const el = document.getElementById('recorder-status');
+  if (!el) return;
+  if (recordingState === 'idle' && gpsTrace.length === 0) {
+    el.textContent = replayTrack ? `Replay: ${replayTrack.name} (${replayTrack.points.length} pts)` : 'Live GPS';
+    return;
+  }
+  const prefix = recordingState === 'paused' ? 'Paused · ' : '';
+  el.textContent = `${prefix}${gpsTrace.length} pts · ${Math.round(traceLengthM)} m`;
 }
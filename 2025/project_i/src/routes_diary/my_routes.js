@@ -2,47 +2,233 @@
  * Route Safety Diary - My Routes (Saved Routes List)
  *
  * Purpose: Display and manage user's saved routes.
- * Status: [TODO] Deferred to M3 (not in M1 scope)
  * See: docs/DIARY_EXEC_PLAN_M1.md (Phase 3, "Save as route" feature)
+ *
+ * Routes are mirrored in localStorage so the list survives reloads and works
+ * when the diary API is unreachable. Every route is saved through the API, so
+ * whenever the API answers its list replaces the local copy; a route deleted on
+ * the server is dropped locally instead of being merged back.
  */
 
+import * as turf from '@turf/turf';
+import dayjs from 'dayjs';
+import { getSavedRoutes, deleteSavedRoute, getSegments } from '../api/diary.js';
+import { store } from '../state/store.js';
+
+const STORAGE_KEY = 'diary:myRoutes:v1';
+const PANEL_ID = 'my-routes-panel';
+const HIGHLIGHT_SOURCE = 'diary-route-highlight';
+
+let activeMap = null;
+let onRouteShown = null;
+
+/**
+ * Remember a freshly saved route locally (called after a successful submit).
+ * @param {{route_id:string, name:string, segment_ids:string[], travel_mode?:string, created_at?:number}} route
+ */
+export function rememberRoute(route) {
+  if (!route?.route_id) return;
+  const routes = readLocalRoutes().filter((r) => r.route_id !== route.route_id);
+  routes.unshift({ created_at: Date.now(), ...route });
+  writeLocalRoutes(routes);
+}
+
 /**
  * Open "My Routes" panel/modal
+ * @param {MapLibreMap} map - Map used when loading a route
+ * @param {{onRouteShown?:Function}} [opts] - called with {route, from, to} ([lng, lat] trip ends) after a route is shown
  */
-export function openMyRoutesPanel() {
-  // TODO: M3 implementation
-  // - Fetch saved routes from API or localStorage
-  // - Display routes in a list (name, date, segments count)
-  // - Wire click handlers to load route on map
-  // - Add delete button per route
-  console.warn('[Diary] My Routes feature not implemented (M3).');
+export async function openMyRoutesPanel(map, { onRouteShown: onShown = null } = {}) {
+  activeMap = map;
+  onRouteShown = onShown;
+  closeMyRoutesPanel();
+
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'My routes');
+  panel.style.cssText = `
+    position: fixed; top: 80px; right: 16px; z-index: 1100; width: 300px; max-height: 60vh;
+    display: flex; flex-direction: column; background: white; border-radius: 12px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15); font: 13px/1.4 system-ui, sans-serif;
+  `;
+  panel.innerHTML = `
+    <div style="display:flex; align-items:center; justify-content:space-between; padding:12px 16px; border-bottom:1px solid #eee;">
+      <strong style="font-size:15px;">My Routes</strong>
+      <button type="button" data-action="close" aria-label="Close" style="border:none; background:none; font-size:18px; cursor:pointer; color:#666;">×</button>
+    </div>
+    <div data-role="status" style="padding:6px 16px; color:#888; display:none;"></div>
+    <div data-role="list" style="overflow-y:auto; padding:4px 0;"></div>
+  `;
+  panel.querySelector('[data-action="close"]').onclick = closeMyRoutesPanel;
+  document.body.appendChild(panel);
+
+  renderRouteList(readLocalRoutes());
+  setStatus('Syncing…');
+
+  const res = await getSavedRoutes();
+  if (!document.getElementById(PANEL_ID)) return;
+  if (res?.ok && Array.isArray(res.routes)) {
+    writeLocalRoutes(res.routes.slice().sort((a, b) => (b.created_at || 0) - (a.created_at || 0)));
+    setStatus('');
+  } else {
+    setStatus('Offline — showing routes saved on this device.');
+  }
+  renderRouteList(readLocalRoutes());
 }
 
 /**
  * Close "My Routes" panel/modal
  */
 export function closeMyRoutesPanel() {
-  // TODO: M3 implementation
+  document.getElementById(PANEL_ID)?.remove();
 }
 
 /**
  * Load a saved route onto the map
  * @param {string} routeId - Saved route ID
+ * @returns {Promise<boolean>} false when the route or its segments are unavailable
+ */
+export async function loadRoute(routeId) {
+  const route = readLocalRoutes().find((r) => r.route_id === routeId);
+  if (!route || !activeMap) return false;
+
+  const res = await getSegments({ ids: route.segment_ids });
+  const features = Array.isArray(res?.features) ? res.features : [];
+  if (features.length === 0) {
+    setStatus('Segments for this route are unavailable.');
+    return false;
+  }
+
+  const data = { type: 'FeatureCollection', features };
+  const source = activeMap.getSource(HIGHLIGHT_SOURCE);
+  if (source) {
+    source.setData(data);
+  } else {
+    activeMap.addSource(HIGHLIGHT_SOURCE, { type: 'geojson', data });
+    activeMap.addLayer({
+      id: `${HIGHLIGHT_SOURCE}-line`,
+      type: 'line',
+      source: HIGHLIGHT_SOURCE,
+      layout: { 'line-cap': 'round', 'line-join': 'round' },
+      paint: { 'line-color': '#7C3AED', 'line-width': 10, 'line-opacity': 0.45 }
+    });
+  }
+
+  const [minx, miny, maxx, maxy] = turf.bbox(data);
+  activeMap.fitBounds([[minx, miny], [maxx, maxy]], { padding: 60, maxZoom: 17, duration: 600 });
+  if (features.length < route.segment_ids.length) {
+    setStatus(`${route.segment_ids.length - features.length} segment(s) no longer exist.`);
+  }
+
+  const byId = new Map(features.map((f) => [f.properties?.segment_id ?? f.id, f]));
+  const ends = routeEnds(route.segment_ids.map((id) => byId.get(id)).filter(Boolean));
+  if (ends) onRouteShown?.({ route, from: ends[0], to: ends[1] });
+  return true;
+}
+
+/**
+ * Remove the loaded-route highlight from the map
+ * @param {MapLibreMap} [map]
  */
-export function loadRoute(routeId) {
-  // TODO: M3 implementation
-  // - Fetch route segments from API
-  // - Highlight segments on map
-  // - Optionally fly to route bounds
+export function clearRouteHighlight(map = activeMap) {
+  if (!map) return;
+  if (map.getLayer(`${HIGHLIGHT_SOURCE}-line`)) map.removeLayer(`${HIGHLIGHT_SOURCE}-line`);
+  if (map.getSource(HIGHLIGHT_SOURCE)) map.removeSource(HIGHLIGHT_SOURCE);
 }
 
 /**
  * Delete a saved route
  * @param {string} routeId - Route ID to delete
+ * @returns {Promise<boolean>} true when removed from both the API and this device
  */
-export function deleteRoute(routeId) {
-  // TODO: M3 implementation
-  // - Confirm with user (modal or native confirm)
-  // - DELETE /api/diary/routes/:id
-  // - Remove from UI list
+export async function deleteRoute(routeId) {
+  const route = readLocalRoutes().find((r) => r.route_id === routeId);
+  if (!window.confirm(`Delete route "${route?.name || routeId}"?`)) return false;
+
+  const res = await deleteSavedRoute(routeId);
+  // NOT_FOUND means the server already forgot it (e.g. store reset); drop the local copy too
+  if (!res?.ok && res?.code !== 'NOT_FOUND') {
+    setStatus(`Delete failed: ${res?.error || 'unknown error'}`);
+    return false;
+  }
+
+  writeLocalRoutes(readLocalRoutes().filter((r) => r.route_id !== routeId));
+  clearRouteHighlight();
+  renderRouteList(readLocalRoutes());
+  setStatus('');
+  return true;
+}
+
+function renderRouteList(routes) {
+  const list = document.querySelector(`#${PANEL_ID} [data-role="list"]`);
+  if (!list) return;
+  if (routes.length === 0) {
+    list.innerHTML = '<div style="padding:12px 16px; color:#666;">No saved routes yet. Tick “Save as route” when rating a trip.</div>';
+    return;
+  }
+
+  list.innerHTML = '';
+  for (const route of routes) {
+    const n = route.segment_ids?.length || 0;
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex; align-items:center; gap:8px; padding:8px 16px; border-bottom:1px solid #f3f3f3;';
+    row.innerHTML = `
+      <div style="flex:1; min-width:0;">
+        <div style="font-weight:600; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;"></div>
+        <div style="color:#777;">${route.travel_mode === 'bike' ? '🚲' : '🚶'} ${dayjs(route.created_at).format('MMM D, YYYY')} · ${n} segment${n === 1 ? '' : 's'}</div>
+      </div>
+      <button type="button" data-action="load" style="padding:4px 10px; border:1px solid #7C3AED; border-radius:6px; background:white; color:#7C3AED; cursor:pointer;">Show</button>
+      <button type="button" data-action="delete" aria-label="Delete route" style="padding:4px 8px; border:1px solid #ddd; border-radius:6px; background:white; cursor:pointer;">🗑️</button>
+    `;
+    row.firstElementChild.firstElementChild.textContent = route.name || route.route_id;
+    row.querySelector('[data-action="load"]').onclick = () => loadRoute(route.route_id);
+    row.querySelector('[data-action="delete"]').onclick = () => deleteRoute(route.route_id);
+    list.appendChild(row);
+  }
+}
+
+function setStatus(text) {
+  const el = document.querySelector(`#${PANEL_ID} [data-role="status"]`);
+  if (!el) return;
+  el.textContent = text;
+  el.style.display = text ? 'block' : 'none';
+}
+
+/**
+ * Trip start and end of a route from its segments in travel order: the end of the
+ * first segment away from the second, and the end of the last away from the one
+ * before it.
+ * @param {object[]} ordered - LineString Features
+ * @returns {Array<number[]>|null} [from, to], or null without LineString geometry
+ */
+function routeEnds(ordered) {
+  const lines = ordered.map((f) => (f.geometry?.type === 'LineString' ? f.geometry.coordinates : null));
+  if (!lines.length || lines.some((c) => !c || c.length < 2)) return null;
+  const endsOf = (c) => [c[0], c[c.length - 1]];
+  if (lines.length === 1) return endsOf(lines[0]);
+  const away = (line, neighbour) => {
+    const gap = (p) => Math.min(...endsOf(neighbour).map((q) => turf.distance(p, q)));
+    const [a, b] = endsOf(line);
+    return gap(a) >= gap(b) ? a : b;
+  };
+  return [away(lines[0], lines[1]), away(lines[lines.length - 1], lines[lines.length - 2])];
+}
+
+function readLocalRoutes() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeLocalRoutes(routes) {
+  store.myRoutes = routes;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
+  } catch (e) {
+    console.warn('[Diary] Could not persist saved routes:', e?.message || e);
+  }
 }
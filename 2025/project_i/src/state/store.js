@@ -4,6 +4,7 @@
 import dayjs from 'dayjs';
 import { expandGroupsToCodes } from '../utils/types.js';
 import { fetchCoverage } from '../api/meta.js';
+import { referenceDay } from '../api/datasource.js';
 
 /**
  * @typedef {object} Store
@@ -14,11 +15,22 @@ import { fetchCoverage } from '../api/meta.js';
  * @property {string[]} selectedGroups
  * @property {string[]} selectedTypes
  * @property {string} adminLevel
+ * @property {boolean} relativeToCity
+ * @property {boolean} hotspot
+ * @property {'clusters'|'density'} pointsMode
+ * @property {number} kdeBandwidthM
+ * @property {''|'pop'|'renter_pct'|'median_income'|'poverty_pct'} acsOverlay
+ * @property {'pop'|'renter_pct'|'median_income'|'poverty_pct'} scatterVar
  * @property {any} mapBbox
  * @property {[number,number]|null} center3857
+ * @property {import('../utils/custom_area.js').CustomArea & {name?:string} | null} customArea - polygon query mode
  * @property {() => {start:string,end:string}} getStartEnd
- * @property {() => {start:string,end:string,types:string[],center3857:[number,number]|null,radiusM:number}} getFilters
+ * @property {() => {start:string,end:string,types:string[],center3857:[number,number]|null,radiusM:number,areaGeometry:object|null}} getFilters
  * @property {(lng:number,lat:number) => void} setCenterFromLngLat
+ * @property {number} radiusB
+ * @property {[number,number]|null} centerB3857
+ * @property {(lng:number,lat:number) => void} setCenterBFromLngLat
+ * @property {() => void} clearCenterB
  */
 
 export const store = /** @type {Store} */ ({
@@ -35,14 +47,25 @@ export const store = /** @type {Store} */ ({
   selectMode: 'idle',
   centerLonLat: null,
  per10k: false,
+  relativeToCity: false, // choropleth shows location quotients of the selected offenses
+  hotspot: false, // tracts shaded by Getis-Ord Gi* hot/cold spots
+  pointsMode: 'clusters', // 'clusters' | 'density' (kernel density heatmap)
+  kdeBandwidthM: 200, // density search radius in metres
+  acsOverlay: '', // ACS variable shading the tracts instead of incidents ('' = off)
+  scatterVar: 'median_income', // x axis of the crime-rate scatter
   mapBbox: null,
   center3857: null,
+  // Comparison buffer B (buffer mode only)
+  radiusB: 400,
+  centerB3857: null,
+  centerBLonLat: null,
   coverageMin: null,
   coverageMax: null,
   // Query mode and selections
-  queryMode: 'buffer', // 'buffer' | 'district' | 'tract'
+  queryMode: 'buffer', // 'buffer' | 'district' | 'tract' | 'polygon'
   selectedDistrictCode: null,
   selectedTractGEOID: null,
+  customArea: null, // drawn or uploaded outline (polygon mode)
   overlayTractsLines: false, // Show tract boundaries overlay in district mode
   didAutoAlignAdmin: false, // One-time auto-align flag for Tract mode → adminLevel 'tracts'
   // [DIARY_FLAG] Route Safety Diary placeholder state (M1 prep, no behavior yet)
@@ -61,8 +84,8 @@ export const store = /** @type {Store} */ ({
       const endD = startD.add(this.durationMonths, 'month').endOf('month');
       return { start: startD.format('YYYY-MM-DD'), end: endD.format('YYYY-MM-DD') };
     }
-    const end = dayjs().format('YYYY-MM-DD');
-    const start = dayjs().subtract(this.timeWindowMonths || 6, 'month').format('YYYY-MM-DD');
+    const end = referenceDay().format('YYYY-MM-DD');
+    const start = referenceDay().subtract(this.timeWindowMonths || 6, 'month').format('YYYY-MM-DD');
     return { start, end };
   },
   getFilters() {
@@ -80,6 +103,7 @@ export const store = /** @type {Store} */ ({
       queryMode: this.queryMode,
       selectedDistrictCode: this.selectedDistrictCode,
       selectedTractGEOID: this.selectedTractGEOID,
+      areaGeometry: this.queryMode === 'polygon' ? this.customArea?.geometry || null : null,
     };
   },
   setCenterFromLngLat(lng, lat) {
@@ -89,6 +113,18 @@ export const store = /** @type {Store} */ ({
     this.center3857 = [x, y];
     this.centerLonLat = [lng, lat];
   },
+  setCenterBFromLngLat(lng, lat) {
+    const R = 6378137;
+    const x = R * (lng * Math.PI / 180);
+    const y = R * Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2));
+    this.centerB3857 = [x, y];
+    this.centerBLonLat = [lng, lat];
+  },
+  clearCenterB() {
+    this.centerB3857 = null;
+    this.centerBLonLat = null;
+    this.addressB = null;
+  },
 });
 
 /**
@@ -0,0 +1,166 @@
+/**
+ * Shareable view state: the store (plus map camera) round-trips through the URL
+ * hash, e.g. `#qm=buffer&a=-75.16352,39.95241&r=800&sm=2024-01&dm=6&g=property|vehicle`.
+ * The hash is used so query parameters such as `?source=snapshot` stay independent.
+ */
+
+import { encodeAreaParam, decodeAreaParam } from '../utils/custom_area.js';
+
+const QUERY_MODES = ['buffer', 'district', 'tract', 'polygon'];
+const ADMIN_LEVELS = ['districts', 'tracts'];
+const CLASS_METHODS = ['quantile', 'equal', 'jenks', 'stddev', 'headtail', 'custom'];
+const POINTS_MODES = ['clusters', 'density'];
+const ACS_KEYS = ['pop', 'renter_pct', 'median_income', 'poverty_pct'];
+
+/**
+ * Encode the shareable subset of the store (and map camera) as a hash string.
+ * Values equal to the defaults are omitted to keep links short. Custom areas with
+ * more than URL_AREA_MAX_VERTICES vertices are left out of the link.
+ * @param {import('./store.js').Store} store
+ * @param {{center:[number,number], zoom:number}} [view]
+ * @returns {string} hash without the leading '#'
+ */
+export function serializeState(store, view) {
+  const p = new URLSearchParams();
+  const put = (k, v, def) => { if (v != null && v !== '' && v !== def) p.set(k, String(v)); };
+  const list = (k, arr) => { if (Array.isArray(arr) && arr.length) p.set(k, arr.join('|')); };
+
+  put('qm', store.queryMode, 'buffer');
+  if (store.centerLonLat) p.set('a', lngLatStr(store.centerLonLat));
+  put('r', store.radius, 400);
+  put('aa', store.addressA);
+  if (store.centerBLonLat) p.set('b', lngLatStr(store.centerBLonLat));
+  if (store.centerBLonLat) put('rb', store.radiusB, 400);
+  put('ab', store.addressB);
+  put('sm', store.startMonth);
+  put('dm', store.durationMonths, 6);
+  put('tw', store.timeWindowMonths, 6);
+  list('g', store.selectedGroups);
+  list('dc', store.selectedDrilldownCodes);
+  put('al', store.adminLevel, 'districts');
+  if (store.per10k) p.set('pk', '1');
+  if (store.relativeToCity) p.set('lq', '1');
+  if (store.hotspot && store.adminLevel === 'tracts') p.set('hs', '1');
+  if (store.overlayTractsLines) p.set('ot', '1');
+  put('pm', store.pointsMode, 'clusters');
+  if (store.pointsMode === 'density') put('bw', store.kdeBandwidthM, 200);
+  put('ao', store.acsOverlay, '');
+  put('sv', store.scatterVar, 'median_income');
+  put('cm', store.classMethod, 'quantile');
+  put('cn', store.classBins, 5);
+  put('cp', store.classPalette, 'Blues');
+  put('co', store.classOpacity, 0.75);
+  if (store.classMethod === 'custom') list('ck', store.classCustomBreaks);
+  put('d', store.selectedDistrictCode);
+  put('t', store.selectedTractGEOID);
+  if (store.queryMode === 'polygon' && store.customArea) put('pg', encodeAreaParam(store.customArea.geometry));
+  if (view?.center) p.set('v', `${lngLatStr(view.center)},${Number(view.zoom).toFixed(2)}`);
+  // ',', '|', ';' and '!' are safe in a fragment; leaving them unescaped keeps links readable
+  return p.toString().replace(/%2C/gi, ',').replace(/%7C/gi, '|').replace(/%3B/gi, ';').replace(/%21/g, '!');
+}
+
+/**
+ * Decode a hash string into a store patch plus optional map camera.
+ * Unknown or malformed values are dropped rather than guessed.
+ * @param {string} hash - with or without the leading '#'
+ * @returns {{patch: object, view: {center:[number,number], zoom:number}|null}}
+ */
+export function parseState(hash) {
+  const p = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const patch = {};
+  const num = (k, { min = -Infinity, max = Infinity } = {}) => {
+    const n = Number(p.get(k));
+    return p.has(k) && Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+  };
+  const list = (k) => (p.get(k) ? p.get(k).split('|').map((s) => s.trim()).filter(Boolean) : undefined);
+  const set = (key, v) => { if (v !== undefined) patch[key] = v; };
+
+  if (QUERY_MODES.includes(p.get('qm'))) patch.queryMode = p.get('qm');
+  set('centerLonLat', parseLngLat(p.get('a')));
+  set('radius', num('r', { min: 50, max: 10000 }));
+  set('addressA', p.get('aa') || undefined);
+  set('centerBLonLat', parseLngLat(p.get('b')));
+  set('radiusB', num('rb', { min: 50, max: 10000 }));
+  set('addressB', p.get('ab') || undefined);
+  if (/^\d{4}-\d{2}$/.test(p.get('sm') || '')) patch.startMonth = p.get('sm');
+  set('durationMonths', num('dm', { min: 1, max: 120 }));
+  set('timeWindowMonths', num('tw', { min: 1, max: 120 }));
+  set('selectedGroups', list('g'));
+  set('selectedDrilldownCodes', list('dc'));
+  if (ADMIN_LEVELS.includes(p.get('al'))) patch.adminLevel = p.get('al');
+  if (p.has('pk')) patch.per10k = p.get('pk') === '1';
+  if (p.has('lq')) patch.relativeToCity = p.get('lq') === '1';
+  // hot spots are tract-only; without al=tracts the link is on the default district level
+  if (p.has('hs')) patch.hotspot = p.get('hs') === '1' && patch.adminLevel === 'tracts';
+  if (p.has('ot')) patch.overlayTractsLines = p.get('ot') === '1';
+  if (POINTS_MODES.includes(p.get('pm'))) patch.pointsMode = p.get('pm');
+  set('kdeBandwidthM', num('bw', { min: 25, max: 5000 }));
+  if (ACS_KEYS.includes(p.get('ao'))) patch.acsOverlay = p.get('ao');
+  if (ACS_KEYS.includes(p.get('sv'))) patch.scatterVar = p.get('sv');
+  if (CLASS_METHODS.includes(p.get('cm'))) patch.classMethod = p.get('cm');
+  set('classBins', num('cn', { min: 3, max: 9 }));
+  if (/^[A-Za-z]+$/.test(p.get('cp') || '')) patch.classPalette = p.get('cp');
+  set('classOpacity', num('co', { min: 0, max: 1 }));
+  const breaks = list('ck')?.map(Number).filter(Number.isFinite);
+  if (breaks?.length) patch.classCustomBreaks = breaks.sort((a, b) => a - b);
+  if (/^\d{1,2}$/.test(p.get('d') || '')) patch.selectedDistrictCode = p.get('d').padStart(2, '0');
+  if (/^\d{11}$/.test(p.get('t') || '')) patch.selectedTractGEOID = p.get('t');
+  set('customArea', decodeAreaParam(p.get('pg')));
+
+  let view = null;
+  const v = (p.get('v') || '').split(',').map(Number);
+  if (v.length === 3 && v.every(Number.isFinite) && parseLngLat(`${v[0]},${v[1]}`)) {
+    view = { center: [v[0], v[1]], zoom: Math.min(22, Math.max(0, v[2])) };
+  }
+  return { patch, view };
+}
+
+/**
+ * Apply the current location hash to the store. Centers go through the store
+ * setters so the EPSG:3857 copies stay in sync.
+ * @param {import('./store.js').Store} store
+ * @returns {{restored:boolean, view:{center:[number,number], zoom:number}|null}} whether any
+ *   store value came from the link, and the map camera when it carried one
+ */
+export function restoreStateFromUrl(store) {
+  if (typeof window === 'undefined' || !window.location.hash) return { restored: false, view: null };
+  const { patch, view } = parseState(window.location.hash);
+  const { centerLonLat, centerBLonLat, ...rest } = patch;
+  Object.assign(store, rest);
+  if (centerLonLat) store.setCenterFromLngLat(centerLonLat[0], centerLonLat[1]);
+  if (centerBLonLat) store.setCenterBFromLngLat(centerBLonLat[0], centerBLonLat[1]);
+  return { restored: Object.keys(patch).length > 0, view };
+}
+
+let writeTimer = null;
+
+/**
+ * Mirror the store into the location hash (debounced, replaceState so the
+ * back button is not flooded with intermediate views).
+ * @param {import('./store.js').Store} store
+ * @param {import('maplibre-gl').Map} [map]
+ */
+export function writeStateToUrl(store, map) {
+  if (typeof window === 'undefined') return;
+  clearTimeout(writeTimer);
+  writeTimer = setTimeout(() => {
+    const c = map?.getCenter?.();
+    const view = c ? { center: [c.lng, c.lat], zoom: map.getZoom() } : undefined;
+    const hash = serializeState(store, view);
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(null, '', url);
+    }
+  }, 250);
+}
+
+function lngLatStr([lng, lat]) {
+  return `${Number(lng).toFixed(5)},${Number(lat).toFixed(5)}`;
+}
+
+function parseLngLat(s) {
+  const [lng, lat] = String(s || '').split(',').map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return undefined;
+  if (Math.abs(lng) > 180 || Math.abs(lat) > 85) return undefined;
+  return [lng, lat];
+}
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseState, serializeState } from './url_state.js';
+
+test('hot spots are restored only on the tract level', () => {
+  assert.equal(parseState('#al=tracts&hs=1').patch.hotspot, true);
+  assert.equal(parseState('#hs=1').patch.hotspot, false);
+  assert.equal(parseState('#al=districts&hs=1').patch.hotspot, false);
+  assert.equal(parseState('#al=tracts').patch.hotspot, undefined);
+});
+
+test('hot spots are only written to links on the tract level', () => {
+  assert.equal(serializeState({ adminLevel: 'tracts', hotspot: true }), 'al=tracts&hs=1');
+  assert.equal(serializeState({ adminLevel: 'districts', hotspot: true }), '');
+});
@@ -2,6 +2,9 @@
  * Collapsible "About" panel with smooth slide-down animation
  */
 
+import { clearHttpCache } from '../utils/http.js';
+import { getPersistentCacheStats } from '../utils/idb_cache.js';
+
 /**
  * Initialize the about panel with toggle button and collapsible content.
  * Panel sits at top of page, slides down when opened, Esc to close.
@@ -59,12 +62,22 @@ export function initAboutPanel() {
         </p>
       </div>
 
-      <div style="margin-bottom:0;">
+      <div style="margin-bottom:12px;">
         <strong style="color:#1f2937;">Important notes.</strong>
         <p style="margin:4px 0 0 0; color:#374151; font-size:13px; line-height:1.5;">
           Locations are geocoded to 100-block level (not exact addresses). Reporting can lag by days or weeks. Use as one factor among many when evaluating neighborhoods.
         </p>
       </div>
+
+      <div style="margin-bottom:0;">
+        <strong style="color:#1f2937;">Cached data.</strong>
+        <p style="margin:4px 0 0 0; color:#374151; font-size:13px; line-height:1.5;">
+          Boundaries, ACS tables and citywide aggregates are kept in this browser so repeat visits load instantly. Stale copies are shown while a fresh one downloads.
+        </p>
+        <div id="about-cache-summary" style="margin-top:6px; color:#374151; font-size:12px;"></div>
+        <table id="about-cache-table" style="margin-top:4px; font-size:12px; color:#374151; border-collapse:collapse;"></table>
+        <button id="about-cache-clear" type="button" style="margin-top:6px; font-size:12px; padding:2px 8px;">Clear cached data</button>
+      </div>
     </div>
   `;
 
@@ -81,6 +94,18 @@ export function initAboutPanel() {
     const isOpen = panel.classList.toggle('about--open');
     btn.setAttribute('aria-expanded', String(isOpen));
     panel.setAttribute('aria-hidden', String(!isOpen));
+    if (isOpen) renderCacheStats(panel);
+  });
+
+  const clearBtn = panel.querySelector('#about-cache-clear');
+  clearBtn.addEventListener('click', async () => {
+    clearBtn.disabled = true;
+    try {
+      await clearHttpCache();
+    } finally {
+      clearBtn.disabled = false;
+      renderCacheStats(panel);
+    }
   });
 
   // Esc to close
@@ -91,6 +116,32 @@ export function initAboutPanel() {
   });
 }
 
+/**
+ * Fill the cache inspector with per-endpoint entry counts and sizes.
+ */
+async function renderCacheStats(panel) {
+  const summary = panel.querySelector('#about-cache-summary');
+  const table = panel.querySelector('#about-cache-table');
+  const stats = await getPersistentCacheStats();
+  if (!stats.available) {
+    summary.textContent = 'Persistent cache unavailable in this browser (memory cache only).';
+    table.innerHTML = '';
+    return;
+  }
+  summary.textContent = `${stats.entries} responses, ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}.`;
+  const cell = 'padding:1px 10px 1px 0;';
+  table.innerHTML = stats.byLabel.length
+    ? `<tr style="color:#6b7280;"><th style="${cell} text-align:left; font-weight:500;">Endpoint</th><th style="${cell} text-align:right; font-weight:500;">Entries</th><th style="${cell} text-align:right; font-weight:500;">Size</th><th style="${cell} text-align:left; font-weight:500;">Oldest</th></tr>`
+      + stats.byLabel.map((g) => `<tr><td style="${cell}">${g.label}</td><td style="${cell} text-align:right;">${g.entries}${g.stale ? ` (${g.stale} stale)` : ''}</td><td style="${cell} text-align:right;">${formatBytes(g.bytes)}</td><td style="${cell}">${new Date(g.oldest).toLocaleString()}</td></tr>`).join('')
+    : '';
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
 /**
  * Inject CSS styles for about panel
  */
@@ -136,6 +187,8 @@ function injectStyles() {
       backdrop-filter: blur(8px);
       box-shadow: 0 4px 12px rgba(0,0,0,0.1);
       z-index: 1199;
+      max-height: 100vh;
+      overflow-y: auto;
       transform: translateY(-100%);
       transition: transform 0.25s ease;
     }
@@ -0,0 +1,121 @@
+/**
+ * Address autocomplete dropdown for the side panel address inputs.
+ */
+
+import { searchAddress } from '../api/geocode.js';
+
+/**
+ * Attach a suggestion list to a text input.
+ * Arrow keys move through suggestions, Enter picks the highlighted one (or the
+ * first match), Esc closes the list.
+ * @param {HTMLInputElement} input
+ * @param {{ onSelect: (result: import('../api/geocode.js').GeocodeResult) => void, onStatus?: (text: string) => void, search?: typeof searchAddress }} opts
+ * @returns {() => void} detach function
+ */
+export function attachAddressAutocomplete(input, { onSelect, onStatus, search = searchAddress }) {
+  const wrap = input.parentElement;
+  if (wrap && getComputedStyle(wrap).position === 'static') wrap.style.position = 'relative';
+  input.setAttribute('autocomplete', 'off');
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+
+  const list = document.createElement('ul');
+  list.id = `${input.id}-suggestions`;
+  list.setAttribute('role', 'listbox');
+  list.style.cssText = 'display:none; position:absolute; left:0; right:0; top:100%; z-index:20; margin:2px 0 0; padding:4px 0; list-style:none; background:#fff; border:1px solid #cbd5e1; border-radius:6px; box-shadow:0 4px 12px rgba(0,0,0,.12); font-size:13px; max-height:220px; overflow-y:auto;';
+  input.setAttribute('aria-controls', list.id);
+  wrap?.appendChild(list);
+
+  let results = [];
+  let active = -1;
+  let seq = 0; // drop responses that arrive after a newer keystroke
+  let timer = null;
+
+  function render() {
+    list.innerHTML = '';
+    results.forEach((r, i) => {
+      const li = document.createElement('li');
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', String(i === active));
+      li.style.cssText = `padding:6px 10px; cursor:pointer; ${i === active ? 'background:#e0f2fe;' : ''}`;
+      li.textContent = r.label;
+      if (r.source === 'gazetteer') {
+        const tag = document.createElement('span');
+        tag.style.cssText = 'margin-left:6px; color:#94a3b8; font-size:11px;';
+        tag.textContent = 'place';
+        li.appendChild(tag);
+      }
+      // mousedown fires before blur closes the list
+      li.addEventListener('mousedown', (e) => { e.preventDefault(); pick(i); });
+      list.appendChild(li);
+    });
+    const open = results.length > 0;
+    list.style.display = open ? 'block' : 'none';
+    input.setAttribute('aria-expanded', String(open));
+  }
+
+  function close() {
+    results = [];
+    active = -1;
+    render();
+  }
+
+  function pick(i) {
+    const r = results[i];
+    if (!r) return;
+    input.value = r.label;
+    close();
+    onStatus?.('');
+    onSelect(r);
+  }
+
+  async function lookup(text, { pickFirst = false } = {}) {
+    const mine = ++seq;
+    const found = await search(text);
+    if (mine !== seq) return;
+    results = found;
+    active = -1;
+    if (pickFirst && results.length) return pick(0);
+    onStatus?.(text.trim().length >= 3 && results.length === 0 ? 'No matching address found.' : '');
+    render();
+  }
+
+  const onInput = () => {
+    clearTimeout(timer);
+    const text = input.value;
+    if (text.trim().length < 3) { seq++; close(); onStatus?.(''); return; }
+    timer = setTimeout(() => lookup(text), 250);
+  };
+
+  const onKeydown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!results.length) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      active = (active + step + results.length) % results.length;
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      clearTimeout(timer);
+      if (active >= 0) pick(active);
+      else lookup(input.value, { pickFirst: true });
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const onBlur = () => setTimeout(close, 100);
+
+  input.addEventListener('input', onInput);
+  input.addEventListener('keydown', onKeydown);
+  input.addEventListener('blur', onBlur);
+
+  return () => {
+    clearTimeout(timer);
+    input.removeEventListener('input', onInput);
+    input.removeEventListener('keydown', onKeydown);
+    input.removeEventListener('blur', onBlur);
+    list.remove();
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Export card in the side panel: CSV/GeoJSON downloads of the data behind the
+ * map and charts, plus PNG snapshots of each chart and of the map with its legend.
+ */
+
+import { getLastPoints } from '../map/points.js';
+import { getLegendState } from '../map/legend.js';
+import { getChartData } from '../charts/index.js';
+import { estimatePopInPolygon } from '../utils/pop_buffer.js';
+import {
+  pointsToCsv,
+  choroplethRows,
+  CHOROPLETH_COLUMNS,
+  LQ_COLUMNS,
+  ACS_OVERLAY_COLUMNS,
+  HOTSPOT_COLUMNS,
+  rowsToGeoJSON,
+  toCsv,
+  monthlyToCsv,
+  topNToCsv,
+  matrixToCsv,
+  exportFileName,
+  downloadText,
+  downloadCanvasPng,
+} from '../utils/export.js';
+
+const CHART_CANVAS = { monthly: 'chart-monthly', topn: 'chart-topn', heat: 'chart-7x24' };
+
+// District geometry does not change between refreshes, so estimates are reused
+const districtPopCache = new Map();
+
+async function districtPopulations(geojson) {
+  const out = new Map();
+  for (const f of geojson?.features || []) {
+    const code = String(f?.properties?.DIST_NUMC ?? '').padStart(2, '0');
+    if (!districtPopCache.has(code)) districtPopCache.set(code, await estimatePopInPolygon(f));
+    out.set(code, districtPopCache.get(code));
+  }
+  return out;
+}
+
+/**
+ * Monthly series keyed by CSV column name; the second series is whatever area the charts are scoped to.
+ */
+function monthlySeries(data) {
+  if (data.queryMode === 'district' && data.selectedDistrictCode) {
+    return { [`district_${data.selectedDistrictCode}`]: data.monthly.city };
+  }
+  const areaName = data.queryMode === 'tract' && data.selectedTractGEOID
+    ? `tract_${data.selectedTractGEOID}`
+    : data.queryMode === 'polygon' ? 'custom_area' : 'buffer_a';
+  return { citywide: data.monthly.city, [areaName]: data.monthly.area };
+}
+
+/**
+ * Copy a chart onto a white background (Chart.js canvases are transparent).
+ */
+function chartSnapshot(id) {
+  const src = document.getElementById(id);
+  if (!src || !src.width) throw new Error(`chart not rendered: #${id}`);
+  const c = document.createElement('canvas');
+  c.width = src.width;
+  c.height = src.height;
+  const ctx = c.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, c.width, c.height);
+  ctx.drawImage(src, 0, 0);
+  return c;
+}
+
+/**
+ * Draw the legend box in the bottom-right corner, mirroring map/legend.js rows.
+ */
+function drawLegend(ctx, legend, width, height, scale) {
+  let labels = legend.labels;
+  if (!labels?.length) {
+    labels = [`0 - ${legend.breaks[0]}${legend.unit}`];
+    for (let i = 0; i < legend.breaks.length - 1; i++) labels.push(`${legend.breaks[i]} - ${legend.breaks[i + 1]}${legend.unit}`);
+    labels.push(`${legend.breaks[legend.breaks.length - 1]}+ ${legend.unit}`);
+  }
+
+  const pad = 10 * scale;
+  const row = 20 * scale;
+  const sw = 14 * scale;
+  ctx.font = `${11 * scale}px system-ui, sans-serif`;
+  const textW = Math.max(...labels.map((l) => ctx.measureText(l).width), legend.subtitle ? ctx.measureText(legend.subtitle).width : 0);
+  ctx.font = `600 ${12 * scale}px system-ui, sans-serif`;
+  const boxW = Math.max(ctx.measureText(legend.title || 'Legend').width, sw + 8 * scale + textW) + pad * 2;
+  const boxH = pad * 2 + row * (labels.length + 1 + (legend.subtitle ? 1 : 0));
+  const x0 = width - boxW - 12 * scale;
+  const y0 = height - boxH - 12 * scale;
+
+  ctx.fillStyle = 'rgba(255,255,255,0.95)';
+  ctx.fillRect(x0, y0, boxW, boxH);
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#111';
+  let y = y0 + pad + row / 2;
+  ctx.fillText(legend.title || 'Legend', x0 + pad, y);
+  ctx.font = `${11 * scale}px system-ui, sans-serif`;
+  if (legend.subtitle) {
+    y += row;
+    ctx.fillStyle = '#6b7280';
+    ctx.fillText(legend.subtitle, x0 + pad, y);
+  }
+  labels.forEach((label, i) => {
+    y += row;
+    ctx.fillStyle = legend.colors[Math.min(i, legend.colors.length - 1)];
+    ctx.fillRect(x0 + pad, y - sw / 2, sw, sw);
+    ctx.strokeStyle = '#ccc';
+    ctx.strokeRect(x0 + pad, y - sw / 2, sw, sw);
+    ctx.fillStyle = '#333';
+    ctx.fillText(label, x0 + pad + sw + 8 * scale, y);
+  });
+}
+
+/**
+ * Map canvas plus legend, A/B markers and a caption. WebGL clears its buffer after
+ * each frame, so the copy happens inside the next render callback.
+ * @param {import('maplibre-gl').Map} map
+ * @param {import('../state/store.js').Store} store
+ * @param {{caption?:string}} [opts] - caption text; defaults to the current time window
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export function mapSnapshot(map, store, { caption: captionText } = {}) {
+  return new Promise((resolve, reject) => {
+    map.once('render', () => {
+      try {
+        const src = map.getCanvas();
+        const scale = src.width / (map.getContainer().clientWidth || src.width);
+        const c = document.createElement('canvas');
+        c.width = src.width;
+        c.height = src.height;
+        const ctx = c.getContext('2d');
+        ctx.drawImage(src, 0, 0);
+
+        // markers are DOM elements, not part of the GL canvas
+        for (const [lonLat, color] of [[store.centerLonLat, '#ef4444'], [store.centerBLonLat, '#7c3aed']]) {
+          if (!lonLat || store.queryMode !== 'buffer') continue;
+          const p = map.project(lonLat);
+          ctx.beginPath();
+          ctx.arc(p.x * scale, p.y * scale, 6 * scale, 0, Math.PI * 2);
+          ctx.fillStyle = color;
+          ctx.fill();
+          ctx.lineWidth = 2 * scale;
+          ctx.strokeStyle = '#fff';
+          ctx.stroke();
+        }
+
+        const legend = getLegendState();
+        if (legend) drawLegend(ctx, legend, c.width, c.height, scale);
+
+        const { start, end } = store.getFilters();
+        const caption = `${captionText || `Philadelphia crime incidents ${start} to ${end}`} · © OpenStreetMap contributors`;
+        ctx.font = `${11 * scale}px system-ui, sans-serif`;
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = 'rgba(255,255,255,0.85)';
+        ctx.fillRect(0, c.height - 18 * scale, ctx.measureText(caption).width + 12 * scale, 18 * scale);
+        ctx.fillStyle = '#111';
+        ctx.fillText(caption, 6 * scale, c.height - 4 * scale);
+        resolve(c);
+      } catch (e) {
+        reject(e);
+      }
+    });
+    map.triggerRepaint();
+  });
+}
+
+/**
+ * Wire the export buttons (`[data-export]` inside #export-card).
+ * @param {import('maplibre-gl').Map} map
+ * @param {import('../state/store.js').Store} store
+ * @param {{ getChoropleth: () => ({level:'districts'|'tracts', geojson:object, lq?:boolean, acs?:string|null, hotspot?:boolean}|null) }} handlers
+ */
+export function initExportPanel(map, store, { getChoropleth }) {
+  const card = document.getElementById('export-card');
+  const statusEl = document.getElementById('exportStatus');
+  if (!card) return;
+
+  const setStatus = (text, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.style.color = isError ? '#b91c1c' : '#64748b';
+    statusEl.style.display = text ? 'block' : 'none';
+  };
+
+  const actions = {
+    'points-csv': () => {
+      const pts = getLastPoints();
+      if (!pts?.geojson?.features?.length) throw new Error('No incident points loaded in the current view.');
+      downloadText(pointsToCsv(pts.geojson), exportFileName('points', pts, 'csv'), 'text/csv');
+      return `${pts.geojson.features.length} points (current map view).`;
+    },
+    'points-geojson': () => {
+      const pts = getLastPoints();
+      if (!pts?.geojson?.features?.length) throw new Error('No incident points loaded in the current view.');
+      downloadText(JSON.stringify(pts.geojson), exportFileName('points', pts, 'geojson'), 'application/geo+json');
+      return `${pts.geojson.features.length} points (current map view).`;
+    },
+    'areas-csv': async () => {
+      const { level, rows, lq, acs, hotspot } = await areaTable();
+      const columns = acs ? ACS_OVERLAY_COLUMNS : hotspot ? HOTSPOT_COLUMNS : (lq ? LQ_COLUMNS : CHOROPLETH_COLUMNS)[level];
+      downloadText(toCsv(rows, columns), exportFileName(level, store.getFilters(), 'csv'), 'text/csv');
+      return `${rows.length} ${level}.`;
+    },
+    'areas-geojson': async () => {
+      const { level, rows, geojson } = await areaTable();
+      downloadText(JSON.stringify(rowsToGeoJSON(geojson, rows)), exportFileName(level, store.getFilters(), 'geojson'), 'application/geo+json');
+      return `${rows.length} ${level}.`;
+    },
+    'monthly-csv': () => {
+      const data = requireCharts();
+      downloadText(monthlyToCsv(monthlySeries(data), data.baseline), exportFileName('monthly', data, 'csv'), 'text/csv');
+    },
+    'topn-csv': () => {
+      const data = requireCharts();
+      downloadText(topNToCsv(data.topn), exportFileName('top_offenses', data, 'csv'), 'text/csv');
+    },
+    'heat-csv': () => {
+      const data = requireCharts();
+      downloadText(matrixToCsv(data.matrix), exportFileName('7x24', data, 'csv'), 'text/csv');
+    },
+    'monthly-png': () => downloadCanvasPng(chartSnapshot(CHART_CANVAS.monthly), exportFileName('monthly', requireCharts(), 'png')),
+    'topn-png': () => downloadCanvasPng(chartSnapshot(CHART_CANVAS.topn), exportFileName('top_offenses', requireCharts(), 'png')),
+    'heat-png': () => downloadCanvasPng(chartSnapshot(CHART_CANVAS.heat), exportFileName('7x24', requireCharts(), 'png')),
+    'map-png': async () => {
+      const canvas = await mapSnapshot(map, store);
+      await downloadCanvasPng(canvas, exportFileName('map', store.getFilters(), 'png'));
+    },
+  };
+
+  function requireCharts() {
+    const data = getChartData();
+    if (!data) throw new Error('Charts have not loaded yet.');
+    return data;
+  }
+
+  async function areaTable() {
+    const current = getChoropleth?.();
+    if (!current?.geojson?.features?.length) throw new Error('No choropleth loaded yet.');
+    const { level, geojson, lq = false, acs = null, hotspot = false } = current;
+    // LQ rows carry their own counts; population is not part of the ratio
+    if (level === 'districts' && !lq) setStatus('Estimating district populations…');
+    const districtPop = level === 'districts' && !lq ? await districtPopulations(geojson) : undefined;
+    return { level, geojson, lq, acs, hotspot, rows: choroplethRows(level, geojson, districtPop) };
+  }
+
+  card.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-export]');
+    const action = btn && actions[btn.dataset.export];
+    if (!action) return;
+    btn.disabled = true;
+    try {
+      const note = await action();
+      setStatus(note ? `Downloaded: ${note}` : 'Downloaded.');
+    } catch (err) {
+      // tainted canvases throw SecurityError when basemap tiles lack CORS headers
+      const msg = err?.name === 'SecurityError' ? 'Map image blocked by cross-origin tiles.' : (err?.message || String(err));
+      setStatus(`Export failed: ${msg}`, true);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
@@ -1,5 +1,7 @@
-import { expandGroupsToCodes, getCodesForGroups } from '../utils/types.js';
+import { expandGroupsToCodes, getCodesForGroups, offenseGroupOptions } from '../utils/types.js';
 import { fetchAvailableCodesForGroups } from '../api/crime.js';
+import { referenceDay } from '../api/datasource.js';
+import { attachAddressAutocomplete } from './address_autocomplete.js';
 
 function debounce(fn, wait = 300) {
   let t;
@@ -12,16 +14,28 @@ function debounce(fn, wait = 300) {
 /**
  * Wire the side panel controls to the store and notify on changes.
  * @param {import('../state/store.js').Store} store
- * @param {{ onChange: Function, getMapCenter: Function }} handlers
+ * @param {{ onChange: Function, getMapCenter: Function, onAddressA?: Function, onAddressB?: Function, onRadiusBInput?: Function, onClearB?: Function, onDrawArea?: (onEnd: Function) => void, onCancelAreaDraw?: Function, onAreaFile?: (file: File) => void, onClearArea?: Function }} handlers
  */
 export function initPanel(store, handlers) {
   const addrA = document.getElementById('addrA');
   const useCenterBtn = document.getElementById('useCenterBtn');
   const useMapHint = document.getElementById('useMapHint');
+  const addrAStatus = document.getElementById('addrAStatus');
+  const addrB = document.getElementById('addrB');
+  const addrBStatus = document.getElementById('addrBStatus');
+  const useCenterBtnB = document.getElementById('useCenterBtnB');
+  const useMapHintB = document.getElementById('useMapHintB');
+  const radiusBSel = document.getElementById('radiusBSel');
+  const clearBBtn = document.getElementById('clearBBtn');
   const queryModeSel = document.getElementById('queryModeSel');
   const queryModeHelp = document.getElementById('queryModeHelp');
   const clearSelBtn = document.getElementById('clearSelBtn');
   const bufferSelectRow = document.getElementById('bufferSelectRow');
+  const areaSelectRow = document.getElementById('areaSelectRow');
+  const drawAreaBtn = document.getElementById('drawAreaBtn');
+  const drawAreaHint = document.getElementById('drawAreaHint');
+  const uploadAreaBtn = document.getElementById('uploadAreaBtn');
+  const areaFileInput = document.getElementById('areaFileInput');
   const bufferRadiusRow = document.getElementById('bufferRadiusRow');
   const radiusSel = document.getElementById('radiusSel');
   const twSel = document.getElementById('twSel');
@@ -29,12 +43,20 @@ export function initPanel(store, handlers) {
   const fineSel = document.getElementById('fineSel');
   const adminSel = document.getElementById('adminSel');
   const rateSel = document.getElementById('rateSel');
+  const pointsModeSel = document.getElementById('pointsModeSel');
+  const kdeBandwidthSel = document.getElementById('kdeBandwidthSel');
+  const acsOverlaySel = document.getElementById('acsOverlaySel');
   const startMonth = document.getElementById('startMonth');
   const durationSel = document.getElementById('durationSel');
   const preset6 = document.getElementById('preset6');
   const preset12 = document.getElementById('preset12');
   const overlayTractsChk = document.getElementById('overlayTractsChk');
   const overlayLabel = overlayTractsChk ? overlayTractsChk.parentElement?.querySelector('span') : null;
+  // group options come from the versioned groups file (src/data/offense_groups.json)
+  if (groupSel) {
+    groupSel.innerHTML = '';
+    for (const { value, label } of offenseGroupOptions()) groupSel.appendChild(new Option(label, value));
+  }
   // Status HUD container (under header)
   const headerEl = document.querySelector('#sidepanel > div'); // first header div
   const hudEl = document.createElement('div');
@@ -60,23 +82,83 @@ export function initPanel(store, handlers) {
     handlers.onChange?.();
   }, 300);
 
-  addrA?.addEventListener('input', () => {
-    store.addressA = addrA.value;
-    onChange();
-  });
+  const showStatus = (el) => (text) => {
+    if (!el) return;
+    el.textContent = text;
+    el.style.display = text ? 'block' : 'none';
+  };
+
+  // Typing only searches; the center moves once a suggestion is picked
+  if (addrA) {
+    attachAddressAutocomplete(addrA, {
+      onSelect: ({ label, lng, lat }) => {
+        store.addressA = label;
+        handlers.onAddressA?.({ label, lng, lat });
+      },
+      onStatus: showStatus(addrAStatus),
+    });
+  }
+  if (addrB) {
+    attachAddressAutocomplete(addrB, {
+      onSelect: ({ label, lng, lat }) => {
+        store.addressB = label;
+        handlers.onAddressB?.({ label, lng, lat });
+      },
+      onStatus: showStatus(addrBStatus),
+    });
+  }
+
+  // Map pick mode: 'point' sets A, 'pointB' sets B, 'area' draws a custom area, 'idle' ends picking
+  function setPickMode(mode) {
+    if (store.selectMode === 'area' && mode !== 'area') handlers.onCancelAreaDraw?.();
+    store.selectMode = mode;
+    if (useCenterBtn) useCenterBtn.textContent = mode === 'point' ? 'Cancel' : 'Select on map';
+    if (useCenterBtnB) useCenterBtnB.textContent = mode === 'pointB' ? 'Cancel' : 'Select B';
+    if (drawAreaBtn) drawAreaBtn.textContent = mode === 'area' ? 'Cancel drawing' : 'Draw on map';
+    if (useMapHint) useMapHint.style.display = mode === 'point' ? 'block' : 'none';
+    if (useMapHintB) useMapHintB.style.display = mode === 'pointB' ? 'block' : 'none';
+    if (drawAreaHint) drawAreaHint.style.display = mode === 'area' ? 'block' : 'none';
+    document.body.style.cursor = mode === 'idle' ? '' : 'crosshair';
+  }
 
   useCenterBtn?.addEventListener('click', () => {
-    if (store.selectMode !== 'point') {
-      store.selectMode = 'point';
-      useCenterBtn.textContent = 'Cancel';
-      if (useMapHint) useMapHint.style.display = 'block';
-      document.body.style.cursor = 'crosshair';
-    } else {
-      store.selectMode = 'idle';
-      useCenterBtn.textContent = 'Select on map';
-      if (useMapHint) useMapHint.style.display = 'none';
-      document.body.style.cursor = '';
+    setPickMode(store.selectMode === 'point' ? 'idle' : 'point');
+  });
+  useCenterBtnB?.addEventListener('click', () => {
+    setPickMode(store.selectMode === 'pointB' ? 'idle' : 'pointB');
+  });
+
+  // Custom area: the map module draws; the mode resets when drawing ends either way
+  drawAreaBtn?.addEventListener('click', () => {
+    if (store.selectMode === 'area') {
+      setPickMode('idle');
+      return;
     }
+    setPickMode('area');
+    handlers.onDrawArea?.(() => {
+      if (store.selectMode === 'area') {
+        store.selectMode = 'idle';
+        setPickMode('idle');
+      }
+    });
+  });
+  uploadAreaBtn?.addEventListener('click', () => areaFileInput?.click());
+  areaFileInput?.addEventListener('change', () => {
+    const file = areaFileInput.files?.[0];
+    areaFileInput.value = '';
+    if (file) handlers.onAreaFile?.(file);
+  });
+
+  radiusBSel?.addEventListener('change', () => {
+    store.radiusB = Number(radiusBSel.value) || 400;
+    handlers.onRadiusBInput?.(store.radiusB);
+    if (store.centerB3857) onChange();
+  });
+
+  clearBBtn?.addEventListener('click', () => {
+    store.clearCenterB();
+    handlers.onClearB?.();
+    onChange();
   });
 
   const radiusImmediate = () => {
@@ -92,9 +174,9 @@ export function initPanel(store, handlers) {
     onChange();
   });
 
-  async function populateDrilldown(values) {
+  async function populateDrilldown(values, { keepCodes = [] } = {}) {
     store.selectedGroups = values;
-    store.selectedDrilldownCodes = []; // Clear drilldown when parent groups change
+    store.selectedDrilldownCodes = keepCodes.slice(); // Clear drilldown when parent groups change (kept when restoring a shared link)
 
     // populate drilldown options (filtered by time window availability)
     if (fineSel) {
@@ -116,7 +198,7 @@ export function initPanel(store, handlers) {
           } else {
             for (const c of availableCodes) {
               const opt = document.createElement('option');
-              opt.value = c; opt.textContent = c; fineSel.appendChild(opt);
+              opt.value = c; opt.textContent = c; opt.selected = keepCodes.includes(c); fineSel.appendChild(opt);
             }
           }
         } catch (err) {
@@ -135,6 +217,7 @@ export function initPanel(store, handlers) {
       try { console.debug('drilldown groups→codes', values, expandGroupsToCodes(values)); } catch {}
     }
     await populateDrilldown(values);
+    syncRateHint();
     onChange();
   });
 
@@ -146,11 +229,53 @@ export function initPanel(store, handlers) {
 
   adminSel?.addEventListener('change', () => {
     store.adminLevel = adminSel.value;
+    if (store.adminLevel !== 'tracts' && store.hotspot) {
+      store.hotspot = false;
+      if (rateSel) rateSel.value = 'counts';
+    }
     onChange();
   });
 
   rateSel?.addEventListener('change', () => {
     store.per10k = rateSel.value === 'per10k';
+    store.relativeToCity = rateSel.value === 'lq';
+    store.hotspot = rateSel.value === 'hotspot';
+    // Gi* needs the tract contiguity graph
+    if (store.hotspot && store.adminLevel !== 'tracts') {
+      store.adminLevel = 'tracts';
+      if (adminSel) adminSel.value = 'tracts';
+    }
+    syncRateHint();
+    onChange();
+  });
+
+  // LQ of "everything vs everything" is 1 everywhere, so ask for a group
+  function syncRateHint() {
+    const rateHint = document.getElementById('rateHint');
+    if (!rateHint) return;
+    const hasSelection = (store.selectedGroups?.length || 0) + (store.selectedDrilldownCodes?.length || 0) > 0;
+    rateHint.style.display = store.relativeToCity && !hasSelection ? 'block' : 'none';
+  }
+
+  // Points/density only touch the incident layer, not the choropleth or charts
+  pointsModeSel?.addEventListener('change', () => {
+    store.pointsMode = pointsModeSel.value === 'density' ? 'density' : 'clusters';
+    if (kdeBandwidthSel) kdeBandwidthSel.disabled = store.pointsMode !== 'density';
+    handlers.onPointsModeChange?.();
+  });
+
+  kdeBandwidthSel?.addEventListener('change', () => {
+    store.kdeBandwidthM = Number(kdeBandwidthSel.value) || 200;
+    handlers.onPointsModeChange?.();
+  });
+
+  // ACS variables only exist per tract, so picking one switches the admin level
+  acsOverlaySel?.addEventListener('change', () => {
+    store.acsOverlay = acsOverlaySel.value;
+    if (store.acsOverlay && store.adminLevel !== 'tracts') {
+      store.adminLevel = 'tracts';
+      if (adminSel) adminSel.value = 'tracts';
+    }
     onChange();
   });
 
@@ -190,6 +315,7 @@ export function initPanel(store, handlers) {
     const mode = store.queryMode || 'buffer';
     const isBuffer = mode === 'buffer';
     if (bufferSelectRow) bufferSelectRow.style.display = isBuffer ? '' : 'none';
+    if (areaSelectRow) areaSelectRow.style.display = mode === 'polygon' ? '' : 'none';
     if (bufferRadiusRow) bufferRadiusRow.style.display = isBuffer ? '' : 'none';
     if (useMapHint) useMapHint.style.display = (isBuffer && store.selectMode === 'point') ? 'block' : 'none';
     if (clearSelBtn) clearSelBtn.style.display = isBuffer ? 'none' : '';
@@ -199,7 +325,9 @@ export function initPanel(store, handlers) {
           ? 'Buffer mode: click “Select on map”, then click map to set center.'
           : mode === 'district'
             ? 'District mode: click a police district on the map to select it.'
-            : 'Tract mode: click a census tract to select it.'
+            : mode === 'polygon'
+              ? 'Area mode: draw an outline on the map or upload a GeoJSON polygon.'
+              : 'Tract mode: click a census tract to select it.'
       );
     }
   }
@@ -208,6 +336,7 @@ export function initPanel(store, handlers) {
   queryModeSel?.addEventListener('change', () => {
     const old = store.queryMode;
     const mode = queryModeSel.value;
+    if (store.selectMode !== 'idle') setPickMode('idle');
     store.queryMode = mode;
     if (mode === 'buffer') {
       // keep center/radius; clear polygon selections
@@ -215,11 +344,13 @@ export function initPanel(store, handlers) {
       store.selectedTractGEOID = null;
     } else if (mode === 'district') {
       // clear buffer; clear tract selection
-      store.center3857 = null; store.centerLonLat = null; store.selectMode = 'idle';
+      store.center3857 = null; store.centerLonLat = null; setPickMode('idle');
+      store.clearCenterB(); handlers.onClearB?.();
       store.selectedTractGEOID = null;
     } else if (mode === 'tract') {
       // clear buffer; clear district selection
-      store.center3857 = null; store.centerLonLat = null; store.selectMode = 'idle';
+      store.center3857 = null; store.centerLonLat = null; setPickMode('idle');
+      store.clearCenterB(); handlers.onClearB?.();
       store.selectedDistrictCode = null;
       // One-time auto-align admin level to 'tracts'
       if (!store.didAutoAlignAdmin && store.adminLevel !== 'tracts') {
@@ -227,6 +358,12 @@ export function initPanel(store, handlers) {
         if (adminSel) adminSel.value = 'tracts';
         store.didAutoAlignAdmin = true;
       }
+    } else if (mode === 'polygon') {
+      // clear buffer and area selections; a previous custom area is kept
+      store.center3857 = null; store.centerLonLat = null;
+      store.clearCenterB(); handlers.onClearB?.();
+      store.selectedDistrictCode = null;
+      store.selectedTractGEOID = null;
     }
     applyModeUI();
     onChange();
@@ -237,25 +374,38 @@ export function initPanel(store, handlers) {
   clearSelBtn?.addEventListener('click', () => {
     store.selectedDistrictCode = null;
     store.selectedTractGEOID = null;
+    if (store.queryMode === 'polygon') {
+      if (store.selectMode === 'area') setPickMode('idle');
+      store.customArea = null;
+      handlers.onClearArea?.();
+    }
     applyModeUI();
     onChange();
   });
 
   // Esc exits transient selection mode
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && store.selectMode === 'point') {
-      store.selectMode = 'idle';
-      if (useCenterBtn) useCenterBtn.textContent = 'Select on map';
-      if (useMapHint) useMapHint.style.display = 'none';
-      document.body.style.cursor = '';
+    if (e.key === 'Escape' && (store.selectMode === 'point' || store.selectMode === 'pointB')) {
+      setPickMode('idle');
     }
   });
 
   // initialize defaults
   if (radiusSel) radiusSel.value = String(store.radius || 400);
+  if (radiusBSel) radiusBSel.value = String(store.radiusB || 400);
   if (twSel) twSel.value = String(store.timeWindowMonths || 6);
   if (adminSel) adminSel.value = String(store.adminLevel || 'districts');
-  if (rateSel) rateSel.value = store.per10k ? 'per10k' : 'counts';
+  if (rateSel) rateSel.value = store.hotspot ? 'hotspot' : store.relativeToCity ? 'lq' : (store.per10k ? 'per10k' : 'counts');
+  if (pointsModeSel) pointsModeSel.value = store.pointsMode || 'clusters';
+  if (kdeBandwidthSel) {
+    // a linked radius that is not in the list still gets an option
+    const bw = String(store.kdeBandwidthM || 200);
+    if (![...kdeBandwidthSel.options].some((o) => o.value === bw)) kdeBandwidthSel.add(new Option(`${bw} m`, bw));
+    kdeBandwidthSel.value = bw;
+    kdeBandwidthSel.disabled = store.pointsMode !== 'density';
+  }
+  if (acsOverlaySel) acsOverlaySel.value = store.acsOverlay || '';
+  syncRateHint();
   if (queryModeSel) queryModeSel.value = store.queryMode || 'buffer';
   if (startMonth && store.startMonth) startMonth.value = store.startMonth;
   if (durationSel) durationSel.value = String(store.durationMonths || 6);
@@ -270,7 +420,13 @@ export function initPanel(store, handlers) {
   if (classBinsRange) classBinsRange.value = String(store.classBins || 5);
   if (classPaletteSel) classPaletteSel.value = store.classPalette || 'Blues';
   if (classOpacityRange) classOpacityRange.value = String(store.classOpacity || 0.75);
+  if (classCustomInput && store.classCustomBreaks?.length) classCustomInput.value = store.classCustomBreaks.join(',');
   syncClassUI();
+  if (addrA && store.addressA) addrA.value = store.addressA;
+  if (addrB && store.addressB) addrB.value = store.addressB;
+  if (groupSel && store.selectedGroups?.length) {
+    for (const o of groupSel.options) o.selected = store.selectedGroups.includes(o.value);
+  }
 
   // Initialize drilldown select (disabled until groups are selected)
   if (fineSel) {
@@ -285,14 +441,14 @@ export function initPanel(store, handlers) {
   if (groupSel) {
     const initGroups = Array.from(groupSel.selectedOptions).map(o => o.value);
     if (initGroups.length > 0) {
-      populateDrilldown(initGroups).then(() => onChange());
+      populateDrilldown(initGroups, { keepCodes: store.selectedDrilldownCodes || [] }).then(() => onChange());
     }
   }
 
   startMonth?.addEventListener('change', () => { store.startMonth = startMonth.value || null; onChange(); });
   durationSel?.addEventListener('change', () => { store.durationMonths = Number(durationSel.value) || 6; onChange(); });
-  preset6?.addEventListener('click', () => { const d = new Date(); const ym = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`; store.startMonth = ym; store.durationMonths = 6; onChange(); });
-  preset12?.addEventListener('click', () => { const d = new Date(); const ym = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`; store.startMonth = ym; store.durationMonths = 12; onChange(); });
+  preset6?.addEventListener('click', () => { const d = referenceDay().toDate(); const ym = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`; store.startMonth = ym; store.durationMonths = 6; onChange(); });
+  preset12?.addEventListener('click', () => { const d = referenceDay().toDate(); const ym = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`; store.startMonth = ym; store.durationMonths = 12; onChange(); });
 
   // --- Status HUD helpers ---
   var __snapshotMeta = null; // cached in-session
@@ -324,7 +480,9 @@ export function initPanel(store, handlers) {
     if (!hudEl) return;
     const mode = store.queryMode || 'buffer';
     const admin = store.adminLevel || 'districts';
-    const charts = (mode === 'tract' && !!store.selectedTractGEOID) ? 'Online' : (mode === 'buffer' ? (store.center3857 ? 'Online' : 'Idle') : 'Online');
+    const charts = (mode === 'tract' && !!store.selectedTractGEOID) ? 'Online'
+      : mode === 'buffer' ? (store.center3857 ? 'Online' : 'Idle')
+        : mode === 'polygon' ? (store.customArea ? 'Online' : 'Idle') : 'Online';
     const meta = await ensureSnapshotMeta();
     const snapPresent = meta ? 'Present' : 'Absent';
     const match = meta ? (windowMatch(meta) ? 'Yes' : 'No') : 'No';
@@ -0,0 +1,164 @@
+/**
+ * Offense codes admin card: compares the groups file bundled with the app against the
+ * codes in the last 24 months of data, lets codes be moved between groups, and
+ * downloads the next version of src/data/offense_groups.json. Only shown in dev
+ * builds or with ?admin=1; edits never change what this session queries.
+ */
+
+import { fetchOffenseCodeCounts } from '../api/crime.js';
+import { referenceDay } from '../api/datasource.js';
+import { offenseGroupsDoc } from '../utils/types.js';
+import { diffTaxonomy, assignCode, nextVersion, serializeGroupsDoc, describeChanges } from '../utils/taxonomy.js';
+import { downloadText } from '../utils/export.js';
+
+const CHECK_MONTHS = 24;
+const NEW_GROUP = '__new__';
+const UNASSIGN = '__none__';
+
+function el(tag, style, text) {
+  const node = document.createElement(tag);
+  if (style) node.style.cssText = style;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+/**
+ * Group picker for one code.
+ * @param {import('../utils/taxonomy.js').GroupsDoc} doc
+ * @param {string|null} current - group key, or null for unmapped codes
+ */
+function groupSelect(doc, current) {
+  const sel = el('select', 'padding:2px 4px; border:1px solid #cbd5e1; border-radius:4px; font-size:11px; max-width:130px;');
+  const add = (value, label) => {
+    const o = el('option', null, label);
+    o.value = value;
+    sel.appendChild(o);
+  };
+  add(UNASSIGN, current ? 'Remove from groups' : '— unmapped —');
+  for (const g of Object.keys(doc.groups)) add(g, doc.labels[g] || g.replace(/_/g, ' '));
+  add(NEW_GROUP, 'New group…');
+  sel.value = current || UNASSIGN;
+  return sel;
+}
+
+/**
+ * Wire the offense codes card (#taxonomy-card).
+ */
+export function initTaxonomyPanel() {
+  const card = document.getElementById('taxonomy-card');
+  if (!card) return;
+  const admin = import.meta.env.DEV || new URLSearchParams(location.search).get('admin') === '1';
+  if (!admin) return;
+  card.style.display = '';
+
+  const versionEl = document.getElementById('taxVersion');
+  const checkBtn = document.getElementById('taxCheckBtn');
+  const statusEl = document.getElementById('taxStatus');
+  const unmappedEl = document.getElementById('taxUnmapped');
+  const groupsEl = document.getElementById('taxGroups');
+  const changesEl = document.getElementById('taxChanges');
+  const downloadBtn = document.getElementById('taxDownloadBtn');
+  const resetBtn = document.getElementById('taxResetBtn');
+
+  const base = offenseGroupsDoc;
+  let draft = base;
+  /** @type {Array<{code:string,n:number}>|null} */
+  let observed = null;
+
+  const setStatus = (text, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.style.color = isError ? '#b91c1c' : '#64748b';
+    statusEl.style.display = text ? 'block' : 'none';
+  };
+
+  function move(code, value) {
+    let group = value === UNASSIGN ? null : value;
+    if (value === NEW_GROUP) {
+      const name = (window.prompt(`New group for "${code}" (letters, digits and _):`) || '').trim();
+      if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+        if (name) setStatus(`Not a valid group name: ${name}`, true);
+        render();
+        return;
+      }
+      group = name;
+    }
+    draft = assignCode(draft, code, group);
+    setStatus('');
+    render();
+  }
+
+  function codeRow(code, n, current, note) {
+    const row = el('div', 'display:flex; gap:6px; align-items:center; font-size:11px; margin:2px 0;');
+    row.appendChild(el('span', 'min-width:48px; text-align:right; color:#64748b;', n == null ? '' : n.toLocaleString()));
+    const name = el('span', 'flex:1; color:#111827;', code);
+    if (note) name.appendChild(el('span', 'color:#b45309; margin-left:4px;', note));
+    row.appendChild(name);
+    const sel = groupSelect(draft, current);
+    sel.addEventListener('change', () => move(code, sel.value));
+    row.appendChild(sel);
+    return row;
+  }
+
+  function render() {
+    const diff = diffTaxonomy(draft, observed || []);
+    const counts = new Map((observed || []).map((o) => [o.code, o.n]));
+    const unseen = new Set(diff.unseen.map((u) => u.code));
+
+    if (versionEl) versionEl.textContent = `Groups file version ${base.version}${base.updated_at ? ` (${base.updated_at})` : ''}; ${Object.keys(base.groups).length} groups.`;
+
+    if (unmappedEl) {
+      unmappedEl.replaceChildren();
+      if (observed) {
+        unmappedEl.appendChild(el('div', 'font-size:12px; color:#374151; margin:6px 0 2px;', `Unmapped codes (${diff.unmapped.length})`));
+        if (!diff.unmapped.length) unmappedEl.appendChild(el('div', 'font-size:11px; color:#64748b;', 'Every code in the data belongs to a group.'));
+        for (const u of diff.unmapped) unmappedEl.appendChild(codeRow(u.code, u.n, null));
+      }
+    }
+
+    if (groupsEl) {
+      groupsEl.replaceChildren();
+      for (const [g, codes] of Object.entries(draft.groups)) {
+        groupsEl.appendChild(el('div', 'font-size:12px; color:#374151; margin:6px 0 2px;', `${draft.labels[g] || g.replace(/_/g, ' ')} (${g})`));
+        for (const c of codes) groupsEl.appendChild(codeRow(c, counts.has(c) ? counts.get(c) : null, g, observed && unseen.has(c) ? 'not in data' : ''));
+      }
+    }
+
+    const changes = describeChanges(base, draft);
+    if (changesEl) {
+      changesEl.textContent = changes.length ? changes.join('\n') : 'No changes.';
+      changesEl.style.color = changes.length ? '#111827' : '#94a3b8';
+    }
+    if (downloadBtn) downloadBtn.disabled = !changes.length;
+    if (resetBtn) resetBtn.disabled = !changes.length;
+  }
+
+  checkBtn?.addEventListener('click', async () => {
+    const start = referenceDay().startOf('month').subtract(CHECK_MONTHS, 'month').format('YYYY-MM-DD');
+    const end = referenceDay().add(1, 'day').format('YYYY-MM-DD');
+    checkBtn.disabled = true;
+    setStatus('Counting offense codes…');
+    try {
+      observed = await fetchOffenseCodeCounts({ start, end });
+      setStatus(observed.length ? `${observed.length} codes from ${start} to ${end}.` : 'No codes returned (offline snapshot without this query?).');
+      render();
+    } catch (e) {
+      console.warn('Offense code check failed:', e);
+      setStatus(`Check failed: ${e?.message || e}`, true);
+    } finally {
+      checkBtn.disabled = false;
+    }
+  });
+
+  downloadBtn?.addEventListener('click', () => {
+    downloadText(serializeGroupsDoc(nextVersion(draft)), 'offense_groups.json', 'application/json');
+  });
+
+  resetBtn?.addEventListener('click', () => {
+    draft = base;
+    setStatus('');
+    render();
+  });
+
+  render();
+}
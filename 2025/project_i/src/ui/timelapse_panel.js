@@ -0,0 +1,342 @@
+/**
+ * Time-lapse card: steps the districts/tracts choropleth and the point layer month
+ * by month through the selected window, with one classification for every frame so
+ * colours can be compared, and exports the frames as PNGs or an animated GIF.
+ */
+
+import dayjs from 'dayjs';
+import { getDistrictsMonthly } from '../map/choropleth_districts.js';
+import { getTractsMonthly } from '../map/tracts_view.js';
+import { renderDistrictChoropleth } from '../map/render_choropleth.js';
+import { renderTractsChoropleth } from '../map/render_choropleth_tracts.js';
+import { fetchPointsInView, setCrimePoints, fetchDensityInView, setDensity } from '../map/points.js';
+import { computeBreaks, makePalette } from '../utils/classify.js';
+import { locationQuotients, lqClasses } from '../utils/lq.js';
+import { encodeGif } from '../utils/gif.js';
+import { exportFileName, downloadBlob, downloadCanvasPng } from '../utils/export.js';
+import { mapSnapshot } from './export_panel.js';
+
+// one query row per area (or grid cell) and month; longer windows get slow and unreadable
+const MAX_FRAMES = 36;
+const GIF_MAX_WIDTH = 960;
+
+/**
+ * @typedef {{m:string, start:string, end:string, partial:boolean, label:string, geojson:object, values:number[], lq:{cityShare:number|null}|null}} Frame
+ */
+
+/**
+ * Calendar months overlapping [start, end); the first and last are clipped to the window.
+ * @param {string} start - inclusive
+ * @param {string} end - exclusive
+ * @returns {Array<{m:string,start:string,end:string,partial:boolean}>}
+ */
+function frameMonths(start, end) {
+  const out = [];
+  const last = dayjs(end);
+  for (let mStart = dayjs(start).startOf('month'); mStart.isBefore(last); mStart = mStart.add(1, 'month')) {
+    const next = mStart.add(1, 'month');
+    const from = dayjs(start).isAfter(mStart) ? dayjs(start) : mStart;
+    const to = last.isBefore(next) ? last : next;
+    out.push({
+      m: mStart.format('YYYY-MM'),
+      start: from.format('YYYY-MM-DD'),
+      end: to.format('YYYY-MM-DD'),
+      partial: !from.isSame(mStart) || !to.isSame(next),
+    });
+  }
+  return out;
+}
+
+/**
+ * Slider and legend label for a frame, with the days covered when the month is clipped.
+ * @param {{m:string,start:string,end:string,partial:boolean}} mo
+ * @returns {string}
+ */
+function frameLabel(mo) {
+  return `${dayjs(`${mo.m}-01`).format('MMM YYYY')}${mo.partial ? ` (${mo.start.slice(8)}–${dayjs(mo.end).subtract(1, 'day').format('DD')}, partial)` : ''}`;
+}
+
+/**
+ * Wait until the map has drawn the latest data (or give up after `timeoutMs`).
+ * @param {import('maplibre-gl').Map} map
+ */
+function mapIdle(map, timeoutMs = 5000) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeoutMs);
+    map.once('idle', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    map.triggerRepaint();
+  });
+}
+
+/**
+ * Downscale a snapshot for GIF encoding and read back its pixels.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {ImageData}
+ */
+function gifPixels(canvas) {
+  const scale = Math.min(1, GIF_MAX_WIDTH / canvas.width);
+  const c = document.createElement('canvas');
+  c.width = Math.round(canvas.width * scale);
+  c.height = Math.round(canvas.height * scale);
+  const ctx = c.getContext('2d');
+  ctx.drawImage(canvas, 0, 0, c.width, c.height);
+  return ctx.getImageData(0, 0, c.width, c.height);
+}
+
+/**
+ * Wire the time-lapse card (#timelapse-card).
+ * @param {import('maplibre-gl').Map} map
+ * @param {import('../state/store.js').Store} store
+ * @param {{ onExit?: () => void }} handlers - called when the user leaves the time-lapse, to redraw the full window
+ * @returns {{ stop: () => void }} pauses playback (e.g. when filters change)
+ */
+export function initTimelapsePanel(map, store, { onExit } = {}) {
+  const card = document.getElementById('timelapse-card');
+  if (!card) return { stop() {} };
+  const playBtn = document.getElementById('tlPlayBtn');
+  const slider = document.getElementById('tlSlider');
+  const label = document.getElementById('tlLabel');
+  const speedSel = document.getElementById('tlSpeedSel');
+  const gifBtn = document.getElementById('tlGifBtn');
+  const pngBtn = document.getElementById('tlPngBtn');
+  const exitBtn = document.getElementById('tlExitBtn');
+  const statusEl = document.getElementById('tlStatus');
+
+  /** @type {{signature:string, level:'districts'|'tracts', frames:Frame[], classes:{breaks:number[],colors:string[]}, title:string, points:boolean}|null} */
+  let loaded = null;
+  let index = 0;
+  let playing = false;
+  let timer = null;
+  let renderSeq = 0;
+  let busy = false;
+
+  const setStatus = (text, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.style.color = isError ? '#b91c1c' : '#64748b';
+    statusEl.style.display = text ? 'block' : 'none';
+  };
+  const delayMs = () => Number(speedSel?.value) || 1000;
+
+  // Everything the frames depend on; a change means the cached frames are stale
+  function signature() {
+    const f = store.getFilters();
+    return JSON.stringify([
+      f.start, f.end, f.types, f.drilldownCodes, f.queryMode, f.selectedDistrictCode,
+      store.adminLevel, store.per10k, store.relativeToCity, store.classMethod, store.classBins, store.classCustomBreaks, store.classPalette,
+    ]);
+  }
+
+  async function ensureFrames() {
+    const sig = signature();
+    if (loaded?.signature === sig) return loaded;
+    const f = store.getFilters();
+    const months = frameMonths(f.start, f.end);
+    if (months.length === 0) throw new Error('The time window is empty.');
+    if (months.length > MAX_FRAMES) throw new Error(`Time-lapse supports up to ${MAX_FRAMES} months; shorten the window.`);
+
+    setStatus('Loading monthly counts…');
+    const level = store.adminLevel === 'tracts' ? 'tracts' : 'districts';
+    // location quotients per month, as on the main map when "relative to city" is on
+    const relative = !!store.relativeToCity;
+    const params = { start: f.start, end: f.end, types: f.types, drilldownCodes: f.drilldownCodes, relative };
+    const { geojson, byMonth, totalsByMonth } = level === 'tracts' ? await getTractsMonthly(params) : await getDistrictsMonthly(params);
+    const per10k = level === 'tracts' && store.per10k && !relative;
+    const areaId = (p) => (level === 'tracts' ? p.__geoid : String(p.DIST_NUMC ?? '').padStart(2, '0'));
+
+    const frames = months.map((mo) => {
+      const counts = byMonth.get(mo.m) || new Map();
+      const values = [];
+      if (relative) {
+        const totals = totalsByMonth.get(mo.m) || new Map();
+        const ids = (geojson.features || []).map((ft) => areaId(ft.properties || {}));
+        const { byId, cityShare } = locationQuotients(ids.map((id) => ({ id, sel: counts.get(id) || 0, total: totals.get(id) || 0 })));
+        const features = (geojson.features || []).map((ft, i) => {
+          const q = byId.get(ids[i]);
+          if (q.lq != null) values.push(q.lq);
+          return { ...ft, properties: { ...ft.properties, value: q.lq, __lqSel: q.sel, __lqTotal: q.total, __lqMasked: q.masked } };
+        });
+        return { ...mo, label: frameLabel(mo), geojson: { ...geojson, features }, values, lq: { cityShare } };
+      }
+      const features = (geojson.features || []).map((ft) => {
+        const p = ft.properties || {};
+        let value;
+        if (level === 'tracts') {
+          const n = counts.get(p.__geoid) || 0;
+          value = per10k && p.__pop > 0 ? Math.round((n / p.__pop) * 10000) : n;
+          if (!p.__mask) values.push(value);
+        } else {
+          value = counts.get(String(p.DIST_NUMC ?? '').padStart(2, '0')) || 0;
+          values.push(value);
+        }
+        return { ...ft, properties: { ...p, value } };
+      });
+      return { ...mo, label: frameLabel(mo), geojson: { ...geojson, features }, values, lq: null };
+    });
+
+    // Classes from full months only, so a short partial month does not drag the breaks down
+    const full = frames.filter((fr) => !fr.partial);
+    const pool = (full.length ? full : frames).flatMap((fr) => fr.values);
+    let classes;
+    if (relative) {
+      if (pool.length === 0) throw new Error('Too few incidents per month for location quotients; widen the area level or offense selection.');
+      classes = lqClasses();
+    } else {
+      if (!pool.some((v) => v > 0)) throw new Error('No incidents in the selected window.');
+      let breaks = computeBreaks(pool, { method: store.classMethod, bins: store.classBins, custom: store.classCustomBreaks });
+      if (breaks.length === 0) breaks = [Math.max(...pool)];
+      classes = { breaks, colors: makePalette(store.classPalette, breaks.length + 1) };
+    }
+
+    const unit = per10k ? ' per 10k' : '';
+    loaded = {
+      signature: sig,
+      level,
+      frames,
+      classes,
+      title: `${level === 'tracts' ? `Census Tracts${unit}` : 'Districts'}${relative ? ' — relative to city (LQ)' : ''}`,
+      points: (f.queryMode === 'buffer' && !!f.center3857) || f.queryMode === 'district',
+    };
+    index = Math.min(index, frames.length - 1);
+    if (slider) {
+      slider.max = String(frames.length - 1);
+      slider.disabled = false;
+    }
+    setStatus('');
+    return loaded;
+  }
+
+  async function showFrame(i) {
+    const seq = ++renderSeq;
+    const { level, frames, classes, title, points } = loaded;
+    const fr = frames[i];
+    // LQ frames keep the LQ reading guide (with that month's city share) as the subtitle
+    const opts = { classes, title: `${title} — ${fr.label}`, subtitle: fr.lq ? undefined : `Same classes for all ${frames.length} months` };
+    if (level === 'tracts') renderTractsChoropleth(map, { geojson: fr.geojson, values: fr.values, lq: fr.lq || undefined }, opts);
+    else renderDistrictChoropleth(map, fr.lq ? { ...fr.geojson, lq: fr.lq } : fr.geojson, opts);
+    if (slider) slider.value = String(i);
+    if (label) label.textContent = fr.label;
+
+    if (!points) return;
+    const f = store.getFilters();
+    const pointParams = (frame) => ({ start: frame.start, end: frame.end, types: f.types, queryMode: f.queryMode, selectedDistrictCode: f.selectedDistrictCode });
+    const [fetchLayer, setLayer] = store.pointsMode === 'density' ? [fetchDensityInView, setDensity] : [fetchPointsInView, setCrimePoints];
+    try {
+      const data = await fetchLayer(map, pointParams(fr));
+      if (seq === renderSeq) setLayer(map, data);
+      // warm the query cache for the next frame while this one is on screen
+      const next = frames[(i + 1) % frames.length];
+      fetchLayer(map, pointParams(next)).catch(() => {});
+    } catch (e) {
+      console.warn('Time-lapse points failed:', e);
+    }
+  }
+
+  function pause() {
+    const was = playing;
+    playing = false;
+    clearTimeout(timer);
+    timer = null;
+    if (playBtn) playBtn.textContent = 'Play';
+    return was;
+  }
+
+  async function tick() {
+    if (!playing) return;
+    await showFrame(index);
+    if (!playing) return;
+    timer = setTimeout(() => {
+      index = (index + 1) % loaded.frames.length;
+      tick();
+    }, delayMs());
+  }
+
+  async function play() {
+    try {
+      await ensureFrames();
+    } catch (e) {
+      setStatus(e?.message || String(e), true);
+      return;
+    }
+    playing = true;
+    if (playBtn) playBtn.textContent = 'Pause';
+    tick();
+  }
+
+  // Render each frame, wait for the map to draw it, and hand back a snapshot
+  async function captureFrames(onFrame) {
+    const { frames } = await ensureFrames();
+    for (let i = 0; i < frames.length; i++) {
+      setStatus(`Capturing frame ${i + 1} of ${frames.length}…`);
+      index = i;
+      await showFrame(i);
+      await mapIdle(map);
+      const canvas = await mapSnapshot(map, store, { caption: `Philadelphia crime incidents · ${frames[i].label}` });
+      await onFrame(canvas, frames[i]);
+    }
+    return frames;
+  }
+
+  async function runExport(btn, job) {
+    if (busy) return;
+    busy = true;
+    pause();
+    btn.disabled = true;
+    try {
+      setStatus(await job());
+    } catch (err) {
+      const msg = err?.name === 'SecurityError' ? 'Map image blocked by cross-origin tiles.' : (err?.message || String(err));
+      setStatus(`Export failed: ${msg}`, true);
+    } finally {
+      btn.disabled = false;
+      busy = false;
+    }
+  }
+
+  playBtn?.addEventListener('click', () => {
+    if (busy) return;
+    if (playing) pause();
+    else play();
+  });
+
+  slider?.addEventListener('input', () => {
+    if (!loaded || busy) return;
+    pause();
+    index = Number(slider.value) || 0;
+    showFrame(index);
+  });
+
+  gifBtn?.addEventListener('click', () => runExport(gifBtn, async () => {
+    const images = [];
+    await captureFrames((canvas) => images.push(gifPixels(canvas)));
+    setStatus('Encoding GIF…');
+    // let the status paint before the encoder blocks the main thread
+    await new Promise((r) => setTimeout(r, 30));
+    const bytes = encodeGif(images, { delayMs: delayMs() });
+    downloadBlob(new Blob([bytes], { type: 'image/gif' }), exportFileName('timelapse', store.getFilters(), 'gif'));
+    return `Downloaded: ${images.length}-frame GIF (${Math.round(bytes.length / 1024)} KB).`;
+  }));
+
+  pngBtn?.addEventListener('click', () => runExport(pngBtn, async () => {
+    const frames = await captureFrames(async (canvas, fr) => {
+      await downloadCanvasPng(canvas, exportFileName(`map_${fr.m}`, {}, 'png'));
+      // browsers throttle bursts of downloads
+      await new Promise((r) => setTimeout(r, 300));
+    });
+    return `Downloaded: ${frames.length} PNG frames (allow multiple downloads if the browser asks).`;
+  }));
+
+  exitBtn?.addEventListener('click', () => {
+    if (busy) return;
+    pause();
+    renderSeq++;
+    if (label) label.textContent = '—';
+    setStatus('');
+    onExit?.();
+  });
+
+  return { stop: pause };
+}
@@ -1,5 +1,20 @@
 import { quantileBreaks } from '../map/style_helpers.js';
 
+// Jenks is O(k·n²); larger inputs (e.g. time-lapse pools) are thinned to evenly spaced order statistics
+const JENKS_MAX_VALUES = 1000;
+// head/tail stops once the head is no longer a minority
+const HEAD_TAIL_MAX_HEAD_SHARE = 0.4;
+
+/** Human-readable names for classMethod values (legend captions). */
+export const CLASS_METHOD_LABELS = {
+  quantile: 'Quantile',
+  equal: 'Equal interval',
+  jenks: 'Natural breaks (Jenks)',
+  stddev: 'Standard deviation',
+  headtail: 'Head/tail breaks',
+  custom: 'Custom',
+};
+
 export function computeBreaks(values, { method = 'quantile', bins = 5, custom = [] } = {}) {
   const nums = (values || []).map(Number).filter((v) => Number.isFinite(v));
   if (nums.length === 0) return [];
@@ -20,10 +35,117 @@ export function computeBreaks(values, { method = 'quantile', bins = 5, custom =
     return br;
   }
 
+  if (method === 'jenks') return jenksBreaks(nums, bins);
+  if (method === 'stddev') return stddevBreaks(nums, bins);
+  if (method === 'headtail') return headTailBreaks(nums, bins);
+
   // default quantile
   return quantileBreaks(nums, bins);
 }
 
+/**
+ * Fisher-Jenks natural breaks: the split into `k` classes of the sorted values
+ * with the smallest total within-class squared deviation (exact dynamic program).
+ * @param {number[]} nums
+ * @param {number} k - number of classes
+ * @returns {number[]} k-1 lower bounds of classes 2..k, matching the MapLibre `step` semantics
+ */
+export function jenksBreaks(nums, k) {
+  let x = nums.slice().sort((a, b) => a - b);
+  if (x.length > JENKS_MAX_VALUES) {
+    const step = (x.length - 1) / (JENKS_MAX_VALUES - 1);
+    x = Array.from({ length: JENKS_MAX_VALUES }, (_, i) => x[Math.round(i * step)]);
+  }
+  const n = x.length;
+  k = Math.min(k, new Set(x).size);
+  if (k < 2) return [];
+
+  // prefix sums give the squared deviation of any run x[i..j] in O(1)
+  const s1 = new Float64Array(n + 1);
+  const s2 = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    s1[i + 1] = s1[i] + x[i];
+    s2[i + 1] = s2[i] + x[i] * x[i];
+  }
+  const ssd = (i, j) => {
+    const cnt = j - i + 1;
+    const sum = s1[j + 1] - s1[i];
+    return s2[j + 1] - s2[i] - (sum * sum) / cnt;
+  };
+
+  // cost[c][j]: best cost of x[0..j] in c+1 classes; from[c][j]: start of the last class
+  const cost = [Float64Array.from({ length: n }, (_, j) => ssd(0, j))];
+  const from = [new Int32Array(n)];
+  for (let c = 1; c < k; c++) {
+    const row = new Float64Array(n).fill(Infinity);
+    const arg = new Int32Array(n);
+    for (let j = c; j < n; j++) {
+      for (let i = c; i <= j; i++) {
+        const v = cost[c - 1][i - 1] + ssd(i, j);
+        if (v < row[j]) {
+          row[j] = v;
+          arg[j] = i;
+        }
+      }
+    }
+    cost.push(row);
+    from.push(arg);
+  }
+
+  const breaks = [];
+  for (let c = k - 1, j = n - 1; c > 0; c--) {
+    const start = from[c][j];
+    breaks.unshift(Number(x[start].toFixed(2)));
+    j = start - 1;
+  }
+  return uniqueAsc(breaks);
+}
+
+/**
+ * Standard-deviation classes: one SD wide, centred on the mean for an odd
+ * number of classes and split at the mean for an even number. Bounds outside
+ * the data range (which would only create empty classes) are dropped.
+ * @param {number[]} nums
+ * @param {number} k - number of classes
+ * @returns {number[]}
+ */
+export function stddevBreaks(nums, k) {
+  const mean = nums.reduce((s, v) => s + v, 0) / nums.length;
+  const sd = Math.sqrt(nums.reduce((s, v) => s + (v - mean) ** 2, 0) / nums.length);
+  if (!(sd > 0)) return [];
+  const min = Math.min(...nums);
+  const max = Math.max(...nums);
+  // k-1 bounds in SD units, e.g. k=5 → ±0.5, ±1.5; k=4 → 0, ±1
+  const first = -(k - 2) / 2;
+  const breaks = [];
+  for (let j = 0; j < k - 1; j++) {
+    const b = mean + sd * (first + j);
+    if (b > min && b < max) breaks.push(Number(b.toFixed(2)));
+  }
+  return uniqueAsc(breaks);
+}
+
+/**
+ * Head/tail breaks for heavy-tailed data: split at the mean, then keep splitting
+ * the part above the mean (the "head") while it stays a minority of its parent.
+ * @param {number[]} nums
+ * @param {number} k - maximum number of classes
+ * @returns {number[]}
+ */
+export function headTailBreaks(nums, k) {
+  const breaks = [];
+  let head = nums;
+  while (breaks.length < k - 1 && head.length > 1) {
+    const mean = head.reduce((s, v) => s + v, 0) / head.length;
+    const next = head.filter((v) => v > mean);
+    if (next.length === 0) break;
+    breaks.push(Number(mean.toFixed(2)));
+    if (next.length / head.length > HEAD_TAIL_MAX_HEAD_SHARE) break;
+    head = next;
+  }
+  return uniqueAsc(breaks);
+}
+
 export function makePalette(name = 'Blues', bins = 5) {
   const PALETTES = {
     Blues: ['#f1eef6', '#bdc9e1', '#74a9cf', '#2b8cbe', '#045a8d'],
@@ -0,0 +1,181 @@
+/**
+ * Custom areas for the polygon query mode: an outline drawn on the map or a GeoJSON
+ * file, cleaned into one EPSG:4326 Polygon/MultiPolygon that the SQL polygon()
+ * filter and the population estimate can use, plus a compact form for share links.
+ */
+
+import * as turf from '@turf/turf';
+
+// Larger outlines are simplified; every vertex ends up in the SQL text
+export const AREA_MAX_VERTICES = 1000;
+// Share links carry the outline only up to this size
+export const URL_AREA_MAX_VERTICES = 150;
+// Coordinates are kept to 5 decimals (~1 m) so links round-trip exactly
+const DECIMALS = 5;
+// Generous city extent; an area must overlap it
+const PHL_BBOX = [-75.3, 39.85, -74.95, 40.15];
+
+/**
+ * @typedef {object} CustomArea
+ * @property {object} geometry - Polygon or MultiPolygon, EPSG:4326
+ * @property {number} vertices
+ * @property {number} areaKm2
+ * @property {boolean} simplified - true when the input had more than AREA_MAX_VERTICES
+ */
+
+/**
+ * Area from vertices clicked on the map (open ring, at least three points).
+ * @param {Array<[number,number]>} vertices - [lng, lat]
+ * @returns {CustomArea}
+ */
+export function areaFromVertices(vertices) {
+  const pts = (vertices || []).filter((p) => Array.isArray(p) && p.length >= 2);
+  if (pts.length < 3) throw new Error('An area needs at least three points.');
+  return normalizeArea({ type: 'Polygon', coordinates: [[...pts, pts[0]]] });
+}
+
+/**
+ * Area from a parsed GeoJSON document (FeatureCollection, Feature or geometry).
+ * Every Polygon/MultiPolygon in it is dissolved into one area (e.g. a set of
+ * adjacent tracts); other geometry types are ignored.
+ * @param {object} doc
+ * @returns {CustomArea}
+ */
+export function areaFromGeoJSON(doc) {
+  const polys = [];
+  const visit = (g) => {
+    if (!g) return;
+    if (g.type === 'FeatureCollection') (g.features || []).forEach(visit);
+    else if (g.type === 'Feature') visit(g.geometry);
+    else if (g.type === 'GeometryCollection') (g.geometries || []).forEach(visit);
+    else if (g.type === 'Polygon' && Array.isArray(g.coordinates)) polys.push(g.coordinates);
+    else if (g.type === 'MultiPolygon' && Array.isArray(g.coordinates)) polys.push(...g.coordinates);
+  };
+  visit(doc);
+  if (!polys.length) throw new Error('The file has no Polygon or MultiPolygon.');
+  if (polys.length === 1) return normalizeArea({ type: 'Polygon', coordinates: polys[0] });
+  let merged = { type: 'MultiPolygon', coordinates: polys };
+  try {
+    merged = polys.map((rings) => turf.polygon(rings)).reduce((a, b) => turf.union(a, b)).geometry;
+  } catch {
+    // invalid input rings; keep the parts and let normalizeArea report what is wrong
+  }
+  return normalizeArea(merged);
+}
+
+/**
+ * Validate and clean an area: closes rings, drops repeated vertices, rounds
+ * coordinates, simplifies oversized outlines, and rejects areas that are not
+ * lon/lat, do not touch Philadelphia or cross themselves. Crossings are judged on
+ * the input as given; ones that only rounding or simplification introduce (parts
+ * under a metre apart that snap together) are repaired by a self-union.
+ * @param {object} geometry - Polygon or MultiPolygon
+ * @returns {CustomArea}
+ */
+export function normalizeArea(geometry) {
+  if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') throw new Error('Expected a Polygon or MultiPolygon.');
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const all = polys.flat(2);
+  if (!all.length || all.some((p) => !Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1]))) {
+    throw new Error('The outline has invalid coordinates.');
+  }
+  if (all.some(([x, y]) => Math.abs(x) > 180 || Math.abs(y) > 90)) {
+    throw new Error('Coordinates are not longitude/latitude; save the file as EPSG:4326 (WGS 84).');
+  }
+
+  if (crossesItself(cleanGeometry(geometry.type, geometry.coordinates, false))) {
+    throw new Error('The outline crosses itself; draw it without crossing lines.');
+  }
+
+  let geom = cleanGeometry(geometry.type, geometry.coordinates);
+  let simplified = false;
+  for (let tolerance = 1e-5; vertexCount(geom) > AREA_MAX_VERTICES; tolerance *= 2) {
+    geom = cleanGeometry(geom.type, turf.simplify(turf.feature(geom), { tolerance, highQuality: true }).geometry.coordinates);
+    simplified = true;
+  }
+
+  // the repaired outline is rounded again so share links still decode to it exactly
+  for (let i = 0; i < 3 && crossesItself(geom); i++) {
+    const repaired = turf.union(turf.feature(geom), turf.feature(geom)).geometry;
+    geom = cleanGeometry(repaired.type, repaired.coordinates);
+  }
+  if (crossesItself(geom)) throw new Error('The outline could not be cleaned; simplify it and try again.');
+
+  const feature = turf.feature(geom);
+  const [minx, miny, maxx, maxy] = turf.bbox(feature);
+  if (maxx < PHL_BBOX[0] || minx > PHL_BBOX[2] || maxy < PHL_BBOX[1] || miny > PHL_BBOX[3]) {
+    throw new Error('The area is outside Philadelphia.');
+  }
+  const areaKm2 = turf.area(feature) / 1e6;
+  if (!(areaKm2 > 0)) throw new Error('The area is empty.');
+  return { geometry: geom, vertices: vertexCount(geom), areaKm2, simplified };
+}
+
+/**
+ * Compact share-link form: polygons joined by "|", rings by "!", vertices by ";"
+ * (closing vertex omitted).
+ * @param {object} geometry - normalized Polygon/MultiPolygon
+ * @returns {string|null} null when the outline is too detailed for a link
+ */
+export function encodeAreaParam(geometry) {
+  if (!geometry || vertexCount(geometry) > URL_AREA_MAX_VERTICES) return null;
+  const polys = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polys
+    .map((rings) => rings.map((ring) => ring.slice(0, -1).map(([x, y]) => `${x.toFixed(DECIMALS)},${y.toFixed(DECIMALS)}`).join(';')).join('!'))
+    .join('|');
+}
+
+/**
+ * Inverse of {@link encodeAreaParam}.
+ * @param {string} s
+ * @returns {CustomArea|undefined} undefined when malformed or invalid
+ */
+export function decodeAreaParam(s) {
+  if (!s) return undefined;
+  try {
+    const polys = String(s).split('|').map((poly) => poly.split('!').map((ring) => {
+      const pts = ring.split(';').map((pt) => pt.split(',').map(Number));
+      return [...pts, pts[0]];
+    }));
+    return normalizeArea(polys.length === 1 ? { type: 'Polygon', coordinates: polys[0] } : { type: 'MultiPolygon', coordinates: polys });
+  } catch {
+    return undefined;
+  }
+}
+
+function vertexCount(geom) {
+  const polys = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+  return polys.reduce((s, rings) => s + rings.reduce((t, r) => t + r.length - 1, 0), 0);
+}
+
+// Outer rings only: holes may touch their shell and parts may touch each other
+function crossesItself(geom) {
+  const polys = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+  return polys.some((rings) => turf.kinks(turf.lineString(rings[0])).features.length > 0);
+}
+
+// Round (unless round is false), drop consecutive repeats and degenerate rings; a
+// polygon whose outer ring collapses is dropped with its holes
+function cleanGeometry(type, coords, round = true) {
+  const polys = type === 'Polygon' ? [coords] : coords;
+  const f = 10 ** DECIMALS;
+  const r = round ? (n) => Math.round(n * f) / f : (n) => n;
+  const out = [];
+  for (const rings of polys) {
+    const clean = rings.map((ring) => {
+      const pts = [];
+      for (const [x, y] of ring) {
+        const p = [r(x), r(y)];
+        const last = pts[pts.length - 1];
+        if (!last || last[0] !== p[0] || last[1] !== p[1]) pts.push(p);
+      }
+      const first = pts[0];
+      const last = pts[pts.length - 1];
+      if (first && (first[0] !== last[0] || first[1] !== last[1])) pts.push([...first]);
+      return pts;
+    });
+    if (clean[0]?.length >= 4) out.push(clean.filter((ring) => ring.length >= 4));
+  }
+  if (!out.length) throw new Error('The outline has fewer than three distinct points.');
+  return out.length === 1 ? { type: 'Polygon', coordinates: out[0] } : { type: 'MultiPolygon', coordinates: out };
+}
@@ -0,0 +1,96 @@
+// Custom areas: cleaning, dissolving, rejection and the share-link round trip.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as turf from '@turf/turf';
+import { areaFromVertices, areaFromGeoJSON, normalizeArea, encodeAreaParam, decodeAreaParam, AREA_MAX_VERTICES, URL_AREA_MAX_VERTICES } from './custom_area.js';
+
+const tracts = JSON.parse(fs.readFileSync(new URL('../../public/data/tracts_phl.geojson', import.meta.url), 'utf8')).features;
+const tract = (geoid) => tracts.find((f) => f.properties.GEOID === geoid);
+// a tract and every tract touching it, as the tract picker exports them
+const withNeighbors = (geoid) => {
+  const center = tract(geoid);
+  return { type: 'FeatureCollection', features: tracts.filter((f) => f === center || turf.booleanIntersects(center, f)) };
+};
+const square = (x, y, d) => [[x, y], [x + d, y], [x + d, y + d], [x, y + d], [x, y]];
+const outerRings = (geom) => (geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates).map((rings) => rings[0]);
+const decimals = (n) => (String(n).split('.')[1] || '').length;
+
+test('clicked vertices become a closed, rounded polygon', () => {
+  const area = areaFromVertices([[-75.1712345, 39.95], [-75.15, 39.95], [-75.15, 39.96], [-75.15, 39.96]]);
+  assert.deepEqual(area.geometry, { type: 'Polygon', coordinates: [[[-75.17123, 39.95], [-75.15, 39.95], [-75.15, 39.96], [-75.17123, 39.95]]] });
+  assert.equal(area.vertices, 3);
+  assert.equal(area.simplified, false);
+  assert.equal(area.areaKm2, turf.area(area.geometry) / 1e6);
+});
+
+test('adjacent polygons are dissolved into one', () => {
+  const area = areaFromGeoJSON({
+    type: 'FeatureCollection',
+    features: [turf.polygon([square(-75.2, 39.95, 0.01)]), turf.polygon([square(-75.19, 39.95, 0.01)]), turf.point([-75.1, 39.9])],
+  });
+  assert.equal(area.geometry.type, 'Polygon');
+  assert.equal(area.geometry.coordinates.length, 1);
+  assert.ok(Math.abs(area.areaKm2 - 2 * turf.area(turf.polygon([square(-75.2, 39.95, 0.01)])) / 1e6) < 1e-6);
+});
+
+test('disjoint polygons stay a MultiPolygon with their holes', () => {
+  const area = areaFromGeoJSON({
+    type: 'MultiPolygon',
+    coordinates: [[square(-75.2, 39.9, 0.1), square(-75.16, 39.94, 0.02)], [square(-75.05, 40.0, 0.01)]],
+  });
+  assert.equal(area.geometry.type, 'MultiPolygon');
+  assert.deepEqual(area.geometry.coordinates.map((rings) => rings.length).sort(), [1, 2]);
+});
+
+// these outlines are valid but used to be rejected once rounding snapped nearby
+// edges together
+for (const [name, doc] of [
+  ['tract 42101009801 with its neighbours', () => withNeighbors('42101009801')],
+  ['tract 42101035701 with its neighbours', () => withNeighbors('42101035701')],
+  ['tract 42101980901', () => tract('42101980901')],
+]) {
+  test(`${name} is accepted and left without crossings`, () => {
+    const area = areaFromGeoJSON(doc());
+    for (const ring of outerRings(area.geometry)) assert.equal(turf.kinks(turf.lineString(ring)).features.length, 0);
+    assert.ok(area.geometry.coordinates.flat(3).every((n) => decimals(n) <= 5));
+    assert.deepEqual(normalizeArea(area.geometry).geometry, area.geometry);
+  });
+}
+
+test('oversized outlines are simplified below AREA_MAX_VERTICES', () => {
+  const area = normalizeArea(turf.circle([-75.16, 39.95], 2, { steps: 3000, units: 'kilometers' }).geometry);
+  assert.equal(area.simplified, true);
+  assert.ok(area.vertices <= AREA_MAX_VERTICES);
+  assert.ok(Math.abs(area.areaKm2 - Math.PI * 4) < 0.05);
+});
+
+test('invalid areas are rejected with a reason', () => {
+  const bowtie = [[-75.2, 39.9], [-75.1, 40.0], [-75.1, 39.9], [-75.2, 40.0]];
+  assert.throws(() => areaFromVertices(bowtie), /crosses itself/);
+  assert.throws(() => areaFromVertices([[-75.2, 39.9], [-75.1, 40.0]]), /at least three points/);
+  assert.throws(() => areaFromVertices([[-75.2, 39.9], [-75.2, 39.9], [-75.2, 39.9]]), /three distinct points/);
+  assert.throws(() => normalizeArea({ type: 'Polygon', coordinates: [square(-8370000, 4855000, 1000)] }), /longitude\/latitude/);
+  assert.throws(() => normalizeArea({ type: 'Polygon', coordinates: [square(-80, 35, 0.1)] }), /outside Philadelphia/);
+  assert.throws(() => normalizeArea({ type: 'LineString', coordinates: [[-75.2, 39.9], [-75.1, 40.0]] }), /Polygon or MultiPolygon/);
+  assert.throws(() => areaFromGeoJSON(turf.point([-75.1, 39.9])), /no Polygon/);
+});
+
+test('share links decode to the same area', () => {
+  for (const geometry of [
+    areaFromVertices([[-75.1712345, 39.95], [-75.15, 39.95], [-75.15, 39.96]]).geometry,
+    normalizeArea({ type: 'MultiPolygon', coordinates: [[square(-75.2, 39.9, 0.1), square(-75.16, 39.94, 0.02)], [square(-75.05, 40.0, 0.01)]] }).geometry,
+  ]) {
+    const param = encodeAreaParam(geometry);
+    assert.equal(typeof param, 'string');
+    assert.deepEqual(decodeAreaParam(param).geometry, geometry);
+  }
+  assert.equal(encodeAreaParam(areaFromVertices([[-75.2, 39.9], [-75.1, 39.9], [-75.1, 40.0], [-75.2, 40.0]]).geometry), '-75.20000,39.90000;-75.10000,39.90000;-75.10000,40.00000;-75.20000,40.00000');
+});
+
+test('detailed outlines are left out of links and bad link values are ignored', () => {
+  const detailed = areaFromGeoJSON(withNeighbors('42101009801'));
+  assert.ok(detailed.vertices > URL_AREA_MAX_VERTICES);
+  assert.equal(encodeAreaParam(detailed.geometry), null);
+  for (const s of ['', null, 'abc', '-75.2,39.9;-75.1,40;-75.1,39.9;-75.2,40', '1,2;3,4;5,6']) assert.equal(decodeAreaParam(s), undefined, String(s));
+});
@@ -0,0 +1,229 @@
+/**
+ * Export helpers: CSV/GeoJSON builders for the dashboard's current data and
+ * browser download utilities.
+ */
+
+const DOW = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Quote a CSV cell when needed (RFC 4180).
+ * @param {unknown} v
+ * @returns {string}
+ */
+function csvCell(v) {
+  if (v == null || (typeof v === 'number' && !Number.isFinite(v))) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialize rows to CSV with a header line.
+ * @param {object[]} rows
+ * @param {string[]} columns - property names, in output order
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const r of rows || []) lines.push(columns.map((c) => csvCell(r?.[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Flatten incident points (buildCrimePointsSQL GeoJSON) to CSV rows.
+ * @param {object} geojson
+ * @returns {string}
+ */
+export function pointsToCsv(geojson) {
+  const rows = (geojson?.features || []).map((f) => {
+    const [lng, lat] = f?.geometry?.coordinates || [];
+    const p = f?.properties || {};
+    return {
+      dispatch_date_time: p.dispatch_date_time,
+      text_general_code: p.text_general_code,
+      ucr_general: p.ucr_general,
+      dc_dist: p.dc_dist,
+      location_block: p.location_block,
+      lng,
+      lat,
+    };
+  });
+  return toCsv(rows, ['dispatch_date_time', 'text_general_code', 'ucr_general', 'dc_dist', 'location_block', 'lng', 'lat']);
+}
+
+/**
+ * Choropleth table rows: one per district or tract with count, population and per-10k.
+ * Location-quotient layers add `lq`, `n_sel` and `n_total` (see {@link LQ_COLUMNS}); ACS
+ * overlays give the variable and its value instead (see {@link ACS_OVERLAY_COLUMNS}), and
+ * hot-spot layers the Gi* z-score and class (see {@link HOTSPOT_COLUMNS}).
+ * @param {'districts'|'tracts'} level
+ * @param {object} geojson - merged FeatureCollection as rendered
+ * @param {Map<string,{pop:number,low:number,high:number}>} [districtPop] - estimates keyed by DIST_NUMC
+ * @returns {Array<object>}
+ */
+export function choroplethRows(level, geojson, districtPop) {
+  const per10k = (n, pop) => (pop > 0 ? Math.round((n / pop) * 100000) / 10 : null);
+  const lqCells = (p) => (p.__lqTotal === undefined ? {} : {
+    lq: p.__lqMasked ? null : Math.round(Number(p.value) * 1000) / 1000,
+    n_sel: p.__lqSel,
+    n_total: p.__lqTotal,
+  });
+  return (geojson?.features || []).map((f) => {
+    const p = f?.properties || {};
+    if (p.__acsVar !== undefined) {
+      return { geoid: p.__geoid ?? p.GEOID, name: p.NAME ?? '', variable: p.__acsVar, value: p.__acsMissing ? null : p.value };
+    }
+    if (p.__giClass !== undefined) {
+      return { geoid: p.__geoid ?? p.GEOID, name: p.NAME ?? '', count: p.__count, gi_z: p.__giZ, gi_class: p.__giClass, neighbors: p.__giNeighbors };
+    }
+    if (p.__lqTotal !== undefined) {
+      const id = level === 'tracts' ? { geoid: p.__geoid ?? p.GEOID } : { dc_dist: String(p.DIST_NUMC ?? '').padStart(2, '0') };
+      return { ...id, name: p.NAME ?? p.name ?? '', ...lqCells(p) };
+    }
+    if (level === 'tracts') {
+      const count = Number(p.__count ?? p.value) || 0;
+      const pop = p.__pop ?? null;
+      return { geoid: p.__geoid ?? p.GEOID, name: p.NAME ?? '', count, pop, per10k: per10k(count, pop), masked: p.__mask ? 1 : 0 };
+    }
+    const code = String(p.DIST_NUMC ?? '').padStart(2, '0');
+    const count = Number(p.value) || 0;
+    const est = districtPop?.get(code);
+    return { dc_dist: code, name: p.name ?? '', count, pop_est: est?.pop ?? null, pop_low: est?.low ?? null, pop_high: est?.high ?? null, per10k: per10k(count, est?.pop) };
+  });
+}
+
+/** Column order for {@link choroplethRows}. */
+export const CHOROPLETH_COLUMNS = {
+  districts: ['dc_dist', 'name', 'count', 'pop_est', 'pop_low', 'pop_high', 'per10k'],
+  tracts: ['geoid', 'name', 'count', 'pop', 'per10k', 'masked'],
+};
+
+/** Column order for {@link choroplethRows} when tracts are shaded by an ACS variable. */
+export const ACS_OVERLAY_COLUMNS = ['geoid', 'name', 'variable', 'value'];
+
+/** Column order for {@link choroplethRows} for Gi* hot spots (gi_class: ±90/95/99, 0 = not significant). */
+export const HOTSPOT_COLUMNS = ['geoid', 'name', 'count', 'gi_z', 'gi_class', 'neighbors'];
+
+/** Column order for {@link choroplethRows} when the map shows location quotients. */
+export const LQ_COLUMNS = {
+  districts: ['dc_dist', 'name', 'lq', 'n_sel', 'n_total'],
+  tracts: ['geoid', 'name', 'lq', 'n_sel', 'n_total'],
+};
+
+/**
+ * Re-attach table rows to their geometries as a clean FeatureCollection.
+ * @param {object} geojson
+ * @param {object[]} rows - same order as geojson.features
+ * @returns {object}
+ */
+export function rowsToGeoJSON(geojson, rows) {
+  return {
+    type: 'FeatureCollection',
+    features: (geojson?.features || []).map((f, i) => ({ type: 'Feature', geometry: f.geometry, properties: rows[i] })),
+  };
+}
+
+/**
+ * Monthly series as CSV: month plus one column per series, and the seasonal
+ * baseline columns when one was computed.
+ * @param {Record<string, {m:string,n:number}[]>} series - column name → rows
+ * @param {{points: import('./seasonal.js').BaselinePoint[]}|null} [baseline]
+ * @returns {string}
+ */
+export function monthlyToCsv(series, baseline = null) {
+  const names = Object.keys(series).filter((k) => series[k]?.length);
+  const points = new Map((baseline?.points || []).map((p) => [p.m, p]));
+  const months = Array.from(new Set([...names.flatMap((k) => series[k].map((r) => r.m)), ...points.keys()])).sort();
+  const lookup = Object.fromEntries(names.map((k) => [k, new Map(series[k].map((r) => [r.m, r.n]))]));
+  const round = (v) => (v == null ? null : Math.round(v * 100) / 100);
+  const rows = months.map((m) => {
+    const p = points.get(m);
+    return {
+      month: m,
+      ...Object.fromEntries(names.map((k) => [k, lookup[k].get(m) ?? 0])),
+      expected: round(p?.expected),
+      lower_95: round(p?.lower),
+      upper_95: round(p?.upper),
+      z: round(p?.z),
+      above_expected: p ? (p.flag ? 1 : 0) : null,
+    };
+  });
+  const extra = baseline ? ['expected', 'lower_95', 'upper_95', 'z', 'above_expected'] : [];
+  return toCsv(rows, ['month', ...names, ...extra]);
+}
+
+/**
+ * Top-N offenses as CSV with rank.
+ * @param {{text_general_code:string,n:number}[]} rows
+ * @returns {string}
+ */
+export function topNToCsv(rows) {
+  return toCsv((rows || []).map((r, i) => ({ rank: i + 1, text_general_code: r.text_general_code, n: r.n })), ['rank', 'text_general_code', 'n']);
+}
+
+/**
+ * 7x24 matrix as CSV: one row per weekday, one column per hour.
+ * @param {number[][]} matrix - 7 rows (0=Sun..6=Sat) x 24 cols
+ * @returns {string}
+ */
+export function matrixToCsv(matrix) {
+  const hours = Array.from({ length: 24 }, (_, h) => `h${String(h).padStart(2, '0')}`);
+  const rows = DOW.map((dow, d) => Object.fromEntries([['dow', dow], ...hours.map((k, h) => [k, Number(matrix?.[d]?.[h]) || 0])]));
+  return toCsv(rows, ['dow', ...hours]);
+}
+
+/**
+ * File name like `phl_crime_points_2024-01-01_2024-07-01.csv`.
+ * @param {string} kind
+ * @param {{start?:string,end?:string}} window
+ * @param {string} ext
+ */
+export function exportFileName(kind, { start, end } = {}, ext) {
+  const span = start && end ? `_${String(start).slice(0, 10)}_${String(end).slice(0, 10)}` : '';
+  return `phl_crime_${kind}${span}.${ext}`;
+}
+
+/**
+ * Trigger a browser download for a Blob.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download text content (CSV/GeoJSON).
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} [type]
+ */
+export function downloadText(text, filename, type = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+}
+
+/**
+ * Download a canvas as PNG. Throws when the canvas is tainted by cross-origin pixels.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} filename
+ * @returns {Promise<void>}
+ */
+export function downloadCanvasPng(canvas, filename) {
+  return new Promise((resolve, reject) => {
+    try {
+      canvas.toBlob((blob) => {
+        if (!blob) return reject(new Error('PNG encoding failed'));
+        downloadBlob(blob, filename);
+        resolve();
+      }, 'image/png');
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
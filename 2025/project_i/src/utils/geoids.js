@@ -9,11 +9,12 @@ export function toGEOID(state = '42', county = '101', tract6) {
 }
 
 /**
- * Derive GEOID from an Esri-style tract feature with STATE_FIPS, COUNTY_FIPS, TRACT_FIPS.
+ * Derive GEOID from a tract feature: uses GEOID when present, otherwise the
+ * TIGER-style STATE/COUNTY/TRACT or Esri-style STATE_FIPS/COUNTY_FIPS/TRACT_FIPS parts.
  * @param {any} f
  */
 export function tractFeatureGEOID(f) {
   const p = f?.properties || {};
-  return toGEOID(p.STATE_FIPS, p.COUNTY_FIPS, p.TRACT_FIPS);
+  if (p.GEOID) return String(p.GEOID);
+  return toGEOID(p.STATE ?? p.STATE_FIPS, p.COUNTY ?? p.COUNTY_FIPS, p.TRACT ?? p.TRACT_FIPS);
 }
-
@@ -0,0 +1,195 @@
+/**
+ * Minimal animated GIF (GIF89a) encoder for time-lapse exports.
+ *
+ * All frames share one 256-colour global palette built from the most common
+ * colours across every frame (RGB reduced to 5 bits per channel), so the map
+ * background and choropleth classes stay stable from frame to frame. Pixels are
+ * mapped to the nearest palette entry; there is no dithering.
+ */
+
+/**
+ * @typedef {{width:number, height:number, data:Uint8ClampedArray}} RgbaFrame
+ */
+
+const MAX_COLORS = 256;
+
+// Growable byte buffer
+function byteWriter(initial = 1 << 16) {
+  let buf = new Uint8Array(initial);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    let size = buf.length * 2;
+    while (size < len + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(buf.subarray(0, len));
+    buf = next;
+  };
+  return {
+    byte(b) { ensure(1); buf[len++] = b & 0xff; },
+    word(w) { ensure(2); buf[len++] = w & 0xff; buf[len++] = (w >> 8) & 0xff; },
+    bytes(arr) { ensure(arr.length); buf.set(arr, len); len += arr.length; },
+    text(s) { for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i)); },
+    result() { return buf.slice(0, len); },
+  };
+}
+
+const key15 = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * Popularity palette over all frames plus a lookup from 15-bit colour keys to palette indices.
+ * @param {RgbaFrame[]} frames
+ * @returns {{palette:Uint8Array, lookup:(r:number,g:number,b:number)=>number}}
+ */
+function buildPalette(frames) {
+  const count = new Float64Array(32768);
+  const sum = new Float64Array(32768 * 3);
+  for (const { data } of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      const k = key15(data[i], data[i + 1], data[i + 2]);
+      count[k]++;
+      sum[k * 3] += data[i];
+      sum[k * 3 + 1] += data[i + 1];
+      sum[k * 3 + 2] += data[i + 2];
+    }
+  }
+  const used = [];
+  for (let k = 0; k < count.length; k++) if (count[k] > 0) used.push(k);
+  used.sort((a, b) => count[b] - count[a]);
+  const top = used.slice(0, MAX_COLORS);
+
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  top.forEach((k, i) => {
+    for (let c = 0; c < 3; c++) palette[i * 3 + c] = Math.round(sum[k * 3 + c] / count[k]);
+  });
+
+  const cache = new Int16Array(32768).fill(-1);
+  top.forEach((k, i) => { cache[k] = i; });
+  const lookup = (r, g, b) => {
+    const k = key15(r, g, b);
+    if (cache[k] >= 0) return cache[k];
+    let best = 0;
+    let bestD = Infinity;
+    for (let i = 0; i < top.length; i++) {
+      const dr = palette[i * 3] - r;
+      const dg = palette[i * 3 + 1] - g;
+      const db = palette[i * 3 + 2] - b;
+      const d = dr * dr + dg * dg + db * db;
+      if (d < bestD) { bestD = d; best = i; }
+    }
+    cache[k] = best;
+    return best;
+  };
+  return { palette, lookup };
+}
+
+/**
+ * LZW-compress 8-bit palette indices into GIF image data sub-blocks.
+ * @param {Uint8Array} indices
+ * @param {ReturnType<typeof byteWriter>} out
+ */
+function writeLzw(indices, out) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let dict = new Map();
+
+  const packed = byteWriter(indices.length >> 1);
+  let cur = 0;
+  let curBits = 0;
+  const emit = (code) => {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) {
+      packed.byte(cur & 0xff);
+      cur >>>= 8;
+      curBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = dict.get(key);
+    if (hit !== undefined) {
+      prefix = hit;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // table full: start over rather than keep emitting stale codes
+      emit(clearCode);
+      dict = new Map();
+      nextCode = eoiCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      dict.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) packed.byte(cur & 0xff);
+
+  const data = packed.result();
+  out.byte(minCodeSize);
+  for (let i = 0; i < data.length; i += 255) {
+    const block = data.subarray(i, Math.min(i + 255, data.length));
+    out.byte(block.length);
+    out.bytes(block);
+  }
+  out.byte(0);
+}
+
+/**
+ * Encode RGBA frames (e.g. canvas ImageData) as a looping animated GIF.
+ * @param {RgbaFrame[]} frames - all the same size
+ * @param {{delayMs?:number}} [opts] - display time per frame
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGif(frames, { delayMs = 1000 } = {}) {
+  if (!frames?.length) throw new Error('encodeGif: no frames');
+  const { width, height } = frames[0];
+  if (frames.some((f) => f.width !== width || f.height !== height)) throw new Error('encodeGif: frames differ in size');
+
+  const { palette, lookup } = buildPalette(frames);
+  const out = byteWriter();
+  out.text('GIF89a');
+  out.word(width);
+  out.word(height);
+  out.byte(0xf7); // global colour table, 8-bit colour resolution, 256 entries
+  out.byte(0); // background colour index
+  out.byte(0); // pixel aspect ratio
+  out.bytes(palette);
+
+  // NETSCAPE2.0 application extension: loop forever
+  out.byte(0x21); out.byte(0xff); out.byte(11);
+  out.text('NETSCAPE2.0');
+  out.byte(3); out.byte(1); out.word(0); out.byte(0);
+
+  const delay = Math.max(2, Math.round(delayMs / 10));
+  const indices = new Uint8Array(width * height);
+  for (const { data } of frames) {
+    // graphic control extension: no disposal, no transparency
+    out.byte(0x21); out.byte(0xf9); out.byte(4);
+    out.byte(0x04);
+    out.word(delay);
+    out.byte(0);
+    out.byte(0);
+
+    out.byte(0x2c);
+    out.word(0); out.word(0);
+    out.word(width); out.word(height);
+    out.byte(0); // no local colour table, not interlaced
+
+    for (let p = 0, i = 0; p < indices.length; p++, i += 4) indices[p] = lookup(data[i], data[i + 1], data[i + 2]);
+    writeLzw(indices, out);
+  }
+  out.byte(0x3b);
+  return out.result();
+}
@@ -0,0 +1,122 @@
+/**
+ * Hot-spot analysis (Getis-Ord Gi*): is an area and its neighbours, taken together,
+ * higher or lower than the city average by more than chance would allow?
+ * A high count on its own is not a hot spot; a cluster of high counts is.
+ * Neighbours are queen-contiguous polygons (sharing an edge or a corner); weights
+ * are binary and each area counts as its own neighbour (the "star").
+ */
+
+// two-sided normal critical values for 90/95/99% confidence
+export const GI_LEVELS = [
+  { conf: 99, z: 2.576 },
+  { conf: 95, z: 1.96 },
+  { conf: 90, z: 1.645 },
+];
+
+// Breaks on the z-score: cold 99/95/90, not significant, hot 90/95/99
+export const HOTSPOT_BREAKS = [-2.576, -1.96, -1.645, 1.645, 1.96, 2.576];
+export const HOTSPOT_COLORS = ['#4575b4', '#91bfdb', '#d1e5f0', '#f0f0f0', '#fddbc7', '#ef8a62', '#b2182b'];
+export const HOTSPOT_LABELS = [
+  'Cold spot, 99% confidence',
+  'Cold spot, 95% confidence',
+  'Cold spot, 90% confidence',
+  'Not significant',
+  'Hot spot, 90% confidence',
+  'Hot spot, 95% confidence',
+  'Hot spot, 99% confidence',
+];
+
+/**
+ * Queen-contiguity neighbour lists. Polygons that share a vertex are neighbours;
+ * vertices are matched after rounding to ~0.1 m, which absorbs float noise in
+ * boundary files where adjacent polygons repeat the same shared vertices.
+ * @param {object[]} features - Polygon/MultiPolygon features
+ * @param {{precision?:number}} [opts] - decimal places kept for lon/lat matching
+ * @returns {number[][]} neighbour indices per feature (self excluded)
+ */
+export function queenNeighbors(features, { precision = 6 } = {}) {
+  const byVertex = new Map(); // "lon,lat" -> feature indices
+  (features || []).forEach((f, i) => {
+    const g = f?.geometry;
+    const polys = g?.type === 'Polygon' ? [g.coordinates] : g?.type === 'MultiPolygon' ? g.coordinates : [];
+    for (const poly of polys) {
+      for (const ring of poly) {
+        for (const [x, y] of ring) {
+          const key = `${x.toFixed(precision)},${y.toFixed(precision)}`;
+          const list = byVertex.get(key);
+          if (!list) byVertex.set(key, [i]);
+          else if (list[list.length - 1] !== i) list.push(i);
+        }
+      }
+    }
+  });
+  const sets = (features || []).map(() => new Set());
+  for (const list of byVertex.values()) {
+    if (list.length < 2) continue;
+    for (const a of list) for (const b of list) if (a !== b) sets[a].add(b);
+  }
+  return sets.map((s) => [...s].sort((a, b) => a - b));
+}
+
+/**
+ * Gi* z-scores with binary weights (self included).
+ *   Gi* = (Σj wij xj − X̄ Wi) / (S √((n Wi − Wi²) / (n − 1)))
+ * where Wi is the number of areas in i's neighbourhood and S the population
+ * standard deviation of x.
+ * @param {number[]} values - one per area
+ * @param {number[][]} neighbors - from {@link queenNeighbors}
+ * @returns {Array<number|null>} null when undefined (fewer than 3 areas, no variance,
+ *   or i's neighbourhood is the whole study area)
+ */
+export function getisOrdGiStar(values, neighbors) {
+  const x = values.map((v) => Number(v) || 0);
+  const n = x.length;
+  if (n < 3) return x.map(() => null);
+  let sum = 0;
+  let sumSq = 0;
+  for (const v of x) {
+    sum += v;
+    sumSq += v * v;
+  }
+  const mean = sum / n;
+  const s = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+  if (!(s > 0)) return x.map(() => null);
+  return x.map((xi, i) => {
+    const nb = neighbors[i] || [];
+    let local = xi;
+    for (const j of nb) local += x[j];
+    const w = nb.length + 1;
+    const denom = s * Math.sqrt((n * w - w * w) / (n - 1));
+    return denom > 0 ? (local - mean * w) / denom : null;
+  });
+}
+
+/**
+ * Signed confidence class for a z-score: 99/95/90 for hot spots, −99/−95/−90 for
+ * cold spots, 0 when not significant (or undefined).
+ * @param {number|null} z
+ * @returns {number}
+ */
+export function hotspotClass(z) {
+  if (!Number.isFinite(z)) return 0;
+  const level = GI_LEVELS.find((l) => Math.abs(z) >= l.z);
+  return level ? Math.sign(z) * level.conf : 0;
+}
+
+/**
+ * Fixed classes for the hot-spot legend and fill steps.
+ * @returns {{breaks:number[], colors:string[], labels:string[]}}
+ */
+export function hotspotClasses() {
+  return { breaks: HOTSPOT_BREAKS, colors: HOTSPOT_COLORS, labels: HOTSPOT_LABELS };
+}
+
+/**
+ * Legend subtitle for the hot-spot view.
+ * @param {{hot:number, cold:number, n:number, source?:string}} summary
+ * @returns {string}
+ */
+export function hotspotLegendSubtitle({ hot, cold, n, source }) {
+  const from = source === 'snapshot' ? 'precomputed tract counts' : 'gridded incident counts';
+  return `Getis-Ord Gi* on ${from}, queen neighbours. ${hot} hot and ${cold} cold of ${n} tracts at 90%+; no correction for multiple testing.`;
+}
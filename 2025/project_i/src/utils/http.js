@@ -1,3 +1,5 @@
+import { idbGet, idbSet, clearPersistentCache } from './idb_cache.js';
+
 const BACKOFF_DELAYS_MS = [1000, 2000, 4000];
 const LRU_MAX = 200;
 const DEFAULT_TTL = 5 * 60_000; // 5 minutes
@@ -62,14 +64,21 @@ async function appendRetryLog(line) {
 
 /**
  * Fetch JSON with cache, dedupe, and backoff.
+ *
+ * Lookups go memory LRU -> sessionStorage -> IndexedDB (only when `persist` is given)
+ * -> network. A persisted response past its ttl but inside its stale window is returned
+ * at once and refetched in the background; the refreshed copy serves later calls.
  * @template T
  * @param {string} url
- * @param {RequestInit & {timeoutMs?:number, retries?:number, cacheTTL?:number}} [options]
+ * @param {RequestInit & {timeoutMs?:number, retries?:number, cacheTTL?:number,
+ *   persist?:{ttl:number, stale?:number, label?:string}}} [options]
+ *   persist: IndexedDB policy (see PERSIST_POLICIES in config.js); label groups entries in the cache inspector
  * @returns {Promise<T>}
  */
-export async function fetchJson(url, { timeoutMs = 15000, retries = 2, cacheTTL = DEFAULT_TTL, method = 'GET', body, headers, ...rest } = {}) {
+export async function fetchJson(url, { timeoutMs = 15000, retries = 2, cacheTTL = DEFAULT_TTL, persist, method = 'GET', body, headers, ...rest } = {}) {
   if (!url) throw new Error('fetchJson requires url');
-  const keyBase = `${method.toUpperCase()} ${url} ${typeof body === 'string' ? hashKey(body) : hashKey(JSON.stringify(body ?? ''))}`;
+  // the full request; the persistent tier checks it so a hash collision is a miss, not wrong data
+  const keyBase = `${method.toUpperCase()} ${url} ${typeof body === 'string' ? body : JSON.stringify(body ?? '')}`;
   const cacheKey = `cache:${hashKey(keyBase)}`;
 
   // memory/session cache
@@ -81,48 +90,89 @@ export async function fetchJson(url, { timeoutMs = 15000, retries = 2, cacheTTL
 
   if (inflight.has(cacheKey)) return inflight.get(cacheKey);
 
-  const p = (async () => {
-    let attempt = 0;
-    const total = Math.max(0, retries) + 1;
-    while (attempt < total) {
-      const controller = new AbortController();
-      const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
-      try {
-        const res = await fetch(url, { method, body, headers, signal: controller.signal, ...rest });
-        if (!res.ok) {
-          const shouldRetry = res.status === 429 || (res.status >= 500 && res.status <= 599);
-          if (!shouldRetry) throw new Error(`HTTP ${res.status}`);
-          throw new RetryableError(`HTTP ${res.status}`);
-        }
-        const data = await res.json();
-        lruSet(cacheKey, data, cacheTTL);
-        ssSet(cacheKey, data, cacheTTL);
-        if (dev) console.log(`cache MISS: ${cacheKey}`);
-        return data;
-      } catch (e) {
-        const last = attempt === total - 1;
-        const retryable = e.name === 'AbortError' || e instanceof RetryableError || /ETIMEDOUT|ENOTFOUND|ECONNRESET/.test(String(e?.message || e));
-        if (!retryable || last) { throw e; }
-        const delay = BACKOFF_DELAYS_MS[Math.min(attempt, BACKOFF_DELAYS_MS.length - 1)];
-        await appendRetryLog(`[${new Date().toISOString()}] retry ${attempt + 1} for ${url}: ${e?.message || e}`);
-        await new Promise(r => setTimeout(r, delay));
-      } finally {
-        if (timer) clearTimeout(timer);
-        attempt++;
+  const load = () => request(cacheKey, url, { keyBase, timeoutMs, retries, cacheTTL, persist, method, body, headers, dev, ...rest });
+
+  if (persist) {
+    const hit = await idbGet(cacheKey, keyBase);
+    if (hit) {
+      if (dev) console.log(`cache HIT(idb${hit.stale ? ', stale' : ''}): ${cacheKey}`);
+      lruSet(cacheKey, hit.data, cacheTTL);
+      if (hit.stale && !inflight.has(cacheKey)) {
+        dedupe(cacheKey, load()).catch((e) => { if (dev) console.warn(`revalidate failed: ${cacheKey}`, e); });
       }
+      return hit.data;
     }
-    throw new Error('exhausted retries');
-  })();
+    // another caller may have started the request while IndexedDB was read
+    if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+  }
 
+  return dedupe(cacheKey, load());
+}
+
+async function dedupe(cacheKey, p) {
   inflight.set(cacheKey, p);
   try {
-    const data = await p;
-    return data;
+    return await p;
   } finally {
     inflight.delete(cacheKey);
   }
 }
 
+/**
+ * Network fetch with retries; fills every cache tier on success.
+ */
+async function request(cacheKey, url, { keyBase, timeoutMs, retries, cacheTTL, persist, method, body, headers, dev, ...rest }) {
+  let attempt = 0;
+  const total = Math.max(0, retries) + 1;
+  while (attempt < total) {
+    const controller = new AbortController();
+    const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    try {
+      const res = await fetch(url, { method, body, headers, signal: controller.signal, ...rest });
+      if (!res.ok) {
+        const shouldRetry = res.status === 429 || (res.status >= 500 && res.status <= 599);
+        if (!shouldRetry) throw new Error(`HTTP ${res.status}`);
+        throw new RetryableError(`HTTP ${res.status}`);
+      }
+      const text = await res.text();
+      const data = JSON.parse(text);
+      lruSet(cacheKey, data, cacheTTL);
+      ssSet(cacheKey, data, cacheTTL);
+      if (persist) idbSet(cacheKey, data, { ...persist, keyBase, size: new Blob([text]).size, url });
+      if (dev) console.log(`cache MISS: ${cacheKey}`);
+      return data;
+    } catch (e) {
+      const last = attempt === total - 1;
+      const retryable = e.name === 'AbortError' || e instanceof RetryableError || /ETIMEDOUT|ENOTFOUND|ECONNRESET/.test(String(e?.message || e));
+      if (!retryable || last) { throw e; }
+      const delay = BACKOFF_DELAYS_MS[Math.min(attempt, BACKOFF_DELAYS_MS.length - 1)];
+      await appendRetryLog(`[${new Date().toISOString()}] retry ${attempt + 1} for ${url}: ${e?.message || e}`);
+      await new Promise(r => setTimeout(r, delay));
+    } finally {
+      if (timer) clearTimeout(timer);
+      attempt++;
+    }
+  }
+  throw new Error('exhausted retries');
+}
+
+/**
+ * Drop cached responses from every tier (memory, sessionStorage, IndexedDB).
+ * @returns {Promise<void>}
+ */
+export async function clearHttpCache() {
+  lru.clear();
+  try {
+    if (typeof sessionStorage !== 'undefined') {
+      for (let i = sessionStorage.length - 1; i >= 0; i--) {
+        const k = sessionStorage.key(i);
+        if (k && k.startsWith('cache:')) sessionStorage.removeItem(k);
+      }
+    }
+  } catch {}
+  await clearPersistentCache();
+}
+
 class RetryableError extends Error {}
 
 /**
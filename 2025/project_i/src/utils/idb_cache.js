@@ -0,0 +1,185 @@
+/**
+ * Persistent response cache in IndexedDB: the tier behind fetchJson's in-memory LRU
+ * and sessionStorage that survives new tabs and reloads.
+ *
+ * Each record is fresh until `expires` and may be served stale until `staleUntil`
+ * (fetchJson refetches it in the background). Keys are short hashes, so the meta
+ * record also keeps the full request (`keyBase`) and a lookup for a different
+ * request that hashes to the same key is a miss. Payloads and their metadata live in
+ * separate object stores so eviction and the about-panel inspector never read
+ * the payloads. When the total size passes PERSIST_MAX_BYTES, the least recently
+ * used records are dropped.
+ *
+ * Every function resolves to an empty result when IndexedDB is missing (Node
+ * scripts) or refuses to open (some private browsing modes).
+ */
+
+import { PERSIST_MAX_BYTES } from '../config.js';
+
+const DB_NAME = 'phl-crime-cache';
+const DB_VERSION = 1;
+const BODIES = 'bodies'; // key -> parsed JSON
+const META = 'meta'; // {key, keyBase, label, url, size, storedAt, expires, staleUntil, lastAccess}
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    let req;
+    try { req = indexedDB.open(DB_NAME, DB_VERSION); } catch { return resolve(null); }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(BODIES)) db.createObjectStore(BODIES);
+      if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'key' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Look up a cached response.
+ * @param {string} key
+ * @param {string} keyBase - the full request the key was hashed from
+ * @returns {Promise<{data:any, stale:boolean}|null>} null when missing, stored for another
+ *   request, or past its stale window
+ */
+export async function idbGet(key, keyBase) {
+  try {
+    const db = await openDb();
+    if (!db) return null;
+    const tx = db.transaction([BODIES, META], 'readonly');
+    const [meta, data] = await Promise.all([
+      promisify(tx.objectStore(META).get(key)),
+      promisify(tx.objectStore(BODIES).get(key)),
+    ]);
+    if (!meta || data === undefined || meta.keyBase !== keyBase) return null;
+    const now = Date.now();
+    if (now > meta.staleUntil) { idbDelete(key); return null; }
+    touch(db, { ...meta, lastAccess: now });
+    return { data, stale: now > meta.expires };
+  } catch { return null; }
+}
+
+/**
+ * Store a response, then evict until the cache fits PERSIST_MAX_BYTES.
+ * @param {string} key
+ * @param {any} data - parsed JSON (stored via structured clone)
+ * @param {{keyBase:string, size:number, ttl:number, stale?:number, label?:string, url?:string}} policy
+ *   keyBase is the full request the key was hashed from; size is the response body in
+ *   bytes (UTF-8); ttl/stale in ms
+ */
+export async function idbSet(key, data, { keyBase, size, ttl, stale = 0, label = '', url = '' }) {
+  // one oversized payload would push everything else out
+  if (!(ttl > 0) || size > PERSIST_MAX_BYTES / 4) return;
+  try {
+    const db = await openDb();
+    if (!db) return;
+    const now = Date.now();
+    const tx = db.transaction([BODIES, META], 'readwrite');
+    tx.objectStore(BODIES).put(data, key);
+    tx.objectStore(META).put({ key, keyBase, label, url, size, storedAt: now, expires: now + ttl, staleUntil: now + ttl + stale, lastAccess: now });
+    await completion(tx);
+    await evict(db);
+  } catch {}
+}
+
+/**
+ * Remove one record.
+ * @param {string} key
+ */
+export async function idbDelete(key) {
+  try {
+    const db = await openDb();
+    if (!db) return;
+    const tx = db.transaction([BODIES, META], 'readwrite');
+    tx.objectStore(BODIES).delete(key);
+    tx.objectStore(META).delete(key);
+    await completion(tx);
+  } catch {}
+}
+
+/**
+ * Remove every record.
+ */
+export async function clearPersistentCache() {
+  try {
+    const db = await openDb();
+    if (!db) return;
+    const tx = db.transaction([BODIES, META], 'readwrite');
+    tx.objectStore(BODIES).clear();
+    tx.objectStore(META).clear();
+    await completion(tx);
+  } catch {}
+}
+
+/**
+ * Summary for the cache inspector, grouped by endpoint label.
+ * @returns {Promise<{available:boolean, entries:number, bytes:number, maxBytes:number,
+ *   byLabel:Array<{label:string, entries:number, bytes:number, stale:number, oldest:number}>}>}
+ */
+export async function getPersistentCacheStats() {
+  const empty = { available: false, entries: 0, bytes: 0, maxBytes: PERSIST_MAX_BYTES, byLabel: [] };
+  try {
+    const db = await openDb();
+    if (!db) return empty;
+    const metas = await promisify(db.transaction(META, 'readonly').objectStore(META).getAll());
+    const now = Date.now();
+    const groups = new Map();
+    let bytes = 0;
+    for (const m of metas) {
+      bytes += m.size || 0;
+      const g = groups.get(m.label) || { label: m.label || '(unlabelled)', entries: 0, bytes: 0, stale: 0, oldest: Infinity };
+      g.entries += 1;
+      g.bytes += m.size || 0;
+      if (now > m.expires) g.stale += 1;
+      g.oldest = Math.min(g.oldest, m.storedAt);
+      groups.set(m.label, g);
+    }
+    const byLabel = [...groups.values()].sort((a, b) => b.bytes - a.bytes);
+    return { available: true, entries: metas.length, bytes, maxBytes: PERSIST_MAX_BYTES, byLabel };
+  } catch { return empty; }
+}
+
+function touch(db, meta) {
+  try { db.transaction(META, 'readwrite').objectStore(META).put(meta); } catch {}
+}
+
+async function evict(db) {
+  const metas = await promisify(db.transaction(META, 'readonly').objectStore(META).getAll());
+  const now = Date.now();
+  const drop = metas.filter((m) => now > m.staleUntil);
+  const live = metas.filter((m) => now <= m.staleUntil).sort((a, b) => a.lastAccess - b.lastAccess);
+  let total = live.reduce((s, m) => s + (m.size || 0), 0);
+  for (const m of live) {
+    if (total <= PERSIST_MAX_BYTES) break;
+    drop.push(m);
+    total -= m.size || 0;
+  }
+  if (!drop.length) return;
+  const tx = db.transaction([BODIES, META], 'readwrite');
+  for (const m of drop) {
+    tx.objectStore(BODIES).delete(m.key);
+    tx.objectStore(META).delete(m.key);
+  }
+  await completion(tx);
+}
@@ -0,0 +1,60 @@
+// Persistent cache tier against an in-memory IndexedDB: fresh, stale and expired
+// records, hash collisions and LRU eviction past PERSIST_MAX_BYTES.
+import 'fake-indexeddb/auto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { idbGet, idbSet, clearPersistentCache, getPersistentCacheStats } from './idb_cache.js';
+import { PERSIST_MAX_BYTES } from '../config.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const put = (key, data, policy = {}) => idbSet(key, data, { keyBase: `GET ${key}`, size: 100, ttl: 60_000, ...policy });
+const get = (key) => idbGet(key, `GET ${key}`);
+
+beforeEach(() => clearPersistentCache());
+
+test('a fresh record is served as is', async () => {
+  await put('a', { rows: [1, 2] }, { label: 'aggregates' });
+  assert.deepEqual(await get('a'), { data: { rows: [1, 2] }, stale: false });
+  const stats = await getPersistentCacheStats();
+  assert.equal(stats.available, true);
+  assert.deepEqual(stats.byLabel.map((g) => [g.label, g.entries, g.bytes]), [['aggregates', 1, 100]]);
+});
+
+test('a record past its ttl is served stale inside the stale window', async () => {
+  await put('a', 'old', { ttl: 1, stale: 60_000 });
+  await sleep(10);
+  assert.deepEqual(await get('a'), { data: 'old', stale: true });
+});
+
+test('a record past its stale window is a miss and is deleted', async () => {
+  await put('a', 'old', { ttl: 1, stale: 1 });
+  await sleep(10);
+  assert.equal(await get('a'), null);
+  await sleep(10);
+  assert.equal((await getPersistentCacheStats()).entries, 0);
+});
+
+test('a different request under the same key is a miss', async () => {
+  await idbSet('cache:x', 'first', { keyBase: 'POST /sql q=one', size: 10, ttl: 60_000 });
+  assert.equal(await idbGet('cache:x', 'POST /sql q=two'), null);
+  assert.deepEqual(await idbGet('cache:x', 'POST /sql q=one'), { data: 'first', stale: false });
+});
+
+test('least recently used records are evicted past PERSIST_MAX_BYTES', async () => {
+  const size = Math.floor(PERSIST_MAX_BYTES * 0.24);
+  for (const key of ['a', 'b', 'c', 'd']) {
+    await put(key, key, { size });
+    await sleep(5);
+  }
+  assert.ok(await get('a')); // now more recent than b
+  await sleep(5);
+  await put('e', 'e', { size });
+  assert.equal(await get('b'), null);
+  for (const key of ['a', 'c', 'd', 'e']) assert.ok(await get(key), key);
+  assert.equal((await getPersistentCacheStats()).bytes, 4 * size);
+});
+
+test('a payload over a quarter of the budget is not stored', async () => {
+  await put('big', 'x', { size: Math.floor(PERSIST_MAX_BYTES / 4) + 1 });
+  assert.equal(await get('big'), null);
+});
@@ -0,0 +1,64 @@
+/**
+ * Location quotients ("relative to city"): the share of an area's incidents that
+ * fall in the selected offense group, divided by the same share citywide.
+ * LQ 1 = same mix as the city; 2 = the group is twice as prominent locally.
+ */
+
+// Symmetric on a log scale around 1, so 0.5 and 2 are equally far from "typical"
+export const LQ_BREAKS = [0.5, 0.67, 0.91, 1.1, 1.5, 2];
+// Areas with fewer incidents than this get no LQ (a handful of cases swings it wildly)
+export const LQ_MIN_TOTAL = 20;
+export const LQ_MASK_COLOR = '#e5e7eb';
+// ColorBrewer RdBu (7 classes), blue → red so over-represented areas are red; one colour per LQ class
+export const LQ_COLORS = ['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b'];
+
+/**
+ * @param {Array<{id:string, sel:number, total:number}>} areas
+ * @param {{minTotal?:number}} [opts]
+ * @returns {{byId: Map<string,{lq:number|null, sel:number, total:number, masked:boolean}>, cityShare:number|null}}
+ */
+export function locationQuotients(areas, { minTotal = LQ_MIN_TOTAL } = {}) {
+  let sel = 0;
+  let total = 0;
+  for (const a of areas || []) {
+    sel += Number(a.sel) || 0;
+    total += Number(a.total) || 0;
+  }
+  const cityShare = total > 0 ? sel / total : null;
+  const byId = new Map();
+  for (const a of areas || []) {
+    const s = Number(a.sel) || 0;
+    const t = Number(a.total) || 0;
+    const masked = !(t >= minTotal) || !cityShare;
+    const lq = masked ? null : Number(((s / t) / cityShare).toFixed(2));
+    byId.set(a.id, { lq, sel: s, total: t, masked });
+  }
+  return { byId, cityShare };
+}
+
+/**
+ * Diverging classes for LQ: blue below 1, neutral around 1, red above.
+ * @returns {{breaks:number[], colors:string[]}}
+ */
+export function lqClasses() {
+  return { breaks: LQ_BREAKS, colors: LQ_COLORS };
+}
+
+/**
+ * Legend subtitle explaining how to read LQ values.
+ * @param {number|null} cityShare
+ * @returns {string}
+ */
+export function lqLegendSubtitle(cityShare) {
+  const pct = cityShare == null ? '' : ` (${(cityShare * 100).toFixed(1)}% of incidents citywide)`;
+  return `Selected offenses' share of local incidents vs citywide${pct}. Above 1 (red): over-represented here; below 1 (blue): under-represented. Grey: fewer than ${LQ_MIN_TOTAL} incidents.`;
+}
+
+/**
+ * Fill colour expression for LQ layers: masked areas grey, the rest on the diverging steps.
+ * @param {any} stepExpr - from toMapLibreStep
+ * @returns {any[]}
+ */
+export function lqFillColor(stepExpr) {
+  return ['case', ['boolean', ['get', '__lqMasked'], false], LQ_MASK_COLOR, stepExpr];
+}
@@ -2,83 +2,225 @@
  * Route Safety Diary - GPS Map-Matching Algorithm
  *
  * Purpose: Match GPS traces to street segments.
- * Status: [TODO] Implementation needed for M1
  * See: docs/ALGO_REQUIREMENTS_M1.md (Section 1)
+ *
+ * Geometry is handled in a local equirectangular projection (meters), which is
+ * accurate to well under a meter across Philadelphia and avoids turf calls in the
+ * per-point loop. A uniform grid over segment bounding boxes keeps nearest-segment
+ * lookups to a handful of candidates even against the citywide segment file.
  */
 
-// TODO: Import dependencies when implementing
-// import * as turf from '@turf/turf';
+const GRID_CELL_M = 100;      // Spatial index cell size
+const MIN_HEADING_M = 3;      // Baseline needed before a heading is trusted (GPS jitter)
+const STICKY_M = 2;           // Prefer staying on the current segment when distances are close
+const M_PER_DEG_LAT = 110574;
+const M_PER_DEG_LNG_EQ = 111320;
+
+const indexCache = new WeakMap(); // FeatureCollection -> spatial index
+
+/**
+ * @typedef {object} SegmentMatch
+ * @property {string} segment_id
+ * @property {number} confidence - 0..1 blend of snap distance, heading agreement and coverage
+ * @property {number} points - GPS points assigned to this traversal
+ * @property {number} mean_dist_m - Mean snap distance
+ * @property {number} coverage - Fraction of the segment length covered by the snapped points
+ * @property {1|-1|0} direction - 1 = along the digitized direction, -1 = against, 0 = unknown
+ */
 
 /**
  * Match GPS trace to street segments
+ * Streets are undirected, so the direction test uses |cosine| against the local
+ * segment bearing; the sign is kept so that doubling back starts a new traversal.
  * @param {Array} points - GPS points [{lat, lng, timestamp}, ...]
  * @param {object} segmentsGeoJSON - GeoJSON FeatureCollection of segments
- * @param {object} opts - Options {maxGapM, dirThreshold, snapBufferM}
- * @returns {Array} Array of matched segment IDs in traversal order
+ * A trace whose points all fall within minTravelM of each other (a phone left on a
+ * table) matches nothing, and a traversal whose snapped points never move along
+ * the segment is not reported.
+ * @param {object} opts - Options {maxGapM, dirThreshold, snapBufferM, minPoints, minTravelM}
+ * @returns {{segmentIds: string[], matches: SegmentMatch[]}} IDs in traversal order
+ *   (a segment walked twice appears twice) and one match record per traversal
  */
 export function matchPathToSegments(points, segmentsGeoJSON, opts = {}) {
   const {
     maxGapM = 50,          // Max gap between consecutive points on same segment
     dirThreshold = 0.7,    // Minimum direction cosine (dot product)
-    snapBufferM = 10       // Snap tolerance in meters
+    snapBufferM = 10,      // Snap tolerance in meters
+    minPoints = 3,         // Traversals supported by fewer points are noise
+    minTravelM = 25        // Traces that never spread further than this are stationary
   } = opts;
 
-  // TODO: M1 implementation
-  // 1. For each GPS point:
-  //    a. Find nearest segment within snapBufferM (use turf.nearestPointOnLine)
-  //    b. Calculate direction cosine (user heading vs segment bearing)
-  //    c. Assign point to segment if cosine >= dirThreshold
-  // 2. Group consecutive points by segment ID
-  // 3. Filter out segments with < 3 points (noise)
-  // 4. Check gaps between segments (< maxGapM)
-  // 5. Return array of segment IDs
-
-  // TODO: For M1, return stub (first segment ID from GeoJSON)
-  if (segmentsGeoJSON && segmentsGeoJSON.features && segmentsGeoJSON.features.length > 0) {
-    return [segmentsGeoJSON.features[0].properties.segment_id];
+  const features = segmentsGeoJSON?.features || [];
+  if (!Array.isArray(points) || points.length === 0 || features.length === 0) {
+    return { segmentIds: [], matches: [] };
+  }
+
+  const index = getSpatialIndex(segmentsGeoJSON);
+  const valid = points.filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng));
+  const xys = valid.map((p) => index.toXY(p.lng, p.lat));
+  if (extent(xys) < minTravelM) return { segmentIds: [], matches: [] };
+  const headings = travelHeadings(xys);
+  const assignments = [];
+  let prevId = null;
+
+  valid.forEach((point, i) => {
+    const nearest = findNearestSegment(xys[i], index, snapBufferM, { heading: headings[i], dirThreshold, prevId });
+    if (!nearest) return;
+    prevId = nearest.segment.id;
+    assignments.push({
+      point,
+      xy: xys[i],
+      segment_id: nearest.segment.id,
+      distance: nearest.distance,
+      along: nearest.along,
+      cosine: nearest.cosine,
+    });
+  });
+
+  const groups = filterGaps(groupPointsBySegment(assignments, minPoints, maxGapM), maxGapM, minPoints);
+  const matches = groups
+    .map((g) => summarizeGroup(g, index.byId.get(g.segment_id), snapBufferM))
+    .filter((m) => m.coverage > 0);
+  return { segmentIds: matches.map((m) => m.segment_id), matches };
+}
+
+/**
+ * Heading at each point, measured from the last point at least MIN_HEADING_M
+ * behind it so GPS jitter while standing still does not produce random bearings.
+ * Points before the trace has moved that far look ahead instead.
+ * @param {Array<[number,number]>} xys - Local meters
+ * @returns {Array<number|null>} null only when the whole trace never moves
+ */
+function travelHeadings(xys) {
+  const headings = new Array(xys.length).fill(null);
+  let j = 0;
+  let last = null;
+  for (let i = 0; i < xys.length; i++) {
+    // advance the trailing anchor while the next one is still far enough behind
+    while (j + 1 < i && dist(xys[j + 1], xys[i]) >= MIN_HEADING_M) j++;
+    if (j < i && dist(xys[j], xys[i]) >= MIN_HEADING_M) last = calculateBearing(xys[j], xys[i]);
+    headings[i] = last;
+  }
+  const firstKnown = headings.findIndex((h) => h != null);
+  if (firstKnown > 0) {
+    for (let i = 0; i < firstKnown; i++) headings[i] = calculateBearing(xys[i], xys[firstKnown]);
   }
+  return headings;
+}
+
+/**
+ * Build (or reuse) the grid index for a segment collection.
+ * @param {object} segmentsGeoJSON
+ */
+function getSpatialIndex(segmentsGeoJSON) {
+  const cached = indexCache.get(segmentsGeoJSON);
+  if (cached && cached.size === segmentsGeoJSON.features.length) return cached;
 
-  return ['seg_001']; // Fallback stub
+  const first = firstCoord(segmentsGeoJSON.features);
+  const kx = M_PER_DEG_LNG_EQ * Math.cos((first[1] * Math.PI) / 180);
+  const toXY = (lng, lat) => [(lng - first[0]) * kx, (lat - first[1]) * M_PER_DEG_LAT];
 
-  // See: docs/ALGO_REQUIREMENTS_M1.md (Section 1: Algorithm Steps)
+  const cells = new Map();
+  const segments = [];
+  const byId = new Map();
+  for (const feature of segmentsGeoJSON.features) {
+    const id = feature?.properties?.segment_id ?? feature?.id;
+    const geom = feature?.geometry;
+    if (id == null || !geom) continue;
+    const lines = geom.type === 'LineString' ? [geom.coordinates]
+      : geom.type === 'MultiLineString' ? geom.coordinates : [];
+    const parts = lines.filter((l) => l.length >= 2).map((l) => l.map(([lng, lat]) => toXY(lng, lat)));
+    if (parts.length === 0) continue;
+
+    const seg = { id: String(id), feature, parts, length: parts.reduce((s, p) => s + polylineLength(p), 0) };
+    segments.push(seg);
+    byId.set(seg.id, seg);
+
+    let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+    for (const p of parts) for (const [x, y] of p) {
+      if (x < minx) minx = x; if (y < miny) miny = y;
+      if (x > maxx) maxx = x; if (y > maxy) maxy = y;
+    }
+    for (let i = Math.floor(minx / GRID_CELL_M); i <= Math.floor(maxx / GRID_CELL_M); i++) {
+      for (let j = Math.floor(miny / GRID_CELL_M); j <= Math.floor(maxy / GRID_CELL_M); j++) {
+        const key = `${i},${j}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(seg);
+      }
+    }
+  }
+
+  const index = { toXY, cells, segments, byId, size: segmentsGeoJSON.features.length };
+  indexCache.set(segmentsGeoJSON, index);
+  return index;
 }
 
 /**
  * Find nearest segment to a GPS point
- * @param {object} point - GPS point {lat, lng}
- * @param {object} segmentsGeoJSON - GeoJSON FeatureCollection
+ * Candidates come from the grid cells within maxDist; a candidate whose local
+ * bearing disagrees with the travel heading (|cos| < dirThreshold) is skipped.
+ * @param {[number,number]} xy - GPS point in local meters
+ * @param {object} index - From getSpatialIndex()
  * @param {number} maxDist - Maximum snap distance in meters
- * @returns {object|null} {segment, distance, snapped} or null
+ * @param {{heading:number|null, dirThreshold:number, prevId:string|null}} ctx
+ * @returns {object|null} {segment, distance, along, cosine} or null
  */
-function findNearestSegment(point, segmentsGeoJSON, maxDist) {
-  // TODO: Loop through all segments
-  // TODO: Use turf.nearestPointOnLine(segment, point)
-  // TODO: Calculate distance (result.properties.dist * 1000 for meters)
-  // TODO: Return segment with minimum distance (if < maxDist)
-  return null;
+function findNearestSegment(xy, index, maxDist, { heading, dirThreshold, prevId }) {
+  const seen = new Set();
+  let best = null;
+  let bestScore = Infinity;
+  for (let i = Math.floor((xy[0] - maxDist) / GRID_CELL_M); i <= Math.floor((xy[0] + maxDist) / GRID_CELL_M); i++) {
+    for (let j = Math.floor((xy[1] - maxDist) / GRID_CELL_M); j <= Math.floor((xy[1] + maxDist) / GRID_CELL_M); j++) {
+      for (const seg of index.cells.get(`${i},${j}`) || []) {
+        if (seen.has(seg)) continue;
+        seen.add(seg);
+        const proj = projectOnSegment(xy, seg);
+        if (proj.distance > maxDist) continue;
+        const cosine = heading == null ? null : directionCosine(heading, proj.bearing);
+        if (cosine != null && Math.abs(cosine) < dirThreshold) continue;
+        const score = proj.distance - (seg.id === prevId ? STICKY_M : 0);
+        if (score < bestScore) {
+          bestScore = score;
+          best = { segment: seg, distance: proj.distance, along: proj.along, cosine };
+        }
+      }
+    }
+  }
+  return best;
 }
 
 /**
- * Calculate bearing between two GPS points
- * @param {object} pointA - {lat, lng}
- * @param {object} pointB - {lat, lng}
- * @returns {number} Bearing in degrees (0-360)
+ * Closest point on a segment's polyline(s)
+ * @returns {{distance:number, along:number, bearing:number}} along = meters from the segment start
  */
-function calculateBearing(pointA, pointB) {
-  // TODO: Use turf.bearing(pointA, pointB)
-  // Returns bearing in degrees (-180 to +180)
-  return 0;
+function projectOnSegment([px, py], seg) {
+  let best = { distance: Infinity, along: 0, bearing: 0 };
+  let offset = 0;
+  for (const part of seg.parts) {
+    for (let k = 0; k < part.length - 1; k++) {
+      const [ax, ay] = part[k];
+      const [bx, by] = part[k + 1];
+      const dx = bx - ax;
+      const dy = by - ay;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+      const d = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+      const len = Math.sqrt(len2);
+      if (d < best.distance) best = { distance: d, along: offset + t * len, bearing: calculateBearing(part[k], part[k + 1]) };
+      offset += len;
+    }
+  }
+  return best;
 }
 
 /**
- * Get bearing of a segment (start to end)
- * @param {object} segment - GeoJSON Feature with LineString geometry
- * @returns {number} Bearing in degrees
+ * Calculate bearing between two points
+ * @param {[number,number]} pointA - Local meters [x, y]
+ * @param {[number,number]} pointB - Local meters [x, y]
+ * @returns {number} Compass bearing in degrees (-180 to +180, 0 = north)
  */
-function getSegmentBearing(segment) {
-  // TODO: Get first and last coordinates from LineString
-  // TODO: Use turf.bearing(start, end)
-  return 0;
+function calculateBearing(pointA, pointB) {
+  return (Math.atan2(pointB[0] - pointA[0], pointB[1] - pointA[1]) * 180) / Math.PI;
 }
 
 /**
@@ -88,37 +230,134 @@ function getSegmentBearing(segment) {
  * @returns {number} Cosine value (-1 to +1)
  */
 function directionCosine(bearing1, bearing2) {
-  // TODO: Convert bearings to radians
-  // TODO: Calculate unit vectors [cos(θ), sin(θ)]
-  // TODO: Return dot product (v1.x * v2.x + v1.y * v2.y)
   // Result: 1.0 = parallel, 0.0 = perpendicular, -1.0 = opposite
-  return 0;
+  return Math.cos(((bearing1 - bearing2) * Math.PI) / 180);
 }
 
 /**
  * Group consecutive GPS points by segment ID
- * @param {Array} assignments - [{point, segment_id}, ...]
+ * A new group starts when the segment changes, the travel direction flips
+ * (doubling back), or consecutive points on the segment are more than maxGapM
+ * apart. Groups below minPoints are dropped as noise, then neighbours that the
+ * noise had split are merged back together.
+ * @param {Array} assignments - [{point, xy, segment_id, cosine, ...}, ...]
  * @param {number} minPoints - Minimum points per segment (default: 3)
- * @returns {Array} [{segment_id, points: [...]}, ...]
+ * @param {number} maxGapM - Max gap between consecutive points on same segment
+ * @returns {Array} [{segment_id, direction, points: [...]}, ...]
+ */
+function groupPointsBySegment(assignments, minPoints = 3, maxGapM = Infinity) {
+  const raw = [];
+  let current = null;
+  for (const a of assignments) {
+    const dir = a.cosine == null ? 0 : Math.sign(a.cosine);
+    const last = current?.points[current.points.length - 1];
+    const split = !current
+      || a.segment_id !== current.segment_id
+      || (dir !== 0 && current.direction !== 0 && dir !== current.direction)
+      || gapBetween(last, a) > maxGapM;
+    if (split) {
+      current = { segment_id: a.segment_id, direction: dir, points: [a] };
+      raw.push(current);
+    } else {
+      current.points.push(a);
+      if (current.direction === 0) current.direction = dir;
+    }
+  }
+
+  return mergeAdjacent(raw.filter((g) => g.points.length >= minPoints), maxGapM);
+}
+
+/**
+ * Rejoin consecutive groups on the same segment and heading that were only
+ * separated by points since discarded as noise.
  */
-function groupPointsBySegment(assignments, minPoints = 3) {
-  // TODO: Loop through assignments
-  // TODO: If segment_id changes, start new group
-  // TODO: Filter out groups with < minPoints
-  // TODO: Return array of groups
-  return [];
+function mergeAdjacent(groups, maxGapM) {
+  const merged = [];
+  for (const g of groups) {
+    const prev = merged[merged.length - 1];
+    const sameWay = prev && (prev.direction === 0 || g.direction === 0 || prev.direction === g.direction);
+    if (prev && prev.segment_id === g.segment_id && sameWay && gapBetween(prev.points[prev.points.length - 1], g.points[0]) <= maxGapM) {
+      prev.points = prev.points.concat(g.points);
+      if (prev.direction === 0) prev.direction = g.direction;
+    } else {
+      merged.push({ ...g });
+    }
+  }
+  return merged;
 }
 
 /**
  * Check if gap between segment groups is acceptable
+ * Adjacent streets share endpoints, so consecutive traversals normally sit within
+ * maxGapM of each other. A short group that is cut off from both neighbours is
+ * treated as a GPS jump and removed; longer runs on either side of a gap (e.g. a
+ * tunnel) are kept.
  * @param {Array} groups - Segment groups from groupPointsBySegment()
  * @param {number} maxGapM - Maximum gap in meters
+ * @param {number} [minPoints] - Noise threshold; isolated groups need twice this to survive
  * @returns {Array} Filtered groups (discontinuous gaps removed)
  */
-function filterGaps(groups, maxGapM) {
-  // TODO: For each pair of consecutive groups:
-  //   - Calculate distance between last point of group[i] and first point of group[i+1]
-  //   - If distance > maxGapM, mark as discontinuous
-  // TODO: Return only continuous groups
-  return groups;
+function filterGaps(groups, maxGapM, minPoints = 3) {
+  if (groups.length <= 1) return groups;
+  const connected = (a, b) => !!a && !!b && gapBetween(a.points[a.points.length - 1], b.points[0]) <= maxGapM;
+  const kept = groups.filter((g, i) =>
+    connected(groups[i - 1], g) || connected(g, groups[i + 1]) || g.points.length >= 2 * minPoints
+  );
+  return kept.length === groups.length ? kept : mergeAdjacent(kept, maxGapM);
+}
+
+function summarizeGroup(group, seg, snapBufferM) {
+  const n = group.points.length;
+  const meanDist = group.points.reduce((s, a) => s + a.distance, 0) / n;
+  const cosines = group.points.filter((a) => a.cosine != null).map((a) => Math.abs(a.cosine));
+  const headingScore = cosines.length ? cosines.reduce((s, c) => s + c, 0) / cosines.length : 0.5;
+  const alongs = group.points.map((a) => a.along);
+  const span = Math.max(...alongs) - Math.min(...alongs);
+  // Segments shorter than the snap window cannot be "covered" meaningfully, but
+  // points that never move along the segment cover nothing
+  const coverage = span <= 0 ? 0 : seg && seg.length > 2 * snapBufferM ? Math.min(1, span / seg.length) : 1;
+  const proximity = Math.max(0, 1 - meanDist / snapBufferM);
+  const confidence = 0.4 * proximity + 0.3 * headingScore + 0.3 * coverage;
+  return {
+    segment_id: group.segment_id,
+    confidence: Math.round(confidence * 100) / 100,
+    points: n,
+    mean_dist_m: Math.round(meanDist * 10) / 10,
+    coverage: Math.round(coverage * 100) / 100,
+    direction: group.direction,
+  };
+}
+
+function gapBetween(a, b) {
+  if (!a || !b) return 0;
+  return dist(a.xy, b.xy);
+}
+
+// Diagonal of the points' bounding box in meters
+function extent(xys) {
+  let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+  for (const [x, y] of xys) {
+    if (x < minx) minx = x; if (y < miny) miny = y;
+    if (x > maxx) maxx = x; if (y > maxy) maxy = y;
+  }
+  return xys.length ? Math.hypot(maxx - minx, maxy - miny) : 0;
+}
+
+function dist(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+function polylineLength(part) {
+  let len = 0;
+  for (let k = 0; k < part.length - 1; k++) len += Math.hypot(part[k + 1][0] - part[k][0], part[k + 1][1] - part[k][1]);
+  return len;
+}
+
+function firstCoord(features) {
+  for (const f of features) {
+    const c = f?.geometry?.coordinates;
+    const pt = f?.geometry?.type === 'MultiLineString' ? c?.[0]?.[0] : c?.[0];
+    if (Array.isArray(pt) && Number.isFinite(pt[0])) return pt;
+  }
+  return [-75.1652, 39.9526];
 }
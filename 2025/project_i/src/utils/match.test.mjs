@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { matchPathToSegments } from './match.js';
+
+const segments = JSON.parse(fs.readFileSync(new URL('../../data/segments_phl.dev.geojson', import.meta.url), 'utf8'));
+const seg001 = segments.features.find((f) => f.properties.segment_id === 'seg_001').geometry.coordinates;
+
+const along = (a, b, n) => Array.from({ length: n }, (_, i) => ({
+  lng: a[0] + ((b[0] - a[0]) * i) / (n - 1),
+  lat: a[1] + ((b[1] - a[1]) * i) / (n - 1),
+  timestamp: i * 1000,
+}));
+
+test('a walk along a segment matches it', () => {
+  const { segmentIds, matches } = matchPathToSegments(along(seg001[0], seg001.at(-1), 12), segments);
+  assert.deepEqual(segmentIds, ['seg_001']);
+  assert.equal(matches[0].coverage, 1);
+});
+
+test('a stationary trace with GPS jitter matches nothing', () => {
+  const [lng, lat] = seg001[1] || seg001[0];
+  const still = Array.from({ length: 5 }, (_, i) => ({ lng: lng + (i % 3) * 1e-5, lat: lat + (i % 2) * 1e-5, timestamp: i * 1000 }));
+  assert.deepEqual(matchPathToSegments(still, segments), { segmentIds: [], matches: [] });
+});
+
+test('points that do not move along a segment are not reported', () => {
+  // the trace travels, but every point on seg_001 snaps to the same spot
+  const [x, y] = seg001[0];
+  const pts = [...Array.from({ length: 4 }, (_, i) => ({ lng: x, lat: y, timestamp: i * 1000 })), { lng: x + 0.01, lat: y + 0.01, timestamp: 5000 }];
+  assert.ok(!matchPathToSegments(pts, segments, { minTravelM: 0 }).segmentIds.includes('seg_001'));
+});
@@ -1,6 +1,20 @@
 import { fetchTractsCachedFirst } from "../api/boundaries.js";
+import { fetchTractStatsCachedFirst } from "../api/acs.js";
+import { tractFeatureGEOID } from "./geoids.js";
+import { fetchJson } from "./http.js";
 import * as turf from "@turf/turf";
 
+/** Optional 2020 block centroids with population, see scripts/fetch_block_pop.mjs. */
+export const BLOCKS_POP_URL = "./data/blocks_pop_phl.json";
+
+// Area method: a tract is treated as ~this many equal blocks that land inside or
+// outside the area independently, which sets the spread of its partial share.
+const BLOCKS_PER_TRACT = 30;
+// Block method: centroids this close to the area outline may belong to either side.
+const EDGE_BAND_M = 60;
+// two-sided 90% normal interval
+const Z90 = 1.645;
+
 function toLonLat([x, y]) {
   const R = 6378137;
   const d = 180 / Math.PI;
@@ -10,24 +24,156 @@ function toLonLat([x, y]) {
 }
 
 /**
- * Approximate population within a circular buffer using centroid-in-polygon test.
+ * @typedef {{pop:number, low:number, high:number, method:'area'|'blocks', tractsChecked:number, partialTracts:number, missingPop:number}} PopEstimate
+ */
+
+let tractsPromise = null;
+let blocksPromise = null;
+
+/**
+ * Tract geometry joined to ACS population, with bbox and area precomputed once.
+ * @returns {Promise<Array<{geoid:string, feature:object, bbox:number[], areaM2:number, pop:number|null}>>}
+ */
+function loadTracts() {
+  if (!tractsPromise) {
+    tractsPromise = Promise.all([fetchTractsCachedFirst(), fetchTractStatsCachedFirst()])
+      .then(([gj, stats]) => {
+        const popBy = new Map((stats || []).map((r) => [r.geoid, r.pop]));
+        return (gj?.features || []).map((feature) => {
+          const geoid = tractFeatureGEOID(feature);
+          const pop = popBy.get(geoid);
+          return { geoid, feature, bbox: turf.bbox(feature), areaM2: turf.area(feature), pop: Number.isFinite(pop) ? pop : null };
+        });
+      })
+      .catch((e) => {
+        tractsPromise = null;
+        throw e;
+      });
+  }
+  return tractsPromise;
+}
+
+/**
+ * Block centroids grouped by tract GEOID, or null when the local file is absent.
+ * File shape: `{ meta, rows: [[blockGeoid15, lng, lat, pop], ...] }`.
+ * @returns {Promise<Map<string, Array<{lng:number, lat:number, pop:number}>>|null>}
+ */
+function loadBlocks() {
+  if (!blocksPromise) {
+    blocksPromise = fetchJson(BLOCKS_POP_URL, { cacheTTL: 30 * 60_000, retries: 0, timeoutMs: 8000 })
+      .then((doc) => {
+        if (!Array.isArray(doc?.rows) || doc.rows.length === 0) return null;
+        const byTract = new Map();
+        for (const [geoid, lng, lat, pop] of doc.rows) {
+          const n = Number(pop);
+          if (!geoid || !Number.isFinite(lng) || !Number.isFinite(lat) || !(n > 0)) continue;
+          const key = String(geoid).slice(0, 11);
+          if (!byTract.has(key)) byTract.set(key, []);
+          byTract.get(key).push({ lng, lat, pop: n });
+        }
+        return byTract.size ? byTract : null;
+      })
+      .catch(() => null);
+  }
+  return blocksPromise;
+}
+
+function bboxOverlap(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function intersectShare(area, t) {
+  if (!(t.areaM2 > 0)) return 0;
+  try {
+    const inter = turf.intersect(area, t.feature);
+    return inter ? Math.min(1, turf.area(inter) / t.areaM2) : 0;
+  } catch {
+    // invalid ring geometry: fall back to the old centroid test for this tract
+    return turf.booleanPointInPolygon(turf.centroid(t.feature), area) ? 1 : 0;
+  }
+}
+
+/**
+ * Estimate residents inside a circular buffer by areal interpolation: each tract
+ * contributes its ACS population times the share of its area inside the circle.
+ * When `public/data/blocks_pop_phl.json` exists, the share inside each tract is
+ * taken from 2020 block populations instead of area, so parks and rail yards
+ * are not counted as housing.
+ *
+ * `low`/`high` is a 90% interval for the interpolation only (ACS sampling error
+ * is not included). It widens with the number and size of partially covered tracts.
  * @param {{center3857:[number,number], radiusM:number}} params
- * @returns {Promise<{pop:number, tractsChecked:number}>}
+ * @returns {Promise<PopEstimate>}
  */
 export async function estimatePopInBuffer({ center3857, radiusM }) {
   const center4326 = toLonLat(center3857);
   const circle = turf.circle(center4326, radiusM, { units: "meters", steps: 64 });
-  const tracts = await fetchTractsCachedFirst();
+  return estimatePopInPolygon(circle, {
+    edgeDistanceM: (pt) => Math.abs(turf.distance(center4326, pt, { units: "meters" }) - radiusM),
+  });
+}
+
+/**
+ * Same estimate as {@link estimatePopInBuffer} for any Polygon/MultiPolygon feature
+ * (police districts, drawn areas).
+ * @param {object} polygon - GeoJSON Feature or geometry in EPSG:4326
+ * @param {{edgeDistanceM?:(pt:[number,number])=>number}} [opts] - distance from a point to
+ *   the polygon outline; defaults to a generic (slower) point-to-line distance
+ * @returns {Promise<PopEstimate>}
+ */
+export async function estimatePopInPolygon(polygon, { edgeDistanceM } = {}) {
+  const area = polygon?.type === "Feature" ? polygon : turf.feature(polygon);
+  const areaBbox = turf.bbox(area);
+  let outline = null;
+  const edgeDist = edgeDistanceM || ((pt) => {
+    outline = outline || turf.polygonToLine(area);
+    const lines = outline.type === "FeatureCollection" ? outline.features : [outline];
+    return Math.min(...lines.map((l) => turf.pointToLineDistance(pt, l, { units: "meters" })));
+  });
+  const [tracts, blocks] = await Promise.all([loadTracts(), loadBlocks()]);
+
   let pop = 0;
+  let variance = 0;
   let checked = 0;
-  for (const ft of tracts.features || []) {
-    const c = turf.centroid(ft).geometry.coordinates;
-    if (turf.booleanPointInPolygon(c, circle)) {
-      const p = ft.properties?.POPULATION_2020 ?? ft.properties?.pop ?? 0;
-      pop += typeof p === "string" ? parseInt(p, 10) : p || 0;
-      checked++;
+  let partial = 0;
+  let missingPop = 0;
+  let usedBlocks = false;
+  for (const t of tracts) {
+    if (!bboxOverlap(t.bbox, areaBbox)) continue;
+    const share = intersectShare(area, t);
+    if (share <= 0) continue;
+    checked++;
+    if (t.pop == null) {
+      missingPop++;
+      continue;
+    }
+    if (share < 1) partial++;
+
+    const tractBlocks = blocks?.get(t.geoid);
+    const blockTotal = tractBlocks ? tractBlocks.reduce((s, b) => s + b.pop, 0) : 0;
+    if (blockTotal > 0 && share < 1) {
+      // scale 2020 block counts to the ACS tract total
+      const scale = t.pop / blockTotal;
+      usedBlocks = true;
+      for (const b of tractBlocks) {
+        const pt = [b.lng, b.lat];
+        if (turf.booleanPointInPolygon(pt, area)) pop += b.pop * scale;
+        if (edgeDist(pt) <= EDGE_BAND_M) variance += 0.25 * (b.pop * scale) ** 2;
+      }
+    } else {
+      pop += t.pop * share;
+      variance += (t.pop ** 2 * share * (1 - share)) / BLOCKS_PER_TRACT;
     }
   }
-  return { pop, tractsChecked: checked };
-}
 
+  const margin = Z90 * Math.sqrt(variance);
+  return {
+    pop: Math.round(pop),
+    low: Math.max(0, Math.round(pop - margin)),
+    high: Math.round(pop + margin),
+    method: usedBlocks ? "blocks" : "area",
+    tractsChecked: checked,
+    partialTracts: partial,
+    missingPop,
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Incident filters as data. Each filter is a small AST node built by the
+ * constructors below; the same list renders to a CARTO SQL WHERE clause
+ * ({@link whereLines}) or to a predicate over local incident records
+ * ({@link matches}), so a snapshot or a downloaded point set can be filtered
+ * exactly the way the server would.
+ *
+ * Values are validated when a node is built and escaped only when SQL is
+ * rendered, so nodes hold plain strings and numbers.
+ */
+
+const DATE_FLOOR = "2015-01-01";
+const R = 6378137;
+
+/**
+ * @typedef {{kind:'time', start:string, end:string}} TimeFilter - start inclusive, end exclusive
+ * @typedef {{kind:'codes', codes:string[]}} CodesFilter - text_general_code IN (...)
+ * @typedef {{kind:'district', code:string}} DistrictFilter - two-digit dc_dist
+ * @typedef {{kind:'polygon', geometry:object, bbox:number[]|null}} PolygonFilter - EPSG:4326 Polygon/MultiPolygon
+ * @typedef {{kind:'buffer', x:number, y:number, radiusM:number}} BufferFilter - EPSG:3857 center, planar metres
+ * @typedef {{kind:'envelope', xmin:number, ymin:number, xmax:number, ymax:number}} EnvelopeFilter - EPSG:3857
+ * @typedef {{kind:'hasGeometry'}} HasGeometryFilter
+ * @typedef {TimeFilter|CodesFilter|DistrictFilter|PolygonFilter|BufferFilter|EnvelopeFilter|HasGeometryFilter} Filter
+ */
+
+/**
+ * @typedef {object} Incident - a local record the evaluator understands
+ * @property {string} dispatch_date_time
+ * @property {string} [text_general_code]
+ * @property {string|number} [dc_dist]
+ * @property {number} [x] - EPSG:3857
+ * @property {number} [y]
+ * @property {number} [lng] - EPSG:4326
+ * @property {number} [lat]
+ */
+
+/**
+ * Ensure the provided ISO date is not earlier than the historical floor.
+ * @param {string} value - ISO date string.
+ * @returns {string} ISO date string clamped to the floor.
+ */
+export function dateFloorGuard(value) {
+  const iso = ensureIso(value, "start");
+  return iso < DATE_FLOOR ? DATE_FLOOR : iso;
+}
+
+/**
+ * Trim and deduplicate offense codes; non-strings and blanks are dropped.
+ * @param {string[]} [codes]
+ * @returns {string[]} raw (unescaped) codes
+ */
+export function normalizeCodes(codes) {
+  if (!Array.isArray(codes)) return [];
+  const cleaned = codes
+    .map((value) => (typeof value === "string" ? value.trim() : ""))
+    .filter((value) => value.length > 0);
+  return Array.from(new Set(cleaned));
+}
+
+/**
+ * Quote a string as a SQL literal.
+ * @param {string} value
+ * @returns {string}
+ */
+export function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// ---------- constructors ----------
+
+/**
+ * Time window on dispatch_date_time; the start is clamped to the 2015 floor.
+ * @param {string} start - inclusive ISO date
+ * @param {string} end - exclusive ISO date
+ * @returns {TimeFilter}
+ */
+export function timeRange(start, end) {
+  return { kind: "time", start: dateFloorGuard(start), end: ensureIso(end, "end") };
+}
+
+/**
+ * Offense codes; an empty list means "all offenses" and renders nothing.
+ * @param {string[]} [codes]
+ * @returns {CodesFilter|null}
+ */
+export function offenseCodes(codes) {
+  const list = normalizeCodes(codes);
+  return list.length ? { kind: "codes", codes: list } : null;
+}
+
+/**
+ * Drilldown codes override the parent group codes when any are set.
+ * @param {string[]} [types]
+ * @param {string[]} [drilldownCodes]
+ * @returns {CodesFilter|null}
+ */
+export function selectedCodes(types, drilldownCodes) {
+  return offenseCodes(drilldownCodes && drilldownCodes.length > 0 ? drilldownCodes : types);
+}
+
+/**
+ * Police district.
+ * @param {string|number} code - padded to two digits
+ * @returns {DistrictFilter|null}
+ */
+export function district(code) {
+  if (code == null || code === "") return null;
+  return { kind: "district", code: String(code).padStart(2, "0") };
+}
+
+/**
+ * Incidents inside a polygon (e.g. a census tract), with a bbox prefilter.
+ * @param {object} geometry - GeoJSON Polygon or MultiPolygon in EPSG:4326
+ * @returns {PolygonFilter}
+ */
+export function polygon(geometry) {
+  if (!geometry) throw new Error("polygon geometry required");
+  return { kind: "polygon", geometry, bbox: bboxOf(geometry) };
+}
+
+/**
+ * Incidents within `radiusM` of an EPSG:3857 point.
+ * @param {number[]|{x:number,y:number}} center3857
+ * @param {number} radiusM
+ * @returns {BufferFilter}
+ */
+export function buffer(center3857, radiusM) {
+  const [x, y] = ensureCenter(center3857);
+  return { kind: "buffer", x, y, radiusM: ensureRadius(radiusM) };
+}
+
+/**
+ * Map view bounding box. Missing or malformed boxes give null (no filter).
+ * @param {number[]|{xmin:number,ymin:number,xmax:number,ymax:number}} [bbox] - EPSG:3857
+ * @returns {EnvelopeFilter|null}
+ */
+export function envelope(bbox) {
+  if (!bbox) return null;
+  const values = Array.isArray(bbox)
+    ? bbox
+    : [bbox.xmin ?? bbox.minX, bbox.ymin ?? bbox.minY, bbox.xmax ?? bbox.maxX, bbox.ymax ?? bbox.maxY];
+  if (values.length !== 4) return null;
+  const numbers = values.map((value) => Number(value));
+  if (numbers.some((value) => !Number.isFinite(value))) return null;
+  const [xmin, ymin, xmax, ymax] = numbers;
+  return { kind: "envelope", xmin, ymin, xmax, ymax };
+}
+
+/** @returns {HasGeometryFilter} */
+export function hasGeometry() {
+  return { kind: "hasGeometry" };
+}
+
+// ---------- SQL ----------
+
+/**
+ * SQL conditions for one filter (without AND). Time windows produce three: the
+ * floor guard keeps the planner on the indexed range.
+ * @param {Filter} f
+ * @returns {string[]}
+ */
+export function conditions(f) {
+  switch (f.kind) {
+    case "time":
+      return [
+        `dispatch_date_time >= '${DATE_FLOOR}'`,
+        `dispatch_date_time >= ${sqlString(f.start)}`,
+        `dispatch_date_time < ${sqlString(f.end)}`,
+      ];
+    case "codes":
+      return [`text_general_code IN (${f.codes.map(sqlString).join(", ")})`];
+    case "district":
+      return [`dc_dist = ${sqlString(f.code)}`];
+    case "polygon": {
+      const out = [];
+      if (f.bbox) {
+        const [minx, miny, maxx, maxy] = f.bbox;
+        out.push(`the_geom && ST_Transform(ST_MakeEnvelope(${minx}, ${miny}, ${maxx}, ${maxy}, 4326), 3857)`);
+      }
+      const gj = JSON.stringify(roundGeometry6(f.geometry));
+      out.push(`ST_Intersects(the_geom, ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON(${sqlString(gj)}), 4326), 3857))`);
+      return out;
+    }
+    case "buffer":
+      return [`ST_DWithin(the_geom, ST_SetSRID(ST_Point(${f.x}, ${f.y}), 3857), ${f.radiusM})`];
+    case "envelope":
+      return [`the_geom && ST_MakeEnvelope(${f.xmin}, ${f.ymin}, ${f.xmax}, ${f.ymax}, 3857)`];
+    case "hasGeometry":
+      return ["the_geom IS NOT NULL"];
+    default:
+      throw new Error(`Unknown filter kind: ${f?.kind}`);
+  }
+}
+
+/**
+ * WHERE clause lines: `WHERE a` then `  AND b` per condition. Null filters are
+ * skipped, so optional parts can be passed inline.
+ * @param {Array<Filter|null|undefined|false>} filters
+ * @param {{depth?:number}} [opts] - extra two-space indents, for subqueries
+ * @returns {string[]}
+ */
+export function whereLines(filters, { depth = 0 } = {}) {
+  const pad = "  ".repeat(depth);
+  return filters
+    .filter(Boolean)
+    .flatMap(conditions)
+    .map((c, i) => (i === 0 ? `${pad}WHERE ${c}` : `${pad}  AND ${c}`));
+}
+
+/**
+ * Count of rows matching `filter`, as a select expression; COUNT(*) without one.
+ * @param {Filter|null} filter
+ * @returns {string}
+ */
+export function countIf(filter) {
+  const conds = filter ? conditions(filter) : [];
+  return conds.length ? `SUM(CASE WHEN ${conds.join(" AND ")} THEN 1 ELSE 0 END)` : "COUNT(*)";
+}
+
+// ---------- in-memory evaluator ----------
+
+/**
+ * Normalize a CARTO row or a GeoJSON point feature into an {@link Incident}
+ * carrying both EPSG:3857 and EPSG:4326 coordinates when any are known.
+ * @param {object} rowOrFeature
+ * @returns {Incident}
+ */
+export function toIncident(rowOrFeature) {
+  const isFeature = rowOrFeature?.type === "Feature";
+  const p = isFeature ? rowOrFeature.properties || {} : rowOrFeature || {};
+  const out = { ...p };
+  const coords = isFeature ? rowOrFeature.geometry?.coordinates : null;
+  if (coords && Number.isFinite(coords[0]) && Number.isFinite(coords[1])) {
+    [out.lng, out.lat] = coords;
+  }
+  if (Number.isFinite(out.lng) && Number.isFinite(out.lat) && !Number.isFinite(out.x)) {
+    out.x = (out.lng * Math.PI * R) / 180;
+    out.y = R * Math.log(Math.tan(Math.PI / 4 + (out.lat * Math.PI) / 360));
+  } else if (Number.isFinite(out.x) && Number.isFinite(out.y) && !Number.isFinite(out.lng)) {
+    out.lng = (out.x / R) * (180 / Math.PI);
+    out.lat = (2 * Math.atan(Math.exp(out.y / R)) - Math.PI / 2) * (180 / Math.PI);
+  }
+  return out;
+}
+
+/**
+ * Whether one incident passes one filter, with the server's semantics: time bounds
+ * compare ISO strings, buffers measure planar EPSG:3857 distance like ST_DWithin,
+ * and records without coordinates fail every spatial filter.
+ * @param {Filter} f
+ * @param {Incident} r
+ * @returns {boolean}
+ */
+export function testFilter(f, r) {
+  const t = String(r.dispatch_date_time ?? "");
+  const hasXY = Number.isFinite(r.x) && Number.isFinite(r.y);
+  switch (f.kind) {
+    case "time":
+      return t >= DATE_FLOOR && t >= f.start && t < f.end;
+    case "codes":
+      return f.codes.includes(r.text_general_code);
+    case "district":
+      return r.dc_dist != null && String(r.dc_dist).padStart(2, "0") === f.code;
+    case "polygon":
+      return Number.isFinite(r.lng) && Number.isFinite(r.lat) && pointInGeometry([r.lng, r.lat], f.geometry);
+    case "buffer":
+      return hasXY && (r.x - f.x) ** 2 + (r.y - f.y) ** 2 <= f.radiusM ** 2;
+    case "envelope":
+      return hasXY && r.x >= f.xmin && r.x <= f.xmax && r.y >= f.ymin && r.y <= f.ymax;
+    case "hasGeometry":
+      return hasXY;
+    default:
+      throw new Error(`Unknown filter kind: ${f?.kind}`);
+  }
+}
+
+/**
+ * Compile filters into a predicate over rows or GeoJSON point features
+ * (normalized with {@link toIncident}).
+ * @param {Array<Filter|null|undefined|false>} filters
+ * @returns {(rowOrFeature:object) => boolean}
+ */
+export function matches(filters) {
+  const list = filters.filter(Boolean);
+  return (row) => {
+    const r = toIncident(row);
+    return list.every((f) => testFilter(f, r));
+  };
+}
+
+/**
+ * Filter local rows or GeoJSON point features; the originals are returned.
+ * @template T
+ * @param {Array<Filter|null|undefined|false>} filters
+ * @param {T[]} rows
+ * @returns {T[]}
+ */
+export function evaluate(filters, rows) {
+  return (rows || []).filter(matches(filters));
+}
+
+// ---------- helpers ----------
+
+function ensureIso(value, label) {
+  if (!value) {
+    throw new Error(`Missing required ISO date for ${label}.`);
+  }
+  const iso = String(value);
+  if (!iso.match(/^\d{4}-\d{2}-\d{2}/)) {
+    throw new Error(`Invalid ISO date for ${label}: ${value}`);
+  }
+  return iso;
+}
+
+function ensureCenter(center) {
+  if (!center) {
+    throw new Error("center3857 is required.");
+  }
+  if (Array.isArray(center) && center.length >= 2) {
+    const [x, y] = center.map((value) => Number(value));
+    if (Number.isFinite(x) && Number.isFinite(y)) return [x, y];
+  } else if (typeof center === "object") {
+    const x = Number(center.x ?? center.lon ?? center.lng);
+    const y = Number(center.y ?? center.lat);
+    if (Number.isFinite(x) && Number.isFinite(y)) return [x, y];
+  }
+  throw new Error("center3857 must supply numeric x and y coordinates.");
+}
+
+function ensureRadius(radius) {
+  const value = Number(radius);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error("radiusM must be a positive number.");
+  }
+  return value;
+}
+
+// Coordinates sent to the server are rounded to 6 decimals (~0.1 m) to keep queries short
+function roundGeometry6(geom) {
+  const r6 = (n) => Math.round(n * 1e6) / 1e6;
+  const rc = (c) => (Array.isArray(c[0]) ? c.map(rc) : [r6(c[0]), r6(c[1])]);
+  if (geom.type === "Polygon") return { type: "Polygon", coordinates: rc(geom.coordinates) };
+  if (geom.type === "MultiPolygon") return { type: "MultiPolygon", coordinates: geom.coordinates.map(rc) };
+  return geom;
+}
+
+function bboxOf(geom) {
+  let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+  const visit = (coords) => {
+    if (!Array.isArray(coords)) return;
+    if (typeof coords[0] === "number" && typeof coords[1] === "number") {
+      const [x, y] = coords;
+      if (x < minx) minx = x;
+      if (y < miny) miny = y;
+      if (x > maxx) maxx = x;
+      if (y > maxy) maxy = y;
+    } else {
+      for (const c of coords) visit(c);
+    }
+  };
+  if (geom.type === "Polygon" || geom.type === "MultiPolygon") visit(geom.coordinates);
+  return Number.isFinite(minx) ? [minx, miny, maxx, maxy] : null;
+}
+
+// Even-odd ray casting per polygon, so holes are excluded
+function pointInGeometry(pt, geom) {
+  const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.type === "MultiPolygon" ? geom.coordinates : [];
+  return polys.some((rings) => rings.reduce((inside, ring) => (inRing(pt, ring) ? !inside : inside), false));
+}
+
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
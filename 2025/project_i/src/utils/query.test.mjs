@@ -0,0 +1,69 @@
+// Table tests for the in-memory evaluator: local records must pass or fail each
+// filter the way the server would.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { timeRange, offenseCodes, district, polygon, buffer, envelope, hasGeometry, evaluate, matches } from './query.js';
+
+const R = 6378137;
+const to3857 = (lng, lat) => [(lng * Math.PI * R) / 180, R * Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360))];
+
+// 0.1° square with a 0.02° hole in the middle
+const holed = polygon({
+  type: 'Polygon',
+  coordinates: [
+    [[-75.2, 39.9], [-75.1, 39.9], [-75.1, 40.0], [-75.2, 40.0], [-75.2, 39.9]],
+    [[-75.16, 39.94], [-75.14, 39.94], [-75.14, 39.96], [-75.16, 39.96], [-75.16, 39.94]],
+  ],
+});
+const pointFeature = (lng, lat, properties = {}) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties });
+
+const cases = [
+  // [name, filter, record, expected]
+  ['time: start is inclusive', timeRange('2024-01-01', '2024-02-01'), { dispatch_date_time: '2024-01-01T00:00:00' }, true],
+  ['time: last instant before end', timeRange('2024-01-01', '2024-02-01'), { dispatch_date_time: '2024-01-31T23:59:59' }, true],
+  ['time: end is exclusive', timeRange('2024-01-01', '2024-02-01'), { dispatch_date_time: '2024-02-01T00:00:00' }, false],
+  ['time: before start', timeRange('2024-01-01', '2024-02-01'), { dispatch_date_time: '2023-12-31T23:59:59' }, false],
+  ['time: below the 2015 floor', timeRange('2014-01-01', '2024-02-01'), { dispatch_date_time: '2014-06-01' }, false],
+  ['time: missing date', timeRange('2024-01-01', '2024-02-01'), {}, false],
+  ['codes: listed', offenseCodes(['Thefts']), { text_general_code: 'Thefts' }, true],
+  ['codes: not listed', offenseCodes(['Thefts']), { text_general_code: 'Robbery Firearm' }, false],
+  ['district: unpadded record', district('7'), { dc_dist: 7 }, true],
+  ['district: other', district('07'), { dc_dist: '17' }, false],
+  ['polygon: inside the outer ring', holed, pointFeature(-75.19, 39.91), true],
+  ['polygon: inside the hole', holed, pointFeature(-75.15, 39.95), false],
+  ['polygon: outside', holed, pointFeature(-75.25, 39.95), false],
+  ['polygon: lng/lat row', holed, { lng: -75.11, lat: 39.99 }, true],
+  ['polygon: x/y row', holed, { x: to3857(-75.19, 39.91)[0], y: to3857(-75.19, 39.91)[1] }, true],
+  ['buffer: just inside the radius', buffer([0, 0], 100), { x: 60, y: 79 }, true],
+  ['buffer: exactly on the radius', buffer([0, 0], 100), { x: 60, y: 80 }, true],
+  ['buffer: just outside the radius', buffer([0, 0], 100), { x: 60, y: 81 }, false],
+  ['envelope: inside', envelope([0, 0, 10, 10]), { x: 5, y: 10 }, true],
+  ['envelope: outside', envelope([0, 0, 10, 10]), { x: 11, y: 5 }, false],
+  ['hasGeometry: x/y', hasGeometry(), { x: 1, y: 2 }, true],
+  ['no coordinates: polygon', holed, { text_general_code: 'Thefts' }, false],
+  ['no coordinates: buffer', buffer([0, 0], 1e9), { text_general_code: 'Thefts' }, false],
+  ['no coordinates: envelope', envelope([-1e9, -1e9, 1e9, 1e9]), {}, false],
+  ['no coordinates: hasGeometry', hasGeometry(), { x: null, y: null }, false],
+  ['no coordinates: feature without geometry', hasGeometry(), { type: 'Feature', geometry: null, properties: {} }, false],
+];
+
+for (const [name, filter, record, expected] of cases) {
+  test(name, () => {
+    assert.equal(matches([filter])(record), expected);
+  });
+}
+
+test('evaluate combines filters with AND, skips null ones and returns the originals', () => {
+  const rows = [
+    { dispatch_date_time: '2024-01-10', text_general_code: 'Thefts', dc_dist: '07', lng: -75.19, lat: 39.91 },
+    { dispatch_date_time: '2024-01-10', text_general_code: 'Thefts', dc_dist: '07', lng: -75.15, lat: 39.95 },
+    { dispatch_date_time: '2024-03-10', text_general_code: 'Thefts', dc_dist: '07', lng: -75.19, lat: 39.91 },
+    { dispatch_date_time: '2024-01-10', text_general_code: 'Arson', dc_dist: '07', lng: -75.19, lat: 39.91 },
+    { dispatch_date_time: '2024-01-10', text_general_code: 'Thefts', dc_dist: '07' },
+  ];
+  const out = evaluate([timeRange('2024-01-01', '2024-02-01'), offenseCodes(['Thefts']), district(null), envelope(null), holed], rows);
+  assert.deepEqual(out, [rows[0]]);
+  assert.equal(out[0], rows[0]);
+  assert.deepEqual(evaluate([], rows), rows);
+  assert.deepEqual(evaluate([holed], null), []);
+});
@@ -0,0 +1,102 @@
+/**
+ * Seasonal baseline and anomaly flags for monthly incident counts.
+ *
+ * Expected count for a month = mean of the same calendar month in the previous
+ * `years` years. Counts are treated as quasi-Poisson: the variance is
+ * `phi * expected`, with the dispersion `phi` (>= 1) pooled from how much the
+ * reference years disagree with each other. Months whose observed count is
+ * above the upper band edge are flagged.
+ */
+
+import dayjs from 'dayjs';
+import { referenceDay } from '../api/datasource.js';
+
+export const BASELINE_YEARS = 3;
+// two-sided 95% band; a flag is therefore a one-sided test at ~2.5%
+const Z95 = 1.96;
+// below this many incidents a "spike" is not worth flagging
+const MIN_FLAG_COUNT = 5;
+
+/**
+ * @typedef {{m:string, observed:number, expected:number|null, lower:number|null, upper:number|null, z:number|null, refs:number, flag:boolean}} BaselinePoint
+ */
+
+/**
+ * Share of a month covered by the query window; the first and last months of a
+ * rolling window are usually partial.
+ * @param {string} m - 'YYYY-MM'
+ * @param {string} start - window start (inclusive, YYYY-MM-DD)
+ * @param {string} end - window end (exclusive, YYYY-MM-DD), clamped to now
+ * @returns {number} 0..1
+ */
+export function monthCoverage(m, start, end) {
+  const monthStart = dayjs(`${m}-01`);
+  const next = monthStart.add(1, 'month');
+  const from = dayjs(start).isAfter(monthStart) ? dayjs(start) : monthStart;
+  let to = dayjs(end).isBefore(next) ? dayjs(end) : next;
+  if (referenceDay().isBefore(to)) to = referenceDay();
+  if (!to.isAfter(from)) return 0;
+  return to.diff(from, 'day', true) / next.diff(monthStart, 'day', true);
+}
+
+/**
+ * Compute expected counts, bands and flags for the displayed months.
+ * Months inside the history range with no row count as zero; months before
+ * `historyStart` are unknown and excluded.
+ * @param {{m:string,n:number}[]} rows - history and current window together
+ * @param {string[]} months - displayed months ('YYYY-MM')
+ * @param {{historyStart:string, start?:string, end?:string, years?:number, z?:number}} opts
+ *   `start`/`end` is the displayed window, used to scale expectations for partial months
+ * @returns {{points: BaselinePoint[], phi: number}}
+ */
+export function seasonalBaseline(rows, months, { historyStart, start, end, years = BASELINE_YEARS, z = Z95 }) {
+  const byMonth = new Map((rows || []).map((r) => [r.m, Number(r.n) || 0]));
+  const first = historyStart ? dayjs(historyStart).format('YYYY-MM') : null;
+
+  const refsFor = (m) => {
+    const out = [];
+    for (let k = 1; k <= years; k++) {
+      const ref = dayjs(`${m}-01`).subtract(k, 'year').format('YYYY-MM');
+      if (first && ref < first) break;
+      out.push(byMonth.get(ref) ?? 0);
+    }
+    return out;
+  };
+
+  // pooled dispersion across all displayed months with at least two references
+  let ss = 0;
+  let df = 0;
+  for (const m of months) {
+    const refs = refsFor(m);
+    if (refs.length < 2) continue;
+    const mean = refs.reduce((s, v) => s + v, 0) / refs.length;
+    if (mean <= 0) continue;
+    ss += refs.reduce((s, v) => s + (v - mean) ** 2, 0) / mean;
+    df += refs.length - 1;
+  }
+  const phi = df > 0 ? Math.max(1, ss / df) : 1;
+
+  const points = months.map((m) => {
+    const observed = byMonth.get(m) ?? 0;
+    const refs = refsFor(m);
+    if (refs.length === 0) return { m, observed, expected: null, lower: null, upper: null, z: null, refs: 0, flag: false };
+    const cover = start && end ? monthCoverage(m, start, end) : 1;
+    const expected = (refs.reduce((s, v) => s + v, 0) / refs.length) * cover;
+    // observation noise plus the uncertainty of a mean over refs.length years
+    const sd = Math.sqrt(phi * Math.max(expected, 1) * (1 + 1 / refs.length));
+    const upper = expected + z * sd;
+    const score = (observed - expected) / sd;
+    return {
+      m,
+      observed,
+      expected,
+      lower: Math.max(0, expected - z * sd),
+      upper,
+      z: score,
+      refs: refs.length,
+      flag: observed > upper && observed >= MIN_FLAG_COUNT,
+    };
+  });
+
+  return { points, phi };
+}
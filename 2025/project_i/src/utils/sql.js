@@ -1,31 +1,36 @@
-const DATE_FLOOR = "2015-01-01";
-
 /**
- * Ensure the provided ISO date is not earlier than the historical floor.
- * @param {string} value - ISO date string.
- * @returns {string} ISO date string clamped to the floor.
+ * CARTO SQL builders for every dashboard query. Filters are assembled as nodes
+ * from ./query.js and rendered with whereLines(), which owns escaping; the same
+ * nodes can filter local data through query.js's evaluator.
  */
-export function dateFloorGuard(value) {
-  const iso = ensureIso(value, "start");
-  return iso < DATE_FLOOR ? DATE_FLOOR : iso;
-}
+import {
+  dateFloorGuard,
+  normalizeCodes,
+  timeRange,
+  offenseCodes,
+  selectedCodes,
+  district,
+  polygon,
+  buffer,
+  envelope,
+  hasGeometry,
+  conditions,
+  whereLines,
+  countIf,
+} from "./query.js";
+
+const TABLE = "incidents_part1_part2";
+
+export { dateFloorGuard };
 
 /**
  * Clean and deduplicate offense type strings.
+ * @deprecated Build an offenseCodes() filter instead; escaping belongs to the SQL renderer.
  * @param {string[]} [types] - Array of offense labels.
  * @returns {string[]} Sanitized values safe for SQL literal usage.
  */
 export function sanitizeTypes(types) {
-  if (!Array.isArray(types)) {
-    return [];
-  }
-
-  const cleaned = types
-    .map((value) => (typeof value === "string" ? value.trim() : ""))
-    .filter((value) => value.length > 0)
-    .map((value) => value.replace(/'/g, "''"));
-
-  return Array.from(new Set(cleaned));
+  return Array.from(new Set(normalizeCodes(types).map((value) => value.replace(/'/g, "''"))));
 }
 
 /**
@@ -34,30 +39,22 @@ export function sanitizeTypes(types) {
  * @returns {string} SQL clause prefixed with AND or an empty string.
  */
 export function envelopeClause(bbox) {
-  if (!bbox) {
-    return "";
-  }
-
-  const values = Array.isArray(bbox)
-    ? bbox
-    : [
-        bbox.xmin ?? bbox.minX,
-        bbox.ymin ?? bbox.minY,
-        bbox.xmax ?? bbox.maxX,
-        bbox.ymax ?? bbox.maxY,
-      ];
-
-  if (!Array.isArray(values) || values.length !== 4) {
-    return "";
-  }
-
-  const numbers = values.map((value) => Number(value));
-  if (numbers.some((value) => !Number.isFinite(value))) {
-    return "";
-  }
+  const f = envelope(bbox);
+  return f ? `AND ${conditions(f)[0]}` : "";
+}
 
-  const [xmin, ymin, xmax, ymax] = numbers;
-  return `AND the_geom && ST_MakeEnvelope(${xmin}, ${ymin}, ${xmax}, ${ymax}, 3857)`;
+/**
+ * Snapped-grid aggregate: the inner query selects `cell` (plus any extra
+ * columns) per incident, the outer one groups by `group`.
+ */
+function gridQuery(outer, inner, filters, group) {
+  return [
+    outer,
+    `FROM (SELECT ${inner}`,
+    `  FROM ${TABLE}`,
+    ...whereLines([...filters, hasGeometry()], { depth: 1 }).map((line, i, all) => (i === all.length - 1 ? `${line}) cells` : line)),
+    `GROUP BY ${group}`,
+  ].join("\n");
 }
 
 /**
@@ -70,25 +67,34 @@ export function envelopeClause(bbox) {
  * @returns {string} SQL statement.
  */
 export function buildCrimePointsSQL({ start, end, types, bbox, dc_dist, drilldownCodes }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, "end");
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-
-  const bboxClause = envelopeClause(bbox);
-  if (bboxClause) {
-    clauses.push(`  ${bboxClause}`);
-  }
-  if (dc_dist) {
-    clauses.push(`  ${buildDistrictFilter(dc_dist)}`);
-  }
-
   return [
     "SELECT the_geom, dispatch_date_time, text_general_code, ucr_general, dc_dist, location_block",
-    "FROM incidents_part1_part2",
-    ...clauses,
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), envelope(bbox), district(dc_dist)]),
   ].join("\n");
 }
 
+/**
+ * Build SQL for the density layer: incidents snapped to a square EPSG:3857 grid
+ * inside the bbox, one row per occupied cell with its count. Aggregating on the
+ * server keeps the response small however many incidents match.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],bbox?:object,dc_dist?:string,cellM:number}} params
+ * @returns {string} SQL statement.
+ */
+export function buildDensityGridSQL({ start, end, types, drilldownCodes, bbox, dc_dist, cellM }) {
+  const time = timeRange(start, end);
+  const cell = Number(cellM);
+  if (!Number.isFinite(cell) || cell <= 0) {
+    throw new Error("cellM must be a positive number.");
+  }
+  return gridQuery(
+    "SELECT ST_X(ST_Transform(c, 4326)) AS x, ST_Y(ST_Transform(c, 4326)) AS y, COUNT(*) AS n",
+    `ST_SnapToGrid(the_geom, ${cell.toFixed(1)}) AS c`,
+    [time, selectedCodes(types, drilldownCodes), envelope(bbox), district(dc_dist)],
+    "c",
+  );
+}
+
 /**
  * Build SQL for the citywide monthly series (§2.2).
  * @param {object} params
@@ -98,15 +104,10 @@ export function buildCrimePointsSQL({ start, end, types, bbox, dc_dist, drilldow
  * @returns {string} SQL statement.
  */
 export function buildMonthlyCitySQL({ start, end, types, dc_dist, drilldownCodes }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, "end");
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-  if (dc_dist) clauses.push(`  ${buildDistrictFilter(dc_dist)}`);
-
   return [
     "SELECT date_trunc('month', dispatch_date_time) AS m, COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), district(dc_dist)]),
     "GROUP BY 1 ORDER BY 1",
   ].join("\n");
 }
@@ -129,15 +130,10 @@ export function buildMonthlyBufferSQL({
   radiusM,
   drilldownCodes,
 }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, "end");
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-  clauses.push(`  ${dWithinClause(center3857, radiusM)}`);
-
   return [
     "SELECT date_trunc('month', dispatch_date_time) AS m, COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), buffer(center3857, radiusM)]),
     "GROUP BY 1 ORDER BY 1",
   ].join("\n");
 }
@@ -159,20 +155,12 @@ export function buildTopTypesSQL({
   radiusM,
   limit = 12,
 }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, "end");
-  const clauses = [
-    ...baseTemporalClauses(startIso, endIso, undefined, { includeTypes: false }),
-    `  ${dWithinClause(center3857, radiusM)}`,
-  ];
-
-  const limitValue = ensurePositiveInt(limit, "limit");
-
+  const where = whereLines([timeRange(start, end), buffer(center3857, radiusM)]);
   return [
     "SELECT text_general_code, COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
-    `GROUP BY 1 ORDER BY n DESC LIMIT ${limitValue}`,
+    `FROM ${TABLE}`,
+    ...where,
+    `GROUP BY 1 ORDER BY n DESC LIMIT ${ensurePositiveInt(limit, "limit")}`,
   ].join("\n");
 }
 
@@ -194,19 +182,7 @@ export function buildHeatmap7x24SQL({
   radiusM,
   drilldownCodes,
 }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, "end");
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-  clauses.push(`  ${dWithinClause(center3857, radiusM)}`);
-
-  return [
-    "SELECT EXTRACT(DOW  FROM dispatch_date_time AT TIME ZONE 'America/New_York') AS dow,",
-    "       EXTRACT(HOUR FROM dispatch_date_time AT TIME ZONE 'America/New_York') AS hr,",
-    "       COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
-    "GROUP BY 1,2 ORDER BY 1,2",
-  ].join("\n");
+  return heatmapQuery([timeRange(start, end), selectedCodes(types, drilldownCodes), buffer(center3857, radiusM)]);
 }
 
 /**
@@ -218,62 +194,189 @@ export function buildHeatmap7x24SQL({
  * @returns {string} SQL statement.
  */
 export function buildByDistrictSQL({ start, end, types, drilldownCodes }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, "end");
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-
   return [
     "SELECT dc_dist, COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes)]),
+    "GROUP BY 1 ORDER BY 1",
+  ].join("\n");
+}
+
+/**
+ * Build SQL for monthly counts per district (time-lapse frames).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {string} SQL statement.
+ */
+export function buildMonthlyByDistrictSQL({ start, end, types, drilldownCodes }) {
+  return [
+    "SELECT date_trunc('month', dispatch_date_time) AS m, dc_dist, COUNT(*) AS n",
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes)]),
+    "GROUP BY 1, 2 ORDER BY 1, 2",
+  ].join("\n");
+}
+
+/**
+ * Build SQL for location quotients by district: all incidents per district plus
+ * the subset matching the selected offense codes (the codes select, they do not filter).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {string} SQL statement.
+ */
+export function buildLqByDistrictSQL({ start, end, types, drilldownCodes }) {
+  const where = whereLines([timeRange(start, end)]);
+  return [
+    `SELECT dc_dist, COUNT(*) AS n, ${countIf(selectedCodes(types, drilldownCodes))} AS n_sel`,
+    `FROM ${TABLE}`,
+    ...where,
     "GROUP BY 1 ORDER BY 1",
   ].join("\n");
 }
 
+/**
+ * Build SQL for location quotients on arbitrary polygons: incidents snapped to a
+ * lon/lat grid with all-offense and selected-offense counts per cell. Cells are
+ * assigned to tracts client-side, so no tract geometry has to travel in the query.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],cellDeg?:number}} params
+ * @returns {string} SQL statement.
+ */
+export function buildLqGridSQL({ start, end, types, drilldownCodes, cellDeg = 0.0005 }) {
+  const time = timeRange(start, end);
+  const cell = Number(cellDeg);
+  if (!Number.isFinite(cell) || cell <= 0) {
+    throw new Error("cellDeg must be a positive number.");
+  }
+  return gridQuery(
+    `SELECT ST_X(c) AS x, ST_Y(c) AS y, COUNT(*) AS n, ${countIf(selectedCodes(types, drilldownCodes))} AS n_sel`,
+    `ST_SnapToGrid(ST_Transform(the_geom, 4326), ${cell}) AS c, text_general_code`,
+    [time],
+    "c",
+  );
+}
+
+/**
+ * Build SQL for monthly incident counts on a lon/lat grid (tract time-lapse frames).
+ * Like {@link buildLqGridSQL}, cells are assigned to tracts client-side.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],cellDeg?:number}} params
+ * @returns {string} SQL statement.
+ */
+export function buildMonthlyGridSQL({ start, end, types, drilldownCodes, cellDeg = 0.002 }) {
+  const time = timeRange(start, end);
+  const cell = Number(cellDeg);
+  if (!Number.isFinite(cell) || cell <= 0) {
+    throw new Error("cellDeg must be a positive number.");
+  }
+  return gridQuery(
+    "SELECT ST_X(c) AS x, ST_Y(c) AS y, m, COUNT(*) AS n",
+    `ST_SnapToGrid(ST_Transform(the_geom, 4326), ${cell}) AS c, date_trunc('month', dispatch_date_time) AS m`,
+    [time, selectedCodes(types, drilldownCodes)],
+    "c, m",
+  );
+}
+
+/**
+ * Build SQL for monthly location quotients by district (time-lapse relative to city):
+ * {@link buildLqByDistrictSQL} split by month.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[]}} params
+ * @returns {string} SQL statement.
+ */
+export function buildMonthlyLqByDistrictSQL({ start, end, types, drilldownCodes }) {
+  return [
+    `SELECT date_trunc('month', dispatch_date_time) AS m, dc_dist, COUNT(*) AS n, ${countIf(selectedCodes(types, drilldownCodes))} AS n_sel`,
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end)]),
+    "GROUP BY 1, 2 ORDER BY 1, 2",
+  ].join("\n");
+}
+
+/**
+ * Build SQL for monthly location quotients on a lon/lat grid (tract time-lapse
+ * relative to city): {@link buildLqGridSQL} split by month, on the coarser grid of
+ * {@link buildMonthlyGridSQL}.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],cellDeg?:number}} params
+ * @returns {string} SQL statement.
+ */
+export function buildMonthlyLqGridSQL({ start, end, types, drilldownCodes, cellDeg = 0.002 }) {
+  const time = timeRange(start, end);
+  const cell = Number(cellDeg);
+  if (!Number.isFinite(cell) || cell <= 0) {
+    throw new Error("cellDeg must be a positive number.");
+  }
+  return gridQuery(
+    `SELECT ST_X(c) AS x, ST_Y(c) AS y, m, COUNT(*) AS n, ${countIf(selectedCodes(types, drilldownCodes))} AS n_sel`,
+    `ST_SnapToGrid(ST_Transform(the_geom, 4326), ${cell}) AS c, date_trunc('month', dispatch_date_time) AS m, text_general_code`,
+    [time],
+    "c, m",
+  );
+}
+
 /**
  * Top types for a given district code.
  * @param {{start:string,end:string,types?:string[],dc_dist:string,limit?:number}} p
  */
 export function buildTopTypesDistrictSQL({ start, end, types, dc_dist, limit = 5, drilldownCodes }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, 'end');
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-  const dist = String(dc_dist).padStart(2, '0').replace(/'/g, "''");
-  clauses.push(`  AND dc_dist = '${dist}'`);
+  const where = whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), district(dc_dist)]);
   return [
     'SELECT text_general_code, COUNT(*) AS n',
-    'FROM incidents_part1_part2',
-    ...clauses,
+    `FROM ${TABLE}`,
+    ...where,
     `GROUP BY 1 ORDER BY n DESC LIMIT ${ensurePositiveInt(limit,'limit')}`,
   ].join('\n');
 }
 
+/**
+ * Citywide top types, the baseline for an area's offense mix.
+ * @param {{start:string,end:string,types?:string[],limit?:number,drilldownCodes?:string[]}} p
+ */
+export function buildTopTypesCitySQL({ start, end, types, limit = 50, drilldownCodes }) {
+  const where = whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes)]);
+  return [
+    'SELECT text_general_code, COUNT(*) AS n',
+    `FROM ${TABLE}`,
+    ...where,
+    `GROUP BY 1 ORDER BY n DESC LIMIT ${ensurePositiveInt(limit,'limit')}`,
+  ].join('\n');
+}
+
+/**
+ * Offense codes from `codes` that have at least one incident in the window
+ * (drilldown options for the selected groups).
+ * @param {{start:string,end:string,codes:string[]}} p
+ */
+export function buildAvailableCodesSQL({ start, end, codes }) {
+  return [
+    'SELECT DISTINCT text_general_code',
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), offenseCodes(codes)]),
+    'ORDER BY text_general_code',
+  ].join('\n');
+}
+
+/**
+ * Every offense code with its incident count in the window (offense taxonomy audit).
+ * @param {{start:string,end:string}} p
+ */
+export function buildOffenseCodeCountsSQL({ start, end }) {
+  return [
+    'SELECT text_general_code, COUNT(*) AS n',
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end)]),
+    'GROUP BY 1 ORDER BY 1',
+  ].join('\n');
+}
+
 /**
  * 7x24 heatmap aggregates filtered by district code.
  * @param {{start:string,end:string,types?:string[],dc_dist:string}} p
  */
 export function buildHeatmap7x24DistrictSQL({ start, end, types, dc_dist, drilldownCodes }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, 'end');
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-  const dist = String(dc_dist).padStart(2, '0').replace(/'/g, "''");
-  clauses.push(`  AND dc_dist = '${dist}'`);
-  return [
-    "SELECT EXTRACT(DOW  FROM dispatch_date_time AT TIME ZONE 'America/New_York') AS dow,",
-    "       EXTRACT(HOUR FROM dispatch_date_time AT TIME ZONE 'America/New_York') AS hr,",
-    "       COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
-    "GROUP BY 1,2 ORDER BY 1,2",
-  ].join('\n');
+  return heatmapQuery([timeRange(start, end), selectedCodes(types, drilldownCodes), district(dc_dist)]);
 }
 
 /**
  * District filter helper.
  */
 export function buildDistrictFilter(districtCode) {
-  const dist = String(districtCode).padStart(2, '0').replace(/'/g, "''");
-  return `AND dc_dist = '${dist}'`;
+  return `AND ${conditions(district(districtCode))[0]}`;
 }
 
 /**
@@ -287,119 +390,74 @@ export function buildDistrictFilter(districtCode) {
  * @returns {string}
  */
 export function buildCountBufferSQL({ start, end, types, center3857, radiusM, drilldownCodes }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, 'end');
-  const clauses = baseTemporalClauses(startIso, endIso, types, { drilldownCodes });
-  clauses.push(`  ${dWithinClause(center3857, radiusM)}`);
   return [
     "SELECT COUNT(*) AS n",
-    "FROM incidents_part1_part2",
-    ...clauses,
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), buffer(center3857, radiusM)]),
   ].join("\n");
 }
 
-function ensureIso(value, label) {
-  if (!value) {
-    throw new Error(`Missing required ISO date for ${label}.`);
-  }
-  const iso = String(value);
-  if (!iso.match(/^\d{4}-\d{2}-\d{2}/)) {
-    throw new Error(`Invalid ISO date for ${label}: ${value}`);
-  }
-  return iso;
+/**
+ * Build SQL to count incidents inside a polygon (no GROUP BY), e.g. per-tract totals.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object}} params - EPSG:4326 geometry
+ * @returns {string}
+ */
+export function buildCountPolygonSQL({ start, end, types, drilldownCodes, geometry }) {
+  return [
+    "SELECT COUNT(*) AS n",
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), polygon(geometry)]),
+  ].join("\n");
 }
 
-function ensurePositiveInt(value, label) {
-  const num = Number.parseInt(String(value), 10);
-  if (!Number.isFinite(num) || num <= 0) {
-    throw new Error(`${label} must be a positive integer.`);
-  }
-  return num;
+/**
+ * Build monthly time series SQL for incidents inside a polygon (a tract or a
+ * drawn/uploaded area).
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object}} params - EPSG:4326 geometry
+ * @returns {string}
+ */
+export function buildMonthlyPolygonSQL({ start, end, types, drilldownCodes, geometry }) {
+  return [
+    "SELECT date_trunc('month', dispatch_date_time) AS m, COUNT(*) AS n",
+    `FROM ${TABLE}`,
+    ...whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), polygon(geometry)]),
+    'GROUP BY 1 ORDER BY 1',
+  ].join('\n');
 }
 
-function ensureCenter(center) {
-  if (!center) {
-    throw new Error("center3857 is required.");
-  }
-
-  if (Array.isArray(center) && center.length >= 2) {
-    const [x, y] = center.map((value) => Number(value));
-    if (Number.isFinite(x) && Number.isFinite(y)) {
-      return [x, y];
-    }
-  } else if (typeof center === "object") {
-    const x = Number(center.x ?? center.lon ?? center.lng);
-    const y = Number(center.y ?? center.lat);
-    if (Number.isFinite(x) && Number.isFinite(y)) {
-      return [x, y];
-    }
-  }
-
-  throw new Error("center3857 must supply numeric x and y coordinates.");
+/**
+ * Build top N offense types SQL for incidents inside a polygon.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object,limit?:number}} params - EPSG:4326 geometry
+ * @returns {string}
+ */
+export function buildTopTypesPolygonSQL({ start, end, types, drilldownCodes, geometry, limit = 12 }) {
+  const where = whereLines([timeRange(start, end), selectedCodes(types, drilldownCodes), polygon(geometry)]);
+  return [
+    'SELECT text_general_code, COUNT(*) AS n',
+    `FROM ${TABLE}`,
+    ...where,
+    `GROUP BY 1 ORDER BY n DESC LIMIT ${ensurePositiveInt(limit,'limit')}`,
+  ].join('\n');
 }
 
-function ensureRadius(radius) {
-  const value = Number(radius);
-  if (!Number.isFinite(value) || value <= 0) {
-    throw new Error("radiusM must be a positive number.");
-  }
-  return value;
-}
-
-function dWithinClause(center, radius) {
-  const [x, y] = ensureCenter(center);
-  const distance = ensureRadius(radius);
-  return `AND ST_DWithin(the_geom, ST_SetSRID(ST_Point(${x}, ${y}), 3857), ${distance})`;
-}
-
-function baseTemporalClauses(startIso, endIso, types, { includeTypes = true, drilldownCodes } = {}) {
-  const clauses = [
-    "WHERE dispatch_date_time >= '2015-01-01'",
-    `  AND dispatch_date_time >= '${startIso}'`,
-    `  AND dispatch_date_time < '${endIso}'`,
-  ];
-
-  if (includeTypes) {
-    // Drilldown codes override parent group types
-    const codes = (drilldownCodes && drilldownCodes.length > 0) ? drilldownCodes : types;
-    const sanitizedTypes = sanitizeTypes(codes);
-    if (sanitizedTypes.length > 0) {
-      clauses.push(
-        `  AND text_general_code IN (${sanitizedTypes
-          .map((value) => `'${value}'`)
-          .join(", ")})`
-      );
-    }
-  }
-
-  return clauses;
+/**
+ * Build 7x24 heatmap SQL for incidents inside a polygon.
+ * @param {{start:string,end:string,types?:string[],drilldownCodes?:string[],geometry:object}} params - EPSG:4326 geometry
+ * @returns {string}
+ */
+export function buildHeatmap7x24PolygonSQL({ start, end, types, drilldownCodes, geometry }) {
+  return heatmapQuery([timeRange(start, end), selectedCodes(types, drilldownCodes), polygon(geometry)]);
 }
 
 /**
  * Build monthly time series SQL for a single census tract.
  */
 export function buildMonthlyTractSQL({ start, end, types, tractGEOID, tractGeometry }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, 'end');
-  const clauses = baseTemporalClauses(startIso, endIso, types);
-  const gj = geojsonString6(tractGeometry);
-  const bbox = bbox4326(tractGeometry);
-  if (bbox) {
-    const [minx, miny, maxx, maxy] = bbox;
-    clauses.push(`  AND the_geom && ST_Transform(ST_MakeEnvelope(${minx}, ${miny}, ${maxy}, ${maxy}, 4326), 3857)`);
-  }
-  clauses.push(`  AND ST_Intersects(the_geom, ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON('${gj}'), 4326), 3857))`);
-
-  return [
-    "SELECT date_trunc('month', dispatch_date_time) AS m, COUNT(*) AS n",
-    'FROM incidents_part1_part2',
-    ...clauses,
-    'GROUP BY 1 ORDER BY 1',
-  ].join('\n');
+  return buildMonthlyPolygonSQL({ start, end, types, geometry: tractGeometry });
 }
 
 /**
- * Build top N offense types SQL for a census tract (STUB).
+ * Build top N offense types SQL for a census tract.
  * @param {object} params
  * @param {string} params.start - ISO date
  * @param {string} params.end - ISO date
@@ -407,29 +465,13 @@ export function buildMonthlyTractSQL({ start, end, types, tractGEOID, tractGeome
  * @param {object} params.tractGeometry - GeoJSON geometry object
  * @param {number} [params.limit=12] - Max results
  * @returns {string} SQL query
- * @throws {Error} Not yet implemented
  */
 export function buildTopTypesTractSQL({ start, end, types, tractGEOID, tractGeometry, limit = 12 }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, 'end');
-  const clauses = baseTemporalClauses(startIso, endIso, types);
-  const gj = geojsonString6(tractGeometry);
-  const bbox = bbox4326(tractGeometry);
-  if (bbox) {
-    const [minx, miny, maxx, maxy] = bbox;
-    clauses.push(`  AND the_geom && ST_Transform(ST_MakeEnvelope(${minx}, ${miny}, ${maxx}, ${maxy}, 4326), 3857)`);
-  }
-  clauses.push(`  AND ST_Intersects(the_geom, ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON('${gj}'), 4326), 3857))`);
-  return [
-    'SELECT text_general_code, COUNT(*) AS n',
-    'FROM incidents_part1_part2',
-    ...clauses,
-    `GROUP BY 1 ORDER BY n DESC LIMIT ${ensurePositiveInt(limit,'limit')}`,
-  ].join('\n');
+  return buildTopTypesPolygonSQL({ start, end, types, geometry: tractGeometry, limit });
 }
 
 /**
- * Build 7x24 heatmap SQL for a census tract (STUB).
+ * Build 7x24 heatmap SQL for a census tract.
  * @param {object} params
  * @param {string} params.start - ISO date
  * @param {string} params.end - ISO date
@@ -437,58 +479,27 @@ export function buildTopTypesTractSQL({ start, end, types, tractGEOID, tractGeom
  * @param {string} params.tractGEOID - 11-digit census tract GEOID
  * @param {object} params.tractGeometry - GeoJSON geometry object
  * @returns {string} SQL query
- * @throws {Error} Not yet implemented
  */
 export function buildHeatmap7x24TractSQL({ start, end, types, tractGEOID, tractGeometry }) {
-  const startIso = dateFloorGuard(start);
-  const endIso = ensureIso(end, 'end');
-  const clauses = baseTemporalClauses(startIso, endIso, types);
-  const gj = geojsonString6(tractGeometry);
-  const bbox = bbox4326(tractGeometry);
-  if (bbox) {
-    const [minx, miny, maxx, maxy] = bbox;
-    clauses.push(`  AND the_geom && ST_Transform(ST_MakeEnvelope(${minx}, ${miny}, ${maxx}, ${maxy}, 4326), 3857)`);
-  }
-  clauses.push(`  AND ST_Intersects(the_geom, ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON('${gj}'), 4326), 3857))`);
+  return buildHeatmap7x24PolygonSQL({ start, end, types, geometry: tractGeometry });
+}
+
+// Day-of-week x hour counts in local time, shared by the buffer/district/polygon variants
+function heatmapQuery(filters) {
   return [
     "SELECT EXTRACT(DOW  FROM dispatch_date_time AT TIME ZONE 'America/New_York') AS dow,",
     "       EXTRACT(HOUR FROM dispatch_date_time AT TIME ZONE 'America/New_York') AS hr,",
-    '       COUNT(*) AS n',
-    'FROM incidents_part1_part2',
-    ...clauses,
-    'GROUP BY 1,2 ORDER BY 1,2',
-  ].join('\n');
+    "       COUNT(*) AS n",
+    `FROM ${TABLE}`,
+    ...whereLines(filters),
+    "GROUP BY 1,2 ORDER BY 1,2",
+  ].join("\n");
 }
 
-// Helpers: round geometry to 6 decimals and compute bbox in 4326
-function geojsonString6(geom) {
-  if (!geom) throw new Error('tractGeometry required');
-  const g = roundGeometry6(geom);
-  return JSON.stringify(g).replace(/'/g, "''");
-}
-
-function roundGeometry6(geom) {
-  const r6 = (n) => Math.round(n * 1e6) / 1e6;
-  const rc = (c) => Array.isArray(c[0]) ? c.map(rc) : [r6(c[0]), r6(c[1])];
-  if (geom.type === 'Polygon') return { type: 'Polygon', coordinates: rc(geom.coordinates) };
-  if (geom.type === 'MultiPolygon') return { type: 'MultiPolygon', coordinates: geom.coordinates.map(rc) };
-  return geom;
-}
-
-function bbox4326(geom) {
-  let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
-  const visit = (coords) => {
-    if (!Array.isArray(coords)) return;
-    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-      const x = coords[0], y = coords[1];
-      if (x < minx) minx = x; if (y < miny) miny = y; if (x > maxx) maxx = x; if (y > maxy) maxy = y;
-    } else {
-      for (const c of coords) visit(c);
-    }
-  };
-  if (!geom) return null;
-  if (geom.type === 'Polygon') visit(geom.coordinates);
-  else if (geom.type === 'MultiPolygon') visit(geom.coordinates);
-  if (!Number.isFinite(minx)) return null;
-  return [minx, miny, maxx, maxy];
+function ensurePositiveInt(value, label) {
+  const num = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(num) || num <= 0) {
+    throw new Error(`${label} must be a positive integer.`);
+  }
+  return num;
 }
@@ -0,0 +1,90 @@
+// Snapshot tests for every build*SQL export. The rendered SQL is also the snapshot
+// key of a recorded crime bundle (api/datasource.js), so any change here means
+// recorded bundles stop matching. Regenerate deliberately with
+//   UPDATE_SNAPSHOTS=1 node --test src/utils/sql.test.mjs
+// and say in the commit which queries changed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import * as Q from './sql.js';
+import { normalizeArea } from './custom_area.js';
+
+const SNAPSHOT_FILE = new URL('./sql.test.snapshot.json', import.meta.url);
+const update = !!process.env.UPDATE_SNAPSHOTS;
+
+// Required parameters of every builder; variants add or replace filters on top
+const base = {
+  start: '2024-01-01',
+  end: '2024-07-01',
+  center3857: [-8366000, 4859000],
+  radiusM: 800,
+  cellM: 250,
+  codes: ['Thefts', 'Burglary Residential'],
+  tractGEOID: '42101000100',
+  geometry: { type: 'Polygon', coordinates: [[[-75.17, 39.95], [-75.15, 39.95], [-75.15, 39.96], [-75.17, 39.96], [-75.17, 39.95]]] },
+  tractGeometry: { type: 'Polygon', coordinates: [[[-75.1712345, 39.9501234], [-75.1498765, 39.9501234], [-75.1498765, 39.9612345], [-75.1712345, 39.9612345], [-75.1712345, 39.9501234]]] },
+};
+
+const holed = {
+  type: 'Polygon',
+  coordinates: [
+    [[-75.2, 39.9], [-75.1, 39.9], [-75.1, 40.0], [-75.2, 40.0], [-75.2, 39.9]],
+    [[-75.16, 39.94], [-75.14, 39.94], [-75.14, 39.96], [-75.16, 39.96], [-75.16, 39.94]],
+  ],
+};
+
+const variants = {
+  plain: {},
+  types: { types: ['Thefts', "Offender's Other"] },
+  drilldown: { types: ['Thefts', 'Robbery Firearm'], drilldownCodes: ['Robbery Firearm'] },
+  district: { dc_dist: '7' },
+  bbox: { bbox: [-8370000, 4855000, -8360000, 4865000] },
+  polygon: { geometry: holed, tractGeometry: holed },
+};
+
+const builders = Object.keys(Q).filter((name) => /^build\w*SQL$/.test(name)).sort();
+
+function renderAll() {
+  const out = {};
+  for (const name of builders) {
+    for (const [variant, params] of Object.entries(variants)) {
+      out[`${name} ${variant}`] = Q[name]({ ...base, ...params });
+    }
+  }
+  return out;
+}
+
+test('every build*SQL export matches its snapshot', () => {
+  const actual = renderAll();
+  if (update) {
+    fs.writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+  const expected = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), 'builders or variants changed; regenerate the snapshot');
+  for (const key of Object.keys(expected)) assert.equal(actual[key], expected[key], key);
+});
+
+test('tract envelope prefilter is minx, miny, maxx, maxy', () => {
+  // tract queries used to pass maxy where maxx belongs (fixed with the query builder rewrite)
+  const sql = Q.buildMonthlyTractSQL({ ...base, tractGeometry: holed });
+  assert.match(sql, /ST_MakeEnvelope\(-75\.2, 39\.9, -75\.1, 40, 4326\)/);
+  assert.doesNotMatch(sql, /ST_MakeEnvelope\(-75\.2, 39\.9, 40, 40, 4326\)/);
+});
+
+test('quotes in offense codes are escaped', () => {
+  const sql = Q.buildMonthlyCitySQL({ ...base, types: ["Offender's Other"] });
+  assert.match(sql, /text_general_code IN \('Offender''s Other'\)/);
+});
+
+test('polygon builders embed a custom area as GeoJSON behind its envelope', () => {
+  const { geometry } = normalizeArea({ type: 'MultiPolygon', coordinates: [holed.coordinates, [[[-75.05, 40.0], [-75.04, 40.0], [-75.04, 40.01], [-75.05, 40.0]]]] });
+  for (const name of ['buildCountPolygonSQL', 'buildMonthlyPolygonSQL', 'buildTopTypesPolygonSQL', 'buildHeatmap7x24PolygonSQL']) {
+    const sql = Q[name]({ ...base, geometry });
+    assert.ok(sql.includes(`ST_GeomFromGeoJSON('${JSON.stringify(geometry)}')`), name);
+    assert.match(sql, /the_geom && ST_Transform\(ST_MakeEnvelope\(-75\.2, 39\.9, -75\.04, 40\.01, 4326\), 3857\)/, name);
+    assert.match(sql, /dispatch_date_time >= '2024-01-01'\n {2}AND dispatch_date_time < '2024-07-01'/, name);
+  }
+  assert.match(Q.buildTopTypesPolygonSQL({ ...base, limit: 5 }), /LIMIT 5$/);
+  assert.throws(() => Q.buildTopTypesPolygonSQL({ ...base, limit: 0 }));
+});
@@ -0,0 +1,219 @@
+/**
+ * Offense taxonomy: the versioned groups file (src/data/offense_groups.json) that maps
+ * dashboard offense groups to CARTO text_general_code values, plus the checks and edits
+ * shared by scripts/offense_taxonomy.mjs and the in-app admin card.
+ *
+ * File shape:
+ *   { version, updated_at, labels: {Group: "Label"}, groups: {Group: [code, ...]} }
+ * The pre-versioned shape (a bare {Group: [code, ...]} object) is read as version 0.
+ * Every function here is pure and returns new documents.
+ */
+
+/**
+ * @typedef {object} GroupsDoc
+ * @property {number} version
+ * @property {string|null} updated_at - YYYY-MM-DD
+ * @property {Object<string,string>} labels - display names; groups without one use the key
+ * @property {Object<string,string[]>} groups
+ */
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Normalize a parsed groups file: trims codes, drops blanks and duplicates within a
+ * group and sorts codes. Groups keep their file order, which is the order of the
+ * group select. Invalid members are skipped; use
+ * {@link validateGroupsDoc} to report them.
+ * @param {object} raw
+ * @returns {GroupsDoc}
+ */
+export function readGroupsDoc(raw) {
+  const versioned = isObject(raw) && isObject(raw.groups);
+  const src = versioned ? raw.groups : (isObject(raw) ? raw : {});
+  const groups = {};
+  for (const key of Object.keys(src)) {
+    const v = typeof src[key] === 'string' ? [src[key]] : src[key];
+    if (!Array.isArray(v)) continue;
+    groups[key.trim()] = [...new Set(v.filter((c) => typeof c === 'string').map((c) => c.trim()).filter(Boolean))].sort();
+  }
+  const labels = {};
+  if (versioned && isObject(raw.labels)) {
+    for (const [k, v] of Object.entries(raw.labels)) if (k in groups && typeof v === 'string' && v.trim()) labels[k] = v.trim();
+  }
+  return {
+    version: versioned && Number.isInteger(raw.version) ? raw.version : 0,
+    updated_at: versioned && typeof raw.updated_at === 'string' ? raw.updated_at : null,
+    labels,
+    groups,
+  };
+}
+
+/**
+ * Check a parsed groups file. Errors make the file unusable or ambiguous; warnings
+ * are worth a look but do not block a write.
+ * @param {object} raw
+ * @returns {{errors:string[], warnings:string[]}}
+ */
+export function validateGroupsDoc(raw) {
+  const errors = [];
+  const warnings = [];
+  if (!isObject(raw)) return { errors: ['root is not an object'], warnings };
+  const versioned = isObject(raw.groups);
+  if (!versioned) warnings.push('pre-versioned file (bare group map); the next write adds version and labels');
+  else if (!Number.isInteger(raw.version) || raw.version < 0) errors.push('version must be a non-negative integer');
+  const src = versioned ? raw.groups : raw;
+  const owners = new Map(); // code -> groups
+  for (const [key, v] of Object.entries(src)) {
+    if (key !== key.trim() || !key) errors.push(`group name "${key}" is empty or has surrounding spaces`);
+    if (!Array.isArray(v)) {
+      errors.push(`group ${key}: value is not an array`);
+      continue;
+    }
+    if (v.length === 0) warnings.push(`group ${key} has no codes`);
+    for (const c of v) {
+      if (typeof c !== 'string') {
+        errors.push(`group ${key}: non-string code ${JSON.stringify(c)}`);
+        continue;
+      }
+      if (c !== c.trim()) warnings.push(`group ${key}: "${c}" has surrounding spaces`);
+      const code = c.trim();
+      if (!owners.has(code)) owners.set(code, new Set());
+      if (owners.get(code).has(key)) warnings.push(`group ${key}: "${code}" listed twice`);
+      owners.get(code).add(key);
+    }
+  }
+  // a code in two groups is counted twice when both groups are selected
+  for (const [code, gs] of owners) if (gs.size > 1) errors.push(`"${code}" is in more than one group: ${[...gs].join(', ')}`);
+  return { errors, warnings };
+}
+
+/**
+ * Compare the groups file with the codes seen in the data.
+ * @param {GroupsDoc} doc
+ * @param {Array<{code:string, n?:number|null}>} observed - distinct codes, with counts when known
+ * @returns {{unmapped:Array<{code:string,n:number|null}>, unseen:Array<{code:string,group:string}>,
+ *   mapped:Array<{code:string,n:number|null,group:string}>}}
+ *   unmapped: in the data but in no group; unseen: in a group but not in the data
+ */
+export function diffTaxonomy(doc, observed) {
+  const groupOf = codeIndex(doc);
+  const seen = new Map();
+  for (const o of observed || []) {
+    const code = String(o?.code ?? '').trim();
+    if (code) seen.set(code, o.n == null ? null : Number(o.n));
+  }
+  const unmapped = [];
+  const mapped = [];
+  for (const [code, n] of seen) {
+    if (groupOf.has(code)) mapped.push({ code, n, group: groupOf.get(code) });
+    else unmapped.push({ code, n });
+  }
+  const unseen = [...groupOf].filter(([code]) => !seen.has(code)).map(([code, group]) => ({ code, group }));
+  const byCount = (a, b) => (b.n ?? -1) - (a.n ?? -1) || a.code.localeCompare(b.code);
+  return { unmapped: unmapped.sort(byCount), unseen, mapped: mapped.sort(byCount) };
+}
+
+/**
+ * Move a code into a group (created at the end when missing), or out of every group.
+ * A group left empty by the move is dropped, since selecting it would match nothing.
+ * @param {GroupsDoc} doc
+ * @param {string} code
+ * @param {string|null} group - null removes the code from the taxonomy
+ * @returns {GroupsDoc}
+ */
+export function assignCode(doc, code, group) {
+  const c = String(code || '').trim();
+  if (!c) throw new Error('assignCode: empty code');
+  const groups = {};
+  for (const [k, codes] of Object.entries(doc.groups)) {
+    const rest = codes.filter((x) => x !== c);
+    if (rest.length || !codes.length) groups[k] = rest;
+  }
+  if (group != null) {
+    const g = String(group).trim();
+    if (!g) throw new Error('assignCode: empty group name');
+    groups[g] = [...(groups[g] || []), c].sort();
+  }
+  return readGroupsDoc({ ...doc, groups });
+}
+
+/**
+ * Set or clear a group's display label.
+ * @param {GroupsDoc} doc
+ * @param {string} group
+ * @param {string|null} label
+ * @returns {GroupsDoc}
+ */
+export function setGroupLabel(doc, group, label) {
+  if (!(group in doc.groups)) throw new Error(`unknown group: ${group}`);
+  const labels = { ...doc.labels };
+  if (label && String(label).trim()) labels[group] = String(label).trim();
+  else delete labels[group];
+  return { ...doc, labels };
+}
+
+/**
+ * Next version of a document, stamped with today's date.
+ * @param {GroupsDoc} doc
+ * @param {Date} [now]
+ * @returns {GroupsDoc}
+ */
+export function nextVersion(doc, now = new Date()) {
+  return { ...doc, version: (doc.version || 0) + 1, updated_at: now.toISOString().slice(0, 10) };
+}
+
+/**
+ * Stable JSON for the groups file (groups in file order, sorted codes, trailing
+ * newline), so successive versions diff cleanly.
+ * @param {GroupsDoc} doc
+ * @returns {string}
+ */
+export function serializeGroupsDoc(doc) {
+  const clean = readGroupsDoc(doc);
+  return JSON.stringify({ version: doc.version, updated_at: doc.updated_at, labels: clean.labels, groups: clean.groups }, null, 2) + '\n';
+}
+
+/**
+ * Line-per-change summary between two documents (for logs and the admin card).
+ * @param {GroupsDoc} before
+ * @param {GroupsDoc} after
+ * @returns {string[]}
+ */
+export function describeChanges(before, after) {
+  const a = codeIndex(before);
+  const b = codeIndex(after);
+  const lines = [];
+  for (const code of new Set([...a.keys(), ...b.keys()])) {
+    const from = a.get(code);
+    const to = b.get(code);
+    if (from === to) continue;
+    if (!from) lines.push(`+ "${code}" → ${to}`);
+    else if (!to) lines.push(`- "${code}" (was ${from})`);
+    else lines.push(`~ "${code}" ${from} → ${to}`);
+  }
+  for (const g of Object.keys(after.groups)) if ((before.labels[g] || g) !== (after.labels[g] || g)) lines.push(`label ${g}: ${after.labels[g] || g}`);
+  return lines.sort();
+}
+
+/**
+ * Distinct offense codes found anywhere in a recorded snapshot bundle (rows and
+ * GeoJSON features with text_general_code). Counts are not comparable across
+ * queries, so only the codes are returned.
+ * @param {{entries?:object}} bundle - see src/api/datasource.js
+ * @returns {Array<{code:string, n:null}>}
+ */
+export function codesFromBundle(bundle) {
+  const codes = new Set();
+  for (const entry of Object.values(bundle?.entries || {})) {
+    const data = entry?.data;
+    for (const r of data?.rows || []) if (r?.text_general_code) codes.add(String(r.text_general_code).trim());
+    for (const f of data?.features || []) if (f?.properties?.text_general_code) codes.add(String(f.properties.text_general_code).trim());
+  }
+  return [...codes].sort().map((code) => ({ code, n: null }));
+}
+
+function codeIndex(doc) {
+  const idx = new Map();
+  for (const [g, codes] of Object.entries(doc.groups)) for (const c of codes) if (!idx.has(c)) idx.set(c, g);
+  return idx;
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readGroupsDoc, assignCode, serializeGroupsDoc } from './taxonomy.js';
+import { offenseGroupOptions } from './types.js';
+
+const doc = readGroupsDoc({
+  version: 3,
+  updated_at: '2025-01-01',
+  labels: { Robbery_Gun: 'Robbery (gun)' },
+  groups: { Property: [' Thefts ', 'Thefts'], Vehicle: ['Theft from Vehicle', 'Motor Vehicle Theft'], Robbery_Gun: ['Robbery Firearm'] },
+});
+
+test('groups keep file order and codes are sorted', () => {
+  assert.deepEqual(Object.keys(doc.groups), ['Property', 'Vehicle', 'Robbery_Gun']);
+  assert.deepEqual(doc.groups.Vehicle, ['Motor Vehicle Theft', 'Theft from Vehicle']);
+  assert.deepEqual(doc.groups.Property, ['Thefts']);
+  assert.deepEqual(Object.keys(JSON.parse(serializeGroupsDoc(doc)).groups), ['Property', 'Vehicle', 'Robbery_Gun']);
+});
+
+test('a new group is added at the end', () => {
+  assert.deepEqual(Object.keys(assignCode(doc, 'Fraud', 'Other').groups), ['Property', 'Vehicle', 'Robbery_Gun', 'Other']);
+});
+
+test('group select options follow the file', () => {
+  assert.deepEqual(offenseGroupOptions(doc), [
+    { value: 'property', label: 'Property' },
+    { value: 'vehicle', label: 'Vehicle' },
+    { value: 'robbery_gun', label: 'Robbery (gun)' },
+  ]);
+  assert.equal(offenseGroupOptions()[0].label, 'Property');
+});
@@ -0,0 +1,84 @@
+/**
+ * Route Safety Diary - Track File Parsing
+ *
+ * Purpose: Turn GPX or GeoJSON tracks into the {lat, lng, timestamp} points the
+ * recorder and matchPathToSegments() expect (used to replay trips for testing).
+ */
+
+/**
+ * Parse a GPX or GeoJSON track.
+ * Missing timestamps are synthesized 1 s apart starting at `startTime`.
+ * @param {string} text - File contents
+ * @param {{startTime?:number}} [opts]
+ * @returns {Array<{lat:number, lng:number, timestamp:number}>}
+ * @throws {Error} when the text is neither GPX nor GeoJSON, or has no points
+ */
+export function parseTrack(text, { startTime = Date.now() } = {}) {
+  const trimmed = String(text || '').trim();
+  const raw = trimmed.startsWith('<') ? parseGpx(trimmed) : parseGeoJson(trimmed);
+  if (raw.length === 0) throw new Error('Track has no points');
+
+  return raw.map((p, i) => ({
+    lat: p.lat,
+    lng: p.lng,
+    timestamp: Number.isFinite(p.timestamp) ? p.timestamp : startTime + i * 1000,
+  }));
+}
+
+function parseGpx(xml) {
+  const points = [];
+  // Track points first; fall back to route points for planned routes
+  for (const tag of ['trkpt', 'rtept']) {
+    const re = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    let m;
+    while ((m = re.exec(xml))) {
+      const lat = Number(attr(m[1], 'lat'));
+      const lng = Number(attr(m[1], 'lon'));
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      const time = m[2] && /<time>([^<]+)<\/time>/.exec(m[2]);
+      points.push({ lat, lng, timestamp: time ? Date.parse(time[1].trim()) : NaN });
+    }
+    if (points.length) break;
+  }
+  return points;
+}
+
+// undefined when absent, so Number() gives NaN and the point is dropped (Number(null) is 0)
+function attr(attrs, name) {
+  const m = new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`).exec(attrs);
+  return m ? m[1] : undefined;
+}
+
+function parseGeoJson(text) {
+  let gj;
+  try {
+    gj = JSON.parse(text);
+  } catch {
+    throw new Error('Track is not GPX or GeoJSON');
+  }
+  const features = gj?.type === 'FeatureCollection' ? gj.features || []
+    : gj?.type === 'Feature' ? [gj]
+    : [{ type: 'Feature', geometry: gj, properties: {} }];
+
+  const points = [];
+  for (const f of features) {
+    const geom = f?.geometry;
+    const props = f?.properties || {};
+    if (!geom) continue;
+    if (geom.type === 'Point') {
+      points.push(toPoint(geom.coordinates, props.timestamp ?? props.time));
+    } else if (geom.type === 'LineString' || geom.type === 'MultiLineString') {
+      const coords = geom.type === 'LineString' ? geom.coordinates : geom.coordinates.flat();
+      // togeojson stores per-vertex times in coordTimes (flat or per part)
+      const times = (props.coordTimes || props.times || []).flat();
+      coords.forEach((c, i) => points.push(toPoint(c, times[i])));
+    }
+  }
+  return points.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+}
+
+function toPoint(coord, time) {
+  const [lng, lat] = coord || [];
+  const timestamp = typeof time === 'number' ? time : time ? Date.parse(time) : NaN;
+  return { lat: Number(lat), lng: Number(lng), timestamp };
+}
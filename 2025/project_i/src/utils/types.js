@@ -1,4 +1,9 @@
-import groups from '../data/offense_groups.json' assert { type: 'json' };
+import groupsFile from '../data/offense_groups.json' assert { type: 'json' };
+import { readGroupsDoc } from './taxonomy.js';
+
+// versioned groups file; edit it with scripts/offense_taxonomy.mjs or the admin card
+const groupsDoc = readGroupsDoc(groupsFile);
+const groups = groupsDoc.groups;
 
 /**
  * Map offense text_general_code into coarse groups with colors.
@@ -41,8 +46,10 @@ export function categoryColorPairs() {
   ];
 }
 
-// Offense groups for controls (original JSON)
+// Offense groups for controls: {Group: [codes]}
 export const offenseGroups = groups;
+// Full groups document (version, updated_at, labels)
+export const offenseGroupsDoc = groupsDoc;
 
 // Canonicalization helpers for robust key matching
 export function toSnake(s) {
@@ -99,3 +106,13 @@ export function expandGroupsToCodes(selectedGroups = []) {
 }
 
 export function getCodesForGroups(groups) { return expandGroupsToCodes(groups); }
+
+/**
+ * Options for the offense group select, in file order. Values are lower snake case,
+ * which is what shared links (`g=`) carry.
+ * @param {import('./taxonomy.js').GroupsDoc} [doc]
+ * @returns {Array<{value:string, label:string}>}
+ */
+export function offenseGroupOptions(doc = groupsDoc) {
+  return Object.keys(doc.groups).map((key) => ({ value: toSnake(key).toLowerCase(), label: doc.labels[key] || key.replace(/_/g, ' ') }));
+}
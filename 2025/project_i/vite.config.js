@@ -1,3 +1,6 @@
+import { diaryApiPlugin } from './server/dev_api.js';
+
 export default {
-  build: { outDir: 'dist', sourcemap: true }, base: './'
+  build: { outDir: 'dist', sourcemap: true }, base: './',
+  plugins: [diaryApiPlugin()],
 };